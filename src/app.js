@@ -9,15 +9,23 @@ const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 
 // Import configurations and utilities
+const config = require('./config/config');
 const connectDB = require('./config/db');
 const logger = require('./utils/logger');
 const { formatError } = require('./utils/errorFormatter');
+const batchJobService = require('./services/batchJobService');
+const webhookService = require('./services/webhookService');
+const invoiceService = require('./services/invoiceService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const summaryRoutes = require('./routes/summary');
+const summariesRoutes = require('./routes/summaries');
 const adminRoutes = require('./routes/admin');
+const organizationRoutes = require('./routes/organizations');
+const billingRoutes = require('./routes/billing');
 const healthRoutes = require('./routes/health');
+const webhookRoutes = require('./routes/webhooks');
 
 const app = express();
 
@@ -61,6 +69,8 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
+// Stripe signs the exact bytes it sends, so its webhook keeps the raw body
+app.use('/api/billing/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -76,8 +86,12 @@ if (process.env.NODE_ENV !== 'test') {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/summary', summaryRoutes);
+app.use('/api/summaries', summariesRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/billing', billingRoutes);
 
 // Basic health check
 app.get('/health', (req, res) => {
@@ -99,19 +113,93 @@ app.get('/api', (req, res) => {
       auth: {
         register: 'POST /api/auth/register',
         login: 'POST /api/auth/login',
+        loginTwoFactor: 'POST /api/auth/login/2fa',
         refresh: 'POST /api/auth/refresh',
-        logout: 'POST /api/auth/logout'
+        logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id'
+      },
+      twoFactor: {
+        status: 'GET /api/auth/2fa',
+        setup: 'POST /api/auth/2fa/setup',
+        verify: 'POST /api/auth/2fa/verify',
+        disable: 'POST /api/auth/2fa/disable',
+        recoveryCodes: 'POST /api/auth/2fa/recovery-codes'
+      },
+      apiKeys: {
+        create: 'POST /api/auth/keys',
+        list: 'GET /api/auth/keys',
+        update: 'PUT /api/auth/keys/:id',
+        rotate: 'POST /api/auth/keys/:id/rotate',
+        revoke: 'DELETE /api/auth/keys/:id'
       },
       summary: {
         generate: 'POST /api/summary',
+        stream: 'POST /api/summary/stream',
         batch: 'POST /api/summary/batch',
-        history: 'GET /api/summary/history'
+        createJob: 'POST /api/summary/jobs',
+        listJobs: 'GET /api/summary/jobs',
+        getJob: 'GET /api/summary/jobs/:id',
+        cancelJob: 'POST /api/summary/jobs/:id/cancel',
+        history: 'GET /api/summary/history',
+        search: 'GET /api/summary/search?q='
+      },
+      summaries: {
+        list: 'GET /api/summaries',
+        get: 'GET /api/summaries/:id',
+        delete: 'DELETE /api/summaries/:id',
+        bulkDelete: 'POST /api/summaries/bulk-delete'
+      },
+      webhooks: {
+        create: 'POST /api/webhooks',
+        list: 'GET /api/webhooks',
+        get: 'GET /api/webhooks/:id',
+        update: 'PUT /api/webhooks/:id',
+        delete: 'DELETE /api/webhooks/:id',
+        rotateSecret: 'POST /api/webhooks/:id/rotate-secret',
+        test: 'POST /api/webhooks/:id/test',
+        deliveries: 'GET /api/webhooks/:id/deliveries',
+        redeliver: 'POST /api/webhooks/:id/deliveries/:deliveryId/redeliver'
+      },
+      organizations: {
+        create: 'POST /api/organizations',
+        list: 'GET /api/organizations',
+        get: 'GET /api/organizations/:id',
+        update: 'PUT /api/organizations/:id',
+        delete: 'DELETE /api/organizations/:id',
+        invite: 'POST /api/organizations/:id/invitations',
+        revokeInvitation: 'DELETE /api/organizations/:id/invitations/:invitationId',
+        myInvitations: 'GET /api/organizations/invitations',
+        acceptInvitation: 'POST /api/organizations/invitations/:invitationId/accept',
+        declineInvitation: 'POST /api/organizations/invitations/:invitationId/decline',
+        updateMember: 'PUT /api/organizations/:id/members/:userId',
+        removeMember: 'DELETE /api/organizations/:id/members/:userId'
+      },
+      billing: {
+        subscription: 'GET /api/billing/subscription',
+        checkout: 'POST /api/billing/checkout',
+        portal: 'POST /api/billing/portal',
+        invoices: 'GET /api/billing/invoices',
+        invoice: 'GET /api/billing/invoices/:id',
+        downloadInvoice: 'GET /api/billing/invoices/:id/download?format=html|pdf',
+        credits: 'GET /api/billing/credits',
+        updateCredits: 'PUT /api/billing/credits',
+        creditTransactions: 'GET /api/billing/credits/transactions',
+        buyCredits: 'POST /api/billing/credits/checkout',
+        quote: 'GET /api/billing/quote?plan=&calls=&startingAt=&model=',
+        webhook: 'POST /api/billing/webhook'
       },
       admin: {
         usage: 'GET /api/admin/usage',
         earnings: 'GET /api/admin/earnings',
         users: 'GET /api/admin/users',
-        health: 'GET /api/admin/health'
+        adjustCredits: 'POST /api/admin/users/:userId/credits',
+        health: 'GET /api/admin/health',
+        settings: 'GET /api/admin/settings',
+        updateSettings: 'PUT /api/admin/settings',
+        updatePricing: 'PUT /api/admin/pricing/:plan',
+        generateInvoices: 'POST /api/admin/invoices/generate'
       },
       health: {
         check: 'GET /api/health',
@@ -143,17 +231,24 @@ app.use((err, req, res, next) => {
     ? { error: 'Internal Server Error' }
     : formatError(err);
 
-  res.status(err.status || 500).json(errorResponse);
+  // Upstream circuit open: tell clients when to try again
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  res.status(err.status || err.statusCode || 500).json(errorResponse);
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM signal received, shutting down gracefully');
+  await Promise.all([batchJobService.stopWorker(), webhookService.stopWorker(), invoiceService.stopWorker()]);
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT signal received, shutting down gracefully');
+  await Promise.all([batchJobService.stopWorker(), webhookService.stopWorker(), invoiceService.stopWorker()]);
   process.exit(0);
 });
 
@@ -168,6 +263,14 @@ const server = app.listen(PORT, () => {
   logger.info(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
   logger.info(`📊 API Documentation: http://localhost:${PORT}/api`);
   logger.info(`💚 Health Check: http://localhost:${PORT}/health`);
+
+  if (config.batchJobs.workerEnabled) {
+    batchJobService.startWorker();
+  }
+  webhookService.startWorker();
+  if (config.invoices.generatorEnabled) {
+    invoiceService.startWorker();
+  }
 });
 
 module.exports = { app, server };
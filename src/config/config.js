@@ -27,22 +27,93 @@ const config = {
   // Authentication Configuration
   auth: {
     jwtSecret: process.env.JWT_SECRET,
-    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTokenExpiry: parseInt(process.env.REFRESH_TOKEN_EXPIRY) || 30 * 24 * 60 * 60 * 1000, // 30 days
     saltRounds: parseInt(process.env.SALT_ROUNDS) || 12,
     maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
     lockoutTime: parseInt(process.env.LOCKOUT_TIME) || 2 * 60 * 60 * 1000, // 2 hours
     passwordResetExpiry: parseInt(process.env.PASSWORD_RESET_EXPIRY) || 10 * 60 * 1000, // 10 minutes
-    emailVerificationExpiry: parseInt(process.env.EMAIL_VERIFICATION_EXPIRY) || 24 * 60 * 60 * 1000 // 24 hours
+    emailVerificationExpiry: parseInt(process.env.EMAIL_VERIFICATION_EXPIRY) || 24 * 60 * 60 * 1000, // 24 hours
+    maxApiKeys: parseInt(process.env.MAX_API_KEYS) || 10,
+    twoFactor: {
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Wiki-Synth',
+      challengeExpiry: parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRY) || 5 * 60 // seconds
+    }
   },
 
   // AI Service Configuration
   ai: {
+    provider: process.env.AI_PROVIDER || 'openai', // openai | azure | fake
     githubToken: process.env.GITHUB_TOKEN,
-    endpoint: process.env.AI_ENDPOINT || 'https://models.github.ai/inference',
-    model: process.env.AI_MODEL || 'openai/gpt-4o',
+    apiKey: process.env.AI_API_KEY || process.env.GITHUB_TOKEN,
+    endpoint: process.env.AI_ENDPOINT || process.env.GITHUB_AI_ENDPOINT || 'https://models.github.ai/inference',
+    model: process.env.AI_MODEL || process.env.GITHUB_AI_MODEL || 'openai/gpt-4o',
+    azure: {
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT
+    },
     timeout: parseInt(process.env.AI_TIMEOUT) || 30000,
     maxRetries: parseInt(process.env.AI_MAX_RETRIES) || 3,
-    retryDelay: parseInt(process.env.AI_RETRY_DELAY) || 1000
+    retryDelay: parseInt(process.env.AI_RETRY_DELAY) || 1000,
+    maxRetryDelay: parseInt(process.env.AI_MAX_RETRY_DELAY) || 10000
+  },
+
+  // Circuit breakers around upstream services (AI provider, Wikipedia)
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
+    resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT) || 30000
+  },
+
+  // Asynchronous batch jobs
+  batchJobs: {
+    workerEnabled: process.env.BATCH_WORKER_ENABLED !== 'false',
+    pollInterval: parseInt(process.env.BATCH_WORKER_POLL_INTERVAL) || 2000,
+    leaseTimeout: parseInt(process.env.BATCH_WORKER_LEASE_TIMEOUT) || 5 * 60 * 1000 // 5 minutes
+  },
+
+  // Prepaid credits for pay-per-use plans (amounts in the billing currency)
+  credits: {
+    lowBalanceThreshold: parseFloat(process.env.CREDITS_LOW_BALANCE_THRESHOLD) || 5,
+    minTopUp: parseFloat(process.env.CREDITS_MIN_TOP_UP) || 5,
+    maxTopUp: parseFloat(process.env.CREDITS_MAX_TOP_UP) || 1000
+  },
+
+  // Monthly invoices, generated once a month has closed
+  invoices: {
+    generatorEnabled: process.env.INVOICE_GENERATOR_ENABLED !== 'false',
+    pollInterval: parseInt(process.env.INVOICE_POLL_INTERVAL) || 60 * 60 * 1000 // 1 hour
+  },
+
+  // Outbound webhooks
+  webhooks: {
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30000,
+    maxRetryDelay: parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY) || 60 * 60 * 1000, // 1 hour
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 5000,
+    maxPerUser: parseInt(process.env.WEBHOOK_MAX_PER_USER) || 10,
+    // Plain http endpoints are only accepted outside production unless allowed explicitly
+    requireHttps: process.env.WEBHOOK_REQUIRE_HTTPS
+      ? process.env.WEBHOOK_REQUIRE_HTTPS === 'true'
+      : process.env.NODE_ENV === 'production',
+    // Loopback, private and link-local receivers are refused unless allowed explicitly (local development)
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+    // Percentages of the monthly call limit that trigger usage.threshold_crossed
+    usageThresholds: process.env.WEBHOOK_USAGE_THRESHOLDS
+      ? process.env.WEBHOOK_USAGE_THRESHOLDS.split(',').map(Number)
+      : [80, 100]
+  },
+
+  // Idempotency-Key handling for summary POSTs
+  idempotency: {
+    ttl: parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 24 * 60 * 60 * 1000, // 24 hours
+    // A key still processing after this long is treated as abandoned and may be retried
+    lockTimeout: parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT) || 5 * 60 * 1000 // 5 minutes
+  },
+
+  // Team accounts
+  organizations: {
+    invitationExpiry: parseInt(process.env.ORG_INVITATION_EXPIRY) || 7 * 24 * 60 * 60 * 1000 // 7 days
   },
 
   // Rate Limiting Configuration
@@ -103,7 +174,15 @@ const config = {
     secretKey: process.env.STRIPE_SECRET_KEY,
     publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
-    currency: process.env.STRIPE_CURRENCY || 'usd'
+    currency: process.env.STRIPE_CURRENCY || 'usd',
+    // Override the API endpoint, e.g. to run against a local stripe-mock
+    apiHost: process.env.STRIPE_API_HOST,
+    apiPort: parseInt(process.env.STRIPE_API_PORT) || undefined,
+    apiProtocol: process.env.STRIPE_API_PROTOCOL,
+    // Where Stripe sends the customer after checkout and from the portal
+    successUrl: process.env.STRIPE_SUCCESS_URL || 'http://localhost:3000/billing/success?session_id={CHECKOUT_SESSION_ID}',
+    cancelUrl: process.env.STRIPE_CANCEL_URL || 'http://localhost:3000/billing/cancel',
+    portalReturnUrl: process.env.STRIPE_PORTAL_RETURN_URL || 'http://localhost:3000/billing'
   },
 
   // CORS Configuration
@@ -158,7 +237,9 @@ const config = {
     baseUrl: 'https://en.wikipedia.org/api/rest_v1',
     userAgent: 'WikipediaSummaryGenerator/2.0 (https://github.com/AnweshaMondal/Wikipedia-Summary-Generator)',
     timeout: parseInt(process.env.WIKIPEDIA_TIMEOUT) || 10000,
-    maxRetries: parseInt(process.env.WIKIPEDIA_MAX_RETRIES) || 2
+    maxRetries: parseInt(process.env.WIKIPEDIA_MAX_RETRIES) || 2,
+    retryDelay: parseInt(process.env.WIKIPEDIA_RETRY_DELAY) || 500,
+    maxRetryDelay: parseInt(process.env.WIKIPEDIA_MAX_RETRY_DELAY) || 5000
   },
 
   // Admin Configuration
@@ -193,10 +274,14 @@ const config = {
 function validateConfig() {
   const required = [
     'auth.jwtSecret',
-    'ai.githubToken',
     'database.uri'
   ];
 
+  // The offline provider needs no credentials
+  if (config.ai.provider !== 'fake') {
+    required.push('ai.apiKey');
+  }
+
   const missing = required.filter(key => {
     const value = key.split('.').reduce((obj, k) => obj?.[k], config);
     return !value;
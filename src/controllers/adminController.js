@@ -1,10 +1,31 @@
-const { query, body, validationResult } = require('express-validator');
+const { query, body, param, validationResult } = require('express-validator');
 const ApiCall = require('../models/ApiCall');
 const User = require('../models/User');
 const Pricing = require('../models/Pricing');
+const Setting = require('../models/Setting');
 const logger = require('../utils/logger');
-const { formatValidationErrors, NotFoundError, AuthorizationError } = require('../utils/errorFormatter');
+const { formatValidationErrors, NotFoundError, AuthorizationError, ValidationError } = require('../utils/errorFormatter');
 const { checkAIServiceHealth } = require('../services/wikipediaService');
+const { getCircuitBreakerStatus } = require('../utils/circuitBreaker');
+const { emitEvent } = require('../services/webhookService');
+const invoiceService = require('../services/invoiceService');
+const creditService = require('../services/creditService');
+const {
+  pagingValidation,
+  parsePaging,
+  parseFields,
+  sortSpec,
+  findPage,
+  paginationResponse
+} = require('../utils/pagination');
+
+// User fields admins may select with fields= ("stats" adds per-user usage stats), and the sorts they may request
+const USER_FIELDS = [
+  'email', 'firstName', 'lastName', 'company', 'role', 'status', 'usage', 'subscription',
+  'totalSpent', 'credits', 'earnings', 'emailVerified', 'twoFactorEnabled', 'lastLogin', 'lastActiveAt',
+  'createdAt', 'updatedAt', 'stats'
+];
+const USER_SORT_FIELDS = ['createdAt', 'lastActiveAt', 'email', 'totalSpent', 'usage.totalCalls', 'usage.monthlyCalls'];
 
 /**
  * Get comprehensive usage statistics
@@ -39,6 +60,7 @@ exports.usageStats = [
         topUsers,
         endpointPerformance,
         hourlyUsage,
+        tokensByModel,
         userGrowth
       ] = await Promise.all([
         // Total statistics
@@ -51,9 +73,11 @@ exports.usageStats = [
               successfulCalls: {
                 $sum: { $cond: [{ $eq: ['$responseStatus', 'success'] }, 1, 0] }
               },
-              totalRevenue: { $sum: '$cost' },
+              totalRevenue: { $sum: ApiCall.NET_COST },
               avgResponseTime: { $avg: '$responseTime' },
               totalTokens: { $sum: '$tokensUsed.total' },
+              promptTokens: { $sum: '$tokensUsed.prompt' },
+              completionTokens: { $sum: '$tokensUsed.completion' },
               uniqueUsers: { $addToSet: '$user' }
             }
           }
@@ -71,6 +95,9 @@ exports.usageStats = [
         // Hourly usage patterns
         ApiCall.getHourlyUsage(7),
 
+        // Token usage per AI model
+        ApiCall.getTokenUsageByModel(parseInt(days)),
+
         // User growth
         User.aggregate([
           { $match: { createdAt: { $gte: startDate } } },
@@ -113,6 +140,8 @@ exports.usageStats = [
             totalRevenue: stats.totalRevenue || 0,
             avgResponseTime: Math.round(stats.avgResponseTime || 0),
             totalTokens: stats.totalTokens || 0,
+            promptTokens: stats.promptTokens || 0,
+            completionTokens: stats.completionTokens || 0,
             uniqueUsers: stats.uniqueUsers?.length || 0
           },
           timeline: systemStats,
@@ -123,10 +152,21 @@ exports.usageStats = [
             plan: user.user[0]?.subscription?.plan,
             totalCalls: user.totalCalls,
             totalCost: user.totalCost,
+            totalTokens: user.totalTokens,
             lastCall: user.lastCall
           })),
           endpoints: endpointPerformance,
           hourlyPattern: hourlyUsage,
+          tokens: tokensByModel.map(item => ({
+            model: item._id,
+            calls: item.calls,
+            promptTokens: item.promptTokens,
+            completionTokens: item.completionTokens,
+            totalTokens: item.totalTokens,
+            estimatedCalls: item.estimatedCalls,
+            totalCost: item.totalCost,
+            costPer1000Tokens: item.totalTokens > 0 ? (item.totalCost / item.totalTokens) * 1000 : 0
+          })),
           userGrowth,
           usersByPlan: usersByPlan.reduce((acc, item) => {
             acc[item._id] = item.count;
@@ -184,9 +224,10 @@ exports.earnings = [
           {
             $group: {
               _id: null,
-              totalRevenue: { $sum: '$cost' },
+              totalRevenue: { $sum: ApiCall.NET_COST },
+              totalRefunded: { $sum: { $ifNull: ['$refund.amount', 0] } },
               totalCalls: { $sum: 1 },
-              avgRevenuePerCall: { $avg: '$cost' }
+              avgRevenuePerCall: { $avg: ApiCall.NET_COST }
             }
           }
         ]),
@@ -199,7 +240,8 @@ exports.earnings = [
               _id: {
                 date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }
               },
-              revenue: { $sum: '$cost' },
+              revenue: { $sum: ApiCall.NET_COST },
+              refunded: { $sum: { $ifNull: ['$refund.amount', 0] } },
               calls: { $sum: 1 }
             }
           },
@@ -219,7 +261,8 @@ exports.earnings = [
                     $expr: { $eq: ['$user', '$$userId'] },
                     timestamp: { $gte: startDate }
                   }
-                }
+                },
+                { $project: { netCost: ApiCall.NET_COST } }
               ],
               as: 'calls'
             }
@@ -228,7 +271,7 @@ exports.earnings = [
             $group: {
               _id: '$subscription.plan',
               users: { $sum: 1 },
-              totalRevenue: { $sum: { $sum: '$calls.cost' } },
+              totalRevenue: { $sum: { $sum: '$calls.netCost' } },
               totalCalls: { $sum: { $size: '$calls' } }
             }
           }
@@ -240,7 +283,7 @@ exports.earnings = [
           {
             $group: {
               _id: '$user',
-              totalRevenue: { $sum: '$cost' },
+              totalRevenue: { $sum: ApiCall.NET_COST },
               totalCalls: { $sum: 1 }
             }
           },
@@ -279,7 +322,7 @@ exports.earnings = [
         {
           $group: {
             _id: null,
-            revenue: { $sum: '$cost' }
+            revenue: { $sum: ApiCall.NET_COST }
           }
         }
       ]);
@@ -296,6 +339,7 @@ exports.earnings = [
         data: {
           summary: {
             totalRevenue: earnings.totalRevenue || 0,
+            totalRefunded: earnings.totalRefunded || 0,
             totalCalls: earnings.totalCalls || 0,
             avgRevenuePerCall: earnings.avgRevenuePerCall || 0,
             avgDailyRevenue,
@@ -370,6 +414,20 @@ exports.health = async (req, res, next) => {
       });
     }
 
+    // Upstream circuit breakers
+    healthInfo.circuitBreakers = getCircuitBreakerStatus();
+    healthInfo.circuitBreakers
+      .filter(breaker => breaker.state !== 'closed')
+      .forEach(breaker => {
+        healthInfo.alerts.push({
+          type: 'circuit_open',
+          service: breaker.service,
+          value: breaker.state,
+          message: `Requests to ${breaker.service} are failing fast after ${breaker.consecutiveFailures} consecutive failures`
+        });
+        healthInfo.status = 'degraded';
+      });
+
     // Performance metrics
     const memUsage = process.memoryUsage();
     healthInfo.performance = {
@@ -452,15 +510,7 @@ exports.health = async (req, res, next) => {
  * GET /api/admin/users
  */
 exports.getUsers = [
-  query('page')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
-  
-  query('limit')
-    .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100'),
+  ...pagingValidation(USER_SORT_FIELDS),
   
   query('search')
     .optional()
@@ -484,17 +534,13 @@ exports.getUsers = [
         return res.status(400).json(formatValidationErrors(errors.array()));
       }
 
-      const { 
-        page = 1, 
-        limit = 20, 
-        search, 
-        plan, 
-        status,
-        sortBy = 'createdAt',
-        sortOrder = 'desc'
-      } = req.query;
-
-      const skip = (page - 1) * limit;
+      const { search, plan, status } = req.query;
+      const paging = parsePaging(req.query, { field: 'createdAt', order: 'desc' });
+      const fields = parseFields(req.query.fields, USER_FIELDS, [paging.sort.field]);
+      const includeStats = !fields || fields.includes('stats');
+      const select = fields
+        ? fields.filter(field => field !== 'stats').join(' ')
+        : '-password -emailVerificationToken -passwordResetToken -twoFactorSecret -apiKeys.keyHash';
       
       // Build filter
       const filter = {};
@@ -516,25 +562,35 @@ exports.getUsers = [
         filter.status = status;
       }
 
-      // Build sort
-      const sort = {};
-      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-      const [users, total] = await Promise.all([
-        User.find(filter)
-          .select('-password -emailVerificationToken -passwordResetToken -twoFactorSecret')
-          .sort(sort)
-          .skip(skip)
-          .limit(parseInt(limit)),
-        User.countDocuments(filter)
-      ]);
+      let users;
+      let pagination;
 
-      // Get usage stats for each user
+      if (paging.mode === 'cursor') {
+        const { items, nextCursor } = await findPage(User, filter, { ...paging, select });
+        users = items;
+        pagination = paginationResponse(req, res, { mode: 'cursor', limit: paging.limit, nextCursor });
+      } else {
+        const [items, total] = await Promise.all([
+          User.find(filter)
+            .select(select)
+            .sort(sortSpec(paging.sort))
+            .skip((paging.page - 1) * paging.limit)
+            .limit(paging.limit),
+          User.countDocuments(filter)
+        ]);
+        users = items;
+        pagination = paginationResponse(req, res, { mode: 'page', page: paging.page, limit: paging.limit, total });
+      }
+
+      // Get usage stats for each user; virtuals need fields a projection may leave out
       const usersWithStats = await Promise.all(
         users.map(async (user) => {
+          const data = user.toObject({ virtuals: !fields });
+          if (!includeStats) return data;
+
           const stats = await ApiCall.getUsageStats(user._id, null, null);
           return {
-            ...user.toObject(),
+            ...data,
             stats: stats[0] || {
               totalCalls: 0,
               successfulCalls: 0,
@@ -549,18 +605,13 @@ exports.getUsers = [
         success: true,
         data: {
           users: usersWithStats,
-          pagination: {
-            current: parseInt(page),
-            pages: Math.ceil(total / limit),
-            total,
-            limit: parseInt(limit)
-          },
+          pagination,
           filters: {
             search,
             plan,
             status,
-            sortBy,
-            sortOrder
+            sortBy: paging.sort.field,
+            sortOrder: paging.sort.order
           }
         }
       });
@@ -641,6 +692,13 @@ exports.updateUser = [
 
       await User.findByIdAndUpdate(userId, updates);
 
+      if (updates['subscription.plan']) {
+        await emitEvent(user._id, 'plan.changed', {
+          previousPlan: user.subscription.plan,
+          plan: updates['subscription.plan']
+        });
+      }
+
       // Log admin action
       logger.info('Admin user update:', {
         adminId: req.user._id,
@@ -672,4 +730,309 @@ exports.updateUser = [
   }
 ];
 
+/**
+ * Add or deduct prepaid credits by hand, e.g. goodwill credit or a correction
+ * POST /api/admin/users/:userId/credits
+ */
+exports.adjustCredits = [
+  body('amount')
+    .isFloat()
+    .custom(value => Number(value) !== 0)
+    .withMessage('Amount must be a non-zero number; negative deducts credits')
+    .toFloat(),
+
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Reason is required (at most 200 characters)'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { userId } = req.params;
+      const { amount, reason } = req.body;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const transaction = await creditService.adjust(user, amount, {
+        description: reason,
+        createdBy: req.user._id
+      });
+
+      logger.info('Admin credit adjustment:', {
+        adminId: req.user._id,
+        adminEmail: req.user.email,
+        targetUserId: userId,
+        amount,
+        balance: transaction.balanceAfter,
+        reason
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Credits adjusted',
+        data: {
+          userId,
+          transactionId: transaction._id,
+          amount: transaction.amount,
+          balance: transaction.balanceAfter
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to adjust credits:', {
+        error: error.message,
+        adminId: req.user._id,
+        targetUserId: req.params.userId
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Set a plan's per-call price, volume brackets and model multipliers
+ * PUT /api/admin/pricing/:plan
+ */
+exports.updatePricing = [
+  param('plan')
+    .isIn(['free', 'basic', 'premium', 'enterprise'])
+    .withMessage('Invalid plan'),
+
+  body('pricePerCall')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('pricePerCall must be a non-negative number')
+    .toFloat(),
+
+  body('volumePricing.mode')
+    .optional()
+    .isIn(Pricing.VOLUME_PRICING_MODES)
+    .withMessage(`Volume pricing mode must be one of: ${Pricing.VOLUME_PRICING_MODES.join(', ')}`),
+
+  body('volumePricing.brackets')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Brackets must be an array of at most 20 entries; an empty array removes them'),
+
+  body('volumePricing.brackets.*.upTo')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Bracket upTo must be a positive integer, or null for the last bracket')
+    .toInt(),
+
+  body('volumePricing.brackets.*.pricePerCall')
+    .isFloat({ min: 0 })
+    .withMessage('Bracket pricePerCall must be a non-negative number')
+    .toFloat(),
+
+  body('allowedModels')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('allowedModels must be an array of at most 20 entries'),
+
+  body('allowedModels.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Model name is required'),
+
+  body('allowedModels.*.costMultiplier')
+    .optional()
+    .isFloat({ min: 0.1 })
+    .withMessage('costMultiplier must be at least 0.1')
+    .toFloat(),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { pricePerCall, volumePricing = {}, allowedModels } = req.body;
+      if (pricePerCall === undefined && volumePricing.mode === undefined &&
+          volumePricing.brackets === undefined && allowedModels === undefined) {
+        throw new ValidationError('No pricing changes provided');
+      }
+
+      const pricing = await Pricing.findOne({ plan: req.params.plan });
+      if (!pricing) {
+        throw new NotFoundError('Pricing plan not found');
+      }
+
+      if (pricePerCall !== undefined) pricing.pricePerCall = pricePerCall;
+      if (volumePricing.mode !== undefined) pricing.set('volumePricing.mode', volumePricing.mode);
+      if (volumePricing.brackets !== undefined) {
+        pricing.set('volumePricing.brackets', volumePricing.brackets.map(({ upTo = null, pricePerCall }) => ({ upTo, pricePerCall })));
+      }
+      if (allowedModels !== undefined) {
+        pricing.allowedModels = allowedModels.map(({ name, displayName, costMultiplier }) => ({ name, displayName, costMultiplier }));
+      }
+
+      // The schema checks that brackets are in ascending order
+      await pricing.save();
+
+      logger.info('Admin pricing update:', {
+        adminId: req.user._id,
+        adminEmail: req.user.email,
+        plan: pricing.plan,
+        pricePerCall: pricing.pricePerCall,
+        volumePricing: pricing.volumePricing,
+        allowedModels: pricing.allowedModels.map(model => ({ name: model.name, costMultiplier: model.costMultiplier }))
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Pricing updated',
+        data: {
+          plan: pricing.plan,
+          pricePerCall: pricing.pricePerCall,
+          volumePricing: pricing.volumePricing,
+          allowedModels: pricing.allowedModels
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to update pricing:', {
+        error: error.message,
+        adminId: req.user._id,
+        plan: req.params.plan
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Get service settings
+ * GET /api/admin/settings
+ */
+exports.getSettings = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await Setting.getAll()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change service settings
+ * PUT /api/admin/settings
+ */
+exports.updateSettings = [
+  body('requireAdminTwoFactor')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('requireAdminTwoFactor must be a boolean'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const updates = Object.keys(Setting.DEFAULTS).filter(key => req.body[key] !== undefined);
+      if (updates.length === 0) {
+        throw new ValidationError('No valid settings provided');
+      }
+
+      // Don't let an admin lock themselves out of the admin API
+      if (req.body.requireAdminTwoFactor === true && !req.user.twoFactorEnabled) {
+        throw new ValidationError('Enable two-factor authentication on your own account first');
+      }
+
+      for (const key of updates) {
+        await Setting.setValue(key, req.body[key], req.user._id);
+      }
+
+      logger.info('Admin settings update:', {
+        adminId: req.user._id,
+        adminEmail: req.user.email,
+        settings: updates.reduce((changed, key) => ({ ...changed, [key]: req.body[key] }), {})
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Settings updated',
+        data: await Setting.getAll()
+      });
+
+    } catch (error) {
+      logger.error('Failed to update settings:', {
+        error: error.message,
+        adminId: req.user._id
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Generate the invoices of a closed month now instead of waiting for the generator
+ * POST /api/admin/invoices/generate
+ */
+exports.generateInvoices = [
+  body('period')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Period must be a month as YYYY-MM'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { start, end } = req.body.period
+        ? invoiceService.getBillingPeriod(new Date(`${req.body.period}-01T00:00:00Z`))
+        : invoiceService.getPreviousPeriod();
+
+      // Calls can still be made in an open month
+      if (end > new Date()) {
+        throw new ValidationError('Only months that have ended can be invoiced');
+      }
+
+      const created = await invoiceService.generateInvoicesForPeriod(start);
+
+      logger.info('Admin invoice generation:', {
+        adminId: req.user._id,
+        periodStart: start,
+        created
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `${created} invoice(s) generated`,
+        data: {
+          periodStart: start,
+          periodEnd: end,
+          created
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to generate invoices:', {
+        error: error.message,
+        adminId: req.user._id
+      });
+      next(error);
+    }
+  }
+];
+
 module.exports = exports;
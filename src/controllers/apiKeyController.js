@@ -0,0 +1,277 @@
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const {
+  formatValidationErrors,
+  NotFoundError,
+  ValidationError,
+  AuthorizationError
+} = require('../utils/errorFormatter');
+
+/**
+ * Validation rules shared by create and update
+ * @param {boolean} optional - Whether name may be omitted (updates)
+ * @returns {Array} express-validator rules
+ */
+function apiKeyValidation(optional) {
+  const name = body('name');
+
+  return [
+    (optional ? name.optional() : name)
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name must be between 1 and 50 characters'),
+
+    body('scopes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Scopes must be a non-empty array'),
+
+    body('scopes.*')
+      .isIn(User.API_KEY_SCOPES)
+      .withMessage(`Each scope must be one of: ${User.API_KEY_SCOPES.join(', ')}`)
+      .custom((scope, { req }) => {
+        if (scope === 'admin' && req.user.role !== 'admin') {
+          throw new Error('Only administrators can grant the admin scope');
+        }
+        return true;
+      })
+  ];
+}
+
+/**
+ * API key as returned by the API (the full key only when given)
+ * @param {Object} entry - apiKeys entry
+ * @param {string} key - Newly generated key
+ * @returns {Object} API key representation
+ */
+function formatApiKey(entry, key) {
+  return {
+    id: entry._id,
+    name: entry.name,
+    key,
+    preview: entry.preview,
+    organization: entry.organization,
+    scopes: entry.scopes,
+    expiresAt: entry.expiresAt,
+    expired: entry.isExpired,
+    lastUsedAt: entry.lastUsedAt,
+    lastUsedIp: entry.lastUsedIp,
+    rotatedAt: entry.rotatedAt,
+    createdAt: entry.createdAt
+  };
+}
+
+/**
+ * Find one of the current user's API keys
+ * @param {Object} req - Express request
+ * @returns {Object} apiKeys entry
+ * @throws {NotFoundError} When the user has no key with that ID
+ */
+function findOwnKey(req) {
+  const entry = req.user.apiKeys.id(req.params.id);
+  if (!entry) {
+    throw new NotFoundError('API key not found');
+  }
+  return entry;
+}
+
+/**
+ * Create an API key
+ * POST /api/auth/keys
+ */
+exports.createKey = [
+  ...apiKeyValidation(false),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('expiresAt must be in the future');
+      }
+      return true;
+    }),
+
+  body('organization')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Organization must be a valid ID'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const user = req.user;
+      if (user.apiKeys.length >= config.auth.maxApiKeys) {
+        throw new ValidationError(`You can have at most ${config.auth.maxApiKeys} API keys`);
+      }
+
+      const { name, scopes, expiresAt, organization: organizationId } = req.body;
+
+      // Organization keys bill the organization, so only members with API access may create them
+      if (organizationId) {
+        const organization = await Organization.findById(organizationId);
+        if (!organization || !organization.getMember(user._id)) {
+          throw new NotFoundError('Organization not found');
+        }
+        if (!organization.hasRole(user._id, Organization.API_ROLES)) {
+          throw new AuthorizationError('Your role in this organization cannot create API keys');
+        }
+      }
+
+      const key = user.generateApiKey(
+        name,
+        scopes ? [...new Set(scopes)] : User.DEFAULT_API_KEY_SCOPES,
+        expiresAt ? new Date(expiresAt) : null,
+        organizationId || null
+      );
+      await user.save({ validateBeforeSave: false });
+
+      const entry = user.apiKeys[user.apiKeys.length - 1];
+
+      logger.info('API key created', {
+        userId: user._id,
+        keyId: entry._id,
+        organizationId: entry.organization,
+        scopes: entry.scopes
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store the key now; it is not shown again.',
+        data: formatApiKey(entry, key)
+      });
+
+    } catch (error) {
+      logger.error('Failed to create API key:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * List the user's API keys
+ * GET /api/auth/keys
+ */
+exports.listKeys = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        keys: req.user.apiKeys.map(entry => formatApiKey(entry)),
+        scopes: User.API_KEY_SCOPES
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename an API key or change its scopes
+ * PUT /api/auth/keys/:id
+ */
+exports.updateKey = [
+  ...apiKeyValidation(true),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const entry = findOwnKey(req);
+      const { name, scopes } = req.body;
+
+      if (name !== undefined) entry.name = name;
+      if (scopes !== undefined) entry.scopes = [...new Set(scopes)];
+
+      await req.user.save({ validateBeforeSave: false });
+
+      logger.info('API key updated', { userId: req.user._id, keyId: entry._id });
+
+      res.status(200).json({
+        success: true,
+        data: formatApiKey(entry)
+      });
+
+    } catch (error) {
+      logger.error('Failed to update API key:', {
+        userId: req.user._id,
+        keyId: req.params.id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Replace an API key's secret; the old key stops working immediately
+ * POST /api/auth/keys/:id/rotate
+ */
+exports.rotateKey = async (req, res, next) => {
+  try {
+    const entry = findOwnKey(req);
+    const key = req.user.rotateApiKey(entry._id);
+    await req.user.save({ validateBeforeSave: false });
+
+    logger.info('API key rotated', { userId: req.user._id, keyId: entry._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated. Store the new key now; it is not shown again.',
+      data: formatApiKey(entry, key)
+    });
+
+  } catch (error) {
+    logger.error('Failed to rotate API key:', {
+      userId: req.user._id,
+      keyId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/auth/keys/:id
+ */
+exports.revokeKey = async (req, res, next) => {
+  try {
+    const entry = findOwnKey(req);
+    entry.deleteOne();
+    await req.user.save({ validateBeforeSave: false });
+
+    logger.info('API key revoked', { userId: req.user._id, keyId: entry._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    logger.error('Failed to revoke API key:', {
+      userId: req.user._id,
+      keyId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+module.exports = exports;
@@ -5,6 +5,17 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllSessions,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../services/tokenService');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
 const { 
   formatValidationErrors, 
   AuthenticationError, 
@@ -12,6 +23,23 @@ const {
   NotFoundError 
 } = require('../utils/errorFormatter');
 
+/**
+ * API key as listed on the user's profile (keys are only shown when created)
+ * @param {Object} entry - apiKeys entry
+ * @returns {Object} Key summary
+ */
+function summarizeApiKey(entry) {
+  return {
+    id: entry._id,
+    name: entry.name,
+    preview: entry.preview,
+    organization: entry.organization,
+    scopes: entry.scopes,
+    expiresAt: entry.expiresAt,
+    lastUsedAt: entry.lastUsedAt
+  };
+}
+
 /**
  * Validation rules for user registration
  */
@@ -105,14 +133,14 @@ exports.register = [
         userAgent: req.get('User-Agent')
       });
 
-      // Generate API key and email verification token
-      user.generateApiKey();
+      // Generate a default API key and email verification token
+      const apiKey = user.generateApiKey();
       const emailVerificationToken = user.generateEmailVerificationToken();
 
       await user.save();
 
-      // Generate auth token
-      const authToken = user.generateAuthToken();
+      // Start a session: short-lived access token plus rotating refresh token
+      const { token: authToken, refreshToken, expiresIn } = await createSession(user, req);
 
       // Log registration
       logger.logAuth('register', user._id, user.email, true, {
@@ -136,10 +164,12 @@ exports.register = [
             role: user.role,
             status: user.status,
             subscription: user.subscription,
-            apiKey: user.apiKey,
+            apiKey,
             emailVerified: user.emailVerified
           },
           token: authToken,
+          refreshToken,
+          expiresIn,
           usage: {
             limits: user.getUsageLimits(),
             current: user.usage
@@ -158,6 +188,69 @@ exports.register = [
   }
 ];
 
+/**
+ * Finish a successful login: record it, start a session and send the tokens
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} twoFactorMethod - 'totp' or 'recovery' when a second factor was verified
+ */
+async function completeLogin(user, req, res, twoFactorMethod = null) {
+  // Update last login and activity
+  user.lastLogin = new Date();
+  user.lastActiveAt = new Date();
+  user.ipAddress = req.ip;
+  user.userAgent = req.get('User-Agent');
+
+  // Check and reset monthly usage if needed
+  await user.checkMonthlyReset();
+  await user.save({ validateBeforeSave: false });
+
+  // Admins are told up front when the admin API will refuse them
+  const twoFactorSetupRequired = user.role === 'admin' && !user.twoFactorEnabled &&
+    !!(await Setting.getValue('requireAdminTwoFactor'));
+
+  // Start a session: short-lived access token plus rotating refresh token
+  const { token: authToken, refreshToken, expiresIn } = await createSession(user, req, { mfa: !!twoFactorMethod });
+
+  // Log successful login
+  logger.logAuth('login', user._id, user.email, true, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    twoFactorMethod
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: user.fullName,
+        role: user.role,
+        status: user.status,
+        subscription: user.subscription,
+        apiKeys: user.apiKeys.map(summarizeApiKey),
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        lastLogin: user.lastLogin,
+        preferences: user.preferences
+      },
+      token: authToken,
+      refreshToken,
+      expiresIn,
+      twoFactorSetupRequired,
+      usage: {
+        limits: user.getUsageLimits(),
+        current: user.usage
+      }
+    }
+  });
+}
+
 /**
  * Login user
  * POST /api/auth/login
@@ -203,59 +296,150 @@ exports.login = [
         throw new AuthenticationError('Invalid email or password');
       }
 
+      // With 2FA on, the password only earns a challenge; attempts reset once the code is verified
+      if (user.twoFactorEnabled) {
+        const { challengeToken, expiresIn } = issueTwoFactorChallenge(user);
+
+        logger.logAuth('login_challenge', user._id, email, true, { ipAddress: req.ip });
+
+        return res.status(200).json({
+          success: true,
+          message: 'Enter the code from your authenticator app',
+          data: {
+            twoFactorRequired: true,
+            challengeToken,
+            expiresIn
+          }
+        });
+      }
+
       // Reset login attempts on successful login
       if (user.loginAttempts > 0) {
         await user.resetLoginAttempts();
       }
 
-      // Update last login and activity
-      user.lastLogin = new Date();
-      user.lastActiveAt = new Date();
-      user.ipAddress = req.ip;
-      user.userAgent = req.get('User-Agent');
+      await completeLogin(user, req, res);
 
-      // Check and reset monthly usage if needed
-      await user.checkMonthlyReset();
-      await user.save({ validateBeforeSave: false });
+    } catch (error) {
+      logger.error('Login failed:', {
+        email: req.body.email,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
 
-      // Generate auth token
-      const authToken = user.generateAuthToken();
+/**
+ * Second login step for users with 2FA: trade the challenge and a code for tokens
+ * POST /api/auth/login/2fa
+ */
+exports.loginTwoFactor = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
 
-      // Log successful login
-      logger.logAuth('login', user._id, email, true, {
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authenticator or recovery code is required'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const userId = verifyTwoFactorChallenge(req.body.challengeToken);
+      const user = await User.findById(userId)
+        .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+      if (!user || !user.twoFactorEnabled) {
+        throw new AuthenticationError('Invalid or expired two-factor challenge; sign in again');
+      }
+
+      if (user.isLocked) {
+        logger.logAuth('login', user._id, user.email, false, { reason: 'account_locked' });
+        throw new AuthenticationError('Account is temporarily locked. Please try again later.');
+      }
+
+      if (user.status === 'suspended') {
+        logger.logAuth('login', user._id, user.email, false, { reason: 'account_suspended' });
+        throw new AuthenticationError('Account has been suspended. Please contact support.');
+      }
+
+      // Wrong codes count towards the account lockout like wrong passwords
+      const method = user.verifySecondFactor(req.body.code);
+      if (!method) {
+        await user.incLoginAttempts();
+        logger.logAuth('login', user._id, user.email, false, { reason: 'invalid_2fa_code' });
+        throw new AuthenticationError('Invalid authentication code');
+      }
+
+      if (user.loginAttempts > 0) {
+        await user.resetLoginAttempts();
+      }
+
+      if (method === 'recovery') {
+        logger.warn('Recovery code used to sign in', {
+          userId: user._id,
+          remaining: user.twoFactorRecoveryCodes.length
+        });
+      }
+
+      await completeLogin(user, req, res, method);
+
+    } catch (error) {
+      logger.error('Two-factor login failed:', {
+        ip: req.ip,
+        error: error.message
       });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Exchange a refresh token for a new access token; the refresh token rotates
+ * POST /api/auth/refresh
+ */
+exports.refreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { user, token, refreshToken, expiresIn } = await rotateRefreshToken(req.body.refreshToken, req);
 
       res.status(200).json({
         success: true,
-        message: 'Login successful',
+        message: 'Token refreshed successfully',
         data: {
+          token,
+          refreshToken,
+          expiresIn,
           user: {
             id: user._id,
             email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            fullName: user.fullName,
             role: user.role,
-            status: user.status,
-            subscription: user.subscription,
-            apiKey: user.apiKey,
-            emailVerified: user.emailVerified,
-            lastLogin: user.lastLogin,
-            preferences: user.preferences
-          },
-          token: authToken,
-          usage: {
-            limits: user.getUsageLimits(),
-            current: user.usage
+            subscription: user.subscription
           }
         }
       });
 
     } catch (error) {
-      logger.error('Login failed:', {
-        email: req.body.email,
+      logger.error('Token refresh failed:', {
+        ip: req.ip,
         error: error.message
       });
       next(error);
@@ -264,36 +448,31 @@ exports.login = [
 ];
 
 /**
- * Refresh JWT token
- * POST /api/auth/refresh
+ * Logout user: revokes the current session and access token
+ * POST /api/auth/logout
  */
-exports.refreshToken = async (req, res, next) => {
+exports.logout = async (req, res, next) => {
   try {
-    // User is already authenticated via middleware
-    const user = req.user;
+    if (req.token) {
+      await revokeAccessToken(req.token, 'logout');
 
-    // Update last activity
-    await user.updateLastActivity();
+      if (req.token.sid) {
+        const session = await Session.findOne({ _id: req.token.sid, user: req.user._id });
+        if (session) {
+          await revokeSession(session, 'logout');
+        }
+      }
+    }
 
-    // Generate new token
-    const newToken = user.generateAuthToken();
+    logger.logAuth('logout', req.user._id, req.user.email, true);
 
     res.status(200).json({
       success: true,
-      message: 'Token refreshed successfully',
-      data: {
-        token: newToken,
-        user: {
-          id: user._id,
-          email: user.email,
-          role: user.role,
-          subscription: user.subscription
-        }
-      }
+      message: 'Logged out successfully'
     });
 
   } catch (error) {
-    logger.error('Token refresh failed:', {
+    logger.error('Logout failed:', {
       userId: req.user?._id,
       error: error.message
     });
@@ -302,26 +481,82 @@ exports.refreshToken = async (req, res, next) => {
 };
 
 /**
- * Logout user
- * POST /api/auth/logout
+ * Log out everywhere: revokes every session and access token of the user
+ * POST /api/auth/logout-all
  */
-exports.logout = async (req, res, next) => {
+exports.logoutAll = async (req, res, next) => {
   try {
-    // In a production environment, you might want to:
-    // 1. Blacklist the token
-    // 2. Store logout timestamp
-    // 3. Clear any session data
+    const revoked = await revokeAllSessions(req.user, 'logout_all');
 
-    logger.logAuth('logout', req.user._id, req.user.email, true);
+    logger.logAuth('logout_all', req.user._id, req.user.email, true, { sessions: revoked });
 
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Logged out of all sessions',
+      data: { sessionsRevoked: revoked }
     });
 
   } catch (error) {
-    logger.error('Logout failed:', {
-      userId: req.user?._id,
+    logger.error('Logout everywhere failed:', {
+      userId: req.user._id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * List the user's active sessions
+ * GET /api/auth/sessions
+ */
+exports.listSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          current: String(session._id) === req.token?.sid,
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the user's sessions
+ * DELETE /api/auth/sessions/:id
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    await revokeSession(session, 'revoked');
+
+    logger.logAuth('session_revoked', req.user._id, req.user.email, true, { sessionId: session._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    logger.error('Failed to revoke session:', {
+      userId: req.user._id,
+      sessionId: req.params.id,
       error: error.message
     });
     next(error);
@@ -475,6 +710,9 @@ exports.resetPassword = [
 
       await user.save();
 
+      // Sign out sessions that may have been started with the old password
+      await revokeAllSessions(user, 'password_reset');
+
       logger.logAuth('password_reset', user._id, user.email, true);
 
       res.status(200).json({
@@ -515,8 +753,9 @@ exports.getProfile = async (req, res, next) => {
           role: user.role,
           status: user.status,
           subscription: user.subscription,
-          apiKey: user.apiKey,
+          apiKeys: user.apiKeys.map(summarizeApiKey),
           emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactorEnabled,
           preferences: user.preferences,
           createdAt: user.createdAt,
           lastLogin: user.lastLogin,
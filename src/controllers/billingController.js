@@ -0,0 +1,617 @@
+const { body, query, param, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const Invoice = require('../models/Invoice');
+const Pricing = require('../models/Pricing');
+const CreditTransaction = require('../models/CreditTransaction');
+const config = require('../config/config');
+const billingService = require('../services/billingService');
+const creditService = require('../services/creditService');
+const { accountFilter } = require('../services/invoiceService');
+const { renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoiceRenderer');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+const {
+  pagingValidation,
+  parsePaging,
+  sortSpec,
+  findPage,
+  paginationResponse
+} = require('../utils/pagination');
+const {
+  formatValidationErrors,
+  NotFoundError,
+  AuthorizationError
+} = require('../utils/errorFormatter');
+
+const PAID_PLANS = ['basic', 'premium', 'enterprise'];
+const INVOICE_SORT_FIELDS = ['periodStart', 'total'];
+const CREDIT_SORT_FIELDS = ['createdAt', 'amount'];
+
+/**
+ * Billing account being managed: the organization when one is given, else the user
+ * @param {Object} req - Express request
+ * @param {string} organizationId - Organization ID from the request, if any
+ * @returns {Promise<Object>} User or Organization document
+ * @throws {NotFoundError} When the user is not a member of the organization
+ * @throws {AuthorizationError} When the user can't manage its billing
+ */
+async function loadAccount(req, organizationId) {
+  if (!organizationId) {
+    return req.user;
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization || !organization.getMember(req.user._id)) {
+    throw new NotFoundError('Organization not found');
+  }
+  if (!organization.hasRole(req.user._id, Organization.BILLING_ROLES)) {
+    throw new AuthorizationError(`This requires the organization role: ${Organization.BILLING_ROLES.join(' or ')}`);
+  }
+  return organization;
+}
+
+/**
+ * Load an invoice the current user may see: their own, or one of an organization they bill for
+ * @param {Object} req - Express request with params.id
+ * @returns {Promise<Object>} { invoice, account }
+ * @throws {NotFoundError} When it doesn't exist or belongs to someone else
+ */
+async function loadInvoice(req) {
+  const invoice = await Invoice.findById(req.params.id);
+  if (!invoice) {
+    throw new NotFoundError('Invoice not found');
+  }
+
+  if (invoice.organization) {
+    return { invoice, account: await loadAccount(req, invoice.organization) };
+  }
+  if (!invoice.user.equals(req.user._id)) {
+    throw new NotFoundError('Invoice not found');
+  }
+  return { invoice, account: req.user };
+}
+
+/**
+ * Invoice summary as listed; lines are only included in full
+ * @param {Object} invoice - Invoice document
+ * @param {boolean} full - Include the lines
+ * @returns {Object} Invoice representation
+ */
+function formatInvoice(invoice, full = false) {
+  const data = {
+    id: invoice._id,
+    number: invoice.number,
+    organization: invoice.organization,
+    periodStart: invoice.periodStart,
+    periodEnd: invoice.periodEnd,
+    plan: invoice.plan,
+    currency: invoice.currency,
+    subtotal: invoice.subtotal,
+    discount: invoice.discount,
+    credits: invoice.credits,
+    total: invoice.total,
+    issuedAt: invoice.issuedAt
+  };
+
+  if (full) {
+    data.lines = invoice.lines;
+  }
+  return data;
+}
+
+/**
+ * Ledger entry as returned by the API
+ * @param {Object} transaction - CreditTransaction document
+ * @returns {Object} Transaction representation
+ */
+function formatTransaction(transaction) {
+  return {
+    id: transaction._id,
+    type: transaction.type,
+    amount: transaction.amount,
+    balanceAfter: transaction.balanceAfter,
+    description: transaction.description,
+    apiCall: transaction.apiCall,
+    createdAt: transaction.createdAt
+  };
+}
+
+const organizationQueryValidation = query('organization')
+  .optional()
+  .isMongoId()
+  .withMessage('Organization must be a valid ID');
+
+const invoiceIdValidation = param('id')
+  .isMongoId()
+  .withMessage('Invalid invoice ID');
+
+/**
+ * Get the current subscription
+ * GET /api/billing/subscription
+ */
+exports.getSubscription = [
+  query('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Organization must be a valid ID'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const account = await loadAccount(req, req.query.organization);
+      const { plan, status, currentPeriodStart, currentPeriodEnd, stripeSubscriptionId } = account.subscription;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          plan,
+          status,
+          currentPeriodStart,
+          currentPeriodEnd,
+          managedByStripe: !!stripeSubscriptionId
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+/**
+ * Start a Stripe Checkout session for a paid plan
+ * POST /api/billing/checkout
+ */
+exports.createCheckout = [
+  body('plan')
+    .isIn(PAID_PLANS)
+    .withMessage(`Plan must be one of: ${PAID_PLANS.join(', ')}`),
+  body('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Organization must be a valid ID'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const account = await loadAccount(req, req.body.organization);
+      const session = await billingService.createCheckoutSession(account, req.user, req.body.plan);
+
+      res.status(201).json({
+        success: true,
+        message: 'Complete the checkout to start the subscription',
+        data: {
+          sessionId: session.id,
+          url: session.url
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to create checkout session:', {
+        userId: req.user._id,
+        plan: req.body.plan,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Open the Stripe customer portal to change payment details, switch plan or cancel
+ * POST /api/billing/portal
+ */
+exports.createPortal = [
+  body('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Organization must be a valid ID'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const account = await loadAccount(req, req.body.organization);
+      const session = await billingService.createPortalSession(account);
+
+      res.status(201).json({
+        success: true,
+        data: { url: session.url }
+      });
+
+    } catch (error) {
+      logger.error('Failed to create billing portal session:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Get the prepaid credit balance
+ * GET /api/billing/credits
+ */
+exports.getCredits = [
+  organizationQueryValidation,
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const account = await loadAccount(req, req.query.organization);
+      const [status, pricing] = await Promise.all([
+        creditService.getCreditStatus(account),
+        Pricing.getPlan(account.subscription.plan)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...status,
+          currency: config.stripe.currency,
+          // Only pay-per-use plans spend credits; others are invoiced monthly
+          prepaid: !!pricing?.isPrepaid()
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+/**
+ * Set the balance below which a credits.low_balance webhook is sent
+ * PUT /api/billing/credits
+ */
+exports.updateCredits = [
+  body('lowBalanceThreshold')
+    .custom(value => value === null || (typeof value === 'number' && value >= 0))
+    .withMessage('lowBalanceThreshold must be a non-negative number, or null for the default'),
+  body('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Organization must be a valid ID'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const account = await loadAccount(req, req.body.organization);
+      account.credits.lowBalanceThreshold = req.body.lowBalanceThreshold;
+      await account.save({ validateBeforeSave: false });
+
+      res.status(200).json({
+        success: true,
+        data: await creditService.getCreditStatus(account)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+/**
+ * List credit ledger entries, newest first
+ * GET /api/billing/credits/transactions
+ */
+exports.listCreditTransactions = [
+  ...pagingValidation(CREDIT_SORT_FIELDS),
+  organizationQueryValidation,
+  query('type')
+    .optional()
+    .isIn(CreditTransaction.TYPES)
+    .withMessage(`Type must be one of: ${CreditTransaction.TYPES.join(', ')}`),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const account = await loadAccount(req, req.query.organization);
+      const filter = creditService.transactionFilter(account);
+      if (req.query.type) {
+        filter.type = req.query.type;
+      }
+      const paging = parsePaging(req.query, { field: 'createdAt', order: 'desc' });
+
+      let transactions;
+      let pagination;
+
+      if (paging.mode === 'cursor') {
+        const { items, nextCursor } = await findPage(CreditTransaction, filter, paging);
+        transactions = items;
+        pagination = paginationResponse(req, res, { mode: 'cursor', limit: paging.limit, nextCursor });
+      } else {
+        const [items, total] = await Promise.all([
+          CreditTransaction.find(filter)
+            .sort(sortSpec(paging.sort))
+            .skip((paging.page - 1) * paging.limit)
+            .limit(paging.limit),
+          CreditTransaction.countDocuments(filter)
+        ]);
+        transactions = items;
+        pagination = paginationResponse(req, res, { mode: 'page', page: paging.page, limit: paging.limit, total });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          transactions: transactions.map(formatTransaction),
+          pagination
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+/**
+ * Start a Stripe Checkout payment topping up prepaid credits
+ * POST /api/billing/credits/checkout
+ */
+exports.createCreditCheckout = [
+  body('amount')
+    .isFloat({ min: config.credits.minTopUp, max: config.credits.maxTopUp })
+    .withMessage(`Amount must be between ${config.credits.minTopUp} and ${config.credits.maxTopUp}`)
+    .toFloat(),
+  body('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Organization must be a valid ID'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const account = await loadAccount(req, req.body.organization);
+      const session = await billingService.createCreditCheckoutSession(account, req.user, req.body.amount);
+
+      res.status(201).json({
+        success: true,
+        message: 'Credits are added once the payment completes',
+        data: {
+          sessionId: session.id,
+          url: session.url
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to create credit checkout session:', {
+        userId: req.user._id,
+        amount: req.body.amount,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Quote the price of a number of calls on a plan
+ * GET /api/billing/quote
+ */
+exports.getQuote = [
+  query('plan')
+    .isIn(['free', ...PAID_PLANS])
+    .withMessage(`Plan must be one of: free, ${PAID_PLANS.join(', ')}`),
+  query('calls')
+    .isInt({ min: 1, max: 10000000 })
+    .withMessage('Calls must be between 1 and 10000000')
+    .toInt(),
+  query('startingAt')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('startingAt must be a non-negative integer')
+    .toInt(),
+  query('model')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Model must be between 1 and 100 characters'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { plan, calls, startingAt = 0, model } = req.query;
+      const pricing = await Pricing.getPlan(plan);
+      if (!pricing) {
+        throw new NotFoundError('Pricing plan not found');
+      }
+
+      // startingAt is the number of calls already made this month
+      const quote = pricing.quote(calls, { startingAt, model });
+      res.status(200).json({
+        success: true,
+        data: {
+          plan: pricing.plan,
+          currency: config.stripe.currency,
+          ...quote,
+          cacheHitPrice: roundAmount(quote.unitPrice * (1 - pricing.cacheHitDiscount))
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+/**
+ * List invoices, newest period first
+ * GET /api/billing/invoices
+ */
+exports.listInvoices = [
+  ...pagingValidation(INVOICE_SORT_FIELDS),
+  query('organization')
+    .optional()
+    .isMongoId()
+    .withMessage('Organization must be a valid ID'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const account = await loadAccount(req, req.query.organization);
+      const filter = accountFilter(account);
+      const paging = parsePaging(req.query, { field: 'periodStart', order: 'desc' });
+      const select = '-lines';
+
+      let invoices;
+      let pagination;
+
+      if (paging.mode === 'cursor') {
+        const { items, nextCursor } = await findPage(Invoice, filter, { ...paging, select });
+        invoices = items;
+        pagination = paginationResponse(req, res, { mode: 'cursor', limit: paging.limit, nextCursor });
+      } else {
+        const [items, total] = await Promise.all([
+          Invoice.find(filter)
+            .select(select)
+            .sort(sortSpec(paging.sort))
+            .skip((paging.page - 1) * paging.limit)
+            .limit(paging.limit),
+          Invoice.countDocuments(filter)
+        ]);
+        invoices = items;
+        pagination = paginationResponse(req, res, { mode: 'page', page: paging.page, limit: paging.limit, total });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          invoices: invoices.map(invoice => formatInvoice(invoice)),
+          pagination
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+/**
+ * Get an invoice with its lines
+ * GET /api/billing/invoices/:id
+ */
+exports.getInvoice = [
+  invoiceIdValidation,
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { invoice } = await loadInvoice(req);
+
+      res.status(200).json({
+        success: true,
+        data: formatInvoice(invoice, true)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+/**
+ * Download an invoice as HTML or PDF
+ * GET /api/billing/invoices/:id/download?format=pdf
+ */
+exports.downloadInvoice = [
+  invoiceIdValidation,
+  query('format')
+    .optional()
+    .isIn(['html', 'pdf'])
+    .withMessage('Format must be html or pdf'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { invoice, account } = await loadInvoice(req);
+      const billTo = account instanceof Organization
+        ? { name: account.name, email: req.user.email }
+        : { name: account.fullName, email: account.email };
+
+      if (req.query.format === 'pdf') {
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+        return res.status(200).send(renderInvoicePdf(invoice, billTo));
+      }
+
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${invoice.number}.html"`);
+      res.status(200).send(renderInvoiceHtml(invoice, billTo));
+
+    } catch (error) {
+      logger.error('Failed to render invoice:', {
+        userId: req.user._id,
+        invoiceId: req.params.id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Receive Stripe events; authenticated by the Stripe-Signature header over the raw body
+ * POST /api/billing/webhook
+ */
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const event = billingService.constructWebhookEvent(req.body, req.get('stripe-signature'));
+    const handled = await billingService.handleWebhookEvent(event);
+
+    res.status(200).json({ received: true, handled });
+
+  } catch (error) {
+    logger.error('Failed to process Stripe webhook:', { error: error.message });
+    next(error);
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Summary = require('../models/Summary');
+const logger = require('../utils/logger');
+const { formatValidationErrors, NotFoundError } = require('../utils/errorFormatter');
+
+// Fields left out of list responses
+const LIST_EXCLUDED_FIELDS = '-sourceExtract -sections';
+
+/**
+ * Saved summary as returned by the API
+ * @param {Object} summary - Summary document
+ * @returns {Object} Summary representation
+ */
+function formatSummary(summary) {
+  return {
+    id: summary._id,
+    apiCallId: summary.apiCall,
+    source: summary.source,
+    title: summary.title,
+    summary: summary.summary,
+    sections: summary.sections,
+    sourceExtract: summary.sourceExtract,
+    sourceUrl: summary.sourceUrl,
+    sourceLanguage: summary.sourceLanguage,
+    revisionId: summary.revisionId,
+    options: summary.options,
+    model: summary.model,
+    wordCount: summary.wordCount,
+    cached: summary.cached,
+    tokensUsed: summary.tokensUsed,
+    createdAt: summary.createdAt
+  };
+}
+
+/**
+ * List the user's saved summaries, newest first
+ * GET /api/summaries
+ */
+exports.listSummaries = [
+  query('source')
+    .optional()
+    .isIn(['wikipedia', 'custom'])
+    .withMessage('Source must be one of: wikipedia, custom'),
+
+  query('apiCall')
+    .optional()
+    .isMongoId()
+    .withMessage('apiCall must be a valid ID'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      const filter = { user: req.user._id };
+      if (req.query.source) filter.source = req.query.source;
+      if (req.query.apiCall) filter.apiCall = req.query.apiCall;
+
+      const [summaries, total] = await Promise.all([
+        Summary.find(filter)
+          .select(LIST_EXCLUDED_FIELDS)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Summary.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          summaries: summaries.map(formatSummary),
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list saved summaries:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Get a saved summary
+ * GET /api/summaries/:id
+ */
+exports.getSummary = async (req, res, next) => {
+  try {
+    const summary = await Summary.findOne({ _id: req.params.id, user: req.user._id });
+    if (!summary) {
+      throw new NotFoundError('Summary not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatSummary(summary)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a saved summary
+ * DELETE /api/summaries/:id
+ */
+exports.deleteSummary = async (req, res, next) => {
+  try {
+    const { deletedCount } = await Summary.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (deletedCount === 0) {
+      throw new NotFoundError('Summary not found');
+    }
+
+    logger.info('Saved summary deleted', { userId: req.user._id, summaryId: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Summary deleted'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete saved summary:', {
+      userId: req.user._id,
+      summaryId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Delete several saved summaries; IDs the user does not own are ignored
+ * POST /api/summaries/bulk-delete
+ */
+exports.bulkDeleteSummaries = [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('ids must be an array with 1-100 summary IDs'),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid summary ID'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const ids = [...new Set(req.body.ids)].map(id => new mongoose.Types.ObjectId(id));
+      const { deletedCount } = await Summary.deleteMany({ _id: { $in: ids }, user: req.user._id });
+
+      logger.info('Saved summaries deleted', { userId: req.user._id, requested: ids.length, deleted: deletedCount });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          requested: ids.length,
+          deleted: deletedCount
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to bulk delete saved summaries:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+module.exports = exports;
@@ -0,0 +1,574 @@
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { sendOrganizationInvitation } = require('../services/emailService');
+const {
+  formatValidationErrors,
+  NotFoundError,
+  ValidationError,
+  AuthorizationError
+} = require('../utils/errorFormatter');
+
+const nameValidation = body('name')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Name must be between 1 and 100 characters');
+
+const roleValidation = (optional) => (optional ? body('role').optional() : body('role').default('member'))
+  .isIn(Organization.ROLES)
+  .withMessage(`Role must be one of: ${Organization.ROLES.join(', ')}`);
+
+/**
+ * Load an organization the current user belongs to
+ * @param {Object} req - Express request with params.id
+ * @param {Array} roles - Roles allowed to continue; any member when omitted
+ * @returns {Promise<Object>} Organization document
+ * @throws {NotFoundError} When it doesn't exist or the user is not a member
+ * @throws {AuthorizationError} When the user's role is not allowed
+ */
+async function loadOrganization(req, roles = null) {
+  const organization = await Organization.findById(req.params.id);
+  if (!organization || !organization.getMember(req.user._id)) {
+    throw new NotFoundError('Organization not found');
+  }
+  if (roles && !organization.hasRole(req.user._id, roles)) {
+    throw new AuthorizationError(`This requires the organization role: ${roles.join(' or ')}`);
+  }
+  return organization;
+}
+
+/**
+ * Only owners may grant or take away the owner role, or change another owner
+ * @param {Object} organization - Organization document
+ * @param {Object} req - Express request
+ * @param {Array} roles - Roles involved in the change
+ * @throws {AuthorizationError} When a non-owner touches the owner role
+ */
+function checkOwnerChange(organization, req, roles) {
+  if (roles.includes('owner') && !organization.hasRole(req.user._id, ['owner'])) {
+    throw new AuthorizationError('Only owners can manage owners');
+  }
+}
+
+/**
+ * Organization as returned by the API
+ * @param {Object} organization - Organization document
+ * @param {Object} userId - Current user's ID
+ * @param {Object} users - Member users by ID, to include the member list
+ * @returns {Object} Organization representation
+ */
+function formatOrganization(organization, userId, users = null) {
+  const member = organization.getMember(userId);
+  const data = {
+    id: organization._id,
+    name: organization.name,
+    status: organization.status,
+    role: member?.role,
+    memberCount: organization.members.length,
+    subscription: organization.subscription,
+    usage: {
+      limits: organization.getUsageLimits(),
+      current: organization.usage,
+      totalSpent: organization.totalSpent
+    },
+    createdAt: organization.createdAt
+  };
+
+  if (users) {
+    data.members = organization.members.map(entry => formatMember(entry, users[entry.user]));
+
+    if (Organization.MANAGER_ROLES.includes(member?.role)) {
+      data.invitations = organization.getPendingInvitations().map(formatInvitation);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Member as returned by the API
+ * @param {Object} member - members entry
+ * @param {Object} user - Member's user (email and name)
+ * @returns {Object} Member representation
+ */
+function formatMember(member, user) {
+  return {
+    userId: member.user,
+    email: user?.email,
+    fullName: user?.fullName,
+    role: member.role,
+    monthlyLimit: member.monthlyLimit,
+    usage: member.usage,
+    joinedAt: member.joinedAt
+  };
+}
+
+/**
+ * Invitation as returned by the API
+ * @param {Object} invitation - invitations entry
+ * @param {Object} organization - Organization, for invitations listed to the invitee
+ * @returns {Object} Invitation representation
+ */
+function formatInvitation(invitation, organization = null) {
+  return {
+    id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    organization: organization ? { id: organization._id, name: organization.name } : undefined,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt
+  };
+}
+
+/**
+ * Remove a user's API keys for an organization, e.g. when they leave it
+ * @param {Object} userId - User ID
+ * @param {Object} organizationId - Organization ID
+ */
+function revokeOrganizationKeys(userId, organizationId) {
+  return User.updateOne(
+    { _id: userId },
+    { $pull: { apiKeys: { organization: organizationId } } }
+  );
+}
+
+/**
+ * Create an organization; the creator becomes its owner
+ * POST /api/organizations
+ */
+exports.createOrganization = [
+  nameValidation,
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const organization = await Organization.create({
+        name: req.body.name,
+        members: [{ user: req.user._id, role: 'owner' }]
+      });
+
+      logger.info('Organization created', { userId: req.user._id, organizationId: organization._id });
+
+      res.status(201).json({
+        success: true,
+        data: formatOrganization(organization, req.user._id)
+      });
+
+    } catch (error) {
+      logger.error('Failed to create organization:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * List the user's organizations
+ * GET /api/organizations
+ */
+exports.listOrganizations = async (req, res, next) => {
+  try {
+    const organizations = await Organization.findForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: organizations.map(organization => formatOrganization(organization, req.user._id))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an organization with its members (and invitations, for owners and admins)
+ * GET /api/organizations/:id
+ */
+exports.getOrganization = async (req, res, next) => {
+  try {
+    const organization = await loadOrganization(req);
+    await organization.checkMonthlyReset();
+
+    const users = await User.find({ _id: { $in: organization.members.map(member => member.user) } })
+      .select('email firstName lastName');
+    const usersById = Object.fromEntries(users.map(user => [user._id, user]));
+
+    res.status(200).json({
+      success: true,
+      data: formatOrganization(organization, req.user._id, usersById)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename an organization
+ * PUT /api/organizations/:id
+ */
+exports.updateOrganization = [
+  nameValidation,
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const organization = await loadOrganization(req, Organization.MANAGER_ROLES);
+      organization.name = req.body.name;
+      await organization.save();
+
+      res.status(200).json({
+        success: true,
+        data: formatOrganization(organization, req.user._id)
+      });
+
+    } catch (error) {
+      logger.error('Failed to update organization:', {
+        userId: req.user._id,
+        organizationId: req.params.id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Delete an organization; its API keys stop working
+ * DELETE /api/organizations/:id
+ */
+exports.deleteOrganization = async (req, res, next) => {
+  try {
+    const organization = await loadOrganization(req, ['owner']);
+
+    await User.updateMany(
+      { 'apiKeys.organization': organization._id },
+      { $pull: { apiKeys: { organization: organization._id } } }
+    );
+    await organization.deleteOne();
+
+    logger.info('Organization deleted', { userId: req.user._id, organizationId: organization._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization deleted'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete organization:', {
+      userId: req.user._id,
+      organizationId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Invite someone by email; inviting the same address again renews the invitation
+ * POST /api/organizations/:id/invitations
+ */
+exports.createInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  roleValidation(false),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const organization = await loadOrganization(req, Organization.MANAGER_ROLES);
+      const { email, role } = req.body;
+      checkOwnerChange(organization, req, [role]);
+
+      const invitee = await User.findOne({ email }).select('_id');
+      if (invitee && organization.getMember(invitee._id)) {
+        throw new ValidationError('That user is already a member');
+      }
+
+      organization.invitations = organization.invitations.filter(invitation => invitation.email !== email);
+      organization.invitations.push({
+        email,
+        role,
+        invitedBy: req.user._id,
+        expiresAt: new Date(Date.now() + config.organizations.invitationExpiry)
+      });
+      await organization.save();
+
+      const invitation = organization.invitations[organization.invitations.length - 1];
+
+      const emailSent = await sendOrganizationInvitation(email, organization, invitation, req.user);
+
+      logger.info('Organization invitation created', {
+        userId: req.user._id,
+        organizationId: organization._id,
+        email,
+        role,
+        emailSent
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { ...formatInvitation(invitation), emailSent }
+      });
+
+    } catch (error) {
+      logger.error('Failed to create organization invitation:', {
+        userId: req.user._id,
+        organizationId: req.params.id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Cancel an invitation
+ * DELETE /api/organizations/:id/invitations/:invitationId
+ */
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const organization = await loadOrganization(req, Organization.MANAGER_ROLES);
+    const invitation = organization.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    invitation.deleteOne();
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List pending invitations addressed to the user's email
+ * GET /api/organizations/invitations
+ */
+exports.listMyInvitations = async (req, res, next) => {
+  try {
+    const organizations = await Organization.find({
+      invitations: { $elemMatch: { email: req.user.email, expiresAt: { $gt: new Date() } } }
+    });
+
+    const invitations = organizations.flatMap(organization => organization.getPendingInvitations()
+      .filter(invitation => invitation.email === req.user.email)
+      .map(invitation => formatInvitation(invitation, organization)));
+
+    res.status(200).json({
+      success: true,
+      data: invitations
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find a pending invitation addressed to the current user
+ * @param {Object} req - Express request with params.invitationId
+ * @returns {Promise<Object>} { organization, invitation }
+ * @throws {NotFoundError} When there is no such invitation for the user's email
+ */
+async function findMyInvitation(req) {
+  const organization = await Organization.findOne({ 'invitations._id': req.params.invitationId });
+  const invitation = organization?.invitations.id(req.params.invitationId);
+
+  if (!invitation || invitation.email !== req.user.email || invitation.expiresAt <= Date.now()) {
+    throw new NotFoundError('Invitation not found');
+  }
+  return { organization, invitation };
+}
+
+/**
+ * Accept an invitation and join the organization
+ * POST /api/organizations/invitations/:invitationId/accept
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const { organization, invitation } = await findMyInvitation(req);
+
+    if (!organization.getMember(req.user._id)) {
+      organization.members.push({ user: req.user._id, role: invitation.role });
+    }
+    invitation.deleteOne();
+    await organization.save();
+
+    logger.info('Organization invitation accepted', {
+      userId: req.user._id,
+      organizationId: organization._id,
+      role: invitation.role
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `You joined ${organization.name}`,
+      data: formatOrganization(organization, req.user._id)
+    });
+
+  } catch (error) {
+    logger.error('Failed to accept organization invitation:', {
+      userId: req.user._id,
+      invitationId: req.params.invitationId,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Decline an invitation
+ * POST /api/organizations/invitations/:invitationId/decline
+ */
+exports.declineInvitation = async (req, res, next) => {
+  try {
+    const { organization, invitation } = await findMyInvitation(req);
+
+    invitation.deleteOne();
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role or monthly sub-limit
+ * PUT /api/organizations/:id/members/:userId
+ */
+exports.updateMember = [
+  roleValidation(true),
+
+  body('monthlyLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('monthlyLimit must be a non-negative integer or null')
+    .toInt(),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const organization = await loadOrganization(req, Organization.MANAGER_ROLES);
+      const member = organization.getMember(req.params.userId);
+      if (!member) {
+        throw new NotFoundError('Member not found');
+      }
+
+      const { role, monthlyLimit } = req.body;
+      checkOwnerChange(organization, req, [member.role, role]);
+
+      if (role && role !== 'owner' && member.role === 'owner' &&
+          organization.members.filter(entry => entry.role === 'owner').length === 1) {
+        throw new ValidationError('An organization needs at least one owner');
+      }
+
+      if (role !== undefined) member.role = role;
+      if (monthlyLimit !== undefined) member.monthlyLimit = monthlyLimit;
+      await organization.save();
+
+      logger.info('Organization member updated', {
+        userId: req.user._id,
+        organizationId: organization._id,
+        memberId: member.user,
+        role: member.role,
+        monthlyLimit: member.monthlyLimit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: formatMember(member)
+      });
+
+    } catch (error) {
+      logger.error('Failed to update organization member:', {
+        userId: req.user._id,
+        organizationId: req.params.id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Remove a member, or leave the organization; their organization API keys are revoked
+ * DELETE /api/organizations/:id/members/:userId
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const leaving = req.user._id.equals(req.params.userId);
+    const organization = await loadOrganization(req, leaving ? null : Organization.MANAGER_ROLES);
+
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      throw new NotFoundError('Member not found');
+    }
+    if (!leaving) {
+      checkOwnerChange(organization, req, [member.role]);
+    }
+    if (member.role === 'owner' && organization.members.filter(entry => entry.role === 'owner').length === 1) {
+      throw new ValidationError('An organization needs at least one owner');
+    }
+
+    member.deleteOne();
+    await organization.save();
+    await revokeOrganizationKeys(member.user, organization._id);
+
+    logger.info('Organization member removed', {
+      userId: req.user._id,
+      organizationId: organization._id,
+      memberId: member.user
+    });
+
+    res.status(200).json({
+      success: true,
+      message: leaving ? 'You left the organization' : 'Member removed'
+    });
+
+  } catch (error) {
+    logger.error('Failed to remove organization member:', {
+      userId: req.user._id,
+      organizationId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+module.exports = exports;
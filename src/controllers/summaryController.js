@@ -1,14 +1,47 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { 
   getWikipediaSummary, 
   generateCustomSummary, 
-  generateBatchSummaries 
+  generateBatchSummaries,
+  resolveWikipediaTitle,
+  WIKIPEDIA_LANGUAGE_PATTERN
 } = require('../services/wikipediaService');
+const { getProvider } = require('../services/providers');
+const { cancelJob } = require('../services/batchJobService');
+const creditService = require('../services/creditService');
+const { emitEvent, emitUsageThresholds } = require('../services/webhookService');
+const { searchHistory, SUMMARY_ENDPOINTS } = require('../services/searchService');
 const ApiCall = require('../models/ApiCall');
+const BatchJob = require('../models/BatchJob');
+const Summary = require('../models/Summary');
 const User = require('../models/User');
 const Pricing = require('../models/Pricing');
 const logger = require('../utils/logger');
-const { formatValidationErrors, APIError, NotFoundError } = require('../utils/errorFormatter');
+const {
+  pagingValidation,
+  parsePaging,
+  parseFields,
+  sortSpec,
+  findPage,
+  paginationResponse
+} = require('../utils/pagination');
+const {
+  formatError,
+  formatValidationErrors,
+  APIError,
+  NotFoundError,
+  AmbiguousTitleError
+} = require('../utils/errorFormatter');
+
+// History fields clients may select with fields=, and the sorts they may request
+const HISTORY_FIELDS = ['endpoint', 'requestData', 'responseStatus', 'cost', 'refund', 'tokensUsed', 'aiModel', 'timestamp', 'responseTime'];
+const HISTORY_SORT_FIELDS = ['timestamp', 'cost', 'tokensUsed.total'];
+
+// Absolute ceiling for custom content; the effective limit is the plan's limits.maxInputLength
+const MAX_CONTENT_LENGTH = 500000;
+
+// Interval for SSE keep-alive comments while a streamed summary is being prepared
+const STREAM_HEARTBEAT_INTERVAL = 15000;
 
 /**
  * Validation rules for summary generation
@@ -23,8 +56,8 @@ const summaryValidation = [
   body('content')
     .optional()
     .isString()
-    .isLength({ min: 50, max: 50000 })
-    .withMessage('Content must be between 50 and 50,000 characters'),
+    .isLength({ min: 50, max: MAX_CONTENT_LENGTH })
+    .withMessage('Content must be between 50 and 500,000 characters'),
   
   body('options.style')
     .optional()
@@ -42,12 +75,484 @@ const summaryValidation = [
     .isLength({ max: 50 })
     .withMessage('Language must be a valid string'),
   
+  body('options.sourceLanguage')
+    .optional()
+    .matches(WIKIPEDIA_LANGUAGE_PATTERN)
+    .withMessage('sourceLanguage must be a Wikipedia language code such as "en" or "de"'),
+
+  body('options.titleLanguage')
+    .optional()
+    .matches(WIKIPEDIA_LANGUAGE_PATTERN)
+    .withMessage('titleLanguage must be a Wikipedia language code such as "en" or "de"'),
+  
   body('options.includeKeyPoints')
     .optional()
     .isBoolean()
-    .withMessage('includeKeyPoints must be a boolean')
+    .withMessage('includeKeyPoints must be a boolean'),
+
+  body('options.sections')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Sections must be an array with 1-20 section titles'),
+
+  body('options.sections.*')
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each section title must be between 1 and 200 characters'),
+
+  body('options.tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags must be an array with at most 10 tags'),
+
+  body('options.tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters')
+    .toLowerCase()
 ];
 
+/**
+ * Translate the request's Cache-Control header into summary cache options
+ * "no-cache" regenerates the summary but refreshes the cache with it;
+ * "no-store" neither reads nor writes the cache.
+ * @param {Object} req - Express request
+ * @returns {Object} { read, write }
+ */
+function getCacheOptions(req) {
+  const directives = (req.get('Cache-Control') || '')
+    .toLowerCase()
+    .split(',')
+    .map(directive => directive.trim());
+
+  const noStore = directives.includes('no-store');
+
+  return {
+    read: !noStore && !directives.includes('no-cache'),
+    write: !noStore
+  };
+}
+
+/**
+ * Request options as recorded on the ApiCall, with the effective style, length and languages
+ * @param {Object} options - Options from the request body
+ * @param {Object} summaryOptions - Options merged with user preferences
+ * @param {boolean} fromWikipedia - Whether the request reads Wikipedia articles
+ * @returns {Object} Options to store
+ */
+function recordedOptions(options, summaryOptions, fromWikipedia) {
+  return {
+    ...options,
+    style: summaryOptions.style,
+    length: summaryOptions.length,
+    language: summaryOptions.language,
+    sourceLanguage: fromWikipedia ? (options.sourceLanguage || 'en') : undefined
+  };
+}
+
+/**
+ * Calls left this month for whoever pays, capped by the member's sub-limit for organizations
+ * @param {Object} req - Express request (after auth)
+ * @param {Object} pricing - Pricing plan of req.account
+ * @returns {number} Remaining calls
+ */
+function getRemainingCalls(req, pricing) {
+  const remaining = pricing.limits.monthlyCalls - req.account.usage.monthlyCalls;
+
+  const member = req.organization?.getMember(req.user._id);
+  if (member && member.monthlyLimit !== null) {
+    return Math.min(remaining, member.monthlyLimit - member.usage.monthlyCalls);
+  }
+  return remaining;
+}
+
+/**
+ * Prices of the calls in a request, from the plan's volume brackets and the model's multiplier
+ * @param {Object} req - Express request (after auth)
+ * @param {Object} pricing - Pricing plan of req.account
+ * @param {number} calls - Calls in the request
+ * @returns {Object} { total, unitPrice, cacheHitPrice }: quoted total and average prices per call
+ */
+function getCallPrices(req, pricing, calls = 1) {
+  const quote = pricing.quote(calls, { startingAt: req.account.usage.monthlyCalls, model: getProvider().model });
+  return {
+    total: quote.total,
+    unitPrice: quote.unitPrice,
+    cacheHitPrice: quote.unitPrice * (1 - pricing.cacheHitDiscount)
+  };
+}
+
+/**
+ * Emit usage thresholds of whoever pays to the caller's webhooks
+ * @param {Object} req - Express request (after auth)
+ * @param {number} calls - Calls just added
+ * @returns {Promise<void>}
+ */
+function emitAccountThresholds(req, calls = 1) {
+  return emitUsageThresholds(req.account, calls, {
+    userId: req.user._id,
+    organizationId: req.organization?._id
+  });
+}
+
+/**
+ * 402 response for a prepaid account whose balance does not cover a request
+ * @param {Object} res - Express response
+ * @param {Object} account - Paying User or Organization
+ * @param {number} required - Credits the request needs
+ */
+function sendInsufficientCredits(res, account, required) {
+  res.status(402).json({
+    error: 'Insufficient credits for this request',
+    code: 'INSUFFICIENT_CREDITS',
+    balance: account.credits?.balance || 0,
+    required,
+    topUp: '/api/billing/credits/checkout'
+  });
+}
+
+/**
+ * Hold the prepaid credits of a recorded call; the call is marked failed when they run out
+ * @param {Object} req - Express request (after auth)
+ * @param {Object} apiCall - Saved ApiCall
+ * @param {number} amount - Most the call can cost
+ * @returns {Promise<void>}
+ */
+async function holdCredits(req, apiCall, amount) {
+  try {
+    await creditService.reserve(req.account, amount, {
+      apiCall: apiCall._id,
+      userId: req.user._id,
+      description: apiCall.endpoint
+    });
+  } catch (error) {
+    await apiCall.markFailed(error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a call failed (unless holdCredits already did) and refund any credits held for it
+ * @param {Object} req - Express request (after auth)
+ * @param {Object} apiCall - ApiCall of the failed request
+ * @param {Error} error - Failure
+ * @returns {Promise<void>}
+ */
+async function failCall(req, apiCall, error) {
+  if (apiCall.responseStatus !== 'error') {
+    await apiCall.markFailed(error);
+  }
+  await creditService.settleCall(req.account, apiCall._id, 0, { userId: req.user._id });
+}
+
+/**
+ * Validate a single-summary request, check the user's limits and open its ApiCall record
+ * Sends the error response itself and resolves to null when the request cannot proceed.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} endpoint - Endpoint recorded on the ApiCall
+ * @returns {Promise<Object|null>} Prepared call context
+ */
+async function prepareSummaryCall(req, res, endpoint) {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json(formatValidationErrors(errors.array()));
+    return null;
+  }
+
+  const { title, content, options = {} } = req.body;
+
+  // Must provide either title or content
+  if (!title && !content) {
+    res.status(400).json({
+      error: 'Either title (for Wikipedia summary) or content (for custom summary) is required'
+    });
+    return null;
+  }
+
+  // Check user limits
+  await req.account.checkMonthlyReset();
+  if (!req.account.canMakeApiCall(req.user._id)) {
+    res.status(429).json({
+      error: 'Monthly API limit exceeded',
+      usage: req.account.usage,
+      limits: req.account.getUsageLimits()
+    });
+    return null;
+  }
+
+  // Get pricing for the plan of whoever pays (the user or their organization)
+  const pricing = await Pricing.getPlan(req.account.subscription.plan);
+  if (!pricing) {
+    throw new NotFoundError('Pricing plan not found');
+  }
+
+  if (content && content.length > pricing.limits.maxInputLength) {
+    res.status(400).json({
+      error: `Content exceeds the ${pricing.limits.maxInputLength} character limit of your plan`,
+      code: 'INPUT_TOO_LONG',
+      limit: pricing.limits.maxInputLength,
+      length: content.length
+    });
+    return null;
+  }
+
+  const { unitPrice: cost, cacheHitPrice } = getCallPrices(req, pricing);
+
+  // Pay-per-use plans are paid from prepaid credits, which must cover the call
+  const prepaid = pricing.isPrepaid();
+  if (prepaid && !creditService.canAfford(req.account, cost)) {
+    sendInsufficientCredits(res, req.account, cost);
+    return null;
+  }
+
+  // Merge user preferences with request options
+  const summaryOptions = {
+    style: options.style || req.user.preferences.defaultSummaryStyle,
+    length: options.length || req.user.preferences.defaultSummaryLength,
+    language: options.language || req.user.preferences.language,
+    includeKeyPoints: options.includeKeyPoints || false,
+    ...options,
+    cache: getCacheOptions(req)
+  };
+
+  // Resolve the title before anything is recorded, so an ambiguous title is never billed
+  let resolution = null;
+  if (title) {
+    try {
+      resolution = await resolveWikipediaTitle(title, summaryOptions);
+    } catch (error) {
+      if (!(error instanceof AmbiguousTitleError)) throw error;
+
+      res.status(300).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        reason: error.reason,
+        title,
+        candidates: error.candidates,
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+  }
+
+  // Create API call record
+  const apiCall = new ApiCall({
+    user: req.user._id,
+    organization: req.organization?._id,
+    endpoint,
+    method: 'POST',
+    requestData: {
+      title: title || 'Custom content',
+      content: content ? content.substring(0, 500) : undefined,
+      options: recordedOptions(options, summaryOptions, !!title)
+    },
+    cost,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  await apiCall.save();
+
+  if (prepaid) {
+    await holdCredits(req, apiCall, cost);
+  }
+
+  return { title, content, resolution, pricing, cost, cacheHitPrice, prepaid, apiCall, summaryOptions };
+}
+
+/**
+ * Generate the summary for a prepared call
+ * @param {Object} call - Context from prepareSummaryCall
+ * @param {Object} extraOptions - Options that are not part of the request (e.g. onToken)
+ * @returns {Promise<Object>} { result, processingSteps }
+ */
+async function runSummary(call, extraOptions = {}) {
+  const summaryOptions = { ...call.summaryOptions, ...extraOptions };
+
+  if (call.title) {
+    const result = await getWikipediaSummary(call.title, { ...summaryOptions, resolution: call.resolution });
+    return { result, processingSteps: [] };
+  }
+
+  const { processingSteps, ...result } = await generateCustomSummary(call.content, summaryOptions);
+  return { result, processingSteps };
+}
+
+/**
+ * Record a finished summary call, bill the user and build the response body
+ * @param {Object} req - Express request
+ * @param {Object} call - Context from prepareSummaryCall
+ * @param {Object} generated - { result, processingSteps } from runSummary
+ * @param {number} startTime - Request start timestamp
+ * @returns {Promise<Object>} Response body
+ */
+async function completeSummaryCall(req, call, { result, processingSteps }, startTime) {
+  const { apiCall, pricing } = call;
+  let { cost } = call;
+
+  // Summaries served from cache are billed at the plan's discounted rate
+  if (result.metadata.cached) {
+    cost = call.cacheHitPrice;
+    apiCall.cost = cost;
+    apiCall.cached = true;
+    apiCall.cacheKey = result.metadata.cacheKey;
+  }
+
+  // Token usage reported by the AI provider, summed over every model call
+  const tokensUsed = result.metadata.tokensUsed;
+
+  // Keep the summary so the owner can retrieve it later
+  const saved = await Summary.createFromResult({
+    user: req.user._id,
+    apiCall: apiCall._id,
+    result,
+    content: call.content,
+    options: call.summaryOptions
+  });
+  const data = { ...result, metadata: { ...result.metadata, summaryId: saved._id } };
+
+  const responseTime = Date.now() - startTime;
+  const responseSize = Buffer.byteLength(JSON.stringify(data), 'utf8');
+
+  // Update usage of the user or organization; a later failure takes it back
+  await req.account.incrementUsage(cost, 1, req.user._id);
+  apiCall.usageRecorded = true;
+
+  // Update API call record
+  await apiCall.markCompleted({
+    responseTime,
+    tokensUsed,
+    responseSize,
+    processingSteps,
+    aiModel: result.metadata.model
+  });
+
+  // Give back what was held beyond the final cost (e.g. for a cache hit)
+  let credits;
+  if (call.prepaid) {
+    await creditService.settleCall(req.account, apiCall._id, cost, { userId: req.user._id });
+    credits = await creditService.getCreditStatus(req.account);
+  }
+
+  // Log successful API call
+  logger.logApiCall(req.user._id, apiCall.endpoint, cost, true);
+
+  await emitEvent(req.user._id, 'summary.completed', {
+    apiCallId: apiCall._id,
+    summaryId: saved._id,
+    endpoint: apiCall.endpoint,
+    title: result.title,
+    summary: result.summary,
+    cached: !!result.metadata.cached,
+    cost,
+    tokensUsed
+  });
+  await emitAccountThresholds(req);
+
+  return {
+    success: true,
+    data,
+    usage: {
+      tokensUsed,
+      cost,
+      remainingCalls: getRemainingCalls(req, pricing),
+      credits
+    },
+    metadata: {
+      responseTime,
+      responseSize,
+      apiCallId: apiCall._id
+    }
+  };
+}
+
+/**
+ * Validate one batch item: a string, or an object with a title or content
+ * @param {*} value - Item from the request body
+ * @returns {boolean} True when valid
+ */
+function validateBatchItem(value) {
+  // Accept either string or object format
+  if (typeof value === 'string') {
+    if (value.length < 1 || value.length > 10000) {
+      throw new Error('Each string item must be between 1 and 10,000 characters');
+    }
+    return true;
+  }
+  
+  if (typeof value === 'object' && value !== null) {
+    // Check if it has either title or content
+    if (!value.title && !value.content) {
+      throw new Error('Each object item must have either "title" or "content" property');
+    }
+    
+    if (value.title && (typeof value.title !== 'string' || value.title.length < 1 || value.title.length > 200)) {
+      throw new Error('Title must be between 1 and 200 characters');
+    }
+    
+    if (value.content && (typeof value.content !== 'string' || value.content.length < 50 || value.content.length > MAX_CONTENT_LENGTH)) {
+      throw new Error('Content must be between 50 and 500,000 characters');
+    }
+    
+    return true;
+  }
+  
+  throw new Error('Each item must be either a string or an object with title/content property');
+}
+
+/**
+ * Normalize a batch item to { title } or { content }
+ * Strings shorter than 100 characters are treated as Wikipedia titles.
+ * @param {string|Object} item - Item from the request body
+ * @returns {Object} Normalized item
+ */
+function normalizeBatchItem(item) {
+  if (typeof item === 'string') {
+    return item.length < 100 ? { title: item } : { content: item };
+  }
+  return item.title ? { title: item.title } : { content: item.content };
+}
+
+/**
+ * Job as returned by the API
+ * @param {Object} job - BatchJob document
+ * @param {boolean} includeItems - Whether to include per-item status and results
+ * @returns {Object} Job representation
+ */
+function formatBatchJob(job, includeItems) {
+  const formatted = {
+    jobId: job._id,
+    status: job.status,
+    cancelRequested: job.cancelRequested,
+    progress: job.progress,
+    percentComplete: job.percentComplete,
+    cost: job.cost,
+    tokensUsed: job.tokensUsed,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    statusUrl: `/api/summary/jobs/${job._id}`
+  };
+
+  if (includeItems) {
+    formatted.items = job.items.map((item, index) => ({
+      index,
+      input: item.title || item.content.substring(0, 100),
+      status: item.status,
+      result: item.result,
+      error: item.error?.message ? item.error : undefined,
+      cost: item.cost,
+      cached: item.cached
+    }));
+  }
+
+  return formatted;
+}
+
 /**
  * Generate Wikipedia summary
  * POST /api/summary
@@ -59,129 +564,114 @@ exports.getSummary = [
     let apiCall = null;
 
     try {
-      // Validate request
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json(formatValidationErrors(errors.array()));
-      }
+      const call = await prepareSummaryCall(req, res, '/api/summary');
+      if (!call) return;
+      apiCall = call.apiCall;
 
-      const { title, content, options = {} } = req.body;
+      const generated = await runSummary(call);
+      const response = await completeSummaryCall(req, call, generated, startTime);
 
-      // Must provide either title or content
-      if (!title && !content) {
-        return res.status(400).json({
-          error: 'Either title (for Wikipedia summary) or content (for custom summary) is required'
-        });
-      }
-
-      // Check user limits
-      await req.user.checkMonthlyReset();
-      if (!req.user.canMakeApiCall()) {
-        return res.status(429).json({
-          error: 'Monthly API limit exceeded',
-          usage: req.user.usage,
-          limits: req.user.getUsageLimits()
-        });
-      }
+      res.set('X-Cache', generated.result.metadata.cached ? 'HIT' : 'MISS');
+      res.status(200).json(response);
 
-      // Get pricing for user's plan
-      const pricing = await Pricing.getPlan(req.user.subscription.plan);
-      if (!pricing) {
-        throw new NotFoundError('Pricing plan not found');
-      }
-
-      const cost = pricing.getEffectivePrice(req.user.usage.monthlyCalls);
-
-      // Create API call record
-      apiCall = new ApiCall({
-        user: req.user._id,
-        endpoint: '/api/summary',
-        method: 'POST',
-        requestData: {
-          title: title || 'Custom content',
-          content: content ? content.substring(0, 500) : undefined,
-          options
-        },
-        cost,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
+    } catch (error) {
+      logger.error('Summary generation failed:', {
+        userId: req.user._id,
+        error: error.message,
+        stack: error.stack
       });
 
-      await apiCall.save();
+      // Mark API call as failed
+      if (apiCall) {
+        await failCall(req, apiCall, error);
+      }
 
-      // Merge user preferences with request options
-      const summaryOptions = {
-        style: options.style || req.user.preferences.defaultSummaryStyle,
-        length: options.length || req.user.preferences.defaultSummaryLength,
-        language: options.language || req.user.preferences.language,
-        includeKeyPoints: options.includeKeyPoints || false,
-        ...options
-      };
+      next(error);
+    }
+  }
+];
 
-      let result;
-      let tokensUsed = { prompt: 0, completion: 0, total: 0 };
+/**
+ * Stream a summary as Server-Sent Events
+ * POST /api/summary/stream
+ *
+ * Events: "start" (apiCallId), "token" (text delta of the final summary),
+ * "done" (same body as POST /api/summary) and "error".
+ * If the client disconnects, generation still runs to completion so the
+ * ApiCall is recorded and billed with the provider's full usage.
+ */
+exports.streamSummary = [
+  ...summaryValidation,
+  async (req, res, next) => {
+    const startTime = Date.now();
+    let apiCall = null;
+    let heartbeat = null;
+    let clientConnected = true;
 
-      // Generate summary
-      if (title) {
-        result = await getWikipediaSummary(title, summaryOptions);
-      } else {
-        result = await generateCustomSummary(content, summaryOptions);
-      }
+    const send = (event, data) => {
+      if (!clientConnected) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers output unless flushed
+      if (typeof res.flush === 'function') res.flush();
+    };
 
-      // Estimate token usage (rough approximation)
-      const inputTokens = Math.ceil((content || title || '').length / 4);
-      const outputTokens = Math.ceil((result.summary || '').length / 4);
-      tokensUsed = {
-        prompt: inputTokens,
-        completion: outputTokens,
-        total: inputTokens + outputTokens
-      };
+    try {
+      const call = await prepareSummaryCall(req, res, '/api/summary/stream');
+      if (!call) return;
+      apiCall = call.apiCall;
+      apiCall.streamed = true;
 
-      const responseTime = Date.now() - startTime;
-      const responseSize = Buffer.byteLength(JSON.stringify(result), 'utf8');
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
 
-      // Update API call record
-      await apiCall.markCompleted({
-        responseTime,
-        tokensUsed,
-        responseSize
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          clientConnected = false;
+          apiCall.clientDisconnected = true;
+          logger.info('Summary stream client disconnected', { apiCallId: apiCall._id });
+        }
       });
 
-      // Update user usage
-      await req.user.incrementUsage(cost);
+      // Keep proxies from timing out while section/chunk summaries run
+      heartbeat = setInterval(() => {
+        if (clientConnected) res.write(': ping\n\n');
+      }, STREAM_HEARTBEAT_INTERVAL);
 
-      // Log successful API call
-      logger.logApiCall(req.user._id, '/api/summary', cost, true);
+      send('start', { apiCallId: apiCall._id });
 
-      // Response
-      res.status(200).json({
-        success: true,
-        data: result,
-        usage: {
-          tokensUsed,
-          cost,
-          remainingCalls: pricing.limits.monthlyCalls - req.user.usage.monthlyCalls
-        },
-        metadata: {
-          responseTime,
-          responseSize,
-          apiCallId: apiCall._id
-        }
+      const generated = await runSummary(call, {
+        onToken: (text) => send('token', { text })
       });
+      const response = await completeSummaryCall(req, call, generated, startTime);
+
+      send('done', response);
 
     } catch (error) {
-      logger.error('Summary generation failed:', {
+      logger.error('Summary stream failed:', {
         userId: req.user._id,
         error: error.message,
         stack: error.stack
       });
 
-      // Mark API call as failed
       if (apiCall) {
-        await apiCall.markFailed(error);
+        await failCall(req, apiCall, error);
       }
 
-      next(error);
+      if (!res.headersSent) {
+        return next(error);
+      }
+
+      send('error', formatError(error));
+    } finally {
+      clearInterval(heartbeat);
+      if (res.headersSent && !res.writableEnded) {
+        res.end();
+      }
     }
   }
 ];
@@ -195,35 +685,7 @@ exports.getBatchSummaries = [
     .isArray({ min: 1, max: 10 })
     .withMessage('Items must be an array with 1-10 elements'),
   
-  body('items.*')
-    .custom((value, { req }) => {
-      // Accept either string or object format
-      if (typeof value === 'string') {
-        if (value.length < 1 || value.length > 10000) {
-          throw new Error('Each string item must be between 1 and 10,000 characters');
-        }
-        return true;
-      }
-      
-      if (typeof value === 'object' && value !== null) {
-        // Check if it has either title or content
-        if (!value.title && !value.content) {
-          throw new Error('Each object item must have either "title" or "content" property');
-        }
-        
-        if (value.title && (typeof value.title !== 'string' || value.title.length < 1 || value.title.length > 200)) {
-          throw new Error('Title must be between 1 and 200 characters');
-        }
-        
-        if (value.content && (typeof value.content !== 'string' || value.content.length < 50 || value.content.length > 50000)) {
-          throw new Error('Content must be between 50 and 50,000 characters');
-        }
-        
-        return true;
-      }
-      
-      throw new Error('Each item must be either a string or an object with title/content property');
-    }),
+  body('items.*').custom(validateBatchItem),
 
   ...summaryValidation.filter(rule => !rule.builder.fields.includes('title') && !rule.builder.fields.includes('content')),
 
@@ -241,7 +703,7 @@ exports.getBatchSummaries = [
       const { items, options = {} } = req.body;
 
       // Check if user's plan supports batch processing
-      const pricing = await Pricing.getPlan(req.user.subscription.plan);
+      const pricing = await Pricing.getPlan(req.account.subscription.plan);
       if (!pricing || !pricing.hasFeature('batchProcessing')) {
         return res.status(403).json({
           error: 'Batch processing not available in your current plan',
@@ -256,9 +718,22 @@ exports.getBatchSummaries = [
         });
       }
 
+      // Check content length against the plan's input limit
+      const oversized = items.findIndex(item => {
+        const text = typeof item === 'string' ? item : item.content;
+        return typeof text === 'string' && text.length > pricing.limits.maxInputLength;
+      });
+      if (oversized !== -1) {
+        return res.status(400).json({
+          error: `Item ${oversized} exceeds the ${pricing.limits.maxInputLength} character limit of your plan`,
+          code: 'INPUT_TOO_LONG',
+          limit: pricing.limits.maxInputLength
+        });
+      }
+
       // Check user limits for batch
-      await req.user.checkMonthlyReset();
-      const remainingCalls = pricing.limits.monthlyCalls - req.user.usage.monthlyCalls;
+      await req.account.checkMonthlyReset();
+      const remainingCalls = getRemainingCalls(req, pricing);
       if (remainingCalls < items.length) {
         return res.status(429).json({
           error: 'Insufficient API calls remaining for batch processing',
@@ -267,31 +742,45 @@ exports.getBatchSummaries = [
         });
       }
 
-      const cost = pricing.getEffectivePrice(req.user.usage.monthlyCalls) * items.length;
+      const { total, unitPrice, cacheHitPrice } = getCallPrices(req, pricing, items.length);
+      let cost = total;
+
+      const prepaid = pricing.isPrepaid();
+      if (prepaid && !creditService.canAfford(req.account, cost)) {
+        return sendInsufficientCredits(res, req.account, cost);
+      }
+
+      const summaryOptions = {
+        style: options.style || req.user.preferences.defaultSummaryStyle,
+        length: options.length || req.user.preferences.defaultSummaryLength,
+        language: options.language || req.user.preferences.language,
+        ...options,
+        cache: getCacheOptions(req)
+      };
 
       // Create API call record
       apiCall = new ApiCall({
         user: req.user._id,
+        organization: req.organization?._id,
         endpoint: '/api/summary/batch',
         method: 'POST',
         requestData: {
           batchSize: items.length,
-          options
+          options: recordedOptions(options, summaryOptions, true)
         },
         cost,
+        quantity: items.length,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent')
       });
 
       await apiCall.save();
 
+      if (prepaid) {
+        await holdCredits(req, apiCall, cost);
+      }
+
       // Generate batch summaries
-      const summaryOptions = {
-        style: options.style || req.user.preferences.defaultSummaryStyle,
-        length: options.length || req.user.preferences.defaultSummaryLength,
-        language: options.language || req.user.preferences.language,
-        ...options
-      };
 
       // Transform items to the format expected by generateBatchSummaries
       const processedItems = items.map(item => {
@@ -304,49 +793,95 @@ exports.getBatchSummaries = [
         return item;
       });
 
-      const results = await generateBatchSummaries(processedItems, summaryOptions);
+      const generated = await generateBatchSummaries(processedItems, summaryOptions);
+
+      // Keep every generated summary so the owner can retrieve it later
+      const results = await Promise.all(generated.map(async (result, index) => {
+        if (result.error) return result;
+
+        const saved = await Summary.createFromResult({
+          user: req.user._id,
+          apiCall: apiCall._id,
+          result,
+          content: processedItems[index],
+          options: summaryOptions
+        });
+        return { ...result, metadata: { ...result.metadata, summaryId: saved._id } };
+      }));
 
       const responseTime = Date.now() - startTime;
       const responseSize = Buffer.byteLength(JSON.stringify(results), 'utf8');
 
-      // Calculate total tokens used
-      const totalTokens = results.reduce((acc, result) => {
-        if (result.metadata) {
-          return acc + (result.metadata.tokensUsed || 0);
+      // Sum the provider-reported token usage of every successful item
+      const tokensUsed = results.reduce((acc, result) => {
+        const itemTokens = result.metadata?.tokensUsed;
+        if (itemTokens) {
+          acc.prompt += itemTokens.prompt || 0;
+          acc.completion += itemTokens.completion || 0;
+          acc.total += itemTokens.total || 0;
+          if (itemTokens.estimated) acc.estimated = true;
         }
         return acc;
-      }, 0);
+      }, { prompt: 0, completion: 0, total: 0 });
 
-      const tokensUsed = {
-        total: totalTokens,
-        prompt: Math.ceil(totalTokens * 0.6),
-        completion: Math.ceil(totalTokens * 0.4)
-      };
+      // Items served from cache are billed at the discounted rate
+      const itemPrices = results.map(result => (result.metadata?.cached ? cacheHitPrice : unitPrice));
+      const cacheHits = results.filter(result => result.metadata?.cached).length;
+      if (cacheHits > 0) {
+        cost = total - (unitPrice - cacheHitPrice) * cacheHits;
+        apiCall.cost = cost;
+        apiCall.cached = cacheHits === items.length;
+      }
 
-      // Update API call record
-      await apiCall.markCompleted({
-        responseTime,
-        tokensUsed,
-        responseSize
-      });
+      // Only items that produced a summary are charged; the rest get back what they were priced at
+      const successful = results.filter(result => !result.error).length;
+      const failed = items.length - successful;
+      if (failed > 0) {
+        const failedAmount = results.reduce((sum, result, index) => sum + (result.error ? itemPrices[index] : 0), 0);
+        apiCall.addRefund(Math.min(failedAmount, apiCall.cost), `${failed} of ${items.length} items failed`);
+      }
+      apiCall.quantity = successful;
+      const charged = apiCall.netCost;
+
+      if (successful === 0) {
+        await apiCall.markFailed({ message: 'Every item of the batch failed', code: 'BATCH_FAILED' });
+      } else {
+        // Update usage of the user or organization; a later failure takes it back
+        await req.account.incrementUsage(charged, successful, req.user._id);
+        apiCall.usageRecorded = true;
 
-      // Update user usage
-      await req.user.incrementUsage(cost);
+        // Update API call record
+        await apiCall.markCompleted({
+          responseTime,
+          tokensUsed,
+          responseSize
+        });
+      }
 
-      logger.logApiCall(req.user._id, '/api/summary/batch', cost, true);
+      let credits;
+      if (prepaid) {
+        await creditService.settleCall(req.account, apiCall._id, charged, { userId: req.user._id });
+        credits = await creditService.getCreditStatus(req.account);
+      }
+
+      logger.logApiCall(req.user._id, '/api/summary/batch', charged, successful > 0);
+      await emitAccountThresholds(req, successful);
 
       res.status(200).json({
         success: true,
         data: results,
         summary: {
           total: items.length,
-          successful: results.filter(r => !r.error).length,
-          failed: results.filter(r => r.error).length
+          successful,
+          failed,
+          cached: cacheHits
         },
         usage: {
           tokensUsed,
-          cost,
-          remainingCalls: pricing.limits.monthlyCalls - req.user.usage.monthlyCalls
+          cost: charged,
+          refunded: apiCall.refund.amount,
+          remainingCalls: getRemainingCalls(req, pricing),
+          credits
         },
         metadata: {
           responseTime,
@@ -362,7 +897,7 @@ exports.getBatchSummaries = [
       });
 
       if (apiCall) {
-        await apiCall.markFailed(error);
+        await failCall(req, apiCall, error);
       }
 
       next(error);
@@ -371,68 +906,427 @@ exports.getBatchSummaries = [
 ];
 
 /**
- * Get user's summary history
- * GET /api/summary/history
+ * Submit an asynchronous batch job
+ * POST /api/summary/jobs
  */
-exports.getSummaryHistory = async (req, res, next) => {
-  try {
-    const { page = 1, limit = 20, startDate, endDate } = req.query;
-    const skip = (page - 1) * limit;
+exports.createBatchJob = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
 
-    const filter = { 
-      user: req.user._id,
-      endpoint: { $in: ['/api/summary', '/api/summary/batch'] }
-    };
+  body('items.*').custom(validateBatchItem),
+
+  ...summaryValidation.filter(rule => !rule.builder.fields.includes('title') && !rule.builder.fields.includes('content')),
+
+  async (req, res, next) => {
+    let apiCall = null;
+
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { items, options = {} } = req.body;
+
+      const pricing = await Pricing.getPlan(req.account.subscription.plan);
+      if (!pricing || !pricing.hasFeature('batchProcessing')) {
+        return res.status(403).json({
+          error: 'Batch processing not available in your current plan',
+          upgrade: 'Upgrade to Premium or Enterprise plan for batch processing'
+        });
+      }
+
+      if (items.length > pricing.limits.batchJobSize) {
+        return res.status(400).json({
+          error: `Batch job size exceeds limit. Maximum ${pricing.limits.batchJobSize} items allowed.`
+        });
+      }
+
+      const oversized = items.findIndex(item => {
+        const text = typeof item === 'string' ? item : item.content;
+        return typeof text === 'string' && text.length > pricing.limits.maxInputLength;
+      });
+      if (oversized !== -1) {
+        return res.status(400).json({
+          error: `Item ${oversized} exceeds the ${pricing.limits.maxInputLength} character limit of your plan`,
+          code: 'INPUT_TOO_LONG',
+          limit: pricing.limits.maxInputLength
+        });
+      }
 
-    if (startDate && endDate) {
-      filter.timestamp = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
+      // Every item may be billed, so the whole job must fit in the remaining calls
+      await req.account.checkMonthlyReset();
+      const remainingCalls = getRemainingCalls(req, pricing);
+      if (remainingCalls < items.length) {
+        return res.status(429).json({
+          error: 'Insufficient API calls remaining for batch job',
+          required: items.length,
+          remaining: remainingCalls
+        });
+      }
+
+      // Prepaid credits are held for every item and settled when the job finishes
+      const { total, unitPrice, cacheHitPrice } = getCallPrices(req, pricing, items.length);
+      const prepaid = pricing.isPrepaid();
+      if (prepaid && !creditService.canAfford(req.account, total)) {
+        return sendInsufficientCredits(res, req.account, total);
+      }
+
+      const summaryOptions = {
+        style: options.style || req.user.preferences.defaultSummaryStyle,
+        length: options.length || req.user.preferences.defaultSummaryLength,
+        language: options.language || req.user.preferences.language,
+        ...options,
+        cache: getCacheOptions(req)
       };
-    }
 
-    const [calls, total] = await Promise.all([
-      ApiCall.find(filter)
-        .select('endpoint requestData responseStatus cost tokensUsed timestamp responseTime')
-        .sort({ timestamp: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      ApiCall.countDocuments(filter)
-    ]);
-
-    const stats = await ApiCall.getUsageStats(
-      req.user._id, 
-      startDate, 
-      endDate
-    );
+      // Cost and quantity are filled in when the job finishes
+      apiCall = new ApiCall({
+        user: req.user._id,
+        organization: req.organization?._id,
+        endpoint: '/api/summary/jobs',
+        method: 'POST',
+        requestData: {
+          batchSize: items.length,
+          options: recordedOptions(options, summaryOptions, true)
+        },
+        cost: 0,
+        quantity: 0,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      await apiCall.save();
 
-    res.status(200).json({
-      success: true,
-      data: {
-        history: calls,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
+      if (prepaid) {
+        await holdCredits(req, apiCall, total);
+      }
+
+      const job = await BatchJob.create({
+        user: req.user._id,
+        organization: req.organization?._id,
+        apiCall: apiCall._id,
+        options: summaryOptions,
+        items: items.map(normalizeBatchItem),
+        concurrency: pricing.limits.batchConcurrency,
+        pricing: {
+          plan: pricing.plan,
           total,
-          limit: parseInt(limit)
+          unitPrice,
+          cacheHitPrice
         },
-        statistics: stats[0] || {
-          totalCalls: 0,
-          successfulCalls: 0,
-          totalCost: 0,
-          avgResponseTime: 0,
-          totalTokens: 0
-        }
+        progress: { total: items.length }
+      });
+
+      logger.info('Batch job queued', { userId: req.user._id, jobId: job._id, items: items.length });
+
+      res.status(202).json({
+        success: true,
+        data: formatBatchJob(job, false)
+      });
+
+    } catch (error) {
+      logger.error('Batch job submission failed:', {
+        userId: req.user._id,
+        error: error.message
+      });
+
+      // The job was never queued, so nothing will settle its call
+      if (apiCall) {
+        await failCall(req, apiCall, error);
+      }
+
+      next(error);
+    }
+  }
+];
+
+/**
+ * List the user's batch jobs
+ * GET /api/summary/jobs
+ */
+exports.listBatchJobs = [
+  query('status')
+    .optional()
+    .isIn(['queued', 'running', 'completed', 'failed', 'cancelled'])
+    .withMessage('Status must be one of: queued, running, completed, failed, cancelled'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
       }
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const { status } = req.query;
+
+      const filter = { user: req.user._id };
+      if (status) filter.status = status;
+
+      const [jobs, total] = await Promise.all([
+        BatchJob.listForUser(req.user._id, { status, page, limit }),
+        BatchJob.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          jobs: jobs.map(job => formatBatchJob(job, false)),
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list batch jobs:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Get a batch job with per-item status and results
+ * GET /api/summary/jobs/:id
+ */
+exports.getBatchJob = async (req, res, next) => {
+  try {
+    const job = await BatchJob.findOne({ _id: req.params.id, user: req.user._id });
+    if (!job) {
+      throw new NotFoundError('Batch job not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatBatchJob(job, true)
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch batch job:', {
+      userId: req.user._id,
+      jobId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Cancel a batch job
+ * Items already summarized stay billed; the rest are cancelled.
+ * POST /api/summary/jobs/:id/cancel
+ */
+exports.cancelBatchJob = async (req, res, next) => {
+  try {
+    const job = await BatchJob.findOne({ _id: req.params.id, user: req.user._id }).select('-items');
+    if (!job) {
+      throw new NotFoundError('Batch job not found');
+    }
+
+    if (job.isFinished()) {
+      throw new APIError(`Batch job is already ${job.status}`, 409, 'JOB_FINISHED');
+    }
+
+    const updated = await cancelJob(job);
+
+    logger.info('Batch job cancellation requested', { userId: req.user._id, jobId: job._id });
+
+    res.status(200).json({
+      success: true,
+      data: formatBatchJob(updated, false)
     });
 
   } catch (error) {
-    logger.error('Failed to fetch summary history:', {
+    logger.error('Failed to cancel batch job:', {
       userId: req.user._id,
+      jobId: req.params.id,
       error: error.message
     });
     next(error);
   }
 };
 
+/**
+ * Search the user's summary history
+ * GET /api/summary/search?q=
+ */
+exports.searchSummaries = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Query (q) must be between 1 and 200 characters'),
+
+  query('style')
+    .optional()
+    .isIn(['wikipedia', 'academic', 'casual', 'technical'])
+    .withMessage('Style must be one of: wikipedia, academic, casual, technical'),
+
+  query('length')
+    .optional()
+    .isIn(['short', 'medium', 'long', 'detailed'])
+    .withMessage('Length must be one of: short, medium, long, detailed'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be ISO 8601 dates'),
+
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { q, style, length, from, to, cursor } = req.query;
+      const limit = parseInt(req.query.limit) || 20;
+      const tags = req.query.tags
+        ? req.query.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+        : [];
+
+      const { results, nextCursor } = await searchHistory(req.user._id, {
+        q,
+        style,
+        length,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+        tags,
+        cursor,
+        limit
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          query: q,
+          results,
+          pagination: {
+            limit,
+            nextCursor,
+            hasMore: !!nextCursor
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Summary search failed:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Get user's summary history
+ * Pages by number (page=) or, with cursor=, by opaque cursor without counting.
+ * GET /api/summary/history
+ */
+exports.getSummaryHistory = [
+  ...pagingValidation(HISTORY_SORT_FIELDS),
+
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('startDate and endDate must be ISO 8601 dates'),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const { startDate, endDate } = req.query;
+      const paging = parsePaging(req.query, { field: 'timestamp', order: 'desc' });
+      const fields = parseFields(req.query.fields, HISTORY_FIELDS, [paging.sort.field]);
+      const select = (fields || HISTORY_FIELDS).join(' ');
+
+      const filter = { 
+        user: req.user._id,
+        endpoint: { $in: SUMMARY_ENDPOINTS }
+      };
+
+      if (startDate && endDate) {
+        filter.timestamp = {
+          $gte: new Date(startDate),
+          $lte: new Date(endDate)
+        };
+      }
+
+      let calls;
+      let pagination;
+
+      if (paging.mode === 'cursor') {
+        const { items, nextCursor } = await findPage(ApiCall, filter, { ...paging, select });
+        calls = items;
+        pagination = paginationResponse(req, res, { mode: 'cursor', limit: paging.limit, nextCursor });
+      } else {
+        const [items, total] = await Promise.all([
+          ApiCall.find(filter)
+            .select(select)
+            .sort(sortSpec(paging.sort))
+            .skip((paging.page - 1) * paging.limit)
+            .limit(paging.limit),
+          ApiCall.countDocuments(filter)
+        ]);
+        calls = items;
+        pagination = paginationResponse(req, res, { mode: 'page', page: paging.page, limit: paging.limit, total });
+      }
+
+      const stats = await ApiCall.getUsageStats(
+        req.user._id, 
+        startDate, 
+        endDate
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          history: calls,
+          pagination,
+          statistics: stats[0] || {
+            totalCalls: 0,
+            successfulCalls: 0,
+            totalCost: 0,
+            totalRefunded: 0,
+            avgResponseTime: 0,
+            totalTokens: 0,
+            promptTokens: 0,
+            completionTokens: 0
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to fetch summary history:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
 module.exports = exports;
@@ -0,0 +1,294 @@
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  formatValidationErrors,
+  AuthenticationError,
+  ValidationError
+} = require('../utils/errorFormatter');
+
+const TWO_FACTOR_FIELDS = '+password +twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes';
+
+const passwordValidation = body('password')
+  .notEmpty()
+  .withMessage('Password is required');
+
+const codeValidation = body('code')
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Authenticator or recovery code is required');
+
+/**
+ * Load the current user with the fields 2FA changes need
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} User document
+ */
+function loadUser(req) {
+  return User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+}
+
+/**
+ * Check the user's password
+ * @param {Object} user - User loaded with the password
+ * @param {string} password - Password from the request
+ * @throws {AuthenticationError} When the password is wrong
+ */
+async function checkPassword(user, password) {
+  if (!(await user.comparePassword(password))) {
+    throw new AuthenticationError('Invalid password');
+  }
+}
+
+/**
+ * Check an authenticator or recovery code
+ * @param {Object} user - User loaded with the 2FA fields
+ * @param {string} code - Code from the request
+ * @returns {string} 'totp' or 'recovery'
+ * @throws {AuthenticationError} When the code is wrong
+ */
+function checkCode(user, code) {
+  const method = user.verifySecondFactor(code);
+  if (!method) {
+    throw new AuthenticationError('Invalid authentication code');
+  }
+  return method;
+}
+
+/**
+ * Whether the requireAdminTwoFactor setting applies to a user
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} True when the user must use 2FA
+ */
+async function isTwoFactorRequired(user) {
+  return user.role === 'admin' && !!(await Setting.getValue('requireAdminTwoFactor'));
+}
+
+/**
+ * Get 2FA status
+ * GET /api/auth/2fa
+ */
+exports.getStatus = async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        pending: !user.twoFactorEnabled && !!user.twoFactorSecret,
+        recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+        required: await isTwoFactorRequired(user)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start enrollment: generate a secret for the authenticator app
+ * POST /api/auth/2fa/setup
+ */
+exports.setup = [
+  passwordValidation,
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const user = await loadUser(req);
+      await checkPassword(user, req.body.password);
+
+      if (user.twoFactorEnabled) {
+        throw new ValidationError('Two-factor authentication is already enabled');
+      }
+
+      // Not active until a code from it is verified; starting over replaces the secret
+      user.twoFactorSecret = generateSecret();
+      user.twoFactorLastStep = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('Two-factor enrollment started', { userId: user._id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Add the secret to your authenticator app, then verify a code to enable two-factor authentication',
+        data: {
+          secret: user.twoFactorSecret,
+          otpauthUri: buildOtpauthUri(user.twoFactorSecret, user.email, config.auth.twoFactor.issuer)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to start two-factor enrollment:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Finish enrollment by verifying a code from the app; returns recovery codes
+ * POST /api/auth/2fa/verify
+ */
+exports.verify = [
+  codeValidation,
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const user = await loadUser(req);
+
+      if (user.twoFactorEnabled) {
+        throw new ValidationError('Two-factor authentication is already enabled');
+      }
+      if (!user.twoFactorSecret) {
+        throw new ValidationError('Start two-factor setup first');
+      }
+
+      // Only an authenticator code proves the app was set up
+      if (checkCode(user, req.body.code) !== 'totp') {
+        throw new AuthenticationError('Invalid authentication code');
+      }
+
+      user.twoFactorEnabled = true;
+      user.twoFactorEnabledAt = new Date();
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      // The current session has now shown the second factor
+      if (req.token.sid) {
+        await Session.updateOne({ _id: req.token.sid }, { $set: { mfa: true } });
+      }
+
+      logger.logAuth('2fa_enabled', user._id, user.email, true);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes now; they are not shown again.',
+        data: {
+          enabled: true,
+          recoveryCodes
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to enable two-factor authentication:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Turn 2FA off; needs the password and a current code
+ * POST /api/auth/2fa/disable
+ */
+exports.disable = [
+  passwordValidation,
+  codeValidation,
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const user = await loadUser(req);
+      await checkPassword(user, req.body.password);
+
+      if (!user.twoFactorEnabled) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+      }
+      if (await isTwoFactorRequired(user)) {
+        throw new ValidationError('Two-factor authentication is required for administrators');
+      }
+
+      checkCode(user, req.body.code);
+
+      user.twoFactorEnabled = false;
+      user.twoFactorEnabledAt = undefined;
+      user.twoFactorSecret = undefined;
+      user.twoFactorLastStep = undefined;
+      user.twoFactorRecoveryCodes = [];
+      await user.save({ validateBeforeSave: false });
+
+      logger.logAuth('2fa_disabled', user._id, user.email, true);
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      logger.error('Failed to disable two-factor authentication:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * POST /api/auth/2fa/recovery-codes
+ */
+exports.regenerateRecoveryCodes = [
+  codeValidation,
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const user = await loadUser(req);
+
+      if (!user.twoFactorEnabled) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+      }
+
+      checkCode(user, req.body.code);
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('Recovery codes regenerated', { userId: user._id });
+
+      res.status(200).json({
+        success: true,
+        message: 'New recovery codes generated. Store them now; they are not shown again.',
+        data: { recoveryCodes }
+      });
+
+    } catch (error) {
+      logger.error('Failed to regenerate recovery codes:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+module.exports = exports;
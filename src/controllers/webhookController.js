@@ -0,0 +1,460 @@
+const { body, query, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { formatValidationErrors, NotFoundError, ValidationError } = require('../utils/errorFormatter');
+const { redeliver, sendTestEvent, assertWebhookTarget } = require('../services/webhookService');
+
+/**
+ * Validation rules shared by create and update
+ * @param {boolean} optional - Whether url and events may be omitted (updates)
+ * @returns {Array} express-validator rules
+ */
+function webhookValidation(optional) {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be a valid http or https URL')
+      .custom(async url => {
+        if (config.webhooks.requireHttps && !url.startsWith('https://')) {
+          throw new Error('Webhook URLs must use https');
+        }
+        await assertWebhookTarget(url).catch(() => {
+          throw new Error('Webhook URLs must resolve to a public internet address');
+        });
+        return true;
+      }),
+
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('Events must be a non-empty array'),
+
+    body('events.*')
+      .isIn(Webhook.EVENTS)
+      .withMessage(`Each event must be one of: ${Webhook.EVENTS.join(', ')}`),
+
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+}
+
+/**
+ * Webhook as returned by the API (the secret only when given)
+ * @param {Object} webhook - Webhook document
+ * @param {string} secret - Newly generated secret
+ * @returns {Object} Webhook representation
+ */
+function formatWebhook(webhook, secret) {
+  return {
+    id: webhook._id,
+    url: webhook.url,
+    description: webhook.description,
+    events: webhook.events,
+    isActive: webhook.isActive,
+    secret,
+    lastDeliveryAt: webhook.lastDeliveryAt,
+    lastDeliveryStatus: webhook.lastDeliveryStatus,
+    consecutiveFailures: webhook.consecutiveFailures,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+  };
+}
+
+/**
+ * Delivery as returned by the API
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {boolean} includePayload - Whether to include the payload and attempt log
+ * @returns {Object} Delivery representation
+ */
+function formatDelivery(delivery, includePayload) {
+  const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+  return {
+    id: delivery._id,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    status: delivery.status,
+    attemptCount: delivery.attempts.length,
+    lastResponseStatus: lastAttempt?.responseStatus,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : undefined,
+    deliveredAt: delivery.deliveredAt,
+    redeliveryOf: delivery.redeliveryOf,
+    createdAt: delivery.createdAt,
+    payload: includePayload ? delivery.payload : undefined,
+    // Attempts recorded before response bodies were dropped may still carry one
+    attempts: includePayload
+      ? delivery.attempts.map(({ at, responseStatus, duration, error }) => ({ at, responseStatus, duration, error }))
+      : undefined
+  };
+}
+
+/**
+ * Find one of the current user's webhooks
+ * @param {Object} req - Express request
+ * @param {boolean} withSecret - Whether to load the secret
+ * @returns {Promise<Object>} Webhook document
+ * @throws {NotFoundError} When the webhook does not exist or belongs to someone else
+ */
+async function findOwnWebhook(req, withSecret = false) {
+  const query = Webhook.findOne({ _id: req.params.id, user: req.user._id });
+  const webhook = await (withSecret ? query.select('+secret') : query);
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+  return webhook;
+}
+
+/**
+ * Register a webhook endpoint
+ * POST /api/webhooks
+ */
+exports.createWebhook = [
+  ...webhookValidation(false),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const count = await Webhook.countDocuments({ user: req.user._id });
+      if (count >= config.webhooks.maxPerUser) {
+        throw new ValidationError(`You can register at most ${config.webhooks.maxPerUser} webhooks`);
+      }
+
+      const { url, events, description, isActive } = req.body;
+
+      const webhook = new Webhook({
+        user: req.user._id,
+        url,
+        events: [...new Set(events)],
+        description,
+        isActive
+      });
+      const secret = webhook.generateSecret();
+      await webhook.save();
+
+      logger.info('Webhook created', { userId: req.user._id, webhookId: webhook._id, events: webhook.events });
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created. Store the secret now; it is not shown again.',
+        data: formatWebhook(webhook, secret)
+      });
+
+    } catch (error) {
+      logger.error('Failed to create webhook:', {
+        userId: req.user._id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * List the user's webhooks
+ * GET /api/webhooks
+ */
+exports.listWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        webhooks: webhooks.map(webhook => formatWebhook(webhook)),
+        events: Webhook.EVENTS
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to list webhooks:', {
+      userId: req.user._id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook
+ * GET /api/webhooks/:id
+ */
+exports.getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    res.status(200).json({
+      success: true,
+      data: formatWebhook(webhook)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook's URL, events, description or active flag
+ * PUT /api/webhooks/:id
+ */
+exports.updateWebhook = [
+  ...webhookValidation(true),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const webhook = await findOwnWebhook(req);
+      const { url, events, description, isActive } = req.body;
+
+      if (url !== undefined) webhook.url = url;
+      if (events !== undefined) webhook.events = [...new Set(events)];
+      if (description !== undefined) webhook.description = description;
+      if (isActive !== undefined) {
+        webhook.isActive = isActive;
+        // Re-enabling starts a fresh failure streak
+        if (isActive) webhook.consecutiveFailures = 0;
+      }
+
+      await webhook.save();
+
+      logger.info('Webhook updated', { userId: req.user._id, webhookId: webhook._id });
+
+      res.status(200).json({
+        success: true,
+        data: formatWebhook(webhook)
+      });
+
+    } catch (error) {
+      logger.error('Failed to update webhook:', {
+        userId: req.user._id,
+        webhookId: req.params.id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Delete a webhook; pending retries are dropped
+ * DELETE /api/webhooks/:id
+ */
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+
+    await Promise.all([
+      webhook.deleteOne(),
+      WebhookDelivery.updateMany(
+        { webhook: webhook._id, status: 'pending' },
+        { $set: { status: 'failed' }, $unset: { nextAttemptAt: 1 } }
+      )
+    ]);
+
+    logger.info('Webhook deleted', { userId: req.user._id, webhookId: webhook._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete webhook:', {
+      userId: req.user._id,
+      webhookId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Replace the signing secret
+ * POST /api/webhooks/:id/rotate-secret
+ */
+exports.rotateSecret = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    const secret = webhook.generateSecret();
+    await webhook.save();
+
+    logger.info('Webhook secret rotated', { userId: req.user._id, webhookId: webhook._id });
+
+    res.status(200).json({
+      success: true,
+      data: formatWebhook(webhook, secret)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a webhook.test event and report the receiver's response
+ * POST /api/webhooks/:id/test
+ */
+exports.testWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    const delivery = await sendTestEvent(webhook);
+
+    res.status(200).json({
+      success: true,
+      data: formatDelivery(delivery, true)
+    });
+
+  } catch (error) {
+    logger.error('Failed to send webhook test event:', {
+      userId: req.user._id,
+      webhookId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * List a webhook's deliveries, newest first
+ * GET /api/webhooks/:id/deliveries
+ */
+exports.listDeliveries = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'succeeded', 'failed'])
+    .withMessage('Status must be one of: pending, succeeded, failed'),
+
+  query('event')
+    .optional()
+    .isString(),
+
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(formatValidationErrors(errors.array()));
+      }
+
+      const webhook = await findOwnWebhook(req);
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      const filter = { webhook: webhook._id };
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.event) filter.event = req.query.event;
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .select('-payload')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        WebhookDelivery.countDocuments(filter)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          deliveries: deliveries.map(delivery => formatDelivery(delivery, false)),
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list webhook deliveries:', {
+        userId: req.user._id,
+        webhookId: req.params.id,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+];
+
+/**
+ * Get a delivery with its payload and attempt log
+ * GET /api/webhooks/:id/deliveries/:deliveryId
+ */
+exports.getDelivery = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!delivery) {
+      throw new NotFoundError('Delivery not found');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatDelivery(delivery, true)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a delivery's event again
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ */
+exports.redeliverDelivery = async (req, res, next) => {
+  try {
+    const webhook = await findOwnWebhook(req);
+    if (!webhook.isActive) {
+      throw new ValidationError('Webhook is disabled; enable it before redelivering');
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!delivery) {
+      throw new NotFoundError('Delivery not found');
+    }
+
+    const redelivery = await redeliver(webhook, delivery);
+
+    logger.info('Webhook delivery redelivered', {
+      userId: req.user._id,
+      webhookId: webhook._id,
+      deliveryId: delivery._id,
+      redeliveryId: redelivery._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: formatDelivery(redelivery, true)
+    });
+
+  } catch (error) {
+    logger.error('Failed to redeliver webhook delivery:', {
+      userId: req.user._id,
+      webhookId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+module.exports = exports;
@@ -1,8 +1,51 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Setting = require('../models/Setting');
+const { isAccessTokenRevoked } = require('../services/tokenService');
 const logger = require('../utils/logger');
 const { AuthenticationError } = require('../utils/errorFormatter');
 
+/**
+ * Look up the user for an API key and check the key itself
+ * @param {string} apiKey - Presented key
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, key, organization } where key is the matching apiKeys entry
+ *   and organization the organization billed for an organization key
+ * @throws {AuthenticationError} When the key is malformed, unknown, expired, or its user
+ *   has lost API access to the key's organization
+ */
+async function authenticateApiKey(apiKey, req) {
+  if (!apiKey.startsWith('wsg_')) {
+    throw new AuthenticationError('Invalid API key format');
+  }
+
+  const user = await User.findByApiKey(apiKey);
+  const key = user && user.findApiKey(apiKey);
+  if (!key) {
+    throw new AuthenticationError('Invalid API key');
+  }
+
+  if (key.isExpired) {
+    throw new AuthenticationError('API key has expired');
+  }
+
+  let organization = null;
+  if (key.organization) {
+    organization = await Organization.findById(key.organization);
+    if (!organization || organization.status !== 'active' ||
+        !organization.hasRole(user._id, Organization.API_ROLES)) {
+      throw new AuthenticationError('API key is no longer valid for its organization');
+    }
+  }
+
+  user.recordApiKeyUse(key, req.ip).catch(error => {
+    logger.warn('Failed to record API key use:', { userId: user._id, error: error.message });
+  });
+
+  return { user, key, organization };
+}
+
 /**
  * JWT Authentication middleware
  * Supports both Bearer token and API key authentication
@@ -32,15 +75,20 @@ module.exports = async function (req, res, next) {
     }
 
     // Authenticate with JWT token
+    let decoded = null;
     if (authMethod === 'jwt') {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
         user = await User.findById(decoded.id).select('-password');
         
         if (!user) {
           throw new AuthenticationError('User not found');
         }
 
+        if (await isAccessTokenRevoked(decoded, user)) {
+          throw new AuthenticationError('Token has been revoked');
+        }
+
       } catch (jwtError) {
         if (jwtError.name === 'JsonWebTokenError') {
           throw new AuthenticationError('Invalid token');
@@ -52,15 +100,10 @@ module.exports = async function (req, res, next) {
     }
 
     // Authenticate with API key
+    let key = null;
+    let organization = null;
     if (authMethod === 'apikey') {
-      if (!apiKey.startsWith('wsg_')) {
-        throw new AuthenticationError('Invalid API key format');
-      }
-
-      user = await User.findByApiKey(apiKey);
-      if (!user) {
-        throw new AuthenticationError('Invalid API key');
-      }
+      ({ user, key, organization } = await authenticateApiKey(apiKey, req));
     }
 
     // Check if user account is active
@@ -90,9 +133,14 @@ module.exports = async function (req, res, next) {
       await user.save({ validateBeforeSave: false });
     }
 
-    // Add user and auth method to request
+    // Add user, auth method, access token claims and API key (scopes) to request
+    // req.account is who usage is billed to: the key's organization, or the user
     req.user = user;
     req.authMethod = authMethod;
+    req.token = decoded;
+    req.apiKey = key;
+    req.organization = organization;
+    req.account = organization || user;
 
     // Add user context to logger for this request
     req.logger = logger.child({
@@ -168,14 +216,7 @@ module.exports.apiKeyOnly = async function (req, res, next) {
       throw new AuthenticationError('API key required');
     }
 
-    if (!apiKey.startsWith('wsg_')) {
-      throw new AuthenticationError('Invalid API key format');
-    }
-
-    const user = await User.findByApiKey(apiKey);
-    if (!user) {
-      throw new AuthenticationError('Invalid API key');
-    }
+    const { user, key, organization } = await authenticateApiKey(apiKey, req);
 
     if (user.status !== 'active') {
       throw new AuthenticationError('Account is not active');
@@ -183,6 +224,9 @@ module.exports.apiKeyOnly = async function (req, res, next) {
 
     req.user = user;
     req.authMethod = 'apikey';
+    req.apiKey = key;
+    req.organization = organization;
+    req.account = organization || user;
     
     next();
 
@@ -200,3 +244,70 @@ module.exports.apiKeyOnly = async function (req, res, next) {
     });
   }
 };
+
+/**
+ * Require an API key scope; JWT sessions pass every scope check
+ * Use after auth or apiKeyOnly.
+ * @param {string} scope - One of User.API_KEY_SCOPES
+ * @returns {Function} Express middleware
+ */
+module.exports.requireScope = function (scope) {
+  return (req, res, next) => {
+    if (req.authMethod === 'apikey' && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: `API key is missing the ${scope} scope`,
+        code: 'INSUFFICIENT_SCOPE',
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Reject API keys, e.g. for managing the keys themselves
+ * Use after auth.
+ */
+module.exports.sessionOnly = function (req, res, next) {
+  if (req.authMethod !== 'jwt') {
+    return res.status(403).json({
+      error: 'This endpoint requires a signed-in session, not an API key',
+      code: 'SESSION_REQUIRED',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+/**
+ * Enforce the requireAdminTwoFactor setting on admin routes
+ * Admins need 2FA enabled, and sessions must have signed in with it. Use after authorize.
+ */
+module.exports.requireAdminTwoFactor = async function (req, res, next) {
+  try {
+    if (req.user.role !== 'admin' || !(await Setting.getValue('requireAdminTwoFactor'))) {
+      return next();
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        error: 'Two-factor authentication must be enabled to use the admin API',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (req.authMethod === 'jwt' && !req.token.mfa) {
+      return res.status(403).json({
+        error: 'Sign in again with your authenticator code to use the admin API',
+        code: 'TWO_FACTOR_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { APIError, ValidationError } = require('../utils/errorFormatter');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies hash equally
+ * @param {*} value - Request body
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of the parts of a request that must match for a key to be reused
+ * @param {Object} req - Express request
+ * @returns {string} Hex SHA-256
+ */
+function fingerprintRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Whether a response must not be replayed, because retrying the request may succeed
+ * @param {number} statusCode - Response status
+ * @param {Object} body - Response body
+ * @returns {boolean} True for server errors, rate limits and missing credits
+ */
+function isRetryable(statusCode, body) {
+  return statusCode >= 500 || statusCode === 429 || body?.code === 'INSUFFICIENT_CREDITS';
+}
+
+/**
+ * Idempotency-Key support for POST endpoints; must run after auth and before rateLimit
+ * The first request with a key runs normally and its response is stored; repeats
+ * with the same body get the stored response without running (or billing) again.
+ * Server errors, rate-limit rejections and insufficient-credit rejections are not
+ * stored, so those can be retried. A key stays processing until its handler responds,
+ * even if the client disconnects; keys of abandoned requests are freed by lockTimeout.
+ */
+module.exports = async function (req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  try {
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      throw new ValidationError(`Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const fingerprint = fingerprintRequest(req);
+    const { record, acquired } = await IdempotencyKey.acquire({
+      user: req.user._id,
+      key,
+      fingerprint,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`
+    }, config.idempotency);
+
+    if (!acquired) {
+      if (record && record.fingerprint !== fingerprint) {
+        throw new APIError('Idempotency-Key was already used with a different request', 422, 'IDEMPOTENCY_KEY_REUSED');
+      }
+      if (!record || record.status !== 'completed') {
+        const error = new APIError('A request with this Idempotency-Key is still being processed', 409, 'IDEMPOTENCY_KEY_IN_USE');
+        error.retryAfter = 1;
+        throw error;
+      }
+
+      logger.info('Idempotent request replayed', { userId: req.user._id, path: record.path });
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response.statusCode).json(JSON.parse(record.response.body));
+    }
+
+    const release = () => IdempotencyKey.deleteOne({ _id: record._id }).catch(error => {
+      logger.error('Failed to release idempotency key:', { userId: req.user._id, error: error.message });
+    });
+
+    // Store the response before sending it, so a retry never sees the key still processing
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const store = isRetryable(res.statusCode, body)
+        ? release()
+        : record.complete(res.statusCode, body).catch(error => {
+          logger.error('Failed to store idempotent response:', { userId: req.user._id, error: error.message });
+        });
+
+      store.finally(() => json(body));
+      return res;
+    };
+
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports.fingerprintRequest = fingerprintRequest;
@@ -1,5 +1,5 @@
 const rateLimit = require('express-rate-limit');
-const User = require('../models/User');
+const ApiCall = require('../models/ApiCall');
 const Pricing = require('../models/Pricing');
 const logger = require('../utils/logger');
 const { RateLimitError } = require('../utils/errorFormatter');
@@ -14,8 +14,18 @@ module.exports = async function (req, res, next) {
       return next();
     }
 
-    // Get user's pricing plan
-    const pricing = await Pricing.getPlan(req.user.subscription.plan);
+    // Limits come from whoever pays: the organization for organization API keys, else the user
+    const account = req.account || req.user;
+    const organization = req.organization;
+    const accountLog = {
+      userId: req.user._id,
+      email: req.user.email,
+      organizationId: organization?._id,
+      plan: account.subscription.plan
+    };
+
+    // Get the account's pricing plan
+    const pricing = await Pricing.getPlan(account.subscription.plan);
     if (!pricing) {
       return res.status(500).json({
         error: 'Pricing configuration not found',
@@ -24,74 +34,69 @@ module.exports = async function (req, res, next) {
     }
 
     // Check monthly limits
-    await req.user.checkMonthlyReset();
+    await account.checkMonthlyReset();
     
     const monthlyLimit = pricing.limits.monthlyCalls;
-    const currentUsage = req.user.usage.monthlyCalls || 0;
+    const currentUsage = account.usage.monthlyCalls || 0;
     
     if (currentUsage >= monthlyLimit) {
       logger.warn('Monthly rate limit exceeded:', {
-        userId: req.user._id,
-        email: req.user.email,
-        plan: req.user.subscription.plan,
+        ...accountLog,
         currentUsage,
         monthlyLimit
       });
       
       return res.status(429).json({
-        error: 'Monthly API call limit exceeded',
+        error: organization
+          ? 'Monthly API call limit of the organization exceeded'
+          : 'Monthly API call limit exceeded',
         code: 'MONTHLY_LIMIT_EXCEEDED',
         usage: {
           current: currentUsage,
           limit: monthlyLimit,
-          resetDate: new Date(req.user.usage.monthlyReset.getTime() + 30 * 24 * 60 * 60 * 1000)
+          resetDate: new Date(account.usage.monthlyReset.getTime() + 30 * 24 * 60 * 60 * 1000)
         },
-        upgrade: req.user.subscription.plan === 'free' 
+        upgrade: account.subscription.plan === 'free' 
           ? 'Upgrade to a paid plan for higher limits'
           : 'Upgrade your plan for higher limits'
       });
     }
 
+    // Members can be capped below the organization's pooled quota
+    const member = organization && organization.getMember(req.user._id);
+    if (member && member.monthlyLimit !== null && member.usage.monthlyCalls >= member.monthlyLimit) {
+      logger.warn('Member monthly limit exceeded:', {
+        ...accountLog,
+        memberUsage: member.usage.monthlyCalls,
+        memberLimit: member.monthlyLimit
+      });
+
+      return res.status(429).json({
+        error: 'Your monthly API call limit in this organization has been reached',
+        code: 'MEMBER_LIMIT_EXCEEDED',
+        usage: {
+          current: member.usage.monthlyCalls,
+          limit: member.monthlyLimit,
+          resetDate: new Date(account.usage.monthlyReset.getTime() + 30 * 24 * 60 * 60 * 1000)
+        }
+      });
+    }
+
+    // Calls counted towards the daily and per-minute limits; personal limits exclude organization calls
+    const callFilter = organization
+      ? { organization: organization._id }
+      : { user: req.user._id, organization: null };
+
     // Check daily limits (rough approximation)
     const dailyLimit = pricing.limits.dailyCalls;
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    const todaysUsage = await req.user.constructor.aggregate([
-      {
-        $match: {
-          _id: req.user._id
-        }
-      },
-      {
-        $lookup: {
-          from: 'apicalls',
-          let: { userId: '$_id' },
-          pipeline: [
-            {
-              $match: {
-                $expr: { $eq: ['$user', '$$userId'] },
-                timestamp: { $gte: today }
-              }
-            }
-          ],
-          as: 'todaysCalls'
-        }
-      },
-      {
-        $project: {
-          todaysCallCount: { $size: '$todaysCalls' }
-        }
-      }
-    ]);
-
-    const dailyUsage = todaysUsage[0]?.todaysCallCount || 0;
+    const dailyUsage = await ApiCall.countDocuments({ ...callFilter, timestamp: { $gte: today } });
     
     if (dailyUsage >= dailyLimit) {
       logger.warn('Daily rate limit exceeded:', {
-        userId: req.user._id,
-        email: req.user.email,
-        plan: req.user.subscription.plan,
+        ...accountLog,
         dailyUsage,
         dailyLimit
       });
@@ -111,41 +116,11 @@ module.exports = async function (req, res, next) {
     const perMinuteLimit = pricing.limits.requestsPerMinute;
     const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
     
-    const recentCalls = await req.user.constructor.aggregate([
-      {
-        $match: {
-          _id: req.user._id
-        }
-      },
-      {
-        $lookup: {
-          from: 'apicalls',
-          let: { userId: '$_id' },
-          pipeline: [
-            {
-              $match: {
-                $expr: { $eq: ['$user', '$$userId'] },
-                timestamp: { $gte: oneMinuteAgo }
-              }
-            }
-          ],
-          as: 'recentCalls'
-        }
-      },
-      {
-        $project: {
-          recentCallCount: { $size: '$recentCalls' }
-        }
-      }
-    ]);
-
-    const recentCallCount = recentCalls[0]?.recentCallCount || 0;
+    const recentCallCount = await ApiCall.countDocuments({ ...callFilter, timestamp: { $gte: oneMinuteAgo } });
     
     if (recentCallCount >= perMinuteLimit) {
       logger.warn('Per-minute rate limit exceeded:', {
-        userId: req.user._id,
-        email: req.user.email,
-        plan: req.user.subscription.plan,
+        ...accountLog,
         recentCallCount,
         perMinuteLimit
       });
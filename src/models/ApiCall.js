@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const User = require('./User');
+const Organization = require('./Organization');
+const { roundAmount } = require('../utils/money');
+
+// Outcomes of calls that delivered nothing
+const FAILED_STATUSES = ['error', 'timeout'];
+
+// Amount actually charged for a call, for aggregations
+const NET_COST = { $subtract: ['$cost', { $ifNull: ['$refund.amount', 0] }] };
 
 const apiCallSchema = new mongoose.Schema({
   // User Information
@@ -8,6 +17,11 @@ const apiCallSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Organization billed for the call, when made with an organization API key
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   
   // Request Information
   endpoint: { 
@@ -28,8 +42,12 @@ const apiCallSchema = new mongoose.Schema({
     options: {
       style: String,
       length: String,
-      language: String,
-      includeKeyPoints: Boolean
+      language: String, // output language
+      sourceLanguage: String, // Wikipedia edition the article was read from
+      titleLanguage: String, // edition of the requested title, when resolved via interlanguage links
+      includeKeyPoints: Boolean,
+      sections: [String],
+      tags: [String] // client-supplied labels, lowercase
     }
   },
   
@@ -55,10 +73,34 @@ const apiCallSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Summaries the cost covers; batch requests bill several
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  // Part of the cost given back for work that failed; the call is charged cost - refund.amount
+  refund: {
+    amount: { type: Number, min: 0, default: 0 },
+    reason: String,
+    refundedAt: Date
+  },
+  // Whether the charge was added to the account's usage, so a failure can take it back
+  usageRecorded: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the call is billed on an invoice; its cost is then locked
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
   tokensUsed: {
     prompt: { type: Number, default: 0 },
     completion: { type: Number, default: 0 },
-    total: { type: Number, default: 0 }
+    total: { type: Number, default: 0 },
+    estimated: { type: Boolean, default: false } // provider did not report usage
   },
   
   // AI Model Information
@@ -72,6 +114,16 @@ const apiCallSchema = new mongoose.Schema({
     topP: Number
   },
   
+  // Streaming (SSE) requests
+  streamed: {
+    type: Boolean,
+    default: false
+  },
+  clientDisconnected: {
+    type: Boolean,
+    default: false
+  },
+  
   // Request Metadata
   ipAddress: String,
   userAgent: String,
@@ -91,7 +143,8 @@ const apiCallSchema = new mongoose.Schema({
     startTime: Date,
     endTime: Date,
     duration: Number,
-    status: String
+    status: String,
+    details: mongoose.Schema.Types.Mixed
   }],
   
   // Cache Information
@@ -128,10 +181,19 @@ const apiCallSchema = new mongoose.Schema({
 
 // Compound indexes for common queries
 apiCallSchema.index({ user: 1, timestamp: -1 });
+apiCallSchema.index({ organization: 1, timestamp: -1 }, { sparse: true });
+apiCallSchema.index({ invoice: 1, timestamp: 1 });
 apiCallSchema.index({ endpoint: 1, timestamp: -1 });
 apiCallSchema.index({ responseStatus: 1, timestamp: -1 });
 apiCallSchema.index({ timestamp: -1 });
 apiCallSchema.index({ user: 1, endpoint: 1, timestamp: -1 });
+apiCallSchema.index({ user: 1, 'requestData.options.tags': 1, timestamp: -1 });
+
+// Full-text search over a user's history; the user prefix keeps each search within one user's calls
+apiCallSchema.index(
+  { user: 1, 'requestData.title': 'text', 'requestData.content': 'text' },
+  { name: 'user_history_text', weights: { 'requestData.title': 5, 'requestData.content': 1 } }
+);
 
 // Virtual for duration calculation
 apiCallSchema.virtual('duration').get(function() {
@@ -146,6 +208,12 @@ apiCallSchema.virtual('isSuccessful').get(function() {
   return this.responseStatus === 'success';
 });
 
+// Virtual for the amount charged after refunds
+apiCallSchema.virtual('netCost').get(function() {
+  if (this.cost === undefined) return undefined;
+  return Math.max(roundAmount(this.cost - (this.refund?.amount || 0)), 0);
+});
+
 // Virtual for cost per token
 apiCallSchema.virtual('costPerToken').get(function() {
   if (this.tokensUsed.total > 0) {
@@ -154,6 +222,15 @@ apiCallSchema.virtual('costPerToken').get(function() {
   return 0;
 });
 
+// Pre-save middleware locking the charge of invoiced calls so they can't be re-billed
+apiCallSchema.pre('save', function(next) {
+  if (!this.isNew && this.invoice &&
+      (this.isModified('cost') || this.isModified('quantity') || this.isModified('refund.amount'))) {
+    return next(new Error('The call is already invoiced and its charge cannot change'));
+  }
+  next();
+});
+
 // Pre-save middleware to calculate completion time
 apiCallSchema.pre('save', function(next) {
   if (this.isModified('responseStatus') && this.responseStatus === 'success' && !this.completedAt) {
@@ -179,16 +256,66 @@ apiCallSchema.methods.markCompleted = function(responseData = {}) {
     this.responseSize = responseData.responseSize;
   }
   
+  if (responseData.aiModel) {
+    this.aiModel = responseData.aiModel;
+  }
+  
+  if (responseData.processingSteps && responseData.processingSteps.length > 0) {
+    this.processingSteps = responseData.processingSteps;
+  }
+  
   return this.save();
 };
 
+// Instance method to give back part of the cost (saved with the call)
+apiCallSchema.methods.addRefund = function(amount, reason) {
+  const refunded = this.refund?.amount || 0;
+  this.refund = {
+    amount: roundAmount(Math.min(refunded + amount, this.cost)),
+    reason,
+    refundedAt: new Date()
+  };
+  return this;
+};
+
 // Instance method to mark as failed
-apiCallSchema.methods.markFailed = function(error) {
+// Nothing was delivered, so the charge is refunded and taken back out of the account's usage.
+apiCallSchema.methods.markFailed = function(error, { reason } = {}) {
   this.completedAt = new Date();
   this.responseStatus = 'error';
   this.errorMessage = error.message;
   this.errorCode = error.code;
-  return this.save();
+
+  return this.refundFailure(reason || `Call failed: ${error.message}`);
+};
+
+// Instance method to refund a failed call and reverse its usage (saved with the call)
+// An invoiced charge is locked, so an invoiced call is saved as failed without a refund.
+apiCallSchema.methods.refundFailure = async function(reason) {
+  if (this.invoice) {
+    await this.save();
+    return this;
+  }
+
+  const charged = this.netCost;
+  if (charged > 0) {
+    this.addRefund(charged, reason);
+  }
+
+  const usageRecorded = this.usageRecorded;
+  this.usageRecorded = false;
+  await this.save();
+
+  if (usageRecorded) {
+    const account = this.organization
+      ? await Organization.findById(this.organization)
+      : await User.findById(this.user);
+    if (account) {
+      await account.decrementUsage(charged, this.quantity, this.user);
+    }
+  }
+
+  return this;
 };
 
 // Static method for usage analytics
@@ -211,9 +338,12 @@ apiCallSchema.statics.getUsageStats = async function(userId, startDate, endDate)
         successfulCalls: {
           $sum: { $cond: [{ $eq: ['$responseStatus', 'success'] }, 1, 0] }
         },
-        totalCost: { $sum: '$cost' },
+        totalCost: { $sum: NET_COST },
+        totalRefunded: { $sum: { $ifNull: ['$refund.amount', 0] } },
         avgResponseTime: { $avg: '$responseTime' },
         totalTokens: { $sum: '$tokensUsed.total' },
+        promptTokens: { $sum: '$tokensUsed.prompt' },
+        completionTokens: { $sum: '$tokensUsed.completion' },
         endpoints: { $addToSet: '$endpoint' }
       }
     }
@@ -238,7 +368,8 @@ apiCallSchema.statics.getSystemStats = async function(days = 30) {
           $avg: { $cond: [{ $eq: ['$responseStatus', 'success'] }, 1, 0] }
         },
         avgResponseTime: { $avg: '$responseTime' },
-        totalCost: { $sum: '$cost' }
+        totalCost: { $sum: NET_COST },
+        totalTokens: { $sum: '$tokensUsed.total' }
       }
     },
     { $sort: { '_id.date': -1, '_id.endpoint': 1 } }
@@ -256,7 +387,8 @@ apiCallSchema.statics.getTopUsers = async function(limit = 10, days = 30) {
       $group: {
         _id: '$user',
         totalCalls: { $sum: 1 },
-        totalCost: { $sum: '$cost' },
+        totalCost: { $sum: NET_COST },
+        totalTokens: { $sum: '$tokensUsed.total' },
         lastCall: { $max: '$timestamp' }
       }
     },
@@ -292,14 +424,40 @@ apiCallSchema.statics.getEndpointPerformance = async function(days = 30) {
         // Use max as approximation for p95 - more compatible across MongoDB versions
         maxResponseTime: { $max: '$responseTime' },
         minResponseTime: { $min: '$responseTime' },
-        totalCost: { $sum: '$cost' },
-        avgCostPerCall: { $avg: '$cost' }
+        totalCost: { $sum: NET_COST },
+        avgCostPerCall: { $avg: NET_COST },
+        totalTokens: { $sum: '$tokensUsed.total' },
+        avgTokensPerCall: { $avg: '$tokensUsed.total' }
       }
     },
     { $sort: { totalCalls: -1 } }
   ]);
 };
 
+// Static method for token usage and cost per AI model
+apiCallSchema.statics.getTokenUsageByModel = async function(days = 30) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  
+  return this.aggregate([
+    { $match: { timestamp: { $gte: startDate }, responseStatus: 'success' } },
+    {
+      $group: {
+        _id: '$aiModel',
+        calls: { $sum: 1 },
+        promptTokens: { $sum: '$tokensUsed.prompt' },
+        completionTokens: { $sum: '$tokensUsed.completion' },
+        totalTokens: { $sum: '$tokensUsed.total' },
+        estimatedCalls: {
+          $sum: { $cond: ['$tokensUsed.estimated', 1, 0] }
+        },
+        totalCost: { $sum: NET_COST }
+      }
+    },
+    { $sort: { totalTokens: -1 } }
+  ]);
+};
+
 // Static method for hourly usage patterns
 apiCallSchema.statics.getHourlyUsage = async function(days = 7) {
   const startDate = new Date();
@@ -318,4 +476,9 @@ apiCallSchema.statics.getHourlyUsage = async function(days = 7) {
   ]);
 };
 
-module.exports = mongoose.model('ApiCall', apiCallSchema);
+const ApiCall = mongoose.model('ApiCall', apiCallSchema);
+
+ApiCall.NET_COST = NET_COST;
+ApiCall.FAILED_STATUSES = FAILED_STATUSES;
+
+module.exports = ApiCall;
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+const tokenUsageSchema = {
+  prompt: { type: Number, default: 0 },
+  completion: { type: Number, default: 0 },
+  total: { type: Number, default: 0 }
+};
+
+const batchJobItemSchema = new mongoose.Schema({
+  // Input: a Wikipedia title or custom content
+  title: String,
+  content: String,
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    code: String,
+    candidates: mongoose.Schema.Types.Mixed
+  },
+
+  // Billing
+  cost: { type: Number, default: 0 },
+  cached: { type: Boolean, default: false },
+  tokensUsed: tokenUsageSchema,
+
+  startedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+const batchJobSchema = new mongoose.Schema({
+  // Owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Organization billed when the job finishes, for organization API keys
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  apiCall: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiCall'
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  // Summary options merged with the user's preferences at submission
+  options: mongoose.Schema.Types.Mixed,
+  items: [batchJobItemSchema],
+
+  // Items processed at once, from the plan's limits.batchConcurrency
+  concurrency: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  // Prices are fixed when the job is submitted
+  pricing: {
+    plan: String,
+    total: { type: Number, default: 0 },
+    unitPrice: { type: Number, default: 0 },
+    cacheHitPrice: { type: Number, default: 0 }
+  },
+
+  progress: {
+    total: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    cancelled: { type: Number, default: 0 }
+  },
+
+  // Totals over completed items; only completed items are billed
+  cost: { type: Number, default: 0 },
+  tokensUsed: tokenUsageSchema,
+  billedAt: Date,
+
+  // Worker lease: a running job whose lease expires is picked up again
+  workerId: String,
+  lockedAt: Date,
+
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Worker queue order and per-user listings
+batchJobSchema.index({ status: 1, createdAt: 1 });
+batchJobSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for overall completion percentage
+batchJobSchema.virtual('percentComplete').get(function() {
+  if (!this.progress || !this.progress.total) return 0;
+  const done = this.progress.completed + this.progress.failed + this.progress.cancelled;
+  return Math.round((done / this.progress.total) * 100);
+});
+
+// Instance method to check if the job can still change
+batchJobSchema.methods.isFinished = function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+};
+
+// Static method to atomically claim the oldest runnable job for a worker
+batchJobSchema.statics.claimNext = function(workerId, leaseTimeout) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        // Queued jobs cancelled by their owner are closed by cancelJob instead
+        { status: 'queued', cancelRequested: false },
+        // Jobs left running by a worker that stopped renewing its lease, cancelled or not,
+        // so their completed items are still billed
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - leaseTimeout) } }
+      ]
+    },
+    { $set: { status: 'running', workerId, lockedAt: now } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Static method to list a user's jobs without item payloads
+batchJobSchema.statics.listForUser = function(userId, { status, page = 1, limit = 20 } = {}) {
+  const query = { user: userId };
+  if (status) query.status = status;
+
+  return this.find(query)
+    .select('-items -options')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('BatchJob', batchJobSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// purchase: bought top-up; debit: charge for an API call; refund: charge given back;
+// adjustment: change made by an admin
+const TYPES = ['purchase', 'debit', 'refund', 'adjustment'];
+
+// Ledger entries are never changed or removed once written
+const WRITE_OPERATIONS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+/**
+ * Append-only ledger of an account's prepaid credit balance
+ * The amounts of an account's entries add up to its credits.balance.
+ */
+const creditTransactionSchema = new mongoose.Schema({
+  // Account whose balance changed: the user, or the organization when set
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  // Positive adds credit, negative spends it
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Entries with a reference are written before the balance changes and get this right after
+  balanceAfter: {
+    type: Number,
+    required: function() { return !this.reference; }
+  },
+  description: String,
+
+  apiCall: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiCall'
+  },
+  // External payment reference, e.g. the Stripe Checkout session of a purchase
+  reference: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+creditTransactionSchema.index({ user: 1, organization: 1, createdAt: -1 });
+creditTransactionSchema.index({ organization: 1, createdAt: -1 });
+creditTransactionSchema.index({ apiCall: 1 }, { sparse: true });
+creditTransactionSchema.index({ reference: 1 }, { unique: true, sparse: true });
+
+creditTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Credit transactions are append-only'));
+  }
+  next();
+});
+
+creditTransactionSchema.pre(WRITE_OPERATIONS, function(next) {
+  next(new Error('Credit transactions are append-only'));
+});
+
+// Static method to fill in the balance of an entry written before its balance change
+// The one write allowed to a recorded entry, and only while balanceAfter is unset.
+creditTransactionSchema.statics.recordBalanceAfter = function(id, balanceAfter) {
+  return this.collection.updateOne({ _id: id, balanceAfter: null }, { $set: { balanceAfter } });
+};
+
+// Static method to get what is still held for a call: its debits less the refunds so far
+creditTransactionSchema.statics.getHeldForCall = async function(apiCallId) {
+  const [held] = await this.aggregate([
+    { $match: { apiCall: new mongoose.Types.ObjectId(String(apiCallId)) } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  return held ? -held.amount : 0;
+};
+
+const CreditTransaction = mongoose.model('CreditTransaction', creditTransactionSchema);
+
+CreditTransaction.TYPES = TYPES;
+
+module.exports = CreditTransaction;
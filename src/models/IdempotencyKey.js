@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+
+  // Hash of the method, path and body the key was first used with
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Stored response, replayed for repeats of the request
+  response: {
+    statusCode: Number,
+    body: String
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Claim a key for a request
+ * Returns acquired: false with the existing record when the key is already in use;
+ * expired records and processing records older than lockTimeout are taken over.
+ * @param {Object} request - { user, key, fingerprint, method, path }
+ * @param {Object} options - { ttl, lockTimeout } in ms
+ * @returns {Promise<Object>} { record, acquired }
+ */
+idempotencyKeySchema.statics.acquire = async function(request, { ttl, lockTimeout }) {
+  const now = new Date();
+  const { user, key, fingerprint } = request;
+
+  // The TTL monitor runs about once a minute, so expired keys may still be present
+  await this.deleteOne({ user, key, expiresAt: { $lte: now } });
+
+  try {
+    const record = await this.create({
+      ...request,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + ttl)
+    });
+    return { record, acquired: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const stale = await this.findOneAndUpdate(
+    { user, key, fingerprint, status: 'processing', lockedAt: { $lt: new Date(now.getTime() - lockTimeout) } },
+    { $set: { lockedAt: now } },
+    { new: true }
+  );
+  if (stale) {
+    return { record: stale, acquired: true };
+  }
+
+  return { record: await this.findOne({ user, key }), acquired: false };
+};
+
+// Method to store the response for replay
+idempotencyKeySchema.methods.complete = function(statusCode, body) {
+  this.status = 'completed';
+  this.response = { statusCode, body: JSON.stringify(body) };
+  return this.save();
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
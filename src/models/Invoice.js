@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/money');
+
+const LINE_TYPES = ['plan', 'usage', 'credit'];
+
+const lineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LINE_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  // Usage lines are grouped by endpoint and model
+  endpoint: String,
+  aiModel: String,
+  // Requests recorded, and summaries billed by them (batch requests bill several)
+  requests: { type: Number, default: 0 },
+  quantity: { type: Number, default: 1 },
+  unitPrice: { type: Number, default: 0 },
+  // Before volume and cache discounts
+  listAmount: { type: Number, default: 0 },
+  // Charged; negative for credits
+  amount: { type: Number, required: true }
+}, { _id: false });
+
+/**
+ * Itemized bill for one account and calendar month
+ * The ApiCalls it bills point back to it through ApiCall.invoice.
+ */
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Billed account: the user, or the organization when set
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  plan: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+
+  lines: [lineSchema],
+
+  // Plan fee plus usage at list price
+  subtotal: { type: Number, default: 0 },
+  discount: { type: Number, default: 0 },
+  credits: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+
+  issuedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// One invoice per account and period
+invoiceSchema.index({ user: 1, organization: 1, periodStart: 1 }, { unique: true });
+invoiceSchema.index({ organization: 1, periodStart: -1 });
+
+// Instance method to derive the totals from the lines
+invoiceSchema.methods.calculateTotals = function() {
+  let subtotal = 0;
+  let charged = 0;
+  let credits = 0;
+
+  this.lines.forEach(line => {
+    if (line.type === 'credit') {
+      credits -= line.amount;
+    } else {
+      subtotal += line.type === 'usage' ? line.listAmount : line.amount;
+      charged += line.amount;
+    }
+  });
+
+  this.subtotal = roundAmount(subtotal);
+  this.discount = roundAmount(Math.max(subtotal - charged, 0));
+  this.credits = roundAmount(credits);
+  this.total = roundAmount(Math.max(charged - credits, 0));
+  return this;
+};
+
+// Static method to build a readable invoice number, e.g. INV-202610-3F9A1C
+invoiceSchema.statics.buildNumber = function(id, periodStart) {
+  const month = `${periodStart.getUTCFullYear()}${String(periodStart.getUTCMonth() + 1).padStart(2, '0')}`;
+  return `INV-${month}-${String(id).slice(-6).toUpperCase()}`;
+};
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+Invoice.LINE_TYPES = LINE_TYPES;
+
+module.exports = Invoice;
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+
+// Member roles, from most to least privileged
+// owner: everything; admin: members and invitations; billing: subscription and usage; member: API use
+const ROLES = ['owner', 'admin', 'billing', 'member'];
+
+// Roles that can make API calls billed to the organization
+const API_ROLES = ['owner', 'admin', 'member'];
+
+// Roles that can manage members and invitations
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Roles that can manage the subscription
+const BILLING_ROLES = ['owner', 'billing'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member'
+  },
+  // Calls this member may make per month out of the pooled quota; null for no sub-limit
+  monthlyLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  usage: {
+    totalCalls: { type: Number, default: 0 },
+    monthlyCalls: { type: Number, default: 0 },
+    totalSpent: { type: Number, default: 0 }
+  },
+  joinedAt: { type: Date, default: Date.now }
+});
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+
+  members: [memberSchema],
+  invitations: [invitationSchema],
+
+  // Pooled usage of all members; same shape as User.usage
+  usage: {
+    totalCalls: { type: Number, default: 0 },
+    monthlyReset: { type: Date, default: Date.now },
+    monthlyCalls: { type: Number, default: 0 },
+    lastCallAt: { type: Date }
+  },
+
+  // Same shape as User.subscription
+  subscription: {
+    plan: {
+      type: String,
+      enum: ['free', 'basic', 'premium', 'enterprise'],
+      default: 'free'
+    },
+    status: {
+      type: String,
+      enum: ['active', 'past_due', 'canceled', 'incomplete'],
+      default: 'active'
+    },
+    currentPeriodStart: { type: Date, default: Date.now },
+    currentPeriodEnd: { type: Date },
+    stripeCustomerId: { type: String },
+    stripeSubscriptionId: { type: String }
+  },
+
+  totalSpent: { type: Number, default: 0 },
+
+  // Same shape as User.credits
+  credits: {
+    balance: { type: Number, default: 0 },
+    lowBalanceThreshold: { type: Number, min: 0, default: null },
+    // Payment references recently added to the balance, so each is added once
+    appliedReferences: { type: [String], default: undefined, select: false }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.email': 1 });
+organizationSchema.index({ 'subscription.stripeCustomerId': 1 });
+
+// Virtual for monthly usage reset check
+organizationSchema.virtual('shouldResetMonthlyUsage').get(function() {
+  const resetDate = new Date(this.usage.monthlyReset);
+  resetDate.setMonth(resetDate.getMonth() + 1);
+  return new Date() >= resetDate;
+});
+
+// Find a member entry by user ID
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.user.equals(userId)) || null;
+};
+
+// Whether a user is a member with one of the given roles
+organizationSchema.methods.hasRole = function(userId, roles) {
+  const member = this.getMember(userId);
+  return !!member && roles.includes(member.role);
+};
+
+// Pending invitations that have not expired
+organizationSchema.methods.getPendingInvitations = function() {
+  return this.invitations.filter(invitation => invitation.expiresAt > Date.now());
+};
+
+// Reset the pooled and per-member monthly counters once a month
+organizationSchema.methods.checkMonthlyReset = function() {
+  if (this.shouldResetMonthlyUsage) {
+    this.usage.monthlyCalls = 0;
+    this.usage.monthlyReset = new Date();
+    this.members.forEach(member => {
+      member.usage.monthlyCalls = 0;
+    });
+    return this.save({ validateBeforeSave: false });
+  }
+  return Promise.resolve(this);
+};
+
+// Get usage limits based on the organization's plan
+organizationSchema.methods.getUsageLimits = function() {
+  return User.PLAN_USAGE_LIMITS[this.subscription.plan] || User.PLAN_USAGE_LIMITS.free;
+};
+
+// Check the pooled quota and, when given a member, their sub-limit
+organizationSchema.methods.canMakeApiCall = function(userId = null) {
+  if (this.usage.monthlyCalls >= this.getUsageLimits().monthly) {
+    return false;
+  }
+
+  const member = userId && this.getMember(userId);
+  return !member || member.monthlyLimit === null || member.usage.monthlyCalls < member.monthlyLimit;
+};
+
+// Charge calls to the pool and to the member who made them
+// Counters are incremented atomically since members share them
+organizationSchema.methods.incrementUsage = function(cost = 0, calls = 1, userId = null) {
+  const filter = { _id: this._id };
+  const inc = {
+    'usage.totalCalls': calls,
+    'usage.monthlyCalls': calls,
+    totalSpent: cost
+  };
+
+  this.usage.totalCalls += calls;
+  this.usage.monthlyCalls += calls;
+  this.usage.lastCallAt = new Date();
+  this.totalSpent += cost;
+
+  const member = userId && this.getMember(userId);
+  if (member) {
+    filter['members.user'] = member.user;
+    inc['members.$.usage.totalCalls'] = calls;
+    inc['members.$.usage.monthlyCalls'] = calls;
+    inc['members.$.usage.totalSpent'] = cost;
+
+    member.usage.totalCalls += calls;
+    member.usage.monthlyCalls += calls;
+    member.usage.totalSpent += cost;
+  }
+
+  return this.constructor.updateOne(filter, {
+    $inc: inc,
+    $set: { 'usage.lastCallAt': this.usage.lastCallAt }
+  });
+};
+
+// Take back the usage of a call that was refunded, from the member who made it too
+organizationSchema.methods.decrementUsage = function(cost = 0, calls = 1, userId = null) {
+  const filter = { _id: this._id };
+  const inc = {
+    'usage.totalCalls': -calls,
+    'usage.monthlyCalls': -calls,
+    totalSpent: -cost
+  };
+
+  const member = userId && this.getMember(userId);
+  if (member) {
+    filter['members.user'] = member.user;
+    inc['members.$.usage.totalCalls'] = -calls;
+    inc['members.$.usage.monthlyCalls'] = -calls;
+    inc['members.$.usage.totalSpent'] = -cost;
+  }
+
+  return this.constructor.updateOne(filter, { $inc: inc });
+};
+
+// Static method to list the organizations a user belongs to
+organizationSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user': userId }).sort({ name: 1 });
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+Organization.ROLES = ROLES;
+Organization.API_ROLES = API_ROLES;
+Organization.MANAGER_ROLES = MANAGER_ROLES;
+Organization.BILLING_ROLES = BILLING_ROLES;
+
+module.exports = Organization;
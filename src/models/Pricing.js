@@ -1,4 +1,55 @@
 const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/money');
+
+// tiered: every call of a request costs the price of the bracket the month's volume reaches;
+// graduated: each call costs the price of the bracket it falls in
+const VOLUME_PRICING_MODES = ['tiered', 'graduated'];
+
+// A price bracket ends at its upTo-th call of the month; the last one has no end
+const bracketSchema = new mongoose.Schema({
+  upTo: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  pricePerCall: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+/**
+ * Whether brackets are in ascending order with only the last one unbounded
+ * @param {Array} brackets - Price brackets
+ * @returns {boolean} True when valid
+ */
+function validateBrackets(brackets) {
+  return brackets.every((bracket, index) => {
+    if (index === brackets.length - 1) {
+      return bracket.upTo === null || bracket.upTo === undefined;
+    }
+    return Number.isInteger(bracket.upTo) && (index === 0 || bracket.upTo > brackets[index - 1].upTo);
+  });
+}
+
+/**
+ * Brackets with the volume discounts plans had before they were configurable, which
+ * applied once more than 1,000 (or 10,000) calls had been made that month:
+ * 5% off from the 1,002nd call of the month and 10% off from the 10,002nd
+ * @param {number} pricePerCall - Plan's per-call price
+ * @returns {Object} volumePricing
+ */
+function defaultVolumePricing(pricePerCall) {
+  return {
+    mode: 'graduated',
+    brackets: [
+      { upTo: 1001, pricePerCall },
+      { upTo: 10001, pricePerCall: roundAmount(pricePerCall * 0.95) },
+      { upTo: null, pricePerCall: roundAmount(pricePerCall * 0.9) }
+    ]
+  };
+}
 
 const pricingSchema = new mongoose.Schema({
   // Plan Information
@@ -38,6 +89,29 @@ const pricingSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Fraction of the per-call price waived when a summary is served from cache
+  cacheHitDiscount: {
+    type: Number,
+    default: 0.5,
+    min: 0,
+    max: 1
+  },
+  
+  // Volume pricing over the calls made in the month; without brackets every call costs pricePerCall
+  volumePricing: {
+    mode: {
+      type: String,
+      enum: VOLUME_PRICING_MODES,
+      default: 'graduated'
+    },
+    brackets: {
+      type: [bracketSchema],
+      validate: {
+        validator: validateBrackets,
+        message: 'Price brackets must be in ascending order of upTo, with only the last one unbounded'
+      }
+    }
+  },
   
   // Usage Limits
   limits: {
@@ -70,6 +144,18 @@ const pricingSchema = new mongoose.Schema({
       type: Number,
       default: 1,
       min: 1
+    },
+    // Asynchronous batch jobs (POST /api/summary/jobs)
+    batchJobSize: {
+      type: Number,
+      default: 100,
+      min: 1
+    },
+    batchConcurrency: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 16
     }
   },
   
@@ -244,19 +330,73 @@ pricingSchema.methods.hasFeature = function(featureName) {
   return this.features[featureName] === true;
 };
 
-// Instance method to get effective price based on volume
-pricingSchema.methods.getEffectivePrice = function(callCount) {
-  // Volume discounts could be implemented here
-  let effectivePrice = this.pricePerCall;
-  
-  // Example volume discounts
-  if (callCount > 10000) {
-    effectivePrice *= 0.9; // 10% discount for >10k calls
-  } else if (callCount > 1000) {
-    effectivePrice *= 0.95; // 5% discount for >1k calls
+// Instance method to check if calls are paid from prepaid credits
+pricingSchema.methods.isPrepaid = function() {
+  return this.billing?.cycle === 'pay_per_use';
+};
+
+// Instance method to get the price multiplier of an AI model (1 for models not listed)
+pricingSchema.methods.getModelMultiplier = function(model) {
+  const entry = model && (this.allowedModels || []).find(candidate => candidate.name === model);
+  return entry ? entry.costMultiplier : 1;
+};
+
+// Instance method to price a number of calls following those already made this month
+pricingSchema.methods.quote = function(calls, { startingAt = 0, model } = {}) {
+  // Plans without brackets keep the volume discounts they had before brackets were configurable
+  const volumePricing = this.volumePricing?.brackets?.length
+    ? this.volumePricing
+    : defaultVolumePricing(this.pricePerCall);
+  const mode = volumePricing.mode || 'graduated';
+  const brackets = volumePricing.brackets;
+  const modelMultiplier = this.getModelMultiplier(model);
+  const first = startingAt + 1;
+  const last = startingAt + calls;
+
+  const lines = [];
+  let from = 1;
+  for (const [index, bracket] of brackets.entries()) {
+    const to = index === brackets.length - 1 ? Infinity : bracket.upTo;
+    const pricePerCall = roundAmount(bracket.pricePerCall * modelMultiplier);
+    const range = { from, to: to === Infinity ? null : to };
+
+    if (mode === 'tiered') {
+      // The whole request is priced at the bracket of its last call
+      if (last <= to) {
+        lines.push({ ...range, calls, pricePerCall, amount: roundAmount(calls * pricePerCall) });
+        break;
+      }
+    } else {
+      const count = Math.min(last, to) - Math.max(first, from) + 1;
+      if (count > 0) {
+        lines.push({ ...range, calls: count, pricePerCall, amount: roundAmount(count * pricePerCall) });
+      }
+      if (last <= to) break;
+    }
+    from = to + 1;
   }
-  
-  return effectivePrice;
+
+  const total = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+  return {
+    calls,
+    startingAt,
+    mode,
+    model: model || null,
+    modelMultiplier,
+    unitPrice: calls > 0 ? roundAmount(total / calls) : 0,
+    total,
+    brackets: lines
+  };
+};
+
+// Instance method to get the average price per call of a request, given the calls made this month
+pricingSchema.methods.getEffectivePrice = function(callCount, { calls = 1, model } = {}) {
+  return this.quote(calls, { startingAt: callCount, model }).unitPrice;
+};
+
+// Instance method to get the price of a call served from the summary cache
+pricingSchema.methods.getCacheHitPrice = function(callCount, options) {
+  return this.getEffectivePrice(callCount, options) * (1 - this.cacheHitDiscount);
 };
 
 // Instance method to check if usage is within limits
@@ -294,4 +434,9 @@ pricingSchema.statics.comparePlans = function(planNames) {
   }).sort({ sortOrder: 1 });
 };
 
-module.exports = mongoose.model('Pricing', pricingSchema);
+const Pricing = mongoose.model('Pricing', pricingSchema);
+
+Pricing.VOLUME_PRICING_MODES = VOLUME_PRICING_MODES;
+Pricing.defaultVolumePricing = defaultVolumePricing;
+
+module.exports = Pricing;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Revocation list for access tokens, by token ID (jti) or by session (sid)
+ * Entries only need to outlive the access tokens they cover.
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    index: true,
+    sparse: true
+  },
+  reason: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check a decoded access token against the list
+revokedTokenSchema.statics.isRevoked = async function({ jti, sid }) {
+  const conditions = [];
+  if (jti) conditions.push({ jti });
+  if (sid) conditions.push({ session: sid });
+  if (conditions.length === 0) return false;
+
+  return !!(await this.exists({ $or: conditions, expiresAt: { $gt: new Date() } }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
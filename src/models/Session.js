@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in session: one refresh token family, rotated on every refresh
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Hash of the current refresh token, and of the ones it replaced (for reuse detection)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    index: true
+  },
+
+  ipAddress: String,
+  userAgent: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Whether sign-in included a second factor; carried into every access token
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+
+  // Latest expiry of an access token issued for the session
+  accessTokenExpiresAt: Date,
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'revoked', 'password_reset']
+  },
+
+  // Refresh tokens expire after this; the session document is removed then
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be refreshed
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to list a user's sessions that can still be refreshed
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Known settings and their values until an admin changes them
+const DEFAULTS = {
+  // Admins must sign in with 2FA to use the admin API
+  requireAdminTwoFactor: process.env.REQUIRE_ADMIN_2FA === 'true'
+};
+
+/**
+ * Service-wide settings that admins can change at runtime, one document per key
+ */
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to its default when it was never set
+settingSchema.statics.getValue = async function(key) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : DEFAULTS[key];
+};
+
+// Static method to read every known setting
+settingSchema.statics.getAll = async function() {
+  const stored = await this.find({ key: { $in: Object.keys(DEFAULTS) } }).lean();
+  return stored.reduce((settings, setting) => ({ ...settings, [setting.key]: setting.value }), { ...DEFAULTS });
+};
+
+// Static method to create or replace a setting
+settingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+Setting.DEFAULTS = DEFAULTS;
+
+module.exports = Setting;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Longest source text kept with a summary
+const MAX_SOURCE_EXTRACT_LENGTH = 10000;
+
+const summarySchema = new mongoose.Schema({
+  // Owner and the call that generated the summary
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  apiCall: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiCall',
+    index: true
+  },
+
+  source: {
+    type: String,
+    enum: ['wikipedia', 'custom'],
+    required: true
+  },
+  title: String,
+  summary: {
+    type: String,
+    required: true
+  },
+  sections: [{
+    _id: false,
+    title: String,
+    summary: String
+  }],
+
+  // Wikipedia lead, or the start of the custom content
+  sourceExtract: String,
+  sourceUrl: String,
+  sourceLanguage: String,
+  revisionId: Number,
+
+  options: {
+    style: String,
+    length: String,
+    language: String,
+    audience: String,
+    includeKeyPoints: Boolean,
+    sections: [String],
+    tags: [String]
+  },
+
+  model: String,
+  wordCount: Number,
+  cached: {
+    type: Boolean,
+    default: false
+  },
+  tokensUsed: {
+    prompt: { type: Number, default: 0 },
+    completion: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+summarySchema.index({ user: 1, createdAt: -1 });
+summarySchema.index(
+  { user: 1, title: 'text', summary: 'text' },
+  { name: 'user_summary_text', weights: { title: 5, summary: 2 } }
+);
+
+// Static method to store a generated summary for its owner
+summarySchema.statics.createFromResult = function({ user, apiCall, result, content, options = {} }) {
+  const metadata = result.metadata || {};
+  const source = result.sourceUrl ? 'wikipedia' : 'custom';
+  const extract = source === 'wikipedia' ? result.originalExtract : (content || result.originalContent);
+
+  return this.create({
+    user,
+    apiCall,
+    source,
+    title: result.title,
+    summary: result.summary,
+    sections: (result.sections || []).map(section => ({ title: section.title, summary: section.summary })),
+    sourceExtract: extract ? extract.substring(0, MAX_SOURCE_EXTRACT_LENGTH) : undefined,
+    sourceUrl: result.sourceUrl,
+    sourceLanguage: metadata.sourceLanguage,
+    revisionId: metadata.revisionId,
+    options: {
+      style: metadata.summaryStyle,
+      length: metadata.summaryLength,
+      language: metadata.language,
+      audience: options.audience,
+      includeKeyPoints: options.includeKeyPoints,
+      sections: options.sections,
+      tags: options.tags
+    },
+    model: metadata.model,
+    wordCount: metadata.wordCount,
+    cached: !!metadata.cached,
+    tokensUsed: metadata.tokensUsed
+  });
+};
+
+module.exports = mongoose.model('Summary', summarySchema);
@@ -2,6 +2,92 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { verifyTotp } = require('../utils/totp');
+
+// Scopes an API key can carry; JWT sessions have all of them
+const API_KEY_SCOPES = ['summary:write', 'history:read', 'admin'];
+const DEFAULT_API_KEY_SCOPES = ['summary:write', 'history:read'];
+
+// Minimum time between lastUsedAt updates for a key
+const API_KEY_USAGE_INTERVAL = 60 * 1000;
+
+// Leading characters of a key stored in the clear for lookup and display ("wsg_" + 8 hex)
+const API_KEY_PREFIX_LENGTH = 12;
+
+// Call limits per subscription plan (shared with organizations)
+const PLAN_USAGE_LIMITS = {
+  free: { monthly: 100, daily: 10 },
+  basic: { monthly: 1000, daily: 100 },
+  premium: { monthly: 10000, daily: 1000 },
+  enterprise: { monthly: 100000, daily: 10000 }
+};
+
+// One-time codes for signing in without the authenticator app
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared without dashes, spaces or case
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'API key name cannot exceed 50 characters']
+  },
+  // Only a hash of the key is stored; the full key is shown once when created
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  // Calls made with an organization key are billed to the organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: () => [...DEFAULT_API_KEY_SCOPES]
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  rotatedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Virtual for key expiry
+apiKeySchema.virtual('isExpired').get(function() {
+  return !!(this.expiresAt && this.expiresAt <= Date.now());
+});
+
+// Shortened key for listings
+apiKeySchema.virtual('preview').get(function() {
+  return this.prefix ? `${this.prefix}…` : undefined;
+});
+
+// Method to set a new secret, returning the full key
+apiKeySchema.methods.assignKey = function() {
+  const apiKey = 'wsg_' + crypto.randomBytes(32).toString('hex');
+  this.prefix = apiKey.substring(0, API_KEY_PREFIX_LENGTH);
+  this.keyHash = hashApiKey(apiKey);
+  return apiKey;
+};
+
+// Method to compare a presented key with the stored hash in constant time
+apiKeySchema.methods.matches = function(apiKey) {
+  const presented = Buffer.from(hashApiKey(apiKey), 'hex');
+  const stored = Buffer.from(this.keyHash || '', 'hex');
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -49,11 +135,7 @@ const userSchema = new mongoose.Schema({
   },
   
   // API Management
-  apiKey: { 
-    type: String, 
-    unique: true,
-    sparse: true // Allow null values but unique when present
-  },
+  apiKeys: [apiKeySchema],
   
   // Usage Tracking
   usage: {
@@ -83,6 +165,15 @@ const userSchema = new mongoose.Schema({
   
   earnings: { type: Number, default: 0 },
   totalSpent: { type: Number, default: 0 },
+
+  // Prepaid credits for pay-per-use plans; only changed through the credit ledger
+  credits: {
+    balance: { type: Number, default: 0 },
+    // Warn when the balance drops below this; null uses the service default
+    lowBalanceThreshold: { type: Number, min: 0, default: null },
+    // Payment references recently added to the balance, so each is added once
+    appliedReferences: { type: [String], default: undefined, select: false }
+  },
   
   // Security
   emailVerified: { type: Boolean, default: false },
@@ -93,10 +184,17 @@ const userSchema = new mongoose.Schema({
   passwordResetExpires: { type: Date },
   
   twoFactorEnabled: { type: Boolean, default: false },
-  twoFactorSecret: { type: String },
+  twoFactorEnabledAt: { type: Date },
+  // Base32 TOTP secret; set during enrollment, active once twoFactorEnabled
+  twoFactorSecret: { type: String, select: false },
+  // Last accepted time step, so a code cannot be used twice
+  twoFactorLastStep: { type: Number, select: false },
+  twoFactorRecoveryCodes: { type: [String], select: false },
   
   // Login tracking
   lastLogin: { type: Date },
+  // Access tokens issued before this are rejected ("log out everywhere")
+  tokensValidAfter: { type: Date },
   loginAttempts: { type: Number, default: 0 },
   lockUntil: { type: Date },
   
@@ -139,7 +237,7 @@ const userSchema = new mongoose.Schema({
 
 // Indexes for performance
 userSchema.index({ email: 1 });
-userSchema.index({ apiKey: 1 });
+userSchema.index({ 'apiKeys.prefix': 1 });
 userSchema.index({ 'subscription.stripeCustomerId': 1 });
 userSchema.index({ role: 1, status: 1 });
 userSchema.index({ createdAt: 1 });
@@ -182,24 +280,97 @@ userSchema.pre('save', async function(next) {
   }
 });
 
-// Generate API key
-userSchema.methods.generateApiKey = function() {
-  const apiKey = 'wsg_' + crypto.randomBytes(32).toString('hex');
-  this.apiKey = apiKey;
+// Generate a named API key; the new entry is the last of apiKeys
+userSchema.methods.generateApiKey = function(name = 'Default', scopes = DEFAULT_API_KEY_SCOPES, expiresAt = null, organization = null) {
+  this.apiKeys.push({ name, scopes, expiresAt, organization });
+  return this.apiKeys[this.apiKeys.length - 1].assignKey();
+};
+
+// Replace the secret of one of the user's API keys, keeping its name, scopes and expiry
+userSchema.methods.rotateApiKey = function(keyId) {
+  const entry = this.apiKeys.id(keyId);
+  if (!entry) return null;
+
+  const apiKey = entry.assignKey();
+  entry.rotatedAt = new Date();
+  entry.lastUsedAt = undefined;
+  entry.lastUsedIp = undefined;
   return apiKey;
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Find the entry for a presented API key
+userSchema.methods.findApiKey = function(apiKey) {
+  const prefix = apiKey.substring(0, API_KEY_PREFIX_LENGTH);
+  return this.apiKeys.find(candidate => candidate.prefix === prefix && candidate.matches(apiKey)) || null;
+};
+
+// Record when and from where a key was last used, at most once per interval
+userSchema.methods.recordApiKeyUse = function(entry, ip) {
+  if (entry.lastUsedAt && Date.now() - entry.lastUsedAt < API_KEY_USAGE_INTERVAL) {
+    return Promise.resolve();
+  }
+
+  entry.lastUsedAt = new Date();
+  entry.lastUsedIp = ip;
+  return this.constructor.updateOne(
+    { _id: this._id, 'apiKeys._id': entry._id },
+    { $set: { 'apiKeys.$.lastUsedAt': entry.lastUsedAt, 'apiKeys.$.lastUsedIp': ip } }
+  );
+};
+
+// Generate a short-lived JWT access token, tied to a session when given
+userSchema.methods.generateAuthToken = function(sessionId = null, { mfa = false } = {}) {
   const payload = {
     id: this._id,
     email: this.email,
     role: this.role
   };
+  if (sessionId) {
+    payload.sid = String(sessionId);
+  }
+  if (mfa) {
+    payload.mfa = true;
+  }
   
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    jwtid: crypto.randomBytes(16).toString('hex')
+  });
+};
+
+// Replace the recovery codes; returns the new codes, which are only stored hashed
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
   });
+
+  this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Check an authenticator code or recovery code (needs the select: false 2FA fields)
+// Returns 'totp' or 'recovery' on success, null otherwise; the caller saves the user
+userSchema.methods.verifySecondFactor = function(code) {
+  if (!this.twoFactorSecret || !code) return null;
+
+  const step = verifyTotp(this.twoFactorSecret, code);
+  if (step !== null) {
+    if (this.twoFactorLastStep !== undefined && step <= this.twoFactorLastStep) {
+      return null;
+    }
+    this.twoFactorLastStep = step;
+    return 'totp';
+  }
+
+  const hash = hashRecoveryCode(code);
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hash);
+  if (index !== -1) {
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
 };
 
 // Compare password
@@ -269,14 +440,7 @@ userSchema.methods.checkMonthlyReset = function() {
 
 // Get usage limits based on subscription plan
 userSchema.methods.getUsageLimits = function() {
-  const limits = {
-    free: { monthly: 100, daily: 10 },
-    basic: { monthly: 1000, daily: 100 },
-    premium: { monthly: 10000, daily: 1000 },
-    enterprise: { monthly: 100000, daily: 10000 }
-  };
-  
-  return limits[this.subscription.plan] || limits.free;
+  return PLAN_USAGE_LIMITS[this.subscription.plan] || PLAN_USAGE_LIMITS.free;
 };
 
 // Check if user can make API call
@@ -285,20 +449,37 @@ userSchema.methods.canMakeApiCall = function() {
   return this.usage.monthlyCalls < limits.monthly;
 };
 
-// Increment usage
-userSchema.methods.incrementUsage = function(cost = 0) {
-  this.usage.totalCalls += 1;
-  this.usage.monthlyCalls += 1;
+// Increment usage (calls > 1 for batch jobs billed per item)
+userSchema.methods.incrementUsage = function(cost = 0, calls = 1) {
+  this.usage.totalCalls += calls;
+  this.usage.monthlyCalls += calls;
   this.usage.lastCallAt = new Date();
   this.totalSpent += cost;
   return this.save({ validateBeforeSave: false });
 };
 
+// Take back the usage of a call that was refunded
+userSchema.methods.decrementUsage = function(cost = 0, calls = 1) {
+  this.usage.totalCalls = Math.max(this.usage.totalCalls - calls, 0);
+  this.usage.monthlyCalls = Math.max(this.usage.monthlyCalls - calls, 0);
+  this.totalSpent = Math.max(this.totalSpent - cost, 0);
+  return this.save({ validateBeforeSave: false });
+};
+
 // Static method to find by API key
-userSchema.statics.findByApiKey = function(apiKey) {
-  return this.findOne({ apiKey, status: 'active' });
+// Keys are looked up by their stored prefix, then checked against the hash
+userSchema.statics.findByApiKey = async function(apiKey) {
+  const candidates = await this.find({
+    'apiKeys.prefix': apiKey.substring(0, API_KEY_PREFIX_LENGTH),
+    status: 'active'
+  });
+  return candidates.find(user => user.findApiKey(apiKey)) || null;
 };
 
+// Static helpers for code that stores keys outside a document (migrations)
+userSchema.statics.hashApiKey = hashApiKey;
+userSchema.statics.apiKeyPrefix = (apiKey) => apiKey.substring(0, API_KEY_PREFIX_LENGTH);
+
 // Static method to find by email verification token
 userSchema.statics.findByEmailVerificationToken = function(token) {
   const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
@@ -317,4 +498,10 @@ userSchema.statics.findByPasswordResetToken = function(token) {
   });
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+
+User.API_KEY_SCOPES = API_KEY_SCOPES;
+User.DEFAULT_API_KEY_SCOPES = DEFAULT_API_KEY_SCOPES;
+User.PLAN_USAGE_LIMITS = PLAN_USAGE_LIMITS;
+
+module.exports = User;
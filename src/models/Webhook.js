@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'summary.completed',
+  'batch_job.finished',
+  'usage.threshold_crossed',
+  'plan.changed',
+  'credits.low_balance'
+];
+
+const webhookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+
+  // Signing secret; only returned when the webhook is created or the secret is rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Delivery health
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Lookup of subscribers when an event is emitted
+webhookSchema.index({ user: 1, isActive: 1, events: 1 });
+
+// Generate a new signing secret
+webhookSchema.methods.generateSecret = function() {
+  const secret = 'whsec_' + crypto.randomBytes(24).toString('hex');
+  this.secret = secret;
+  return secret;
+};
+
+// Static method to find a user's active webhooks subscribed to an event
+webhookSchema.statics.findSubscribers = function(userId, event) {
+  return this.find({ user: userId, isActive: true, events: event }).select('+secret');
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
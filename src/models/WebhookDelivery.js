@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Deliveries are kept for 30 days
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const deliveryAttemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  // Only the status is kept; response bodies of internal services must not reach callers
+  responseStatus: Number,
+  duration: Number,
+  error: String
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  event: {
+    type: String,
+    required: true
+  },
+  // Same for redeliveries of one event, so receivers can deduplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Exact body sent to the receiver
+  payload: mongoose.Schema.Types.Mixed,
+
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [deliveryAttemptSchema],
+  // When a pending delivery is next due; also leases it to the sender while an attempt runs
+  nextAttemptAt: Date,
+  deliveredAt: Date,
+
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_SECONDS });
+
+// Static method to atomically claim a due delivery, leasing it for leaseTime ms
+webhookDeliverySchema.statics.claimDue = function(leaseTime) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + leaseTime) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -4,9 +4,11 @@ const adminController = require('../controllers/adminController');
 const auth = require('../middleware/auth');
 const authorize = require('../middleware/authorize');
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication and admin role (and the admin scope for API keys)
 router.use(auth);
 router.use(authorize(['admin']));
+router.use(auth.requireScope('admin'));
+router.use(auth.requireAdminTwoFactor);
 
 // Analytics and statistics
 router.get('/usage', adminController.usageStats);
@@ -16,5 +18,14 @@ router.get('/health', adminController.health);
 // User management
 router.get('/users', adminController.getUsers);
 router.put('/users/:userId', adminController.updateUser);
+router.post('/users/:userId/credits', adminController.adjustCredits);
+
+// Service settings
+router.get('/settings', adminController.getSettings);
+router.put('/settings', adminController.updateSettings);
+
+// Billing
+router.put('/pricing/:plan', adminController.updatePricing);
+router.post('/invoices/generate', adminController.generateInvoices);
 
 module.exports = router;
@@ -1,18 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const apiKeyController = require('../controllers/apiKeyController');
+const twoFactorController = require('../controllers/twoFactorController');
 const auth = require('../middleware/auth');
 
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/login/2fa', authController.loginTwoFactor);
 router.post('/verify-email', authController.verifyEmail);
 router.post('/forgot-password', authController.forgotPassword);
 router.post('/reset-password', authController.resetPassword);
+router.post('/refresh', authController.refreshToken);
 
 // Protected routes
-router.post('/refresh', auth, authController.refreshToken);
 router.post('/logout', auth, authController.logout);
 router.get('/me', auth, authController.getProfile);
 
+// Session management (signed-in sessions only)
+router.post('/logout-all', auth, auth.sessionOnly, authController.logoutAll);
+router.get('/sessions', auth, auth.sessionOnly, authController.listSessions);
+router.delete('/sessions/:id', auth, auth.sessionOnly, authController.revokeSession);
+
+// Two-factor authentication (signed-in sessions only)
+router.get('/2fa', auth, auth.sessionOnly, twoFactorController.getStatus);
+router.post('/2fa/setup', auth, auth.sessionOnly, twoFactorController.setup);
+router.post('/2fa/verify', auth, auth.sessionOnly, twoFactorController.verify);
+router.post('/2fa/disable', auth, auth.sessionOnly, twoFactorController.disable);
+router.post('/2fa/recovery-codes', auth, auth.sessionOnly, twoFactorController.regenerateRecoveryCodes);
+
+// API key management (signed-in sessions only)
+router.get('/keys', auth, auth.sessionOnly, apiKeyController.listKeys);
+router.post('/keys', auth, auth.sessionOnly, apiKeyController.createKey);
+router.put('/keys/:id', auth, auth.sessionOnly, apiKeyController.updateKey);
+router.post('/keys/:id/rotate', auth, auth.sessionOnly, apiKeyController.rotateKey);
+router.delete('/keys/:id', auth, auth.sessionOnly, apiKeyController.revokeKey);
+
 module.exports = router;
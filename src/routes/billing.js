@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const billingController = require('../controllers/billingController');
+const auth = require('../middleware/auth');
+
+// Stripe calls this directly; the app mounts a raw body parser for it so the signature can be checked
+router.post('/webhook', billingController.handleWebhook);
+
+// Price quotes are public so prospective customers can compare plans
+router.get('/quote', billingController.getQuote);
+
+// Subscriptions are managed from signed-in sessions only
+router.use(auth);
+router.use(auth.sessionOnly);
+
+router.get('/subscription', billingController.getSubscription);
+router.post('/checkout', billingController.createCheckout);
+router.post('/portal', billingController.createPortal);
+
+// Prepaid credits
+router.get('/credits', billingController.getCredits);
+router.put('/credits', billingController.updateCredits);
+router.get('/credits/transactions', billingController.listCreditTransactions);
+router.post('/credits/checkout', billingController.createCreditCheckout);
+
+// Invoices
+router.get('/invoices', billingController.listInvoices);
+router.get('/invoices/:id', billingController.getInvoice);
+router.get('/invoices/:id/download', billingController.downloadInvoice);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const config = require('../config/config');
 const { checkAIServiceHealth } = require('../services/wikipediaService');
+const { getCacheStatus } = require('../services/cacheService');
+const { getCircuitBreakerStatus } = require('../utils/circuitBreaker');
 const logger = require('../utils/logger');
 
 /**
@@ -53,6 +56,12 @@ router.get('/detailed', async (req, res) => {
       };
     }
 
+    // Upstream circuit breakers; an open circuit means requests to it fail fast
+    healthCheck.circuitBreakers = getCircuitBreakerStatus();
+
+    // Summary cache (falls back to memory, so it never degrades health)
+    healthCheck.services.cache = await getCacheStatus();
+
     // Check memory usage
     const memUsage = process.memoryUsage();
     healthCheck.system = {
@@ -70,7 +79,10 @@ router.get('/detailed', async (req, res) => {
     const servicesHealthy = Object.values(healthCheck.services)
       .every(service => service.status === 'healthy');
     
-    if (!servicesHealthy) {
+    const circuitsClosed = healthCheck.circuitBreakers
+      .every(breaker => breaker.state === 'closed');
+
+    if (!servicesHealthy || !circuitsClosed) {
       healthCheck.status = 'degraded';
     }
 
@@ -99,7 +111,7 @@ router.get('/ready', async (req, res) => {
     checks.push(mongoose.connection.readyState === 1);
 
     // Environment variables check
-    checks.push(!!process.env.GITHUB_TOKEN);
+    checks.push(config.ai.provider === 'fake' || !!config.ai.apiKey);
     checks.push(!!process.env.JWT_SECRET);
 
     const ready = checks.every(check => check === true);
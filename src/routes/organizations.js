@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const auth = require('../middleware/auth');
+
+// Organizations are managed from signed-in sessions only
+router.use(auth);
+router.use(auth.sessionOnly);
+
+// Invitations addressed to the current user
+router.get('/invitations', organizationController.listMyInvitations);
+router.post('/invitations/:invitationId/accept', organizationController.acceptInvitation);
+router.post('/invitations/:invitationId/decline', organizationController.declineInvitation);
+
+// Organization endpoints
+router.post('/', organizationController.createOrganization);
+router.get('/', organizationController.listOrganizations);
+router.get('/:id', organizationController.getOrganization);
+router.put('/:id', organizationController.updateOrganization);
+router.delete('/:id', organizationController.deleteOrganization);
+
+// Members and invitations
+router.post('/:id/invitations', organizationController.createInvitation);
+router.delete('/:id/invitations/:invitationId', organizationController.revokeInvitation);
+router.put('/:id/members/:userId', organizationController.updateMember);
+router.delete('/:id/members/:userId', organizationController.removeMember);
+
+module.exports = router;
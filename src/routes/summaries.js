@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const libraryController = require('../controllers/libraryController');
+const auth = require('../middleware/auth');
+
+const write = auth.requireScope('summary:write');
+const read = auth.requireScope('history:read');
+
+// All saved summary routes require authentication
+router.use(auth);
+
+router.get('/', read, libraryController.listSummaries);
+router.post('/bulk-delete', write, libraryController.bulkDeleteSummaries);
+router.get('/:id', read, libraryController.getSummary);
+router.delete('/:id', write, libraryController.deleteSummary);
+
+module.exports = router;
@@ -3,14 +3,30 @@ const router = express.Router();
 const summaryController = require('../controllers/summaryController');
 const auth = require('../middleware/auth');
 const rateLimit = require('../middleware/rateLimit');
+const idempotency = require('../middleware/idempotency');
 
-// Generate single summary
-router.post('/', auth, rateLimit, summaryController.getSummary);
+const write = auth.requireScope('summary:write');
+const read = auth.requireScope('history:read');
+
+// Generate single summary (Idempotency-Key supported, as for batch and jobs)
+router.post('/', auth, write, idempotency, rateLimit, summaryController.getSummary);
+
+// Stream a single summary as Server-Sent Events
+router.post('/stream', auth, write, rateLimit, summaryController.streamSummary);
 
 // Generate batch summaries (requires premium plan or higher)
-router.post('/batch', auth, rateLimit, summaryController.getBatchSummaries);
+router.post('/batch', auth, write, idempotency, rateLimit, summaryController.getBatchSummaries);
+
+// Asynchronous batch jobs (requires premium plan or higher)
+router.post('/jobs', auth, write, idempotency, rateLimit, summaryController.createBatchJob);
+router.get('/jobs', auth, read, summaryController.listBatchJobs);
+router.get('/jobs/:id', auth, read, summaryController.getBatchJob);
+router.post('/jobs/:id/cancel', auth, write, summaryController.cancelBatchJob);
 
 // Get user's summary history
-router.get('/history', auth, summaryController.getSummaryHistory);
+router.get('/history', auth, read, summaryController.getSummaryHistory);
+
+// Search the user's summary history
+router.get('/search', auth, read, summaryController.searchSummaries);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const auth = require('../middleware/auth');
+
+// Webhooks are managed from signed-in sessions only: they can read every event and redeliver payloads
+router.use(auth);
+router.use(auth.sessionOnly);
+
+// Webhook endpoints
+router.post('/', webhookController.createWebhook);
+router.get('/', webhookController.listWebhooks);
+router.get('/:id', webhookController.getWebhook);
+router.put('/:id', webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+router.post('/:id/rotate-secret', webhookController.rotateSecret);
+router.post('/:id/test', webhookController.testWebhook);
+
+// Delivery log
+router.get('/:id/deliveries', webhookController.listDeliveries);
+router.get('/:id/deliveries/:deliveryId', webhookController.getDelivery);
+router.post('/:id/deliveries/:deliveryId/redeliver', webhookController.redeliverDelivery);
+
+module.exports = router;
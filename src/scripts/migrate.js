@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const User = require('../models/User');
+const Pricing = require('../models/Pricing');
+const ApiCall = require('../models/ApiCall');
 
 /**
  * Database migration script
@@ -90,6 +93,139 @@ const migrations = [
       );
       logger.info('Removed new tracking fields from API calls');
     }
+  },
+  {
+    version: '2.1.0',
+    description: 'Store API keys as hashes with a lookup prefix',
+    up: async () => {
+      const users = mongoose.connection.collection('users');
+      const cursor = users.find({
+        $or: [
+          { apiKey: { $exists: true, $ne: null } },
+          { 'apiKeys.key': { $exists: true } }
+        ]
+      });
+
+      let migrated = 0;
+      for await (const user of cursor) {
+        // Named keys created before hashing keep their ID, scopes and usage
+        const apiKeys = (user.apiKeys || []).map(({ key, ...entry }) => (key
+          ? { ...entry, prefix: User.apiKeyPrefix(key), keyHash: User.hashApiKey(key) }
+          : entry));
+
+        // The single key from before named keys becomes a named key with its old reach
+        if (user.apiKey) {
+          apiKeys.push({
+            _id: new mongoose.Types.ObjectId(),
+            name: 'Legacy key',
+            prefix: User.apiKeyPrefix(user.apiKey),
+            keyHash: User.hashApiKey(user.apiKey),
+            scopes: user.role === 'admin' ? User.API_KEY_SCOPES : User.DEFAULT_API_KEY_SCOPES,
+            createdAt: user.createdAt || new Date()
+          });
+        }
+
+        await users.updateOne({ _id: user._id }, { $set: { apiKeys }, $unset: { apiKey: '' } });
+        migrated++;
+      }
+
+      // Indexes over the plaintext keys are no longer used
+      for (const index of ['apiKey_1', 'apiKeys.key_1']) {
+        await users.dropIndex(index).catch(() => {});
+      }
+
+      logger.info(`Hashed API keys for ${migrated} user(s)`);
+    },
+    down: async () => {
+      // Hashes cannot be turned back into keys
+      logger.warn('API key hashing cannot be reversed; users keep their hashed keys');
+    }
+  },
+  {
+    version: '2.2.0',
+    description: 'Record how many summaries each API call billed, for invoices',
+    up: async () => {
+      const apiCalls = mongoose.connection.collection('apicalls');
+
+      // Batch jobs know how many items completed
+      const jobs = mongoose.connection.collection('batchjobs')
+        .find({ apiCall: { $ne: null } }, { projection: { apiCall: 1, 'progress.completed': 1 } });
+      for await (const job of jobs) {
+        await apiCalls.updateOne(
+          { _id: job.apiCall, quantity: { $exists: false } },
+          { $set: { quantity: job.progress?.completed || 0 } }
+        );
+      }
+
+      // Synchronous batches saved one summary per successful item
+      const batches = apiCalls.find(
+        { endpoint: '/api/summary/batch', quantity: { $exists: false } },
+        { projection: { _id: 1 } }
+      );
+      for await (const call of batches) {
+        const summaries = await mongoose.connection.collection('summaries').countDocuments({ apiCall: call._id });
+        await apiCalls.updateOne({ _id: call._id }, { $set: { quantity: Math.max(summaries, 1) } });
+      }
+
+      const { modifiedCount } = await apiCalls.updateMany(
+        { quantity: { $exists: false } },
+        { $set: { quantity: 1 } }
+      );
+      logger.info(`Recorded billed quantities; ${modifiedCount} single-summary call(s) set to 1`);
+    },
+    down: async () => {
+      await mongoose.connection.collection('apicalls').updateMany({}, { $unset: { quantity: '' } });
+      logger.info('Removed billed quantities from API calls');
+    }
+  },
+  {
+    version: '2.3.0',
+    description: 'Refund the recorded cost of failed API calls',
+    up: async () => {
+      // Failed calls kept the cost they were priced at; nothing was delivered for it.
+      // Refunded like ApiCall.markFailed, which also takes recorded usage back out;
+      // invoiced calls keep their locked charge.
+      const cursor = ApiCall.find({
+        responseStatus: { $in: ApiCall.FAILED_STATUSES },
+        cost: { $gt: 0 },
+        'refund.amount': { $exists: false },
+        invoice: null
+      }).cursor();
+
+      let refunded = 0;
+      for await (const call of cursor) {
+        await call.refundFailure(`Call failed: ${call.errorMessage || 'unknown error'}`);
+        refunded++;
+      }
+      logger.info(`Refunded ${refunded} failed API call(s)`);
+    },
+    down: async () => {
+      await mongoose.connection.collection('apicalls').updateMany({}, { $unset: { refund: '', usageRecorded: '' } });
+      logger.info('Removed refunds from API calls');
+    }
+  },
+  {
+    version: '2.4.0',
+    description: 'Store volume discounts as price brackets on each plan',
+    up: async () => {
+      const plans = mongoose.connection.collection('pricings');
+      const cursor = plans.find({ pricePerCall: { $gt: 0 }, 'volumePricing.brackets.0': { $exists: false } });
+
+      // Plans keep the discounts that used to be built in
+      let migrated = 0;
+      for await (const plan of cursor) {
+        await plans.updateOne(
+          { _id: plan._id },
+          { $set: { volumePricing: Pricing.defaultVolumePricing(plan.pricePerCall) } }
+        );
+        migrated++;
+      }
+      logger.info(`Added volume price brackets to ${migrated} plan(s)`);
+    },
+    down: async () => {
+      await mongoose.connection.collection('pricings').updateMany({}, { $unset: { volumePricing: '' } });
+      logger.info('Removed volume price brackets from plans');
+    }
   }
 ];
 
@@ -250,6 +386,7 @@ if (require.main === module) {
 }
 
 module.exports = {
+  migrations,
   runMigrations,
   rollbackToVersion,
   getCurrentVersion
@@ -57,7 +57,9 @@ async function seedPricingPlans() {
         requestsPerMinute: 2,
         maxInputLength: 5000,
         maxOutputLength: 500,
-        batchSize: 1
+        batchSize: 1,
+        batchJobSize: 1,
+        batchConcurrency: 1
       },
       features: {
         basicSummary: true,
@@ -108,7 +110,9 @@ async function seedPricingPlans() {
         requestsPerMinute: 10,
         maxInputLength: 15000,
         maxOutputLength: 1000,
-        batchSize: 5
+        batchSize: 5,
+        batchJobSize: 100,
+        batchConcurrency: 2
       },
       features: {
         basicSummary: true,
@@ -159,7 +163,9 @@ async function seedPricingPlans() {
         requestsPerMinute: 30,
         maxInputLength: 50000,
         maxOutputLength: 2000,
-        batchSize: 20
+        batchSize: 20,
+        batchJobSize: 500,
+        batchConcurrency: 4
       },
       features: {
         basicSummary: true,
@@ -210,7 +216,9 @@ async function seedPricingPlans() {
         requestsPerMinute: 100,
         maxInputLength: 100000,
         maxOutputLength: 5000,
-        batchSize: 100
+        batchSize: 100,
+        batchJobSize: 2000,
+        batchConcurrency: 8
       },
       features: {
         basicSummary: true,
@@ -253,7 +261,11 @@ async function seedPricingPlans() {
   for (const planData of pricingPlans) {
     const existingPlan = await Pricing.findOne({ plan: planData.plan });
     if (!existingPlan) {
-      await Pricing.create(planData);
+      // New paid plans start with the standard volume discounts; admins change them later
+      const volumePricing = planData.pricePerCall > 0
+        ? Pricing.defaultVolumePricing(planData.pricePerCall)
+        : undefined;
+      await Pricing.create({ ...planData, volumePricing });
       logger.info(`Created pricing plan: ${planData.name}`);
     } else {
       // Update existing plan with new data
@@ -288,11 +300,11 @@ async function seedAdminUser() {
       }
     });
 
-    adminUser.generateApiKey();
+    const apiKey = adminUser.generateApiKey('Admin', User.API_KEY_SCOPES);
     await adminUser.save();
     
     logger.info(`Created admin user: ${adminEmail}`);
-    logger.info(`Admin API Key: ${adminUser.apiKey}`);
+    logger.info(`Admin API Key: ${apiKey}`);
   } else {
     logger.info(`Admin user already exists: ${adminEmail}`);
   }
@@ -0,0 +1,284 @@
+const os = require('os');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { createPoller } = require('../utils/poller');
+const { summarizeBatchItem } = require('./wikipediaService');
+const { emitEvent, emitUsageThresholds } = require('./webhookService');
+const { settleCall } = require('./creditService');
+const BatchJob = require('../models/BatchJob');
+const Summary = require('../models/Summary');
+const ApiCall = require('../models/ApiCall');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Lease renewals per lease timeout while a job runs
+const LEASE_RENEWALS = 3;
+
+/**
+ * Check whether the owner asked to cancel a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True when cancellation was requested
+ */
+async function isCancelRequested(jobId) {
+  const job = await BatchJob.findById(jobId).select('cancelRequested').lean();
+  return !job || job.cancelRequested;
+}
+
+/**
+ * Summarize one item of a job and store its outcome
+ * Updates only the item's own paths and the job counters, so items running
+ * in parallel never overwrite each other. The outcome is only stored while the
+ * item is still processing, so an item re-run by a worker that reclaimed the
+ * job is counted (and billed) once.
+ * @param {Object} job - Claimed job
+ * @param {number} index - Item index
+ */
+async function processItem(job, index) {
+  if (await isCancelRequested(job._id)) return;
+
+  const item = job.items[index];
+  const path = `items.${index}`;
+
+  await BatchJob.updateOne(
+    { _id: job._id },
+    { $set: { [`${path}.status`]: 'processing', [`${path}.startedAt`]: new Date(), lockedAt: new Date() } }
+  );
+
+  try {
+    const generated = await summarizeBatchItem(
+      item.title ? { title: item.title } : { content: item.content },
+      job.options || {}
+    );
+
+    const saved = await Summary.createFromResult({
+      user: job.user,
+      apiCall: job.apiCall,
+      result: generated,
+      content: item.content,
+      options: job.options
+    });
+    const result = { ...generated, metadata: { ...generated.metadata, summaryId: saved._id } };
+
+    const cached = !!result.metadata?.cached;
+    const cost = cached ? job.pricing.cacheHitPrice : job.pricing.unitPrice;
+    const tokens = result.metadata?.tokensUsed || {};
+
+    await BatchJob.updateOne({ _id: job._id, [`${path}.status`]: 'processing' }, {
+      $set: {
+        [`${path}.status`]: 'completed',
+        [`${path}.result`]: result,
+        [`${path}.cost`]: cost,
+        [`${path}.cached`]: cached,
+        [`${path}.tokensUsed`]: {
+          prompt: tokens.prompt || 0,
+          completion: tokens.completion || 0,
+          total: tokens.total || 0
+        },
+        [`${path}.completedAt`]: new Date(),
+        lockedAt: new Date()
+      },
+      $inc: {
+        'progress.completed': 1,
+        cost,
+        'tokensUsed.prompt': tokens.prompt || 0,
+        'tokensUsed.completion': tokens.completion || 0,
+        'tokensUsed.total': tokens.total || 0
+      }
+    });
+  } catch (error) {
+    logger.warn('Batch job item failed:', { jobId: job._id, index, error: error.message });
+
+    await BatchJob.updateOne({ _id: job._id, [`${path}.status`]: 'processing' }, {
+      $set: {
+        [`${path}.status`]: 'failed',
+        [`${path}.error`]: { message: error.message, code: error.code, candidates: error.candidates },
+        [`${path}.completedAt`]: new Date(),
+        lockedAt: new Date()
+      },
+      $inc: { 'progress.failed': 1 }
+    });
+  }
+}
+
+/**
+ * Close a job: cancel leftover items, set the final status and bill completed items
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Finished job
+ */
+async function finalizeJob(jobId) {
+  // Claimed atomically, so a job closed by two workers or by a cancel racing its worker is billed once
+  const job = await BatchJob.findOneAndUpdate(
+    { _id: jobId, billedAt: null },
+    { $set: { billedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return BatchJob.findById(jobId);
+
+  let cancelled = 0;
+  job.items.forEach(item => {
+    if (item.status === 'pending' || item.status === 'processing') {
+      item.status = 'cancelled';
+      cancelled++;
+    }
+  });
+
+  job.progress.cancelled += cancelled;
+  // Per-item prices are averages of the quote, so the job never costs more than it was quoted
+  if (job.pricing.total > 0) {
+    job.cost = Math.min(job.cost, job.pricing.total);
+  }
+  if (job.cancelRequested) {
+    job.status = 'cancelled';
+  } else {
+    job.status = job.progress.completed === 0 && job.progress.failed > 0 ? 'failed' : 'completed';
+  }
+  job.completedAt = new Date();
+  job.workerId = undefined;
+  job.lockedAt = undefined;
+  await job.save();
+
+  // Bill once per job, for the items that produced a summary, to the user or their organization
+  const account = job.organization
+    ? await Organization.findById(job.organization)
+    : await User.findById(job.user);
+  const usageRecorded = !!account && job.progress.completed > 0;
+  if (usageRecorded) {
+    await account.incrementUsage(job.cost, job.progress.completed, job.user);
+    await emitUsageThresholds(account, job.progress.completed, {
+      userId: job.user,
+      organizationId: job.organization
+    });
+  }
+
+  // Prepaid credits were held for every item; refund those of items that were not billed
+  if (account && job.apiCall) {
+    await settleCall(account, job.apiCall, job.cost, { userId: job.user });
+  }
+
+  const apiCall = job.apiCall ? await ApiCall.findById(job.apiCall) : null;
+  if (apiCall) {
+    apiCall.cost = job.cost;
+    apiCall.quantity = job.progress.completed;
+    apiCall.usageRecorded = usageRecorded;
+    if (job.status === 'failed') {
+      await apiCall.markFailed({ message: 'Every item of the batch job failed', code: 'BATCH_JOB_FAILED' });
+    } else {
+      await apiCall.markCompleted({
+        responseTime: job.completedAt - (job.startedAt || job.createdAt),
+        tokensUsed: job.tokensUsed
+      });
+    }
+  }
+
+  logger.logApiCall(job.user, '/api/summary/jobs', job.cost, job.status !== 'failed');
+  await emitEvent(job.user, 'batch_job.finished', {
+    jobId: job._id,
+    status: job.status,
+    progress: job.progress,
+    cost: job.cost,
+    tokensUsed: job.tokensUsed
+  });
+  logger.info('Batch job finished', {
+    jobId: job._id,
+    status: job.status,
+    completed: job.progress.completed,
+    failed: job.progress.failed,
+    cancelled: job.progress.cancelled
+  });
+
+  return job;
+}
+
+/**
+ * Process every unfinished item of a claimed job
+ * Items left "processing" by a crashed worker are run again.
+ * @param {Object} job - Claimed job
+ * @returns {Promise<Object>} Finished job
+ */
+async function processJob(job) {
+  if (!job.startedAt) {
+    await BatchJob.updateOne({ _id: job._id }, { $set: { startedAt: new Date() } });
+  }
+
+  // A job reclaimed after its cancellation only needs closing
+  const remaining = job.cancelRequested ? [] : job.items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item.status === 'pending' || item.status === 'processing')
+    .map(({ index }) => index);
+
+  // Renew the lease while items run, so a slow item does not pass for a stopped worker
+  const heartbeat = setInterval(() => {
+    BatchJob.updateOne({ _id: job._id, status: 'running' }, { $set: { lockedAt: new Date() } }).catch(error => {
+      logger.warn('Failed to renew batch job lease:', { jobId: job._id, error: error.message });
+    });
+  }, config.batchJobs.leaseTimeout / LEASE_RENEWALS);
+  heartbeat.unref();
+
+  try {
+    await mapWithConcurrency(remaining, job.concurrency, index => processItem(job, index));
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  return finalizeJob(job._id);
+}
+
+/**
+ * Claim and process the oldest runnable job
+ * @returns {Promise<Object|null>} Finished job, or null when the queue is empty
+ */
+async function runOnce() {
+  const job = await BatchJob.claimNext(WORKER_ID, config.batchJobs.leaseTimeout);
+  if (!job) return null;
+
+  logger.info('Batch job started', { jobId: job._id, items: job.items.length, workerId: WORKER_ID });
+  return processJob(job);
+}
+
+/**
+ * Request cancellation of a job
+ * Queued jobs are closed immediately; running jobs stop before their next item.
+ * @param {Object} job - Job document
+ * @returns {Promise<Object>} Updated job
+ */
+async function cancelJob(job) {
+  // Atomic with claimNext: either the worker claims the job or it is cancelled while queued
+  const queued = await BatchJob.findOneAndUpdate(
+    { _id: job._id, status: 'queued' },
+    { $set: { cancelRequested: true } }
+  );
+  if (queued) {
+    return finalizeJob(job._id);
+  }
+
+  await BatchJob.updateOne({ _id: job._id }, { $set: { cancelRequested: true } });
+  return BatchJob.findById(job._id);
+}
+
+const worker = createPoller(`Batch job worker ${WORKER_ID}`, runOnce, config.batchJobs.pollInterval);
+
+/**
+ * Start polling the queue in this process
+ */
+function startWorker() {
+  worker.start();
+}
+
+/**
+ * Stop polling; the job in progress (if any) is left to finish or be reclaimed
+ * @returns {Promise<void>} Resolves when the current run settles
+ */
+function stopWorker() {
+  return worker.stop();
+}
+
+module.exports = {
+  runOnce,
+  processJob,
+  cancelJob,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,396 @@
+const Stripe = require('stripe');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Pricing = require('../models/Pricing');
+const { emitEvent } = require('./webhookService');
+const creditService = require('./creditService');
+const {
+  ValidationError,
+  AuthenticationError,
+  ExternalServiceError,
+  ServiceUnavailableError
+} = require('../utils/errorFormatter');
+
+// Stripe subscription statuses mapped onto subscription.status
+const SUBSCRIPTION_STATUSES = {
+  active: 'active',
+  trialing: 'active',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  paused: 'past_due',
+  incomplete: 'incomplete',
+  incomplete_expired: 'canceled',
+  canceled: 'canceled'
+};
+
+// Webhook events that change a subscription; others are acknowledged and ignored
+const HANDLED_EVENTS = [
+  'checkout.session.completed',
+  'checkout.session.async_payment_succeeded',
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'invoice.payment_failed'
+];
+
+let client = null;
+
+/**
+ * Stripe client; STRIPE_API_HOST/PORT/PROTOCOL point it at stripe-mock for local testing
+ * @returns {Object} Stripe client
+ * @throws {ServiceUnavailableError} When no secret key is configured
+ */
+function getStripe() {
+  if (!config.stripe.secretKey) {
+    throw new ServiceUnavailableError('Billing is not configured', 'stripe');
+  }
+
+  if (!client) {
+    client = new Stripe(config.stripe.secretKey, {
+      host: config.stripe.apiHost,
+      port: config.stripe.apiPort,
+      protocol: config.stripe.apiProtocol,
+      maxNetworkRetries: 2
+    });
+  }
+  return client;
+}
+
+/**
+ * Run a Stripe API call, turning Stripe failures into API errors
+ * @param {Function} fn - Receives the Stripe client
+ * @returns {Promise<*>} Stripe response
+ */
+async function callStripe(fn) {
+  const stripe = getStripe();
+  try {
+    return await fn(stripe);
+  } catch (error) {
+    if (!error.type || !error.type.startsWith('Stripe')) throw error;
+
+    logger.error('Stripe request failed:', { type: error.type, code: error.code, error: error.message });
+    if (error.type === 'StripeInvalidRequestError') {
+      throw new ValidationError(error.message);
+    }
+    throw new ExternalServiceError('Payment provider request failed', 'stripe');
+  }
+}
+
+/**
+ * Metadata identifying the billed account on Stripe objects
+ * @param {Object} account - User or Organization document
+ * @returns {Object} Stripe metadata
+ */
+function accountMetadata(account) {
+  return account instanceof Organization
+    ? { accountType: 'organization', organizationId: String(account._id) }
+    : { accountType: 'user', userId: String(account._id) };
+}
+
+/**
+ * Get the account's Stripe customer, creating it on first use
+ * @param {Object} account - User or Organization document
+ * @param {Object} user - User starting the checkout (email for organization customers)
+ * @returns {Promise<string>} Stripe customer ID
+ */
+async function ensureCustomer(account, user) {
+  if (account.subscription.stripeCustomerId) {
+    return account.subscription.stripeCustomerId;
+  }
+
+  const customer = await callStripe(stripe => stripe.customers.create({
+    email: user.email,
+    name: account instanceof Organization ? account.name : user.fullName,
+    metadata: accountMetadata(account)
+  }));
+
+  account.subscription.stripeCustomerId = customer.id;
+  await account.save({ validateBeforeSave: false });
+
+  return customer.id;
+}
+
+/**
+ * Start a Stripe Checkout session subscribing the account to a plan
+ * @param {Object} account - User or Organization document
+ * @param {Object} user - User starting the checkout
+ * @param {string} plan - Plan name
+ * @returns {Promise<Object>} { id, url } of the checkout session
+ * @throws {ValidationError} When the plan can't be bought or the account already has it
+ */
+async function createCheckoutSession(account, user, plan) {
+  const pricing = await Pricing.getPlan(plan);
+  if (!pricing || !pricing.stripe?.priceId) {
+    throw new ValidationError(`The ${plan} plan is not available for purchase`);
+  }
+  if (account.subscription.plan === plan && account.subscription.stripeSubscriptionId &&
+      account.subscription.status === 'active') {
+    throw new ValidationError(`Already subscribed to the ${plan} plan`);
+  }
+
+  const customer = await ensureCustomer(account, user);
+  const metadata = { ...accountMetadata(account), plan };
+
+  const session = await callStripe(stripe => stripe.checkout.sessions.create({
+    mode: 'subscription',
+    customer,
+    client_reference_id: String(account._id),
+    line_items: [{ price: pricing.stripe.priceId, quantity: 1 }],
+    subscription_data: {
+      metadata,
+      trial_period_days: pricing.billing?.trialDays || undefined
+    },
+    metadata,
+    success_url: config.stripe.successUrl,
+    cancel_url: config.stripe.cancelUrl
+  }));
+
+  logger.info('Checkout session created', { ...metadata, sessionId: session.id });
+
+  return { id: session.id, url: session.url };
+}
+
+/**
+ * Start a one-off Stripe Checkout payment topping up the account's prepaid credits
+ * @param {Object} account - User or Organization document
+ * @param {Object} user - User starting the checkout
+ * @param {number} amount - Credits to buy, in the billing currency
+ * @returns {Promise<Object>} { id, url } of the checkout session
+ */
+async function createCreditCheckoutSession(account, user, amount) {
+  const customer = await ensureCustomer(account, user);
+  const metadata = { ...accountMetadata(account), purpose: 'credits', amount: String(amount) };
+
+  const session = await callStripe(stripe => stripe.checkout.sessions.create({
+    mode: 'payment',
+    customer,
+    client_reference_id: String(account._id),
+    line_items: [{
+      price_data: {
+        currency: config.stripe.currency,
+        unit_amount: Math.round(amount * 100),
+        product_data: { name: 'API credits' }
+      },
+      quantity: 1
+    }],
+    payment_intent_data: { metadata },
+    metadata,
+    success_url: config.stripe.successUrl,
+    cancel_url: config.stripe.cancelUrl
+  }));
+
+  logger.info('Credit checkout session created', { ...metadata, sessionId: session.id });
+
+  return { id: session.id, url: session.url };
+}
+
+/**
+ * Open the Stripe customer portal for managing payment methods and cancelling
+ * @param {Object} account - User or Organization document
+ * @returns {Promise<Object>} { url } of the portal session
+ * @throws {ValidationError} When the account has never checked out
+ */
+async function createPortalSession(account) {
+  if (!account.subscription.stripeCustomerId) {
+    throw new ValidationError('No billing account yet; start a checkout first');
+  }
+
+  const session = await callStripe(stripe => stripe.billingPortal.sessions.create({
+    customer: account.subscription.stripeCustomerId,
+    return_url: config.stripe.portalReturnUrl
+  }));
+
+  return { url: session.url };
+}
+
+/**
+ * Verify a webhook request's Stripe-Signature and parse its event
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} Stripe event
+ * @throws {AuthenticationError} When the signature doesn't match
+ */
+function constructWebhookEvent(rawBody, signature) {
+  if (!config.stripe.webhookSecret) {
+    throw new ServiceUnavailableError('Billing webhooks are not configured', 'stripe');
+  }
+
+  try {
+    return Stripe.webhooks.constructEvent(rawBody, signature || '', config.stripe.webhookSecret);
+  } catch (error) {
+    logger.warn('Stripe webhook signature rejected', { error: error.message });
+    throw new AuthenticationError('Invalid webhook signature');
+  }
+}
+
+/**
+ * Find the account a Stripe object belongs to, by metadata or customer ID
+ * @param {Object} object - Stripe subscription, invoice or checkout session
+ * @returns {Promise<Object|null>} User or Organization document
+ */
+async function findAccount(object) {
+  const metadata = object.metadata || {};
+  if (metadata.organizationId) {
+    const organization = await Organization.findById(metadata.organizationId);
+    if (organization) return organization;
+  }
+  if (metadata.userId) {
+    const user = await User.findById(metadata.userId);
+    if (user) return user;
+  }
+
+  const customer = typeof object.customer === 'string' ? object.customer : object.customer?.id;
+  if (!customer) return null;
+
+  return (await Organization.findOne({ 'subscription.stripeCustomerId': customer })) ||
+    User.findOne({ 'subscription.stripeCustomerId': customer });
+}
+
+/**
+ * Tell the account's owners about a plan change through their webhooks
+ * @param {Object} account - User or Organization document
+ * @param {string} previousPlan - Plan before the change
+ */
+async function notifyPlanChange(account, previousPlan) {
+  const data = { previousPlan, plan: account.subscription.plan, status: account.subscription.status };
+
+  if (account instanceof Organization) {
+    const recipients = account.members.filter(member => Organization.BILLING_ROLES.includes(member.role));
+    for (const member of recipients) {
+      await emitEvent(member.user, 'plan.changed', { ...data, organizationId: account._id });
+    }
+  } else {
+    await emitEvent(account._id, 'plan.changed', data);
+  }
+}
+
+/**
+ * Copy a Stripe subscription onto the account
+ * @param {Object} account - User or Organization document
+ * @param {Object} subscription - Stripe subscription
+ * @param {string} type - Stripe event type, e.g. "customer.subscription.updated"
+ */
+async function syncSubscription(account, subscription, type) {
+  const current = account.subscription;
+  const deleted = type === 'customer.subscription.deleted';
+
+  // Only a new subscription may replace the current one; late or out-of-order
+  // updates and deletions of an old subscription must not overwrite it
+  if (current.stripeSubscriptionId && current.stripeSubscriptionId !== subscription.id &&
+      type !== 'customer.subscription.created') {
+    logger.info('Ignoring event for a replaced subscription', { subscriptionId: subscription.id, type });
+    return;
+  }
+
+  const previousPlan = current.plan;
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+  const pricing = priceId ? await Pricing.findOne({ 'stripe.priceId': priceId }) : null;
+
+  if (deleted) {
+    current.plan = 'free';
+    current.status = 'canceled';
+    current.stripeSubscriptionId = undefined;
+  } else {
+    if (pricing) {
+      current.plan = pricing.plan;
+    } else {
+      logger.warn('Subscription price matches no plan', { subscriptionId: subscription.id, priceId });
+    }
+    current.status = SUBSCRIPTION_STATUSES[subscription.status] || current.status;
+    current.stripeSubscriptionId = subscription.id;
+  }
+
+  if (subscription.current_period_start) {
+    current.currentPeriodStart = new Date(subscription.current_period_start * 1000);
+  }
+  if (subscription.current_period_end) {
+    current.currentPeriodEnd = new Date(subscription.current_period_end * 1000);
+  }
+  if (typeof subscription.customer === 'string') {
+    current.stripeCustomerId = subscription.customer;
+  }
+
+  await account.save({ validateBeforeSave: false });
+
+  if (current.plan !== previousPlan) {
+    await notifyPlanChange(account, previousPlan);
+  }
+}
+
+/**
+ * Apply a verified Stripe webhook event
+ * Handlers set state rather than increment it, so redelivered events are harmless.
+ * @param {Object} event - Stripe event
+ * @returns {Promise<boolean>} Whether the event was handled
+ */
+async function handleWebhookEvent(event) {
+  if (!HANDLED_EVENTS.includes(event.type)) {
+    return false;
+  }
+
+  const object = event.data.object;
+  const account = await findAccount(object);
+  if (!account) {
+    logger.warn('Stripe event for an unknown customer', { eventId: event.id, type: event.type });
+    return false;
+  }
+
+  switch (event.type) {
+  case 'checkout.session.completed':
+  case 'checkout.session.async_payment_succeeded':
+    // Credit purchases are added once paid; the session ID keeps redeliveries from adding them twice
+    if (object.metadata?.purpose === 'credits') {
+      if (object.payment_status !== 'paid') break;
+
+      await creditService.credit(account, object.amount_total / 100, {
+        type: 'purchase',
+        reference: object.id,
+        description: 'Credit top-up'
+      });
+      break;
+    }
+
+    // The subscription events carry the plan; this links the customer and subscription early
+    account.subscription.stripeCustomerId = object.customer || account.subscription.stripeCustomerId;
+    if (object.subscription) {
+      account.subscription.stripeSubscriptionId = object.subscription;
+    }
+    await account.save({ validateBeforeSave: false });
+    break;
+
+  case 'customer.subscription.created':
+  case 'customer.subscription.updated':
+  case 'customer.subscription.deleted':
+    await syncSubscription(account, object, event.type);
+    break;
+
+  case 'invoice.payment_failed':
+    if (!object.subscription || object.subscription === account.subscription.stripeSubscriptionId) {
+      account.subscription.status = 'past_due';
+      await account.save({ validateBeforeSave: false });
+    }
+    break;
+  }
+
+  logger.info('Stripe event applied', {
+    eventId: event.id,
+    type: event.type,
+    ...accountMetadata(account),
+    plan: account.subscription.plan,
+    status: account.subscription.status
+  });
+
+  return true;
+}
+
+module.exports = {
+  getStripe,
+  createCheckoutSession,
+  createCreditCheckoutSession,
+  createPortalSession,
+  constructWebhookEvent,
+  handleWebhookEvent,
+  SUBSCRIPTION_STATUSES
+};
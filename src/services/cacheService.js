@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// In-memory fallback store, used when Redis is not configured or unreachable
+const MAX_MEMORY_ENTRIES = 1000;
+const memoryStore = new Map();
+
+let redisClient = null;
+
+/**
+ * Get the Redis client if it is connected, or null to use the memory store
+ * The first call starts connecting in the background, so requests never wait
+ * on Redis; they use the memory store until the connection is ready and
+ * whenever it drops.
+ * @returns {Object|null} Connected Redis client
+ */
+function getActiveRedis() {
+  if (!config.redis.url) {
+    return null;
+  }
+
+  if (!redisClient) {
+    redisClient = createClient({
+      url: config.redis.url,
+      password: config.redis.password,
+      database: config.redis.db,
+      socket: {
+        connectTimeout: 5000,
+        reconnectStrategy: (retries) => Math.min(retries * 500, 5000)
+      }
+    });
+
+    redisClient.on('error', (error) => {
+      logger.warn('Redis cache error:', { error: error.message });
+    });
+
+    redisClient.on('ready', () => {
+      logger.info('Redis cache connected');
+    });
+
+    redisClient.connect().catch((error) => {
+      logger.warn('Redis unavailable, using in-memory cache:', { error: error.message });
+    });
+  }
+
+  return redisClient.isReady ? redisClient : null;
+}
+
+/**
+ * Read a cached value
+ * @param {string} key - Cache key (without prefix)
+ * @returns {Promise<*>} Cached value, or null on a miss
+ */
+async function get(key) {
+  const fullKey = config.redis.keyPrefix + key;
+
+  try {
+    const client = getActiveRedis();
+    if (client) {
+      const value = await client.get(fullKey);
+      return value ? JSON.parse(value) : null;
+    }
+  } catch (error) {
+    logger.warn('Cache read failed:', { key, error: error.message });
+    return null;
+  }
+
+  const entry = memoryStore.get(fullKey);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(fullKey);
+    return null;
+  }
+
+  return entry.value;
+}
+
+/**
+ * Write a value to the cache
+ * @param {string} key - Cache key (without prefix)
+ * @param {*} value - JSON-serializable value
+ * @param {number} ttl - Time to live in seconds (defaults to config.redis.ttl)
+ */
+async function set(key, value, ttl = config.redis.ttl) {
+  const fullKey = config.redis.keyPrefix + key;
+
+  try {
+    const client = getActiveRedis();
+    if (client) {
+      await client.set(fullKey, JSON.stringify(value), { EX: ttl });
+      return;
+    }
+  } catch (error) {
+    logger.warn('Cache write failed:', { key, error: error.message });
+    return;
+  }
+
+  // Evict the oldest entry once the memory store is full (Map keeps insertion order)
+  if (memoryStore.size >= MAX_MEMORY_ENTRIES && !memoryStore.has(fullKey)) {
+    memoryStore.delete(memoryStore.keys().next().value);
+  }
+
+  memoryStore.set(fullKey, { value, expiresAt: Date.now() + ttl * 1000 });
+}
+
+/**
+ * Remove a cached value
+ * @param {string} key - Cache key (without prefix)
+ */
+async function del(key) {
+  const fullKey = config.redis.keyPrefix + key;
+  memoryStore.delete(fullKey);
+
+  try {
+    const client = getActiveRedis();
+    if (client) {
+      await client.del(fullKey);
+    }
+  } catch (error) {
+    logger.warn('Cache delete failed:', { key, error: error.message });
+  }
+}
+
+/**
+ * Clear the in-memory store (tests and local development)
+ */
+function clearMemory() {
+  memoryStore.clear();
+}
+
+/**
+ * Build the cache key for a generated summary
+ * Every option that changes the model output is part of the key.
+ * @param {Object} parts - { source, sourceLanguage, title, revisionId, content, style, length, language, audience, includeKeyPoints, sections, model }
+ * @returns {string} Cache key
+ */
+function buildSummaryKey(parts) {
+  const normalized = {
+    source: parts.source,
+    // Titles and revision IDs are only unique within one Wikipedia edition
+    sourceLanguage: parts.sourceLanguage,
+    title: parts.title ? parts.title.trim().toLowerCase().replace(/[\s_]+/g, ' ') : undefined,
+    revisionId: parts.revisionId,
+    content: parts.content ? crypto.createHash('sha256').update(parts.content).digest('hex') : undefined,
+    style: parts.style || 'wikipedia',
+    length: parts.length || 'medium',
+    language: (parts.language || 'english').toLowerCase(),
+    audience: parts.audience || 'general',
+    includeKeyPoints: !!parts.includeKeyPoints,
+    sections: Array.isArray(parts.sections)
+      ? parts.sections.map(section => section.trim().toLowerCase()).sort()
+      : [],
+    model: parts.model
+  };
+
+  const hash = crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  return `summary:${hash}`;
+}
+
+/**
+ * Report which cache backend is in use
+ * @returns {Promise<Object>} Cache health status
+ */
+async function getCacheStatus() {
+  const client = getActiveRedis();
+
+  return {
+    status: 'healthy',
+    backend: client ? 'redis' : 'memory',
+    redisConfigured: !!config.redis.url,
+    memoryEntries: memoryStore.size,
+    ttl: config.redis.ttl
+  };
+}
+
+module.exports = {
+  get,
+  set,
+  del,
+  clearMemory,
+  buildSummaryKey,
+  getCacheStatus
+};
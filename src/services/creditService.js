@@ -0,0 +1,236 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+const CreditTransaction = require('../models/CreditTransaction');
+const Organization = require('../models/Organization');
+const { emitEvent } = require('./webhookService');
+const { InsufficientCreditsError } = require('../utils/errorFormatter');
+
+// Payment references an account remembers; redeliveries come within days, long before
+// this many newer payments
+const APPLIED_REFERENCES_KEPT = 100;
+
+/**
+ * Ledger owner fields of an account, also the filter for its entries
+ * @param {Object} account - User or Organization document
+ * @returns {Object} { user, organization }
+ */
+function ownerFields(account) {
+  return account instanceof Organization
+    ? { user: null, organization: account._id }
+    : { user: account._id, organization: null };
+}
+
+/**
+ * Balance below which the account is warned
+ * @param {Object} account - User or Organization document
+ * @returns {number} Threshold
+ */
+function getLowBalanceThreshold(account) {
+  return account.credits?.lowBalanceThreshold ?? config.credits.lowBalanceThreshold;
+}
+
+/**
+ * Whether the balance loaded with the account covers an amount
+ * Only a pre-flight check; reserve() is what guarantees it.
+ * @param {Object} account - User or Organization document
+ * @param {number} amount - Amount to spend
+ * @returns {boolean} True when affordable
+ */
+function canAfford(account, amount) {
+  return (account.credits?.balance || 0) >= amount;
+}
+
+/**
+ * Current balance and warning state of an account
+ * @param {Object} account - User or Organization document
+ * @returns {Promise<Object>} { balance, lowBalanceThreshold, lowBalance }
+ */
+async function getCreditStatus(account) {
+  const current = await account.constructor.findById(account._id).select('credits').lean();
+  const balance = roundAmount(current?.credits?.balance || 0);
+  const lowBalanceThreshold = getLowBalanceThreshold(account);
+
+  return { balance, lowBalanceThreshold, lowBalance: balance < lowBalanceThreshold };
+}
+
+/**
+ * Warn the account when a debit takes its balance below the threshold
+ * @param {Object} account - User or Organization document
+ * @param {number} previous - Balance before the debit
+ * @param {number} balance - Balance after the debit
+ * @param {Object} userId - Webhook owner (the member who spent the credits)
+ * @returns {Promise<void>}
+ */
+async function emitLowBalance(account, previous, balance, userId) {
+  const threshold = getLowBalanceThreshold(account);
+  if (!(previous >= threshold && balance < threshold)) return;
+
+  logger.info('Credit balance low', { ...ownerFields(account), balance, threshold });
+  await emitEvent(userId || account._id, 'credits.low_balance', {
+    balance,
+    threshold,
+    organizationId: account instanceof Organization ? account._id : undefined
+  });
+}
+
+/**
+ * Change the balance atomically and record the change in the ledger
+ * @param {Object} account - User or Organization document
+ * @param {number} amount - Signed amount; negative spends credits
+ * @param {Object} entry - Ledger fields (type, apiCall, reference, description, createdBy)
+ * @returns {Promise<Object>} Ledger entry
+ * @throws {InsufficientCreditsError} When a debit exceeds the balance
+ */
+async function applyEntry(account, amount, entry) {
+  const condition = amount < 0 ? { 'credits.balance': { $gte: -amount } } : {};
+
+  const updated = await account.constructor.findOneAndUpdate(
+    { _id: account._id, ...condition },
+    { $inc: { 'credits.balance': amount } },
+    { new: true, projection: { credits: 1 } }
+  );
+
+  if (!updated) {
+    const { balance } = await getCreditStatus(account);
+    throw new InsufficientCreditsError('Insufficient credits', balance, -amount);
+  }
+
+  const balanceAfter = roundAmount(updated.credits.balance);
+  const transaction = await CreditTransaction.create({
+    ...ownerFields(account),
+    ...entry,
+    amount,
+    balanceAfter
+  });
+
+  if (amount < 0) {
+    await emitLowBalance(account, roundAmount(balanceAfter - amount), balanceAfter, entry.createdBy);
+  }
+
+  return transaction;
+}
+
+/**
+ * Hold credits for a call before it runs
+ * @param {Object} account - User or Organization document
+ * @param {number} amount - Most the call can cost
+ * @param {Object} options - { apiCall, userId, description }
+ * @returns {Promise<Object|null>} Ledger entry, or null for a free call
+ * @throws {InsufficientCreditsError} When the balance does not cover the amount
+ */
+function reserve(account, amount, { apiCall, userId, description } = {}) {
+  amount = roundAmount(amount);
+  if (amount <= 0) return Promise.resolve(null);
+
+  return applyEntry(account, -amount, {
+    type: 'debit',
+    apiCall,
+    description,
+    createdBy: userId
+  });
+}
+
+/**
+ * Record a referenced entry first and then add it to the balance
+ * The unique index on reference keeps a single entry per payment, and the account
+ * remembers the references it has added, so the balance changes once however
+ * deliveries interleave. A delivery that stopped before the balance changed left
+ * its entry without balanceAfter; the next delivery of the payment adds it.
+ * @param {Object} account - User or Organization document
+ * @param {number} amount - Amount to add
+ * @param {Object} entry - Ledger fields, including reference
+ * @returns {Promise<Object|null>} Ledger entry, or null when already applied
+ */
+async function applyReferencedEntry(account, amount, entry) {
+  let transaction;
+  try {
+    transaction = await CreditTransaction.create({ ...ownerFields(account), ...entry, amount });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    transaction = await CreditTransaction.findOne({ reference: entry.reference });
+    if (!transaction || transaction.balanceAfter != null) return null;
+  }
+
+  const updated = await account.constructor.findOneAndUpdate(
+    { _id: account._id, 'credits.appliedReferences': { $ne: entry.reference } },
+    {
+      $inc: { 'credits.balance': transaction.amount },
+      $push: { 'credits.appliedReferences': { $each: [entry.reference], $slice: -APPLIED_REFERENCES_KEPT } }
+    },
+    { new: true, projection: { 'credits.balance': 1 } }
+  );
+  if (!updated) return null;
+
+  transaction.balanceAfter = roundAmount(updated.credits.balance);
+  await CreditTransaction.recordBalanceAfter(transaction._id, transaction.balanceAfter);
+  return transaction;
+}
+
+/**
+ * Add credits to an account
+ * Entries with a reference (e.g. a payment) are only applied once.
+ * @param {Object} account - User or Organization document
+ * @param {number} amount - Amount to add
+ * @param {Object} options - { type, reference, apiCall, description, createdBy }
+ * @returns {Promise<Object|null>} Ledger entry, or null when already applied
+ */
+async function credit(account, amount, { type = 'purchase', reference, apiCall, description, createdBy } = {}) {
+  amount = roundAmount(amount);
+  if (amount <= 0) return null;
+
+  const entry = { type, reference, apiCall, description, createdBy };
+  const transaction = reference
+    ? await applyReferencedEntry(account, amount, entry)
+    : await applyEntry(account, amount, entry);
+  if (!transaction) return null;
+
+  logger.info('Credits added', { ...ownerFields(account), type, amount, balance: transaction.balanceAfter });
+  return transaction;
+}
+
+/**
+ * Change a balance by hand (admin corrections)
+ * @param {Object} account - User or Organization document
+ * @param {number} amount - Signed amount
+ * @param {Object} options - { description, createdBy }
+ * @returns {Promise<Object>} Ledger entry
+ * @throws {InsufficientCreditsError} When a deduction exceeds the balance
+ */
+function adjust(account, amount, { description, createdBy } = {}) {
+  return applyEntry(account, roundAmount(amount), { type: 'adjustment', description, createdBy });
+}
+
+/**
+ * Settle the credits held for a call against what it finally cost
+ * Whatever was held beyond the final cost is refunded; a cost of 0 refunds it all.
+ * Calls without held credits are left alone.
+ * @param {Object} account - User or Organization document
+ * @param {Object} apiCallId - ApiCall the credits were held for
+ * @param {number} finalCost - Amount the call is charged
+ * @param {Object} options - { userId, description }
+ * @returns {Promise<Object|null>} Refund entry, or null when nothing is refunded
+ */
+async function settleCall(account, apiCallId, finalCost, { userId, description } = {}) {
+  const held = await CreditTransaction.getHeldForCall(apiCallId);
+  const refund = roundAmount(held - finalCost);
+  if (held <= 0 || refund <= 0) return null;
+
+  return applyEntry(account, refund, {
+    type: 'refund',
+    apiCall: apiCallId,
+    description: description || (finalCost > 0 ? 'Unused credits held for the call' : 'Call failed'),
+    createdBy: userId
+  });
+}
+
+module.exports = {
+  canAfford,
+  getCreditStatus,
+  reserve,
+  credit,
+  adjust,
+  settleCall,
+  transactionFilter: ownerFields
+};
@@ -0,0 +1,78 @@
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+let transporter = null;
+
+/**
+ * SMTP transport from EMAIL_HOST/PORT/USER/PASSWORD
+ * @returns {Object|null} Nodemailer transport, or null when no host is configured
+ */
+function getTransporter() {
+  if (!config.email.host) return null;
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.email.host,
+      port: config.email.port,
+      secure: config.email.secure,
+      auth: config.email.user ? { user: config.email.user, pass: config.email.password } : undefined
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Send a plain-text email
+ * Failures are logged rather than thrown, so the action that triggered the email still succeeds.
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendEmail({ to, subject, text }) {
+  const transport = getTransporter();
+  if (!transport) {
+    logger.warn('Email not sent: EMAIL_HOST is not configured', { subject });
+    return false;
+  }
+
+  try {
+    await transport.sendMail({ from: config.email.from, to, subject, text });
+    logger.info('Email sent', { subject });
+    return true;
+  } catch (error) {
+    logger.error('Failed to send email:', { subject, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Invite someone to an organization
+ * The invitee accepts by signing in (or registering) with the invited address.
+ * @param {string} email - Invited address
+ * @param {Object} organization - Organization document
+ * @param {Object} invitation - Invitation subdocument
+ * @param {Object} inviter - User who sent the invitation
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+function sendOrganizationInvitation(email, organization, invitation, inviter) {
+  const invitations = `${config.api.baseUrl}/organizations/invitations`;
+
+  return sendEmail({
+    to: email,
+    subject: `You have been invited to join ${organization.name}`,
+    text: [
+      `${inviter.fullName} invited you to join ${organization.name} as ${invitation.role}.`,
+      '',
+      `Sign in or register with ${email}, then accept the invitation:`,
+      `POST ${invitations}/${invitation._id}/accept`,
+      '',
+      `Your pending invitations are listed at GET ${invitations}.`,
+      `The invitation expires on ${invitation.expiresAt.toUTCString()}.`
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  sendEmail,
+  sendOrganizationInvitation
+};
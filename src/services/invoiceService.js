@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { roundAmount } = require('../utils/money');
+const { createPoller } = require('../utils/poller');
+const Invoice = require('../models/Invoice');
+const ApiCall = require('../models/ApiCall');
+const CreditTransaction = require('../models/CreditTransaction');
+const Pricing = require('../models/Pricing');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+
+/**
+ * Calendar month (UTC) containing a date; invoices cover one such period
+ * @param {Date} date - Any moment in the period
+ * @returns {Object} { start, end } with end exclusive
+ */
+function getBillingPeriod(date = new Date()) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  return { start, end };
+}
+
+/**
+ * The month before the current one, the latest period that can be invoiced
+ * @returns {Object} { start, end }
+ */
+function getPreviousPeriod() {
+  const { start } = getBillingPeriod();
+  return getBillingPeriod(new Date(start.getTime() - 1));
+}
+
+/**
+ * Filter selecting an account's ApiCalls and Invoices
+ * Personal calls are those made without an organization key.
+ * @param {Object} account - User or Organization document
+ * @returns {Object} Query filter
+ */
+function accountFilter(account) {
+  return account instanceof Organization
+    ? { organization: account._id }
+    : { user: account._id, organization: null };
+}
+
+/**
+ * Calls of an account that are settled but not yet on an invoice
+ * Calls settled after their month was invoiced roll into the next invoice.
+ * @param {Object} account - User or Organization document
+ * @param {Date} periodEnd - End of the invoiced period
+ * @returns {Object} Query filter
+ */
+function billableCallFilter(account, periodEnd) {
+  return {
+    ...accountFilter(account),
+    invoice: null,
+    responseStatus: 'success',
+    completedAt: { $ne: null },
+    timestamp: { $lt: periodEnd }
+  };
+}
+
+/**
+ * Group an invoice's calls into usage lines by endpoint and model
+ * @param {Object} invoiceId - Invoice the calls were claimed for
+ * @param {Object} pricing - Plan pricing, for the list price (before volume brackets)
+ * @returns {Promise<Array>} Usage lines
+ */
+async function buildUsageLines(invoiceId, pricing) {
+  const groups = await ApiCall.aggregate([
+    { $match: { invoice: invoiceId } },
+    {
+      $group: {
+        _id: { endpoint: '$endpoint', aiModel: '$aiModel' },
+        requests: { $sum: 1 },
+        quantity: { $sum: '$quantity' },
+        amount: { $sum: ApiCall.NET_COST }
+      }
+    },
+    { $sort: { '_id.endpoint': 1, '_id.aiModel': 1 } }
+  ]);
+
+  return groups.map(group => {
+    const amount = roundAmount(group.amount);
+    // Price of the month's first call with the line's model; brackets show up as the discount
+    const unitPrice = pricing ? pricing.quote(1, { model: group._id.aiModel }).unitPrice : 0;
+    return {
+      type: 'usage',
+      description: `${group._id.endpoint} (${group._id.aiModel})`,
+      endpoint: group._id.endpoint,
+      aiModel: group._id.aiModel,
+      requests: group.requests,
+      quantity: group.quantity,
+      unitPrice,
+      // Never below what was charged, e.g. after a plan change to a cheaper price
+      listAmount: roundAmount(Math.max(group.quantity * unitPrice, amount)),
+      amount
+    };
+  });
+}
+
+/**
+ * Amount of an invoice's calls already paid from prepaid credits
+ * @param {Object} invoiceId - Invoice the calls were claimed for
+ * @returns {Promise<number>} Credits spent, net of refunds
+ */
+async function getPrepaidAmount(invoiceId) {
+  const apiCalls = await ApiCall.distinct('_id', { invoice: invoiceId });
+  if (apiCalls.length === 0) return 0;
+
+  const [spent] = await CreditTransaction.aggregate([
+    { $match: { apiCall: { $in: apiCalls } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  return spent ? roundAmount(-spent.amount) : 0;
+}
+
+/**
+ * Create the invoice of an account for a period
+ * Calls are claimed for the invoice before it is written, so a call can only
+ * ever be billed once even when generators run concurrently.
+ * @param {Object} account - User or Organization document
+ * @param {Date} periodStart - Start of the period
+ * @returns {Promise<Object|null>} Invoice, the existing one if already invoiced,
+ *   or null when there is nothing to bill
+ */
+async function generateInvoice(account, periodStart) {
+  const { start, end } = getBillingPeriod(periodStart);
+  const existing = await Invoice.findOne({ ...accountFilter(account), periodStart: start });
+  if (existing) return existing;
+
+  const invoiceId = new mongoose.Types.ObjectId();
+  await ApiCall.updateMany(billableCallFilter(account, end), { $set: { invoice: invoiceId } });
+
+  const plan = account.subscription.plan;
+  const pricing = await Pricing.getPlan(plan);
+  const lines = await buildUsageLines(invoiceId, pricing);
+
+  if (pricing && pricing.monthlyPrice > 0) {
+    lines.unshift({
+      type: 'plan',
+      description: `${pricing.name} - monthly fee`,
+      quantity: 1,
+      unitPrice: pricing.monthlyPrice,
+      listAmount: pricing.monthlyPrice,
+      amount: pricing.monthlyPrice
+    });
+  }
+
+  // Pay-per-use calls were settled from credits when they were made
+  const prepaid = await getPrepaidAmount(invoiceId);
+  if (prepaid > 0) {
+    lines.push({
+      type: 'credit',
+      description: 'Paid from prepaid credits',
+      amount: -prepaid
+    });
+  }
+
+  if (lines.length === 0) return null;
+
+  const invoice = new Invoice({
+    _id: invoiceId,
+    number: Invoice.buildNumber(invoiceId, start),
+    user: account instanceof Organization ? null : account._id,
+    organization: account instanceof Organization ? account._id : null,
+    periodStart: start,
+    periodEnd: end,
+    plan,
+    currency: config.stripe.currency,
+    lines
+  });
+  invoice.calculateTotals();
+
+  try {
+    await invoice.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Another generator invoiced the period first; give the calls back for its next run
+    await ApiCall.updateMany({ invoice: invoiceId }, { $set: { invoice: null } });
+    return Invoice.findOne({ ...accountFilter(account), periodStart: start });
+  }
+
+  logger.info('Invoice generated', {
+    invoiceId: invoice._id,
+    number: invoice.number,
+    ...accountFilter(account),
+    total: invoice.total
+  });
+
+  return invoice;
+}
+
+/**
+ * Invoice every account with billable calls or a paid plan for a period
+ * @param {Date} periodStart - Start of the period
+ * @returns {Promise<number>} Invoices created
+ */
+async function generateInvoicesForPeriod(periodStart) {
+  const { start, end } = getBillingPeriod(periodStart);
+
+  const [callAccounts, paidUsers, paidOrganizations, invoiced] = await Promise.all([
+    ApiCall.aggregate([
+      { $match: { invoice: null, responseStatus: 'success', completedAt: { $ne: null }, timestamp: { $lt: end } } },
+      {
+        $group: {
+          _id: {
+            organization: { $ifNull: ['$organization', null] },
+            user: { $cond: [{ $ifNull: ['$organization', false] }, null, '$user'] }
+          }
+        }
+      }
+    ]),
+    User.find({ 'subscription.plan': { $ne: 'free' }, status: 'active' }).select('_id').lean(),
+    Organization.find({ 'subscription.plan': { $ne: 'free' }, status: 'active' }).select('_id').lean(),
+    Invoice.find({ periodStart: start }).select('user organization').lean()
+  ]);
+
+  const done = new Set(invoiced.map(invoice => String(invoice.organization || invoice.user)));
+  const pending = new Map();
+  const add = (id, isOrganization) => {
+    if (!done.has(String(id))) pending.set(String(id), isOrganization);
+  };
+
+  callAccounts.forEach(({ _id }) => add(_id.organization || _id.user, !!_id.organization));
+  paidUsers.forEach(user => add(user._id, false));
+  paidOrganizations.forEach(organization => add(organization._id, true));
+
+  let created = 0;
+  for (const [id, isOrganization] of pending) {
+    try {
+      const account = isOrganization ? await Organization.findById(id) : await User.findById(id);
+      if (!account) continue;
+
+      if (await generateInvoice(account, start)) {
+        created++;
+      }
+    } catch (error) {
+      logger.error('Failed to generate invoice:', { accountId: id, periodStart: start, error: error.message });
+    }
+  }
+
+  if (created > 0) {
+    logger.info('Invoices generated for period', { periodStart: start, created });
+  }
+  return created;
+}
+
+/**
+ * Invoice the previous month for any account not invoiced yet
+ * @returns {Promise<number>} Invoices created
+ */
+function runOnce() {
+  return generateInvoicesForPeriod(getPreviousPeriod().start);
+}
+
+const worker = createPoller('Invoice generator', runOnce, config.invoices.pollInterval);
+
+module.exports = {
+  getBillingPeriod,
+  getPreviousPeriod,
+  accountFilter,
+  generateInvoice,
+  generateInvoicesForPeriod,
+  runOnce,
+  startWorker: () => worker.start(),
+  stopWorker: () => worker.stop()
+};
@@ -0,0 +1,23 @@
+const { AzureOpenAI } = require('openai');
+const { createChatCompletionProvider } = require('./openaiProvider');
+
+/**
+ * Azure OpenAI provider
+ * Requests are routed to a deployment rather than a model name.
+ * @param {Object} aiConfig - config.ai
+ * @returns {Object} AI provider
+ */
+module.exports = function createAzureProvider(aiConfig) {
+  const deployment = aiConfig.azure.deployment || aiConfig.model;
+
+  const client = new AzureOpenAI({
+    endpoint: aiConfig.endpoint,
+    apiKey: aiConfig.apiKey,
+    apiVersion: aiConfig.azure.apiVersion,
+    deployment,
+    timeout: aiConfig.timeout,
+    maxRetries: 0 // retried by generateAISummary
+  });
+
+  return createChatCompletionProvider('azure', client, deployment);
+};
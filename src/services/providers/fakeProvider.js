@@ -0,0 +1,120 @@
+/**
+ * Deterministic offline provider
+ * Produces an extractive summary by picking the highest-scoring sentences of
+ * the input, so the same prompt always yields the same output. Used for tests
+ * and local development without AI credentials.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'which', 'with'
+]);
+
+/**
+ * Rough token estimate (about four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Pick the most representative sentences of a text
+ * @param {string} text - Text to summarize
+ * @param {number} maxWords - Word budget for the summary
+ * @returns {string} Extractive summary
+ */
+function extractiveSummary(text, maxWords) {
+  const sentences = (text.match(/[^.!?\n]+[.!?]*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.split(/\s+/).length >= 3);
+
+  if (sentences.length === 0) {
+    return text.trim().split(/\s+/).slice(0, maxWords).join(' ');
+  }
+
+  // Score sentences by the document frequency of their content words
+  const frequencies = {};
+  const wordsOf = sentence => sentence.toLowerCase().match(/[a-z0-9']+/g) || [];
+
+  for (const sentence of sentences) {
+    for (const word of wordsOf(sentence)) {
+      if (!STOP_WORDS.has(word)) {
+        frequencies[word] = (frequencies[word] || 0) + 1;
+      }
+    }
+  }
+
+  const ranked = sentences
+    .map((sentence, index) => {
+      const words = wordsOf(sentence).filter(word => !STOP_WORDS.has(word));
+      const score = words.reduce((sum, word) => sum + frequencies[word], 0) / (words.length || 1);
+      return { sentence, index, score };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  // Take sentences in rank order until the word budget is used, then restore document order
+  const picked = [];
+  let wordCount = 0;
+
+  for (const candidate of ranked) {
+    const length = candidate.sentence.split(/\s+/).length;
+    if (picked.length > 0 && wordCount + length > maxWords) continue;
+    picked.push(candidate);
+    wordCount += length;
+  }
+
+  return picked
+    .sort((a, b) => a.index - b.index)
+    .map(candidate => candidate.sentence)
+    .join(' ');
+}
+
+/**
+ * @param {Object} aiConfig - config.ai
+ * @returns {Object} AI provider
+ */
+module.exports = function createFakeProvider(aiConfig) {
+  const model = aiConfig.fakeModel || 'fake/extractive';
+
+  return {
+    name: 'fake',
+    model,
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { messages, maxTokens, onToken }
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async complete({ messages, maxTokens = 400, onToken }) {
+      const userMessage = [...messages].reverse().find(message => message.role === 'user');
+      const input = (userMessage ? userMessage.content : '')
+        .replace(/^Please summarize the following content:\s*/, '');
+
+      const content = extractiveSummary(input, Math.floor(maxTokens * 0.75));
+
+      // Stream word by word, yielding to the event loop like a real stream would
+      if (onToken) {
+        for (const token of content.match(/\S+\s*/g) || []) {
+          onToken(token);
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+
+      const prompt = estimateTokens(messages.map(message => message.content).join('\n'));
+      const completion = estimateTokens(content);
+
+      return {
+        content,
+        model,
+        usage: {
+          prompt,
+          completion,
+          total: prompt + completion
+        }
+      };
+    }
+  };
+};
@@ -0,0 +1,55 @@
+const config = require('../../config/config');
+const createOpenAIProvider = require('./openaiProvider');
+const createAzureProvider = require('./azureProvider');
+const createFakeProvider = require('./fakeProvider');
+
+/**
+ * AI provider registry
+ * Every provider exposes { name, model, complete({ messages, temperature, topP, maxTokens }) }
+ * and resolves completions to { content, model, usage: { prompt, completion, total } }.
+ */
+const factories = {
+  openai: createOpenAIProvider,
+  azure: createAzureProvider,
+  fake: createFakeProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Create a provider from AI configuration
+ * @param {Object} aiConfig - AI configuration (defaults to config.ai)
+ * @returns {Object} AI provider
+ */
+function createProvider(aiConfig = config.ai) {
+  const factory = factories[aiConfig.provider];
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${aiConfig.provider}`);
+  }
+  return factory(aiConfig);
+}
+
+/**
+ * Get the provider selected by config.ai.provider
+ * @returns {Object} AI provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (tests and runtime reconfiguration)
+ * @param {Object|null} provider - Provider instance, or null to rebuild from config
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider
+};
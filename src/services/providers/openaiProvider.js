@@ -0,0 +1,99 @@
+const OpenAI = require('openai');
+
+/**
+ * Convert an OpenAI usage block to { prompt, completion, total }
+ * @param {Object} usage - usage from a completion response
+ * @returns {Object} Token counts
+ */
+function normalizeUsage(usage) {
+  return {
+    prompt: usage?.prompt_tokens || 0,
+    completion: usage?.completion_tokens || 0,
+    total: usage?.total_tokens || 0
+  };
+}
+
+/**
+ * Wrap an OpenAI SDK client as an AI provider
+ * Shared by every provider that speaks the chat completions API.
+ * @param {string} name - Provider name
+ * @param {Object} client - OpenAI or AzureOpenAI client
+ * @param {string} model - Model (or deployment) name
+ * @returns {Object} AI provider
+ */
+function createChatCompletionProvider(name, client, model) {
+  return {
+    name,
+    model,
+
+    /**
+     * Run a chat completion
+     * When onToken is given the completion is streamed and onToken is called
+     * with every text delta; the resolved value is the same either way.
+     * @param {Object} request - { messages, temperature, topP, maxTokens, onToken }
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async complete({ messages, temperature, topP = 1.0, maxTokens, onToken }) {
+      const params = {
+        messages,
+        temperature,
+        top_p: topP,
+        max_tokens: maxTokens,
+        model
+      };
+
+      if (!onToken) {
+        const response = await client.chat.completions.create(params);
+
+        return {
+          content: response.choices[0].message.content || '',
+          model: response.model || model,
+          usage: normalizeUsage(response.usage)
+        };
+      }
+
+      const stream = await client.chat.completions.create({
+        ...params,
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+
+      let content = '';
+      let responseModel = model;
+      let usage = null;
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onToken(delta);
+        }
+        if (chunk.model) responseModel = chunk.model;
+        // The usage block arrives on the final chunk
+        if (chunk.usage) usage = chunk.usage;
+      }
+
+      return { content, model: responseModel, usage: normalizeUsage(usage) };
+    }
+  };
+}
+
+/**
+ * OpenAI-compatible HTTP provider (GitHub Models, OpenAI, local gateways)
+ * @param {Object} aiConfig - config.ai
+ * @returns {Object} AI provider
+ */
+function createOpenAIProvider(aiConfig) {
+  const client = new OpenAI({
+    baseURL: aiConfig.endpoint,
+    apiKey: aiConfig.apiKey,
+    timeout: aiConfig.timeout,
+    // Retries are handled by generateAISummary, behind the circuit breaker
+    maxRetries: 0
+  });
+
+  return createChatCompletionProvider('openai', client, aiConfig.model);
+}
+
+module.exports = createOpenAIProvider;
+module.exports.createChatCompletionProvider = createChatCompletionProvider;
@@ -0,0 +1,225 @@
+const ApiCall = require('../models/ApiCall');
+const Summary = require('../models/Summary');
+const { ValidationError } = require('../utils/errorFormatter');
+
+// Endpoints whose calls make up a user's summary history
+const SUMMARY_ENDPOINTS = ['/api/summary', '/api/summary/stream', '/api/summary/batch', '/api/summary/jobs'];
+
+// Text matches ranked per collection; results beyond this are not reachable by paging
+const MAX_CANDIDATES = 500;
+
+// Characters of context on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 80;
+
+/**
+ * Split a search query into the terms to highlight
+ * Quoted phrases stay whole; negated terms ("-word") are dropped.
+ * @param {string} q - Search query
+ * @returns {Array<string>} Terms, longest first
+ */
+function parseTerms(q) {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(q)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term.length > 1) {
+      terms.push(term);
+    }
+  }
+
+  return [...new Set(terms)].sort((a, b) => b.length - a.length);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Build a snippet around the first matching term, with matches wrapped in <mark>
+ * Terms match at word starts, so "learn" also marks "learning".
+ * @param {string} text - Field text
+ * @param {Array<string>} terms - Terms from parseTerms
+ * @returns {string|null} HTML-escaped snippet, or null when nothing matches
+ */
+function highlight(text, terms) {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_CONTEXT);
+  const excerpt = text.substring(start, end).replace(/\s+/g, ' ');
+
+  // Escape the text between matches separately so marks never land inside an entity
+  let snippet = '';
+  let last = 0;
+  excerpt.replace(pattern, (match, term, offset) => {
+    snippet += escapeHtml(excerpt.substring(last, offset)) + `<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  snippet += escapeHtml(excerpt.substring(last));
+
+  return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+}
+
+/**
+ * Encode the position after a result
+ * @param {Object} result - Ranked result
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(result) {
+  return Buffer.from(JSON.stringify({
+    s: result.score,
+    t: result.timestamp.getTime(),
+    id: String(result.apiCallId)
+  })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} { s, t, id }
+ * @throws {ValidationError} When the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof position.s !== 'number' || typeof position.t !== 'number' || typeof position.id !== 'string') {
+      throw new Error('Incomplete cursor');
+    }
+    return position;
+  } catch (error) {
+    throw new ValidationError('Invalid cursor');
+  }
+}
+
+/**
+ * Order results by relevance, then newest first
+ * @returns {number} Sort comparison
+ */
+function compareResults(a, b) {
+  return (b.score - a.score)
+    || (b.timestamp.getTime() - a.timestamp.getTime())
+    || String(b.apiCallId).localeCompare(String(a.apiCallId));
+}
+
+/**
+ * Search a user's summary history
+ * Matches requested titles and content snippets on the ApiCall and the text
+ * of stored summaries; a call's score is its own text score plus that of its
+ * best matching summary.
+ * @param {string} userId - User ID
+ * @param {Object} params - { q, style, length, from, to, tags, cursor, limit }
+ * @returns {Promise<Object>} { results, nextCursor }
+ */
+async function searchHistory(userId, { q, style, length, from, to, tags = [], cursor, limit = 20 }) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const terms = parseTerms(q);
+
+  // Filters apply to the calls, whichever collection the text matched in
+  const filter = { user: userId, endpoint: { $in: SUMMARY_ENDPOINTS } };
+  if (style) filter['requestData.options.style'] = style;
+  if (length) filter['requestData.options.length'] = length;
+  if (tags.length > 0) filter['requestData.options.tags'] = { $all: tags };
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lte = to;
+  }
+
+  const textScore = { score: { $meta: 'textScore' } };
+
+  const [callMatches, summaryMatches] = await Promise.all([
+    ApiCall.find({ ...filter, $text: { $search: q } }, textScore)
+      .select('endpoint timestamp requestData')
+      .sort(textScore)
+      .limit(MAX_CANDIDATES)
+      .lean(),
+    Summary.find({ user: userId, apiCall: { $exists: true }, $text: { $search: q } }, textScore)
+      .select('apiCall title summary')
+      .sort(textScore)
+      .limit(MAX_CANDIDATES)
+      .lean()
+  ]);
+
+  // Calls found only through their summaries still have to pass the filters
+  const matchedCallIds = new Set(callMatches.map(call => String(call._id)));
+  const extraCallIds = [...new Set(summaryMatches.map(summary => String(summary.apiCall)))]
+    .filter(id => !matchedCallIds.has(id));
+  const extraCalls = extraCallIds.length > 0
+    ? await ApiCall.find({ ...filter, _id: { $in: extraCallIds } })
+      .select('endpoint timestamp requestData')
+      .lean()
+    : [];
+
+  const results = new Map();
+  for (const call of [...callMatches, ...extraCalls]) {
+    results.set(String(call._id), {
+      apiCallId: call._id,
+      endpoint: call.endpoint,
+      timestamp: call.timestamp,
+      title: call.requestData?.title,
+      options: {
+        style: call.requestData?.options?.style,
+        length: call.requestData?.options?.length,
+        language: call.requestData?.options?.language,
+        tags: call.requestData?.options?.tags || []
+      },
+      score: call.score || 0,
+      summaryScore: 0,
+      summaryIds: [],
+      highlights: [
+        { field: 'title', snippet: highlight(call.requestData?.title, terms) },
+        { field: 'content', snippet: highlight(call.requestData?.content, terms) }
+      ].filter(entry => entry.snippet)
+    });
+  }
+
+  for (const summary of summaryMatches) {
+    const result = results.get(String(summary.apiCall));
+    if (!result) continue;
+
+    result.summaryIds.push(summary._id);
+    result.summaryScore = Math.max(result.summaryScore, summary.score);
+
+    const snippet = highlight(summary.summary, terms);
+    if (snippet) {
+      result.highlights.push({ field: 'summary', summaryId: summary._id, snippet });
+    }
+  }
+
+  const ranked = [...results.values()]
+    .map(({ summaryScore, ...result }) => ({
+      ...result,
+      score: Math.round((result.score + summaryScore) * 1000) / 1000
+    }))
+    .sort(compareResults);
+
+  const start = after
+    ? ranked.findIndex(result => compareResults(result, {
+      score: after.s,
+      timestamp: new Date(after.t),
+      apiCallId: after.id
+    }) > 0)
+    : 0;
+
+  const page = start === -1 ? [] : ranked.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < ranked.length;
+
+  return {
+    results: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  searchHistory,
+  parseTerms,
+  highlight,
+  SUMMARY_ENDPOINTS
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const User = require('../models/User');
+const { AuthenticationError } = require('../utils/errorFormatter');
+
+// 2FA challenges are signed with their own key so they can never pass as access tokens
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => 'rt_' + crypto.randomBytes(32).toString('hex');
+
+/**
+ * Issue an access token for a session and remember when it expires
+ * @param {Object} user - User document
+ * @param {Object} session - Session document (saved by the caller)
+ * @returns {Object} { token, expiresIn } with expiresIn in seconds
+ */
+function issueAccessToken(user, session) {
+  const token = user.generateAuthToken(session._id, { mfa: session.mfa });
+  const { exp, iat } = jwt.decode(token);
+
+  session.accessTokenExpiresAt = new Date(exp * 1000);
+
+  return { token, expiresIn: exp - iat };
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for IP and user agent)
+ * @param {Object} options - { mfa: whether a second factor was verified }
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, sessionId }
+ */
+async function createSession(user, req, { mfa = false } = {}) {
+  const refreshToken = generateRefreshToken();
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    mfa,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    expiresAt: new Date(Date.now() + config.auth.refreshTokenExpiry)
+  });
+
+  const { token, expiresIn } = issueAccessToken(user, session);
+  await session.save();
+
+  return { token, refreshToken, expiresIn, sessionId: session._id };
+}
+
+/**
+ * Revoke a session and the access tokens issued for it
+ * @param {Object} session - Session document
+ * @param {string} reason - Session.revokedReason value
+ */
+async function revokeSession(session, reason) {
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+
+  // Access tokens of the session stay listed until the last of them would have expired
+  if (session.accessTokenExpiresAt > Date.now()) {
+    await RevokedToken.create({ session: session._id, reason, expiresAt: session.accessTokenExpiresAt });
+  }
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * A refresh token can be used once; presenting an already rotated token
+ * means it leaked, so the whole session is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, token, refreshToken, expiresIn }
+ * @throws {AuthenticationError} When the token is unknown, reused, revoked or expired
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const session = await Session.findOne({
+    $or: [{ refreshTokenHash: hash }, { previousTokenHashes: hash }]
+  });
+
+  if (!session) {
+    throw new AuthenticationError('Invalid refresh token');
+  }
+  if (session.revokedAt) {
+    throw new AuthenticationError('Session has been revoked');
+  }
+  if (session.refreshTokenHash !== hash) {
+    await revokeSession(session, 'reuse_detected');
+    logger.warn('Refresh token reuse detected, session revoked', {
+      userId: session.user,
+      sessionId: session._id,
+      ip: req.ip
+    });
+    throw new AuthenticationError('Refresh token has already been used; the session was revoked');
+  }
+  if (session.expiresAt <= Date.now()) {
+    throw new AuthenticationError('Refresh token expired');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.status !== 'active') {
+    throw new AuthenticationError('Account is not active');
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const { token, expiresIn } = issueAccessToken(user, session);
+
+  // Only one caller can rotate a given token; a concurrent second use counts as reuse
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        accessTokenExpiresAt: session.accessTokenExpiresAt,
+        lastUsedAt: new Date(),
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        expiresAt: new Date(Date.now() + config.auth.refreshTokenExpiry)
+      },
+      $push: { previousTokenHashes: hash }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session, 'reuse_detected');
+    throw new AuthenticationError('Refresh token has already been used; the session was revoked');
+  }
+
+  return { user, token, refreshToken: nextRefreshToken, expiresIn };
+}
+
+/**
+ * Revoke a single access token until it expires
+ * @param {Object} decoded - Decoded access token ({ jti, exp })
+ * @param {string} reason - Why it was revoked
+ */
+async function revokeAccessToken(decoded, reason) {
+  if (!decoded.jti) return;
+
+  await RevokedToken.create({ jti: decoded.jti, reason, expiresAt: new Date(decoded.exp * 1000) });
+}
+
+/**
+ * Revoke every session of a user and every access token issued so far
+ * @param {Object} user - User document
+ * @param {string} reason - Session.revokedReason value
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(user, reason) {
+  const sessions = await Session.find({ user: user._id, revokedAt: null });
+  for (const session of sessions) {
+    await revokeSession(session, reason);
+  }
+
+  // Also covers access tokens issued without a session
+  user.tokensValidAfter = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  return sessions.length;
+}
+
+/**
+ * Issue a short-lived token proving the password step of a 2FA login succeeded
+ * @param {Object} user - User document
+ * @returns {Object} { challengeToken, expiresIn } with expiresIn in seconds
+ */
+function issueTwoFactorChallenge(user) {
+  const challengeToken = jwt.sign(
+    { sub: String(user._id), purpose: '2fa' },
+    challengeSecret(),
+    { expiresIn: config.auth.twoFactor.challengeExpiry }
+  );
+
+  return { challengeToken, expiresIn: config.auth.twoFactor.challengeExpiry };
+}
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} challengeToken - Token from the login response
+ * @returns {string} User ID
+ * @throws {AuthenticationError} When the token is invalid or expired
+ */
+function verifyTwoFactorChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, challengeSecret());
+    if (decoded.purpose !== '2fa') {
+      throw new Error('Not a 2FA challenge');
+    }
+    return decoded.sub;
+  } catch (error) {
+    throw new AuthenticationError('Invalid or expired two-factor challenge; sign in again');
+  }
+}
+
+/**
+ * Check a verified access token against the revocation list
+ * @param {Object} decoded - Decoded access token
+ * @param {Object} user - Token's user
+ * @returns {Promise<boolean>} True when the token has been revoked
+ */
+async function isAccessTokenRevoked(decoded, user) {
+  // iat has one-second resolution; tokens from the same second are covered by the session entries
+  if (user.tokensValidAfter && decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)) {
+    return true;
+  }
+
+  return RevokedToken.isRevoked(decoded);
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllSessions,
+  isAccessTokenRevoked,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  hashToken
+};
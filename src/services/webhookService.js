@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getBackoffDelay } = require('../utils/retry');
+const { assertPublicUrl, publicLookup } = require('../utils/networkGuard');
+const { createPoller } = require('../utils/poller');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const WEBHOOK_USER_AGENT = 'WikipediaSummaryGenerator-Webhooks/1.0';
+
+// Receivers should reject signatures older than this (seconds)
+const SIGNATURE_TOLERANCE = 300;
+
+// Agents that refuse private addresses when connecting, whatever the host resolved to before
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * How long a delivery is leased to the sender while an attempt runs
+ * @returns {number} Lease in milliseconds
+ */
+function leaseTime() {
+  return config.webhooks.timeout * 2;
+}
+
+/**
+ * Compute the HMAC-SHA256 signature of a payload
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex digest of "<timestamp>.<body>"
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Build the X-Webhook-Signature header
+ * @param {string} secret - Webhook signing secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds (defaults to now)
+ * @returns {string} Header value "t=<timestamp>,v1=<signature>"
+ */
+function buildSignatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+}
+
+/**
+ * Verify an X-Webhook-Signature header, as a receiver would
+ * @param {string} secret - Webhook signing secret
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Webhook-Signature value
+ * @param {number} tolerance - Maximum signature age in seconds
+ * @returns {boolean} True when the signature matches and is recent
+ */
+function verifySignature(secret, body, header, tolerance = SIGNATURE_TOLERANCE) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.split('=').map(value => value.trim()))
+  );
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Check that a webhook URL points to the public internet
+ * Loopback, private, link-local and metadata addresses are refused unless
+ * config.webhooks.allowPrivateTargets is set (local development and tests).
+ * @param {string} url - Webhook URL
+ * @returns {Promise<void>}
+ * @throws {Error} When the host is private or does not resolve
+ */
+async function assertWebhookTarget(url) {
+  if (config.webhooks.allowPrivateTargets) return;
+  await assertPublicUrl(url);
+}
+
+/**
+ * POST a signed payload to a receiver
+ * Any 2xx response counts as delivered; redirects are not followed. Only the
+ * status is kept: response bodies would let callers read internal services.
+ * @param {Object} request - { url, secret, event, deliveryId, body }
+ * @returns {Promise<Object>} { ok, responseStatus, duration, error }
+ */
+async function sendWebhookRequest({ url, secret, event, deliveryId, body }) {
+  const startTime = Date.now();
+
+  try {
+    await assertWebhookTarget(url);
+
+    const response = await axios.post(url, body, {
+      ...(config.webhooks.allowPrivateTargets ? {} : publicAgents),
+      proxy: false,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': WEBHOOK_USER_AGENT,
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': String(deliveryId),
+        'X-Webhook-Signature': buildSignatureHeader(secret, body)
+      },
+      timeout: config.webhooks.timeout,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: [data => data],
+      validateStatus: () => true
+    });
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      responseStatus: response.status,
+      duration: Date.now() - startTime
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      error: error.message,
+      duration: Date.now() - startTime
+    };
+  }
+}
+
+/**
+ * Make one delivery attempt and schedule the next one on failure
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} Updated delivery
+ */
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  if (!webhook || !webhook.isActive) {
+    delivery.attempts.push({ error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' });
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    return delivery.save();
+  }
+
+  const result = await sendWebhookRequest({
+    url: webhook.url,
+    secret: webhook.secret,
+    event: delivery.event,
+    deliveryId: delivery._id,
+    body: JSON.stringify(delivery.payload)
+  });
+
+  delivery.attempts.push({
+    responseStatus: result.responseStatus,
+    duration: result.duration,
+    error: result.error
+  });
+
+  if (result.ok) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts.length >= config.webhooks.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    const delay = getBackoffDelay(delivery.attempts.length, config.webhooks.retryDelay, config.webhooks.maxRetryDelay);
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  await delivery.save();
+
+  if (delivery.status !== 'pending') {
+    const succeeded = delivery.status === 'succeeded';
+    await Webhook.updateOne({ _id: webhook._id }, succeeded
+      ? { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'succeeded', consecutiveFailures: 0 } }
+      : { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'failed' }, $inc: { consecutiveFailures: 1 } }
+    );
+  }
+
+  logger.info('Webhook delivery attempted', {
+    deliveryId: delivery._id,
+    webhookId: webhook._id,
+    event: delivery.event,
+    attempt: delivery.attempts.length,
+    status: delivery.status,
+    responseStatus: result.responseStatus,
+    error: result.error
+  });
+
+  return delivery;
+}
+
+/**
+ * Build the body sent for an event
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {Object} Payload
+ */
+function buildPayload(event, data) {
+  return {
+    id: 'evt_' + crypto.randomBytes(12).toString('hex'),
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Create a pending delivery leased to this process
+ * @param {Object} webhook - Webhook document
+ * @param {Object} payload - Payload from buildPayload
+ * @param {Object} extra - Extra delivery fields (e.g. redeliveryOf)
+ * @returns {Promise<Object>} WebhookDelivery document
+ */
+function createDelivery(webhook, payload, extra = {}) {
+  return WebhookDelivery.create({
+    webhook: webhook._id,
+    user: webhook.user,
+    event: payload.event,
+    eventId: payload.id,
+    payload,
+    nextAttemptAt: new Date(Date.now() + leaseTime()),
+    ...extra
+  });
+}
+
+/**
+ * Notify a user's webhooks about an event
+ * Deliveries are recorded right away and sent in the background, so callers
+ * are never slowed down or failed by a receiver. Never throws.
+ * @param {string} userId - User ID
+ * @param {string} event - One of Webhook.EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<Array>} Created deliveries
+ */
+async function emitEvent(userId, event, data) {
+  try {
+    const webhooks = await Webhook.findSubscribers(userId, event);
+    if (webhooks.length === 0) return [];
+
+    const payload = buildPayload(event, data);
+    const deliveries = await Promise.all(webhooks.map(webhook => createDelivery(webhook, payload)));
+
+    deliveries.forEach(delivery => {
+      attemptDelivery(delivery).catch(error => {
+        logger.error('Webhook delivery failed:', { deliveryId: delivery._id, error: error.message });
+      });
+    });
+
+    return deliveries;
+  } catch (error) {
+    logger.error('Failed to emit webhook event:', { userId, event, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Emit usage.threshold_crossed for every threshold the latest calls crossed
+ * @param {Object} account - User or Organization document, after incrementUsage
+ * @param {number} calls - Calls just added
+ * @param {Object} options - { userId: webhook owner, organizationId: set when an organization pays }
+ * @returns {Promise<void>}
+ */
+async function emitUsageThresholds(account, calls = 1, { userId = account._id, organizationId } = {}) {
+  const monthlyLimit = account.getUsageLimits().monthly;
+  const monthlyCalls = account.usage.monthlyCalls;
+  const previousCalls = monthlyCalls - calls;
+
+  const crossed = config.webhooks.usageThresholds.filter(threshold => {
+    const limit = monthlyLimit * threshold / 100;
+    return previousCalls < limit && monthlyCalls >= limit;
+  });
+
+  for (const threshold of crossed) {
+    await emitEvent(userId, 'usage.threshold_crossed', {
+      threshold,
+      monthlyCalls,
+      monthlyLimit,
+      plan: account.subscription.plan,
+      organizationId
+    });
+  }
+}
+
+/**
+ * Send an event again as a new delivery and wait for the attempt
+ * The payload (including its event ID) is unchanged.
+ * @param {Object} webhook - Webhook document
+ * @param {Object} delivery - Original delivery
+ * @returns {Promise<Object>} New delivery
+ */
+async function redeliver(webhook, delivery) {
+  const redelivery = await createDelivery(webhook, delivery.payload, {
+    redeliveryOf: delivery.redeliveryOf || delivery._id
+  });
+  return attemptDelivery(redelivery);
+}
+
+/**
+ * Send a webhook.test event and wait for the attempt
+ * @param {Object} webhook - Webhook document
+ * @returns {Promise<Object>} Delivery
+ */
+async function sendTestEvent(webhook) {
+  const payload = buildPayload('webhook.test', {
+    webhookId: webhook._id,
+    message: 'Test event from the Wikipedia Summary API'
+  });
+  const delivery = await createDelivery(webhook, payload);
+  return attemptDelivery(delivery);
+}
+
+/**
+ * Retry every delivery that is due
+ * @returns {Promise<number>} Number of attempts made
+ */
+async function runDueDeliveries() {
+  let attempted = 0;
+  let delivery;
+
+  while ((delivery = await WebhookDelivery.claimDue(leaseTime()))) {
+    await attemptDelivery(delivery);
+    attempted++;
+  }
+
+  return attempted;
+}
+
+const worker = createPoller('Webhook delivery worker', runDueDeliveries, config.webhooks.pollInterval);
+
+module.exports = {
+  emitEvent,
+  emitUsageThresholds,
+  redeliver,
+  sendTestEvent,
+  runDueDeliveries,
+  sendWebhookRequest,
+  assertWebhookTarget,
+  buildSignatureHeader,
+  verifySignature,
+  startWorker: () => worker.start(),
+  stopWorker: () => worker.stop()
+};
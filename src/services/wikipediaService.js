@@ -1,51 +1,486 @@
-const OpenAI = require("openai");
 const axios = require('axios');
+const config = require('../config/config');
 const logger = require('../utils/logger');
-const { ExternalServiceError } = require('../utils/errorFormatter');
+const { splitIntoChunks } = require('../utils/textChunker');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { withRetry, isRetryableError } = require('../utils/retry');
+const { getCircuitBreaker } = require('../utils/circuitBreaker');
+const { getProvider } = require('./providers');
+const cacheService = require('./cacheService');
+const {
+  AmbiguousTitleError,
+  ExternalServiceError,
+  NotFoundError,
+  ServiceUnavailableError,
+  ValidationError
+} = require('../utils/errorFormatter');
 
-// GitHub AI configuration
-const token = process.env.GITHUB_TOKEN;
-const endpoint = process.env.GITHUB_AI_ENDPOINT || "https://models.inference.ai.azure.com";
-const modelName = process.env.GITHUB_AI_MODEL || "gpt-4o";
+// Wikipedia API configuration
+const WIKIPEDIA_USER_AGENT = 'WikipediaSummaryGenerator/2.0 (https://github.com/AnweshaMondal/Wikipedia-Summary-Generator)';
+const DEFAULT_WIKIPEDIA_LANGUAGE = 'en';
 
-// Initialize OpenAI client
-const client = new OpenAI({ 
-  baseURL: endpoint, 
-  apiKey: token,
-  timeout: 30000 // 30 seconds timeout
-});
+// Wikipedia edition codes: "en", "de", "zh-yue", "be-tarask", "simple"
+const WIKIPEDIA_LANGUAGE_PATTERN = /^[a-z]{2,8}(-[a-z]{2,8})*$/;
+
+// Sections that carry no article prose and are dropped before summarization
+// (English plus the largest other editions)
+const NON_CONTENT_SECTIONS = [
+  'references',
+  'notes',
+  'footnotes',
+  'citations',
+  'sources',
+  'bibliography',
+  'further reading',
+  'external links',
+  'see also',
+  // de
+  'einzelnachweise',
+  'literatur',
+  'weblinks',
+  'siehe auch',
+  'anmerkungen',
+  // fr
+  'références',
+  'notes et références',
+  'liens externes',
+  'voir aussi',
+  'bibliographie',
+  // es
+  'referencias',
+  'enlaces externos',
+  'véase también',
+  'bibliografía',
+  // it
+  'note',
+  'bibliografia',
+  'voci correlate',
+  'collegamenti esterni'
+];
+
+// Title resolution: search results offered for near-miss titles, links listed for disambiguation pages
+const MAX_SEARCH_RESULTS = 5;
+const MAX_DISAMBIGUATION_CANDIDATES = 20;
+
+const MAX_SECTIONS_PER_ARTICLE = 12;
+const MAX_SECTION_LENGTH = 12000; // characters sent to the model per section
+
+// Custom content longer than this is summarized chunk by chunk (map-reduce)
+const CHUNK_SIZE = 8000; // characters per chunk
+const CHUNK_CONCURRENCY = 3;
+// Reduce rounds continue until the text fits one prompt; this only stops summaries that don't shrink
+const MAX_REDUCE_DEPTH = 5;
 
 /**
- * Get Wikipedia article content
- * @param {string} title - Wikipedia article title
- * @returns {Promise<string>} Article content
+ * Base URLs of a Wikipedia language edition
+ * @param {string} language - Edition code, e.g. "en" or "de"
+ * @returns {Object} { rest, action }
+ */
+function getWikipediaUrls(language = DEFAULT_WIKIPEDIA_LANGUAGE) {
+  if (!WIKIPEDIA_LANGUAGE_PATTERN.test(language)) {
+    throw new ValidationError(`Invalid Wikipedia language code: ${language}`);
+  }
+
+  return {
+    rest: `https://${language}.wikipedia.org/api/rest_v1`,
+    action: `https://${language}.wikipedia.org/w/api.php`
+  };
+}
+
+/**
+ * GET a Wikipedia API URL, retrying transient failures behind the Wikipedia circuit breaker
+ * @param {string} url - API URL
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} axios response
+ */
+function requestWikipedia(url, params) {
+  const breaker = getCircuitBreaker('wikipedia');
+
+  return withRetry(() => breaker.execute(() => axios.get(url, {
+    timeout: config.wikipedia.timeout,
+    headers: {
+      'User-Agent': WIKIPEDIA_USER_AGENT
+    },
+    params
+  })), {
+    retries: config.wikipedia.maxRetries,
+    baseDelay: config.wikipedia.retryDelay,
+    maxDelay: config.wikipedia.maxRetryDelay,
+    service: 'wikipedia'
+  });
+}
+
+/**
+ * Run an action API query against a Wikipedia edition
+ * @param {string} language - Wikipedia edition code
+ * @param {Object} params - Query parameters (action, format and formatversion are added)
+ * @param {string} failureMessage - Message of the ExternalServiceError thrown on failure
+ * @returns {Promise<Object>} The "query" block of the response
  */
-async function getWikipediaContent(title) {
+async function queryWikipedia(language, params, failureMessage) {
+  const { action } = getWikipediaUrls(language);
+
   try {
-    const response = await axios.get('https://en.wikipedia.org/api/rest_v1/page/summary/' + encodeURIComponent(title), {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'WikipediaSummaryGenerator/2.0 (https://github.com/AnweshaMondal/Wikipedia-Summary-Generator)'
-      }
+    const response = await requestWikipedia(action, {
+      action: 'query',
+      format: 'json',
+      formatversion: 2,
+      ...params
     });
-    
-    return {
-      title: response.data.title,
-      extract: response.data.extract,
-      thumbnail: response.data.thumbnail?.source,
-      pageUrl: response.data.content_urls?.desktop?.page
-    };
+
+    return response.data?.query || {};
   } catch (error) {
-    logger.error('Wikipedia API error:', { title, error: error.message });
-    throw new ExternalServiceError('Failed to fetch Wikipedia content', 'wikipedia');
+    logger.error('Wikipedia API error:', { language, params, error: error.message });
+    if (error instanceof ServiceUnavailableError) throw error;
+    throw new ExternalServiceError(failureMessage, 'wikipedia');
+  }
+}
+
+/**
+ * Canonical URL of an article
+ * @param {string} title - Article title
+ * @param {string} language - Wikipedia edition code
+ * @returns {string} Article URL
+ */
+function articleUrl(title, language) {
+  return `https://${language}.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, '_'))}`;
+}
+
+/**
+ * Get the full text of a Wikipedia article, split into sections
+ * Uses plain-text extracts, so references, infoboxes and navboxes are
+ * already removed; reference-only sections are dropped here.
+ * @param {string} title - Wikipedia article title
+ * @param {string} language - Wikipedia edition code
+ * @returns {Promise<Object>} Article with lead text and sections
+ */
+async function getWikipediaArticle(title, language = DEFAULT_WIKIPEDIA_LANGUAGE) {
+  const query = await queryWikipedia(language, {
+    redirects: 1,
+    titles: title,
+    prop: 'extracts|pageimages|info|revisions',
+    explaintext: 1,
+    exsectionformat: 'wiki',
+    piprop: 'thumbnail',
+    pithumbsize: 320,
+    inprop: 'url',
+    rvprop: 'ids'
+  }, 'Failed to fetch Wikipedia article');
+
+  const page = query.pages?.[0];
+
+  if (!page || page.missing || page.invalid) {
+    throw new NotFoundError(`Wikipedia article not found: ${title}`);
+  }
+
+  const { lead, sections } = parseArticleSections(page.extract || '');
+
+  return {
+    title: page.title,
+    language,
+    pageId: page.pageid,
+    revisionId: page.revisions?.[0]?.revid || page.lastrevid,
+    lead,
+    sections,
+    thumbnail: page.thumbnail?.source,
+    pageUrl: page.fullurl
+  };
+}
+
+/**
+ * Find the title of an article in another language edition via its interlanguage link
+ * @param {string} title - Article title in the fromLanguage edition
+ * @param {string} fromLanguage - Edition the title belongs to
+ * @param {string} toLanguage - Edition to resolve the title in
+ * @returns {Promise<string>} Article title in the toLanguage edition
+ */
+async function resolveInterlanguageTitle(title, fromLanguage, toLanguage) {
+  const query = await queryWikipedia(fromLanguage, {
+    redirects: 1,
+    titles: title,
+    prop: 'langlinks',
+    lllang: toLanguage
+  }, 'Failed to resolve interlanguage link');
+
+  const page = query.pages?.[0];
+
+  if (!page || page.missing || page.invalid) {
+    throw new NotFoundError(`Wikipedia article not found in ${fromLanguage}.wikipedia.org: ${title}`);
+  }
+
+  const link = (page.langlinks || []).find(langlink => langlink.lang === toLanguage);
+  if (!link) {
+    throw new NotFoundError(`"${page.title}" has no ${toLanguage}.wikipedia.org edition`);
+  }
+
+  return link.title;
+}
+
+/**
+ * Look up a title, following redirects
+ * @param {string} title - Title to look up
+ * @param {string} language - Wikipedia edition code
+ * @returns {Promise<Object>} { title, missing, disambiguation, redirectedFrom }
+ */
+async function lookupTitle(title, language) {
+  const query = await queryWikipedia(language, {
+    redirects: 1,
+    titles: title,
+    prop: 'pageprops|info',
+    ppprop: 'disambiguation'
+  }, 'Failed to look up Wikipedia title');
+
+  const page = query.pages?.[0];
+  const redirect = query.redirects?.[0];
+
+  return {
+    title: page?.title || title,
+    missing: !page || !!page.missing || !!page.invalid,
+    disambiguation: page?.pageprops?.disambiguation !== undefined,
+    redirectedFrom: redirect ? redirect.from : undefined
+  };
+}
+
+/**
+ * Full-text search for articles
+ * @param {string} search - Search terms
+ * @param {string} language - Wikipedia edition code
+ * @returns {Promise<Array>} Candidates [{ title, description, url }]
+ */
+async function searchWikipedia(search, language) {
+  const query = await queryWikipedia(language, {
+    list: 'search',
+    srsearch: search,
+    srlimit: MAX_SEARCH_RESULTS,
+    srprop: 'snippet'
+  }, 'Failed to search Wikipedia');
+
+  return (query.search || []).map(result => ({
+    title: result.title,
+    description: (result.snippet || '').replace(/<[^>]+>/g, '').trim(),
+    url: articleUrl(result.title, language)
+  }));
+}
+
+/**
+ * List the articles a disambiguation page links to
+ * @param {string} title - Disambiguation page title
+ * @param {string} language - Wikipedia edition code
+ * @returns {Promise<Array>} Candidates [{ title, description, url }]
+ */
+async function getDisambiguationCandidates(title, language) {
+  const query = await queryWikipedia(language, {
+    titles: title,
+    generator: 'links',
+    gplnamespace: 0,
+    gpllimit: 'max',
+    prop: 'description|info',
+    inprop: 'url'
+  }, 'Failed to list disambiguation candidates');
+
+  return (query.pages || [])
+    .filter(page => !page.missing)
+    .sort((a, b) => a.title.localeCompare(b.title))
+    .slice(0, MAX_DISAMBIGUATION_CANDIDATES)
+    .map(page => ({
+      title: page.title,
+      description: page.description || '',
+      url: page.fullurl || articleUrl(page.title, language)
+    }));
+}
+
+/**
+ * Whether a search result is close enough to the requested title to use it directly
+ * Allows about one typo per five characters, ignoring case and underscores.
+ * @param {string} requested - Requested title
+ * @param {string} candidate - Search result title
+ * @returns {boolean} True for a near match
+ */
+function isNearMatch(requested, candidate) {
+  const normalize = text => text.toLowerCase().replace(/[\s_]+/g, ' ').trim();
+  const a = normalize(requested);
+  const b = normalize(candidate);
+
+  // Levenshtein distance, one row at a time
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length] <= Math.max(1, Math.floor(a.length / 5));
+}
+
+/**
+ * Resolve a requested title to the article to summarize
+ * Follows interlanguage links (options.titleLanguage) and redirects, falls back
+ * to search for near-miss titles, and refuses disambiguation pages.
+ * @param {string} title - Requested title
+ * @param {Object} options - { sourceLanguage, titleLanguage }
+ * @returns {Promise<Object>} { title, language, requestedTitle, requestedLanguage, resolvedBy, redirectedFrom }
+ * @throws {AmbiguousTitleError} With candidate articles when the title is ambiguous or unknown
+ * @throws {NotFoundError} When nothing matches at all
+ */
+async function resolveWikipediaTitle(title, options = {}) {
+  const language = options.sourceLanguage || DEFAULT_WIKIPEDIA_LANGUAGE;
+  const requestedLanguage = options.titleLanguage || language;
+  const resolvedBy = [];
+
+  let candidate = title;
+  if (requestedLanguage !== language) {
+    candidate = await resolveInterlanguageTitle(title, requestedLanguage, language);
+    resolvedBy.push('interlanguage');
+  }
+
+  let lookup = await lookupTitle(candidate, language);
+
+  if (lookup.missing) {
+    const results = await searchWikipedia(candidate, language);
+    const match = results.find(result => isNearMatch(candidate, result.title));
+
+    if (!match) {
+      if (results.length === 0) {
+        throw new NotFoundError(`Wikipedia article not found: ${title}`);
+      }
+      throw new AmbiguousTitleError(`No Wikipedia article is titled "${title}"`, results, 'search');
+    }
+
+    resolvedBy.push('search');
+    lookup = await lookupTitle(match.title, language);
+    if (lookup.missing) {
+      throw new NotFoundError(`Wikipedia article not found: ${title}`);
+    }
+  }
+
+  if (lookup.redirectedFrom) {
+    resolvedBy.push('redirect');
+  }
+
+  if (lookup.disambiguation) {
+    throw new AmbiguousTitleError(
+      `"${lookup.title}" may refer to several articles`,
+      await getDisambiguationCandidates(lookup.title, language),
+      'disambiguation'
+    );
+  }
+
+  return {
+    title: lookup.title,
+    language,
+    requestedTitle: title,
+    requestedLanguage,
+    resolvedBy,
+    redirectedFrom: lookup.redirectedFrom
+  };
+}
+
+/**
+ * Name of the output language for the prompt
+ * Accepts language names ("german") or codes ("de").
+ * @param {string} language - Requested output language
+ * @returns {string} Language name
+ */
+function describeLanguage(language) {
+  if (WIKIPEDIA_LANGUAGE_PATTERN.test(language) && language.length <= 3) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch (error) {
+      return language;
+    }
+  }
+  return language;
+}
+
+/**
+ * Split a plain-text article extract into its lead and top-level sections
+ * Subsections are folded into their parent section; non-content sections
+ * (references, external links, ...) are removed.
+ * @param {string} text - Plain-text extract with wiki-style "== Heading ==" markers
+ * @returns {Object} { lead, sections: [{ title, content }] }
+ */
+function parseArticleSections(text) {
+  const headingPattern = /^(={2,6})\s*(.+?)\s*\1\s*$/;
+  const sections = [];
+  const leadLines = [];
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    const heading = line.match(headingPattern);
+
+    if (heading && heading[1].length === 2) {
+      current = { title: heading[2], lines: [] };
+      sections.push(current);
+    } else if (heading) {
+      // Keep subsection headings as plain lines inside the parent section
+      (current ? current.lines : leadLines).push(heading[2] + ':');
+    } else {
+      (current ? current.lines : leadLines).push(line);
+    }
+  }
+
+  return {
+    lead: cleanArticleText(leadLines.join('\n')),
+    sections: sections
+      .filter(section => !NON_CONTENT_SECTIONS.includes(section.title.toLowerCase()))
+      .map(section => ({
+        title: section.title,
+        content: cleanArticleText(section.lines.join('\n'))
+      }))
+      .filter(section => section.content.length > 0)
+  };
+}
+
+/**
+ * Remove citation markers and collapse blank lines in extract text
+ * @param {string} text - Raw extract text
+ * @returns {string} Cleaned text
+ */
+function cleanArticleText(text) {
+  return text
+    .replace(/\[(?:\d+|citation needed|clarification needed|when\?|who\?)\]/gi, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Pick the sections to summarize
+ * @param {Array} sections - Parsed article sections
+ * @param {Array<string>} requested - Section titles requested by the caller (case-insensitive)
+ * @returns {Object} { selected, missing }
+ */
+function selectSections(sections, requested) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { selected: sections.slice(0, MAX_SECTIONS_PER_ARTICLE), missing: [] };
+  }
+
+  const selected = [];
+  const missing = [];
+
+  for (const name of requested) {
+    const section = sections.find(s => s.title.toLowerCase() === name.trim().toLowerCase());
+    if (section && !selected.includes(section)) {
+      selected.push(section);
+    } else if (!section) {
+      missing.push(name);
+    }
   }
+
+  return { selected, missing };
 }
 
 /**
- * Generate AI-powered summary using GitHub AI models
+ * Generate AI-powered summary using the configured AI provider
  * @param {string} content - Content to summarize
- * @param {Object} options - Summary options
- * @returns {Promise<string>} Generated summary
+ * @param {Object} options - Summary options (options.onToken streams the completion)
+ * @returns {Promise<Object>} { summary, tokensUsed: { prompt, completion, total }, model }
  */
 async function generateAISummary(content, options = {}) {
   const {
@@ -54,7 +489,8 @@ async function generateAISummary(content, options = {}) {
     audience = 'general',
     language = 'english',
     temperature = 0.7,
-    includeKeyPoints = false
+    includeKeyPoints = false,
+    onToken
   } = options;
 
   let systemPrompt = `You are an expert AI assistant that creates high-quality summaries.`;
@@ -89,65 +525,169 @@ async function generateAISummary(content, options = {}) {
     systemPrompt += ` Include key points as bullet points at the end.`;
   }
 
+  systemPrompt += ` Write the summary in ${describeLanguage(language)}, translating from the source content if it is in another language.`;
+
+  systemPrompt += ` Base the summary only on the provided content and do not add facts that it does not contain.`;
   systemPrompt += ` Ensure accuracy, clarity, and coherence. Target audience: ${audience}.`;
 
   let userPrompt = `Please summarize the following content:\n\n${content}`;
 
+  const provider = getProvider();
+  const breaker = getCircuitBreaker(`ai:${provider.name}`);
+  let streamStarted = false;
+
   try {
-    const response = await client.chat.completions.create({
+    const response = await withRetry(() => breaker.execute(() => provider.complete({
       messages: [
         { role: "system", content: systemPrompt },
         { role: "user", content: userPrompt }
       ],
       temperature: temperature,
-      top_p: 1.0,
-      max_tokens: length === 'detailed' ? 1000 : length === 'long' ? 600 : 400,
-      model: modelName,
+      topP: 1.0,
+      maxTokens: length === 'detailed' ? 1000 : length === 'long' ? 600 : 400,
+      onToken: onToken && ((text) => {
+        streamStarted = true;
+        onToken(text);
+      })
+    })), {
+      retries: config.ai.maxRetries,
+      baseDelay: config.ai.retryDelay,
+      maxDelay: config.ai.maxRetryDelay,
+      service: provider.name,
+      // Once tokens have reached the client a retry would send them twice
+      shouldRetry: (error) => !streamStarted && isRetryableError(error)
     });
 
-    return response.choices[0].message.content.trim();
+    let tokensUsed = response.usage;
+
+    // Some OpenAI-compatible gateways omit usage; fall back to a length estimate
+    if (!tokensUsed || !tokensUsed.total) {
+      const prompt = Math.ceil((systemPrompt.length + userPrompt.length) / 4);
+      const completion = Math.ceil(response.content.length / 4);
+      tokensUsed = { prompt, completion, total: prompt + completion, estimated: true };
+    }
+
+    return {
+      summary: response.content.trim(),
+      tokensUsed,
+      model: response.model || provider.model
+    };
   } catch (error) {
-    logger.error('GitHub AI API error:', { error: error.message, model: modelName });
-    throw new ExternalServiceError('Failed to generate AI summary', 'github-ai');
+    logger.error('AI provider error:', { error: error.message, provider: provider.name, model: provider.model });
+    if (error instanceof ServiceUnavailableError) throw error;
+    throw new ExternalServiceError('Failed to generate AI summary', provider.name);
   }
 }
 
 /**
  * Get Wikipedia summary with AI enhancement
+ * Summarizes each article section separately, then combines the lead and
+ * section summaries into the overall summary.
+ * Options: sections limits the summary to named sections; sourceLanguage picks
+ * the Wikipedia edition to read (default "en"); titleLanguage is the edition
+ * the title is written in when it differs, resolved via interlanguage links;
+ * language is the output language; resolution skips title resolution when the
+ * caller already ran resolveWikipediaTitle.
  * @param {string} title - Wikipedia article title
  * @param {Object} options - Summary options
  * @returns {Promise<Object>} Enhanced summary with metadata
  */
 async function getWikipediaSummary(title, options = {}) {
   try {
-    // Get Wikipedia content
-    const wikipediaData = await getWikipediaContent(title);
-    
-    // Use Wikipedia extract as base content
-    let contentToSummarize = wikipediaData.extract;
-    
-    // If extract is too short, indicate that
-    if (contentToSummarize.length < 100) {
-      contentToSummarize = `Brief Wikipedia extract for "${title}": ${contentToSummarize}. This is a short extract, please provide a comprehensive summary based on general knowledge about this topic.`;
+    const resolution = options.resolution || await resolveWikipediaTitle(title, options);
+    const sourceLanguage = resolution.language;
+
+    // Get the full article text split into sections
+    const article = await getWikipediaArticle(resolution.title, sourceLanguage);
+
+    // Cached summaries are keyed on the revision, so an edited article is summarized again
+    const cacheKey = cacheService.buildSummaryKey({
+      ...options,
+      source: 'wikipedia',
+      sourceLanguage,
+      title: article.title,
+      revisionId: article.revisionId,
+      model: getProvider().model
+    });
+
+    const cached = await readCache(cacheKey, options);
+    if (cached) {
+      return cached;
+    }
+
+    const { selected, missing } = selectSections(article.sections, options.sections);
+    const sectionsRequested = Array.isArray(options.sections) && options.sections.length > 0;
+
+    if (sectionsRequested && selected.length === 0) {
+      throw new ValidationError(
+        `None of the requested sections exist in "${article.title}"`,
+        article.sections.map(section => section.title)
+      );
+    }
+
+    // Summarize each section on its own so long articles keep their detail
+    const tokensUsed = emptyTokenUsage();
+    const sectionOptions = { ...options, length: 'short', includeKeyPoints: false, onToken: undefined };
+    const sectionSummaries = await Promise.all(selected.map(async (section) => {
+      const sectionContent = `Section "${section.title}" of the Wikipedia article "${article.title}":\n\n` +
+        section.content.substring(0, MAX_SECTION_LENGTH);
+      const { summary, tokensUsed: sectionTokens } = await generateAISummary(sectionContent, sectionOptions);
+      addTokenUsage(tokensUsed, sectionTokens);
+
+      return {
+        title: section.title,
+        summary,
+        wordCount: summary.split(' ').length
+      };
+    }));
+
+    // Build the overall summary from the lead (whole article only) and the section summaries
+    let contentToSummarize = `Wikipedia article "${article.title}"`;
+    if (!sectionsRequested && article.lead) {
+      contentToSummarize += `\n\nIntroduction:\n${article.lead}`;
+    }
+    for (const section of sectionSummaries) {
+      contentToSummarize += `\n\n${section.title}:\n${section.summary}`;
+    }
+
+    if (!article.lead && sectionSummaries.length === 0) {
+      throw new NotFoundError(`Wikipedia article "${article.title}" has no content to summarize`);
     }
 
     // Generate AI-enhanced summary
-    const aiSummary = await generateAISummary(contentToSummarize, options);
+    const { summary: aiSummary, tokensUsed: summaryTokens, model } = await generateAISummary(contentToSummarize, options);
+    addTokenUsage(tokensUsed, summaryTokens);
 
-    return {
-      title: wikipediaData.title,
+    const result = {
+      title: article.title,
       summary: aiSummary,
-      originalExtract: wikipediaData.extract,
-      thumbnail: wikipediaData.thumbnail,
-      sourceUrl: wikipediaData.pageUrl,
+      sections: sectionSummaries,
+      originalExtract: article.lead,
+      thumbnail: article.thumbnail,
+      sourceUrl: article.pageUrl,
       metadata: {
         summaryStyle: options.style || 'wikipedia',
         summaryLength: options.length || 'medium',
+        language: options.language || 'english',
+        sourceLanguage,
+        resolution: {
+          requestedTitle: resolution.requestedTitle,
+          requestedLanguage: resolution.requestedLanguage,
+          resolvedBy: resolution.resolvedBy,
+          redirectedFrom: resolution.redirectedFrom
+        },
         wordCount: aiSummary.split(' ').length,
+        scope: sectionsRequested ? 'sections' : 'article',
+        sectionsSummarized: sectionSummaries.map(section => section.title),
+        missingSections: missing,
+        revisionId: article.revisionId,
+        tokensUsed,
         generatedAt: new Date().toISOString(),
-        model: modelName
+        model
       }
     };
+
+    return writeCache(cacheKey, result, options);
   } catch (error) {
     logger.error('Wikipedia summary generation failed:', { title, error: error.message });
     throw error;
@@ -156,9 +696,11 @@ async function getWikipediaSummary(title, options = {}) {
 
 /**
  * Generate summary from custom text content
+ * Content longer than CHUNK_SIZE is split on paragraph/sentence boundaries,
+ * each chunk is summarized, and the chunk summaries are summarized again.
  * @param {string} content - Custom text content
  * @param {Object} options - Summary options
- * @returns {Promise<Object>} Summary with metadata
+ * @returns {Promise<Object>} Summary with metadata and processing steps
  */
 async function generateCustomSummary(content, options = {}) {
   try {
@@ -166,21 +708,43 @@ async function generateCustomSummary(content, options = {}) {
       throw new Error('Content must be at least 50 characters long');
     }
 
-    const summary = await generateAISummary(content, options);
+    const cacheKey = cacheService.buildSummaryKey({
+      ...options,
+      source: 'custom',
+      content,
+      model: getProvider().model
+    });
 
-    return {
+    const cached = await readCache(cacheKey, options);
+    if (cached) {
+      return { ...cached, processingSteps: [] };
+    }
+
+    const processingSteps = [];
+    const tokensUsed = emptyTokenUsage();
+    const summary = await summarizeInChunks(content, options, processingSteps, tokensUsed);
+    const chunkPlan = processingSteps.find(step => step.step === 'chunk_plan');
+
+    const result = {
       summary,
       originalContent: content.substring(0, 500) + (content.length > 500 ? '...' : ''),
       metadata: {
         summaryStyle: options.style || 'wikipedia',
         summaryLength: options.length || 'medium',
+        language: options.language || 'english',
         wordCount: summary.split(' ').length,
         originalWordCount: content.split(' ').length,
         compressionRatio: Math.round((summary.split(' ').length / content.split(' ').length) * 100) + '%',
+        chunks: chunkPlan ? chunkPlan.details.chunks : 1,
+        // Only part of the reduced text could be summarized
+        truncated: processingSteps.some(step => step.step === 'truncate'),
+        tokensUsed,
         generatedAt: new Date().toISOString(),
-        model: modelName
+        model: getProvider().model
       }
     };
+
+    return { ...(await writeCache(cacheKey, result, options)), processingSteps };
   } catch (error) {
     logger.error('Custom summary generation failed:', { error: error.message });
     throw error;
@@ -188,73 +752,255 @@ async function generateCustomSummary(content, options = {}) {
 }
 
 /**
- * Generate batch summaries
- * @param {Array} items - Array of items to summarize (titles or content)
+ * Map-reduce summarization of content that may exceed a single prompt
+ * @param {string} content - Content to summarize
  * @param {Object} options - Summary options
- * @returns {Promise<Array>} Array of summaries
+ * @param {Array} processingSteps - Collects chunk plan and per-chunk timings
+ * @param {Object} tokensUsed - Accumulates token usage across all model calls
+ * @param {number} depth - Current reduce depth
+ * @returns {Promise<string>} Generated summary
  */
-async function generateBatchSummaries(items, options = {}) {
-  const results = [];
-  const { batchSize = 5 } = options;
+async function summarizeInChunks(content, options, processingSteps, tokensUsed, depth = 0) {
+  if (content.length > CHUNK_SIZE && depth >= MAX_REDUCE_DEPTH) {
+    // Reducing stopped shrinking the text; summarize what fits in one prompt and say so
+    const now = new Date();
+    processingSteps.push({
+      step: 'truncate',
+      startTime: now,
+      endTime: now,
+      duration: 0,
+      status: 'truncated',
+      details: { length: content.length, kept: CHUNK_SIZE }
+    });
+    logger.warn('Summarizing truncated content after reduce rounds stopped shrinking it', {
+      length: content.length,
+      kept: CHUNK_SIZE
+    });
+    content = content.substring(0, CHUNK_SIZE);
+  }
 
-  // Process in batches to avoid overwhelming the API
-  for (let i = 0; i < items.length; i += batchSize) {
-    const batch = items.slice(i, i + batchSize);
-    
-    const batchPromises = batch.map(async (item) => {
-      try {
-        if (typeof item === 'string' && item.length < 100) {
-          // Assume it's a Wikipedia title
-          return await getWikipediaSummary(item, options);
-        } else {
-          // Assume it's custom content
-          return await generateCustomSummary(item, options);
-        }
-      } catch (error) {
-        return {
-          error: error.message,
-          input: typeof item === 'string' ? item.substring(0, 100) : 'Invalid input'
-        };
-      }
+  if (content.length <= CHUNK_SIZE) {
+    return timedStep(processingSteps, depth === 0 ? 'summarize' : `reduce_${depth}`, async () => {
+      const response = await generateAISummary(content, options);
+      addTokenUsage(tokensUsed, response.tokensUsed);
+      return response.summary;
     });
+  }
+
+  const chunks = splitIntoChunks(content, CHUNK_SIZE);
+  const now = new Date();
+
+  processingSteps.push({
+    step: depth === 0 ? 'chunk_plan' : `chunk_plan_${depth}`,
+    startTime: now,
+    endTime: now,
+    duration: 0,
+    status: 'planned',
+    details: {
+      strategy: 'map-reduce',
+      chunks: chunks.length,
+      chunkSize: CHUNK_SIZE,
+      chunkLengths: chunks.map(chunk => chunk.length)
+    }
+  });
 
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults);
+  // Map: summarize every chunk on its own
+  const chunkOptions = { ...options, length: 'short', includeKeyPoints: false, onToken: undefined };
+  const chunkSummaries = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, (chunk, index) =>
+    timedStep(processingSteps, `chunk_${depth}_${index + 1}`, async () => {
+      const response = await generateAISummary(`Part ${index + 1} of ${chunks.length} of a longer document:\n\n${chunk}`, chunkOptions);
+      addTokenUsage(tokensUsed, response.tokensUsed);
+      return response.summary;
+    })
+  );
 
-    // Small delay between batches to respect rate limits
-    if (i + batchSize < items.length) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
+  // Reduce: summarize the chunk summaries (again in chunks if still too long)
+  const combined = chunkSummaries
+    .map((summary, index) => `Part ${index + 1}:\n${summary}`)
+    .join('\n\n');
+
+  // Another round only helps while the summaries make the text shorter
+  const nextDepth = combined.length < content.length ? depth + 1 : MAX_REDUCE_DEPTH;
+  return summarizeInChunks(combined, options, processingSteps, tokensUsed, nextDepth);
+}
+
+/**
+ * Look up a cached summary
+ * options.cache controls cache use: { read: false } regenerates (Cache-Control: no-cache),
+ * { read: false, write: false } also skips storing the result (no-store).
+ * @param {string} cacheKey - Key from cacheService.buildSummaryKey
+ * @param {Object} options - Summary options
+ * @returns {Promise<Object|null>} Cached result marked as a cache hit, or null
+ */
+async function readCache(cacheKey, options) {
+  if (options.cache && options.cache.read === false) {
+    return null;
+  }
+
+  const cached = await cacheService.get(cacheKey);
+  if (!cached) {
+    return null;
+  }
+
+  // Streaming callers still receive the text, as a single delta
+  if (options.onToken) {
+    options.onToken(cached.summary);
+  }
+
+  return {
+    ...cached,
+    metadata: {
+      ...cached.metadata,
+      cached: true,
+      cacheKey,
+      // No model calls were made for this request
+      tokensUsed: emptyTokenUsage()
     }
+  };
+}
+
+/**
+ * Store a freshly generated summary and mark it as a cache miss
+ * @param {string} cacheKey - Key from cacheService.buildSummaryKey
+ * @param {Object} result - Generated summary
+ * @param {Object} options - Summary options
+ * @returns {Promise<Object>} The result with cache metadata
+ */
+async function writeCache(cacheKey, result, options) {
+  if (!options.cache || options.cache.write !== false) {
+    await cacheService.set(cacheKey, result);
+  }
+
+  result.metadata.cached = false;
+  result.metadata.cacheKey = cacheKey;
+  return result;
+}
+
+/**
+ * Create an empty token usage accumulator
+ * @returns {Object} { prompt, completion, total }
+ */
+function emptyTokenUsage() {
+  return { prompt: 0, completion: 0, total: 0 };
+}
+
+/**
+ * Add one model call's token usage to an accumulator
+ * @param {Object} total - Accumulator from emptyTokenUsage
+ * @param {Object} usage - Usage reported for a single call
+ * @returns {Object} The accumulator
+ */
+function addTokenUsage(total, usage = {}) {
+  total.prompt += usage.prompt || 0;
+  total.completion += usage.completion || 0;
+  total.total += usage.total || 0;
+  if (usage.estimated) total.estimated = true;
+  return total;
+}
+
+/**
+ * Run a processing step and record its timing
+ * @param {Array} processingSteps - Step log to append to
+ * @param {string} name - Step name
+ * @param {Function} fn - Async step implementation
+ * @returns {Promise<*>} Step result
+ */
+async function timedStep(processingSteps, name, fn) {
+  const startTime = new Date();
+  const step = { step: name, startTime, status: 'running' };
+  processingSteps.push(step);
+
+  try {
+    const result = await fn();
+    step.status = 'success';
+    return result;
+  } catch (error) {
+    step.status = 'error';
+    throw error;
+  } finally {
+    step.endTime = new Date();
+    step.duration = step.endTime - startTime;
+  }
+}
+
+/**
+ * Summarize one batch item
+ * Objects name their kind ({ title } or { content }); short strings are
+ * treated as Wikipedia titles and longer ones as custom content.
+ * @param {string|Object} item - Batch item
+ * @param {Object} options - Summary options
+ * @returns {Promise<Object>} Summary without processing steps
+ */
+async function summarizeBatchItem(item, options = {}) {
+  const isTitle = typeof item === 'string' ? item.length < 100 : !!item.title;
+  const input = typeof item === 'string' ? item : (item.title || item.content);
+
+  if (isTitle) {
+    return getWikipediaSummary(input, options);
   }
 
-  return results;
+  const { processingSteps, ...summary } = await generateCustomSummary(input, options);
+  return summary;
+}
+
+/**
+ * Generate batch summaries
+ * Rate limits are handled by the retry and circuit breaker layer, so items
+ * run with bounded concurrency instead of pausing between groups.
+ * @param {Array} items - Array of items to summarize (titles or content)
+ * @param {Object} options - Summary options
+ * @returns {Promise<Array>} Array of summaries
+ */
+async function generateBatchSummaries(items, options = {}) {
+  const { batchSize = 5 } = options;
+
+  return mapWithConcurrency(items, batchSize, async (item) => {
+    try {
+      return await summarizeBatchItem(item, options);
+    } catch (error) {
+      return {
+        error: error.message,
+        code: error.code,
+        candidates: error.candidates,
+        input: typeof item === 'string' ? item.substring(0, 100) : 'Invalid input'
+      };
+    }
+  });
 }
 
 /**
- * Check if GitHub AI service is healthy
+ * Check if the configured AI provider is healthy
  * @returns {Promise<Object>} Health status
  */
 async function checkAIServiceHealth() {
+  const provider = getProvider();
+  // The probe bypasses the breaker so it still reaches the provider while the circuit is open
+  const breaker = getCircuitBreaker(`ai:${provider.name}`);
+  const startTime = Date.now();
+
   try {
-    const response = await client.chat.completions.create({
+    const response = await provider.complete({
       messages: [
         { role: "system", content: "You are a helpful assistant." },
         { role: "user", content: "Say 'OK' if you can respond." }
       ],
-      max_tokens: 10,
-      model: modelName,
+      maxTokens: 10
     });
 
     return {
       status: 'healthy',
-      model: modelName,
-      responseTime: Date.now(),
-      testResponse: response.choices[0].message.content
+      provider: provider.name,
+      model: provider.model,
+      circuit: breaker.state,
+      responseTime: Date.now() - startTime,
+      testResponse: response.content
     };
   } catch (error) {
     return {
       status: 'unhealthy',
-      model: modelName,
+      provider: provider.name,
+      model: provider.model,
+      circuit: breaker.state,
       error: error.message,
       timestamp: new Date().toISOString()
     };
@@ -265,7 +1011,13 @@ module.exports = {
   getWikipediaSummary,
   generateCustomSummary,
   generateBatchSummaries,
+  summarizeBatchItem,
   checkAIServiceHealth,
   generateAISummary,
-  getWikipediaContent
+  getWikipediaArticle,
+  resolveInterlanguageTitle,
+  resolveWikipediaTitle,
+  parseArticleSections,
+  selectSections,
+  WIKIPEDIA_LANGUAGE_PATTERN
 };
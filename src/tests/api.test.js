@@ -1,12 +1,26 @@
+const http = require('http');
 const request = require('supertest');
 const mongoose = require('mongoose');
 const { app } = require('./testApp');
 const User = require('../models/User');
 const Pricing = require('../models/Pricing');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ApiCall = require('../models/ApiCall');
+const Summary = require('../models/Summary');
+const Organization = require('../models/Organization');
+const CreditTransaction = require('../models/CreditTransaction');
+const Stripe = require('stripe');
+const config = require('../config/config');
+const cacheService = require('../services/cacheService');
+const batchJobService = require('../services/batchJobService');
+const { verifySignature } = require('../services/webhookService');
+const { migrations } = require('../scripts/migrate');
+const { generateTotp } = require('../utils/totp');
 const db = require('./database');
 
 describe('Wikipedia Summary API', () => {
   let authToken;
+  let apiKey;
   let testUser;
 
   beforeAll(async () => {
@@ -28,6 +42,8 @@ describe('Wikipedia Summary API', () => {
     
     // Re-seed test data
     await seedTestData();
+
+    cacheService.clearMemory();
   });
 
   async function seedTestData() {
@@ -68,7 +84,7 @@ describe('Wikipedia Summary API', () => {
       }
     });
 
-    testUser.generateApiKey();
+    apiKey = testUser.generateApiKey();
     await testUser.save();
 
     authToken = testUser.generateAuthToken();
@@ -141,6 +157,201 @@ describe('Wikipedia Summary API', () => {
     });
   });
 
+  describe('Sessions and Refresh Tokens', () => {
+    const login = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'TestPass123!' })
+        .expect(200);
+      return response.body.data;
+    };
+
+    const refresh = (refreshToken) => request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    const profile = (token) => request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    test('POST /api/auth/refresh should rotate the refresh token', async () => {
+      const session = await login();
+      expect(session.refreshToken).toMatch(/^rt_/);
+      expect(session.expiresIn).toBe(15 * 60);
+
+      const first = await refresh(session.refreshToken).expect(200);
+      expect(first.body.data.refreshToken).not.toBe(session.refreshToken);
+      await profile(first.body.data.token).expect(200);
+
+      await refresh(first.body.data.refreshToken).expect(200);
+    });
+
+    test('should revoke the whole session when a refresh token is reused', async () => {
+      const session = await login();
+      const rotated = await refresh(session.refreshToken).expect(200);
+
+      const reuse = await refresh(session.refreshToken).expect(401);
+      expect(reuse.body.error).toContain('already been used');
+
+      await refresh(rotated.body.data.refreshToken).expect(401);
+      await profile(rotated.body.data.token).expect(401);
+    });
+
+    test('POST /api/auth/logout should revoke the session and access token', async () => {
+      const session = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      const response = await profile(session.token).expect(401);
+      expect(response.body.error).toBe('Token has been revoked');
+      await refresh(session.refreshToken).expect(401);
+    });
+
+    test('POST /api/auth/logout-all should revoke every session', async () => {
+      const first = await login();
+      const second = await login();
+
+      const sessions = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(200);
+      expect(sessions.body.data.sessions).toHaveLength(2);
+      expect(sessions.body.data.sessions.filter(session => session.current)).toHaveLength(1);
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(200);
+      expect(response.body.data.sessionsRevoked).toBe(2);
+
+      await profile(second.token).expect(401);
+      await refresh(second.refreshToken).expect(401);
+    });
+  });
+
+  describe('Two-Factor Authentication', () => {
+    const credentials = { email: 'test@example.com', password: 'TestPass123!' };
+
+    // Enroll the test user; returns the secret and recovery codes
+    const enroll = async (token = authToken) => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: credentials.password })
+        .expect(200);
+      const { secret, otpauthUri } = setup.body.data;
+      expect(otpauthUri).toContain(`secret=${secret}`);
+
+      const verify = await request(app)
+        .post('/api/auth/2fa/verify')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateTotp(secret) })
+        .expect(200);
+
+      return { secret, recoveryCodes: verify.body.data.recoveryCodes };
+    };
+
+    // Password step; returns the challenge token
+    const challenge = async () => {
+      const response = await request(app).post('/api/auth/login').send(credentials).expect(200);
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data.token).toBeUndefined();
+      return response.body.data.challengeToken;
+    };
+
+    const completeLogin = (challengeToken, code) => request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, code });
+
+    // The enrollment code used this time step; later logins use the next one
+    const nextCode = (secret) => generateTotp(secret, Date.now() + 30000);
+
+    test('should enroll and require a code at login', async () => {
+      const { secret, recoveryCodes } = await enroll();
+      expect(recoveryCodes).toHaveLength(10);
+
+      const challengeToken = await challenge();
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(401);
+
+      await completeLogin(challengeToken, '000000').expect(401);
+      await completeLogin(challengeToken, generateTotp(secret)).expect(401); // already used
+
+      const response = await completeLogin(challengeToken, nextCode(secret)).expect(200);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toMatch(/^rt_/);
+      expect(response.body.data.user.twoFactorEnabled).toBe(true);
+    });
+
+    test('recovery codes should work once', async () => {
+      const { recoveryCodes } = await enroll();
+      const challengeToken = await challenge();
+
+      await completeLogin(challengeToken, recoveryCodes[0].toUpperCase()).expect(200);
+      await completeLogin(challengeToken, recoveryCodes[0]).expect(401);
+
+      const status = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(status.body.data.enabled).toBe(true);
+      expect(status.body.data.recoveryCodesRemaining).toBe(9);
+    });
+
+    test('POST /api/auth/2fa/disable should need the password and a code', async () => {
+      const { secret } = await enroll();
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'WrongPass123!', code: nextCode(secret) })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: credentials.password, code: nextCode(secret) })
+        .expect(200);
+
+      const response = await request(app).post('/api/auth/login').send(credentials).expect(200);
+      expect(response.body.data.token).toBeDefined();
+    });
+
+    test('admins can require 2FA for the admin API', async () => {
+      await User.updateOne({ _id: testUser._id }, { role: 'admin' });
+      const adminToken = testUser.generateAuthToken();
+      const admin = (token) => request(app)
+        .get('/admin/settings')
+        .set('Authorization', `Bearer ${token}`);
+
+      // Not before the admin has 2FA themselves
+      await request(app)
+        .put('/admin/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ requireAdminTwoFactor: true })
+        .expect(400);
+
+      const { secret } = await enroll(adminToken);
+      await request(app)
+        .put('/admin/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ requireAdminTwoFactor: true })
+        .expect(200);
+
+      const response = await admin(adminToken).expect(403);
+      expect(response.body.code).toBe('TWO_FACTOR_REQUIRED');
+
+      const login = await completeLogin(await challenge(), nextCode(secret)).expect(200);
+      const settings = await admin(login.body.data.token).expect(200);
+      expect(settings.body.data.requireAdminTwoFactor).toBe(true);
+    });
+  });
+
   describe('Summary Generation', () => {
     test('POST /api/summary should generate Wikipedia summary', async () => {
       const response = await request(app)
@@ -159,6 +370,8 @@ describe('Wikipedia Summary API', () => {
       expect(response.body.data).toHaveProperty('summary');
       expect(response.body.data).toHaveProperty('metadata');
       expect(response.body).toHaveProperty('usage');
+      expect(response.body.data.sections.map(section => section.title)).toEqual(['History', 'Applications']);
+      expect(response.body.data.metadata.model).toBe('fake/extractive');
     });
 
     test('POST /api/summary should generate custom content summary', async () => {
@@ -184,6 +397,68 @@ describe('Wikipedia Summary API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('summary');
       expect(response.body.data.metadata.summaryStyle).toBe('academic');
+      expect(response.body.usage.tokensUsed.total).toBeGreaterThan(0);
+      expect(response.body.usage.tokensUsed).toEqual(response.body.data.metadata.tokensUsed);
+    });
+
+    test('GET /api/summary/history should include per-call token usage', async () => {
+      await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Artificial Intelligence' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/summary/history')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const [call] = response.body.data.history;
+      expect(call.tokensUsed.total).toBeGreaterThan(0);
+      expect(call.aiModel).toBe('fake/extractive');
+      expect(response.body.data.statistics.totalTokens).toBe(call.tokensUsed.total);
+    });
+
+    test('POST /api/summary should serve repeated requests from cache at the discounted price', async () => {
+      await Pricing.updateOne({ plan: 'free' }, { pricePerCall: 0.02, cacheHitDiscount: 0.75 });
+
+      const first = await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Artificial Intelligence' })
+        .expect(200);
+
+      const second = await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'artificial_intelligence' })
+        .expect(200);
+
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.body.data.summary).toBe(first.body.data.summary);
+      expect(second.body.data.metadata.cached).toBe(true);
+      expect(second.body.usage.tokensUsed.total).toBe(0);
+      expect(first.body.usage.cost).toBeCloseTo(0.02);
+      expect(second.body.usage.cost).toBeCloseTo(0.005);
+    });
+
+    test('Cache-Control: no-cache should bypass the summary cache', async () => {
+      await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Artificial Intelligence' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Cache-Control', 'no-cache')
+        .send({ title: 'Artificial Intelligence' })
+        .expect(200);
+
+      expect(response.headers['x-cache']).toBe('MISS');
+      expect(response.body.usage.tokensUsed.total).toBeGreaterThan(0);
     });
 
     test('should respect rate limits', async () => {
@@ -218,80 +493,1665 @@ describe('Wikipedia Summary API', () => {
 
       expect(response.body.error).toContain('title');
     });
-  });
 
-  describe('API Key Authentication', () => {
-    test('should authenticate with API key', async () => {
+    test('should enforce the plan input length limit', async () => {
       const response = await request(app)
         .post('/api/summary')
-        .set('X-API-Key', testUser.apiKey)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Long content sentence. '.repeat(300) })
+        .expect(400);
+
+      expect(response.body.code).toBe('INPUT_TOO_LONG');
+      expect(response.body.limit).toBe(5000);
+    });
+
+    test('POST /api/summary should read another language edition and record both languages', async () => {
+      const response = await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
         .send({
-          title: 'Test with API Key',
-          options: { style: 'wikipedia' }
+          title: 'Künstliche Intelligenz',
+          options: { titleLanguage: 'de', sourceLanguage: 'fr', language: 'spanish' }
         })
         .expect(200);
 
-      expect(response.body.success).toBe(true);
+      const { data } = response.body;
+      expect(data.title).toBe('Künstliche Intelligenz (fr)');
+      expect(data.sourceUrl).toMatch(/^https:\/\/fr\.wikipedia\.org\//);
+      expect(data.metadata.sourceLanguage).toBe('fr');
+      expect(data.metadata.language).toBe('spanish');
+      expect(data.metadata.resolution).toMatchObject({
+        requestedTitle: 'Künstliche Intelligenz',
+        requestedLanguage: 'de',
+        resolvedBy: ['interlanguage']
+      });
+
+      const history = await request(app)
+        .get('/api/summary/history')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const [call] = history.body.data.history;
+      expect(call.requestData.options).toMatchObject({
+        sourceLanguage: 'fr',
+        titleLanguage: 'de',
+        language: 'spanish'
+      });
     });
 
-    test('should reject invalid API key', async () => {
+    test('POST /api/summary should answer 300 with candidates for a disambiguation page', async () => {
       const response = await request(app)
         .post('/api/summary')
-        .set('X-API-Key', 'invalid_key')
-        .send({ title: 'Test' })
-        .expect(401);
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Mercury' })
+        .expect(300);
 
-      expect(response.body.error).toContain('Invalid');
+      expect(response.body.code).toBe('AMBIGUOUS_TITLE');
+      expect(response.body.reason).toBe('disambiguation');
+      expect(response.body.candidates.map(candidate => candidate.title)).toEqual([
+        'Mercury (element)',
+        'Mercury (planet)'
+      ]);
+
+      // Nothing is recorded or billed for an ambiguous title
+      const history = await request(app)
+        .get('/api/summary/history')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(history.body.data.history).toHaveLength(0);
     });
-  });
 
-  describe('Error Handling', () => {
-    test('should handle missing authentication', async () => {
+    test('POST /api/summary should resolve near-miss titles through search', async () => {
       const response = await request(app)
         .post('/api/summary')
-        .send({ title: 'Test' })
-        .expect(401);
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Tset Article' })
+        .expect(200);
 
-      expect(response.body.error).toContain('authentication');
+      expect(response.body.data.title).toBe('Test Article');
+      expect(response.body.data.metadata.resolution.resolvedBy).toEqual(['search']);
     });
 
-    test('should handle invalid JSON', async () => {
+    test('should reject invalid Wikipedia language codes', async () => {
       const response = await request(app)
         .post('/api/summary')
         .set('Authorization', `Bearer ${authToken}`)
-        .set('Content-Type', 'application/json')
-        .send('invalid json')
+        .send({ title: 'Test', options: { sourceLanguage: 'evil.example.com/' } })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should validate requested sections', async () => {
+      const response = await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Artificial Intelligence',
+          options: { sections: 'History' }
+        })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should list the available sections when none of the requested ones exist', async () => {
+      const response = await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Artificial Intelligence',
+          options: { sections: ['Nonexistent'] }
+        })
         .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.details).toEqual(['History', 'Applications']);
     });
   });
-});
 
-// Mock GitHub AI service for testing
-jest.mock('../services/wikipediaService', () => ({
-  getWikipediaSummary: jest.fn().mockResolvedValue({
-    title: 'Test Article',
-    summary: 'This is a test summary generated by the mocked AI service.',
-    metadata: {
-      summaryStyle: 'wikipedia',
-      summaryLength: 'medium',
-      wordCount: 12,
-      generatedAt: new Date().toISOString(),
-      model: 'openai/gpt-4o'
-    }
-  }),
-  generateCustomSummary: jest.fn().mockResolvedValue({
-    summary: 'This is a test custom summary.',
-    metadata: {
-      summaryStyle: 'academic',
-      summaryLength: 'short',
-      wordCount: 7,
-      generatedAt: new Date().toISOString(),
-      model: 'openai/gpt-4o'
-    }
-  }),
-  checkAIServiceHealth: jest.fn().mockResolvedValue({
-    status: 'healthy',
-    model: 'openai/gpt-4o',
-    responseTime: Date.now()
-  })
-}));
+  describe('Idempotency Keys', () => {
+    const summarize = (key, body) => request(app)
+      .post('/api/summary')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('Idempotency-Key', key)
+      .send(body);
+
+    test('POST /api/summary should replay the stored response without billing again', async () => {
+      const first = await summarize('retry-1', { title: 'Artificial Intelligence' }).expect(200);
+      const second = await summarize('retry-1', { title: 'Artificial Intelligence' }).expect(200);
+
+      expect(second.headers['idempotent-replayed']).toBe('true');
+      expect(second.body).toEqual(first.body);
+      expect(await ApiCall.countDocuments({ user: testUser._id })).toBe(1);
+
+      const user = await User.findById(testUser._id);
+      expect(user.usage.totalCalls).toBe(1);
+    });
+
+    test('should reject a key reused with a different body', async () => {
+      await summarize('retry-2', { title: 'Artificial Intelligence' }).expect(200);
+
+      const response = await summarize('retry-2', { title: 'Machine Learning' }).expect(422);
+      expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    });
+
+    test('should treat the same body with reordered keys as a repeat', async () => {
+      await summarize('retry-3', { title: 'Artificial Intelligence', options: { style: 'wikipedia', length: 'short' } }).expect(200);
+
+      const response = await summarize('retry-3', { options: { length: 'short', style: 'wikipedia' }, title: 'Artificial Intelligence' })
+        .expect(200);
+      expect(response.headers['idempotent-replayed']).toBe('true');
+    });
+  });
+
+  describe('Summary Streaming', () => {
+    test('POST /api/summary/stream should stream tokens and a final usage event', async () => {
+      const response = await request(app)
+        .post('/api/summary/stream')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Artificial Intelligence' })
+        .expect('Content-Type', /text\/event-stream/)
+        .expect(200);
+
+      const events = response.text
+        .split('\n\n')
+        .filter(block => block.startsWith('event: '))
+        .map(block => {
+          const [eventLine, dataLine] = block.split('\n');
+          return { event: eventLine.substring(7), data: JSON.parse(dataLine.substring(6)) };
+        });
+
+      expect(events[0].event).toBe('start');
+      expect(events.some(e => e.event === 'token')).toBe(true);
+
+      const done = events[events.length - 1];
+      expect(done.event).toBe('done');
+      expect(done.data.usage).toHaveProperty('cost');
+      expect(done.data.metadata.apiCallId).toBe(events[0].data.apiCallId);
+
+      const streamed = events.filter(e => e.event === 'token').map(e => e.data.text).join('');
+      expect(streamed.trim()).toBe(done.data.data.summary);
+    });
+
+    test('should reject invalid stream requests before streaming', async () => {
+      const response = await request(app)
+        .post('/api/summary/stream')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ options: { style: 'wikipedia' } })
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+      expect(response.body.error).toContain('title');
+    });
+  });
+
+  describe('History Pagination', () => {
+    beforeEach(async () => {
+      const base = Date.now();
+      await ApiCall.create([0, 1, 2].map(i => ({
+        user: testUser._id,
+        endpoint: '/api/summary',
+        requestData: { title: `Topic ${i}` },
+        cost: i,
+        timestamp: new Date(base - i * 1000)
+      })));
+    });
+
+    const history = (params) => request(app)
+      .get('/api/summary/history')
+      .query(params)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    test('GET /api/summary/history should keep page numbers and add Link headers', async () => {
+      const response = await history({ page: 2, limit: 1 }).expect(200);
+
+      expect(response.body.data.pagination).toEqual({ current: 2, pages: 3, total: 3, limit: 1 });
+      expect(response.body.data.history[0].requestData.title).toBe('Topic 1');
+      expect(response.headers.link).toContain('rel="prev"');
+      expect(response.headers.link).toContain('page=3');
+    });
+
+    test('should page with a cursor without counting', async () => {
+      const first = await history({ cursor: '', limit: 2 }).expect(200);
+      expect(first.body.data.pagination.total).toBeUndefined();
+      expect(first.body.data.pagination.hasMore).toBe(true);
+      expect(first.headers.link).toContain('rel="next"');
+
+      const second = await history({ cursor: first.body.data.pagination.nextCursor, limit: 2 }).expect(200);
+      expect(second.body.data.pagination.hasMore).toBe(false);
+      expect(second.body.data.history.map(call => call.requestData.title)).toEqual(['Topic 2']);
+    });
+
+    test('should sort, select fields and reject cursors from another sort', async () => {
+      const response = await history({ cursor: '', limit: 1, sortBy: 'cost', sortOrder: 'asc', fields: 'cost' }).expect(200);
+
+      const [call] = response.body.data.history;
+      expect(call.cost).toBe(0);
+      expect(call.requestData).toBeUndefined();
+
+      await history({ cursor: response.body.data.pagination.nextCursor, sortBy: 'timestamp' }).expect(400);
+      await history({ fields: 'password' }).expect(400);
+      await history({ sortBy: 'requestData' }).expect(400);
+    });
+
+    test('GET /admin/users should support cursor paging and fields', async () => {
+      await User.updateOne({ _id: testUser._id }, { role: 'admin' });
+
+      const response = await request(app)
+        .get('/admin/users')
+        .query({ cursor: '', fields: 'email' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const [user] = response.body.data.users;
+      expect(user.email).toBe('test@example.com');
+      expect(user.stats).toBeUndefined();
+      expect(user.subscription).toBeUndefined();
+      expect(response.body.data.pagination.hasMore).toBe(false);
+    });
+  });
+
+  describe('Summary Library', () => {
+    const generate = (title) => request(app)
+      .post('/api/summary')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title })
+      .expect(200);
+
+    test('GET /api/summaries/:id should return a generated summary', async () => {
+      const generated = await generate('Artificial Intelligence');
+      const { summaryId } = generated.body.data.metadata;
+      const { apiCallId } = generated.body.metadata;
+      expect(summaryId).toBeTruthy();
+
+      const response = await request(app)
+        .get(`/api/summaries/${summaryId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const saved = response.body.data;
+      expect(saved.summary).toBe(generated.body.data.summary);
+      expect(saved.source).toBe('wikipedia');
+      expect(saved.apiCallId).toBe(String(apiCallId));
+      expect(saved.sourceUrl).toBe(generated.body.data.sourceUrl);
+      expect(saved.sourceExtract).toContain('short lead paragraph');
+      expect(saved.revisionId).toBe(1000);
+      expect(saved.model).toBe('fake/extractive');
+    });
+
+    test('should hide summaries from other users', async () => {
+      const generated = await generate('Artificial Intelligence');
+
+      const other = await User.create({
+        email: 'other@example.com',
+        password: 'TestPass123!',
+        firstName: 'Other',
+        lastName: 'User',
+        status: 'active',
+        emailVerified: true
+      });
+
+      await request(app)
+        .get(`/api/summaries/${generated.body.data.metadata.summaryId}`)
+        .set('Authorization', `Bearer ${other.generateAuthToken()}`)
+        .expect(404);
+    });
+
+    test('should list and bulk delete saved summaries', async () => {
+      const first = await generate('Artificial Intelligence');
+      const second = await generate('Machine Learning');
+
+      const list = await request(app)
+        .get('/api/summaries')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.data.pagination.total).toBe(2);
+      expect(list.body.data.summaries[0].title).toBe('Machine Learning');
+      expect(list.body.data.summaries[0].sourceExtract).toBeUndefined();
+
+      const response = await request(app)
+        .post('/api/summaries/bulk-delete')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ids: [first.body.data.metadata.summaryId, second.body.data.metadata.summaryId] })
+        .expect(200);
+
+      expect(response.body.data.deleted).toBe(2);
+
+      await request(app)
+        .delete(`/api/summaries/${first.body.data.metadata.summaryId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Summary Search', () => {
+    beforeEach(async () => {
+      // $text queries need the text indexes to be built
+      await Promise.all([ApiCall.init(), Summary.init()]);
+
+      await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Machine Learning', options: { style: 'academic', tags: ['Research'] } })
+        .expect(200);
+
+      await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Learning Theory', options: { tags: ['notes'] } })
+        .expect(200);
+    });
+
+    const search = (params) => request(app)
+      .get('/api/summary/search')
+      .query(params)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    test('GET /api/summary/search should rank matches and highlight them', async () => {
+      const response = await search({ q: 'learning' }).expect(200);
+
+      const { results } = response.body.data;
+      expect(results).toHaveLength(2);
+      expect(results[0].score).toBeGreaterThanOrEqual(results[1].score);
+      expect(results[0].summaryIds).toHaveLength(1);
+
+      const titleHighlight = results[0].highlights.find(entry => entry.field === 'title');
+      expect(titleHighlight.snippet).toContain('<mark>Learning</mark>');
+    });
+
+    test('should filter by style and tags', async () => {
+      const byStyle = await search({ q: 'learning', style: 'academic' }).expect(200);
+      expect(byStyle.body.data.results.map(result => result.title)).toEqual(['Machine Learning']);
+
+      const byTag = await search({ q: 'learning', tags: 'notes' }).expect(200);
+      expect(byTag.body.data.results.map(result => result.title)).toEqual(['Learning Theory']);
+      expect(byTag.body.data.results[0].options.tags).toEqual(['notes']);
+    });
+
+    test('should page through results with a cursor', async () => {
+      const first = await search({ q: 'learning', limit: 1 }).expect(200);
+      expect(first.body.data.pagination.hasMore).toBe(true);
+
+      const second = await search({ q: 'learning', limit: 1, cursor: first.body.data.pagination.nextCursor }).expect(200);
+      expect(second.body.data.pagination.hasMore).toBe(false);
+      expect(second.body.data.results[0].apiCallId).not.toBe(first.body.data.results[0].apiCallId);
+
+      await search({ q: 'learning', cursor: 'not-a-cursor' }).expect(400);
+    });
+  });
+
+  describe('Batch Jobs', () => {
+    const enableBatchJobs = () => Pricing.updateOne({ plan: 'free' }, {
+      pricePerCall: 0.02,
+      'limits.batchJobSize': 5,
+      'features.batchProcessing': true
+    });
+
+    test('POST /api/summary/jobs should require batch processing in the plan', async () => {
+      const response = await request(app)
+        .post('/api/summary/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ items: ['Artificial Intelligence'] })
+        .expect(403);
+
+      expect(response.body.error).toContain('Batch processing');
+    });
+
+    test('should process a queued job and bill only completed items', async () => {
+      await enableBatchJobs();
+
+      const submitted = await request(app)
+        .post('/api/summary/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ items: ['Artificial Intelligence', { title: 'Mercury' }] })
+        .expect(202);
+
+      const { jobId, status, statusUrl } = submitted.body.data;
+      expect(status).toBe('queued');
+
+      await batchJobService.runOnce();
+
+      const response = await request(app)
+        .get(statusUrl)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const job = response.body.data;
+      expect(job.jobId).toBe(jobId);
+      expect(job.status).toBe('completed');
+      expect(job.percentComplete).toBe(100);
+      expect(job.progress).toMatchObject({ total: 2, completed: 1, failed: 1 });
+      expect(job.items[0].result.summary).toBeTruthy();
+      expect(job.items[0].result.metadata.summaryId).toBeTruthy();
+      expect(job.items[1].error.code).toBe('AMBIGUOUS_TITLE');
+      expect(job.cost).toBeCloseTo(0.02);
+
+      const user = await User.findById(testUser._id);
+      expect(user.usage.monthlyCalls).toBe(1);
+    });
+
+    test('should cancel a queued job and reject cancelling it again', async () => {
+      await enableBatchJobs();
+
+      const submitted = await request(app)
+        .post('/api/summary/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ items: ['Artificial Intelligence', 'Machine Learning'] })
+        .expect(202);
+
+      const { jobId } = submitted.body.data;
+
+      const cancelled = await request(app)
+        .post(`/api/summary/jobs/${jobId}/cancel`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(cancelled.body.data.status).toBe('cancelled');
+      expect(cancelled.body.data.progress.cancelled).toBe(2);
+      expect(await batchJobService.runOnce()).toBeNull();
+
+      const again = await request(app)
+        .post(`/api/summary/jobs/${jobId}/cancel`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(again.body.code).toBe('JOB_FINISHED');
+    });
+
+    test('should close a cancelled job whose worker stopped, billing its completed items', async () => {
+      await enableBatchJobs();
+
+      const submitted = await request(app)
+        .post('/api/summary/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ items: ['Artificial Intelligence', 'Machine Learning'] })
+        .expect(202);
+
+      // The worker finished one item, then the owner cancelled and the worker's lease expired
+      const BatchJob = mongoose.model('BatchJob');
+      await BatchJob.updateOne({ _id: submitted.body.data.jobId }, {
+        $set: {
+          status: 'running',
+          cancelRequested: true,
+          lockedAt: new Date(Date.now() - config.batchJobs.leaseTimeout - 1000),
+          'items.0.status': 'completed',
+          'items.0.cost': 0.02,
+          'progress.completed': 1,
+          cost: 0.02
+        }
+      });
+
+      const job = await batchJobService.runOnce();
+
+      expect(job.status).toBe('cancelled');
+      expect(job.progress).toMatchObject({ completed: 1, cancelled: 1 });
+      const user = await User.findById(testUser._id);
+      expect(user.usage.monthlyCalls).toBe(1);
+    });
+
+    test('should bill a job once when it is closed twice at the same time', async () => {
+      await enableBatchJobs();
+
+      const submitted = await request(app)
+        .post('/api/summary/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ items: ['Artificial Intelligence'] })
+        .expect(202);
+
+      const BatchJob = mongoose.model('BatchJob');
+      await BatchJob.updateOne({ _id: submitted.body.data.jobId }, {
+        $set: { status: 'running', 'items.0.status': 'completed', 'progress.completed': 1, cost: 0.02 }
+      });
+      const job = await BatchJob.findById(submitted.body.data.jobId);
+
+      await Promise.all([batchJobService.processJob(job), batchJobService.processJob(job)]);
+
+      const user = await User.findById(testUser._id);
+      expect(user.usage.monthlyCalls).toBe(1);
+      expect(user.usage.totalCalls).toBe(1);
+    });
+
+    test('should count an item run by two workers once', async () => {
+      await enableBatchJobs();
+
+      const submitted = await request(app)
+        .post('/api/summary/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ items: ['Artificial Intelligence'] })
+        .expect(202);
+
+      const BatchJob = mongoose.model('BatchJob');
+      await BatchJob.updateOne({ _id: submitted.body.data.jobId }, {
+        $set: { status: 'running', 'items.0.status': 'processing' }
+      });
+      const job = await BatchJob.findById(submitted.body.data.jobId);
+
+      await Promise.all([batchJobService.processJob(job), batchJobService.processJob(job)]);
+
+      const finished = await BatchJob.findById(job._id);
+      expect(finished.progress.completed).toBe(1);
+      expect(finished.cost).toBeCloseTo(0.02);
+      const user = await User.findById(testUser._id);
+      expect(user.usage.monthlyCalls).toBe(1);
+    });
+  });
+
+  describe('Refunds', () => {
+    const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+    test('batches should charge only the items that produced a summary', async () => {
+      await Pricing.updateOne({ plan: 'free' }, {
+        pricePerCall: 0.02,
+        'limits.batchSize': 5,
+        'features.batchProcessing': true
+      });
+
+      const response = await request(app)
+        .post('/api/summary/batch')
+        .set(as(authToken))
+        .send({ items: ['Artificial Intelligence', 'Mercury'] })
+        .expect(200);
+
+      expect(response.body.summary).toMatchObject({ total: 2, successful: 1, failed: 1 });
+      expect(response.body.usage.cost).toBeCloseTo(0.02);
+      expect(response.body.usage.refunded).toBeCloseTo(0.02);
+
+      const user = await User.findById(testUser._id);
+      expect(user.usage.monthlyCalls).toBe(1);
+      expect(user.totalSpent).toBeCloseTo(0.02);
+
+      const call = await ApiCall.findById(response.body.metadata.apiCallId);
+      expect(call.quantity).toBe(1);
+      expect(call.refund.reason).toBe('1 of 2 items failed');
+
+      const history = await request(app).get('/api/summary/history').set(as(authToken)).expect(200);
+      expect(history.body.data.history[0].netCost).toBeCloseTo(0.02);
+      expect(history.body.data.statistics.totalCost).toBeCloseTo(0.02);
+      expect(history.body.data.statistics.totalRefunded).toBeCloseTo(0.02);
+    });
+
+    test('batches should refund failed items at the price they were charged', async () => {
+      await Pricing.updateOne({ plan: 'free' }, {
+        pricePerCall: 0.02,
+        cacheHitDiscount: 0.75,
+        'limits.batchSize': 5,
+        'features.batchProcessing': true
+      });
+
+      await request(app)
+        .post('/api/summary')
+        .set(as(authToken))
+        .send({ title: 'Artificial Intelligence' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/summary/batch')
+        .set(as(authToken))
+        .send({ items: ['Artificial Intelligence', 'Mercury'] })
+        .expect(200);
+
+      expect(response.body.summary).toMatchObject({ successful: 1, failed: 1 });
+
+      const call = await ApiCall.findById(response.body.metadata.apiCallId);
+      expect(call.cost).toBeCloseTo(0.025);
+      expect(call.refund.amount).toBeCloseTo(0.02);
+      expect(call.netCost).toBeCloseTo(0.005);
+    });
+
+    test('a failed call should be refunded and taken back out of usage', async () => {
+      await testUser.incrementUsage(0.5, 1);
+      const call = await ApiCall.create({ user: testUser._id, endpoint: '/api/summary', cost: 0.5, usageRecorded: true });
+
+      await call.markFailed(new Error('Provider timed out'));
+
+      expect(call.responseStatus).toBe('error');
+      expect(call.netCost).toBe(0);
+      expect(call.refund.reason).toBe('Call failed: Provider timed out');
+
+      const user = await User.findById(testUser._id);
+      expect(user.usage.monthlyCalls).toBe(0);
+      expect(user.totalSpent).toBe(0);
+    });
+
+    test('an invoiced call should be marked failed without changing its charge', async () => {
+      await testUser.incrementUsage(0.5, 1);
+      const call = await ApiCall.create({
+        user: testUser._id,
+        endpoint: '/api/summary',
+        cost: 0.5,
+        usageRecorded: true,
+        invoice: new mongoose.Types.ObjectId()
+      });
+
+      await call.markFailed(new Error('Provider timed out'));
+
+      const stored = await ApiCall.findById(call._id);
+      expect(stored.responseStatus).toBe('error');
+      expect(stored.netCost).toBe(0.5);
+      expect(stored.refund.amount).toBe(0);
+
+      const user = await User.findById(testUser._id);
+      expect(user.usage.monthlyCalls).toBe(1);
+      expect(user.totalSpent).toBe(0.5);
+    });
+
+    test('admin earnings should report revenue net of refunds', async () => {
+      await ApiCall.create({ user: testUser._id, endpoint: '/api/summary', cost: 0.5 });
+      await ApiCall.create({
+        user: testUser._id,
+        endpoint: '/api/summary/batch',
+        cost: 0.3,
+        refund: { amount: 0.1, reason: '1 of 3 items failed' }
+      });
+      await User.updateOne({ _id: testUser._id }, { role: 'admin' });
+
+      const response = await request(app).get('/admin/earnings').set(as(authToken)).expect(200);
+
+      expect(response.body.data.summary.totalRevenue).toBeCloseTo(0.7);
+      expect(response.body.data.summary.totalRefunded).toBeCloseTo(0.1);
+      expect(response.body.data.topUsers[0].totalRevenue).toBeCloseTo(0.7);
+    });
+  });
+
+  describe('Webhooks', () => {
+    let receiver;
+    let receiverUrl;
+    let received;
+
+    beforeAll(async () => {
+      receiver = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body: raw });
+          res.writeHead(200);
+          res.end('ok');
+        });
+      });
+
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+      // The receiver runs on loopback, which is refused outside local development
+      config.webhooks.allowPrivateTargets = true;
+    });
+
+    afterAll(() => {
+      config.webhooks.allowPrivateTargets = false;
+      return new Promise(resolve => receiver.close(resolve));
+    });
+
+    beforeEach(() => {
+      received = [];
+    });
+
+    // Deliveries are sent in the background after the triggering request
+    async function waitForDeliveries(count) {
+      for (let i = 0; i < 50; i++) {
+        const done = await WebhookDelivery.countDocuments({ status: { $ne: 'pending' } });
+        if (done >= count) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error('Webhook delivery did not finish');
+    }
+
+    const createWebhook = (events = ['summary.completed']) => request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ url: receiverUrl, events });
+
+    test('POST /api/webhooks should return the secret only once', async () => {
+      const created = await createWebhook().expect(201);
+
+      expect(created.body.data.secret).toMatch(/^whsec_/);
+      expect(created.body.data.events).toEqual(['summary.completed']);
+
+      const list = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.data.webhooks).toHaveLength(1);
+      expect(list.body.data.webhooks[0].secret).toBeUndefined();
+    });
+
+    test('should reject unknown events', async () => {
+      const response = await createWebhook(['summary.exploded']).expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+    });
+
+    test('should refuse receivers on loopback, private or metadata addresses', async () => {
+      config.webhooks.allowPrivateTargets = false;
+
+      try {
+        for (const url of [receiverUrl, 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/hooks', 'http://[::1]:8080/']) {
+          const response = await request(app)
+            .post('/api/webhooks')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ url, events: ['summary.completed'] })
+            .expect(400);
+          expect(response.body.details[0].message).toContain('public internet address');
+        }
+      } finally {
+        config.webhooks.allowPrivateTargets = true;
+      }
+    });
+
+    test('should re-check the receiver before each delivery and never return its response body', async () => {
+      const created = await createWebhook(['webhook.test']).expect(201);
+
+      const tested = await request(app)
+        .post(`/api/webhooks/${created.body.data.id}/test`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(tested.body.data.attempts[0].responseStatus).toBe(200);
+      expect(tested.body.data.attempts[0]).not.toHaveProperty('responseBody');
+
+      // A webhook registered while allowed must not be delivered once private targets are refused
+      config.webhooks.allowPrivateTargets = false;
+      try {
+        const refused = await request(app)
+          .post(`/api/webhooks/${created.body.data.id}/test`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+        expect(refused.body.data.attempts[0].error).toContain('not allowed');
+      } finally {
+        config.webhooks.allowPrivateTargets = true;
+      }
+      expect(received).toHaveLength(1);
+    });
+
+    test('should deliver a signed summary.completed event and log it', async () => {
+      const created = await createWebhook().expect(201);
+      const { id, secret } = created.body.data;
+
+      const summary = await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Artificial Intelligence' })
+        .expect(200);
+
+      await waitForDeliveries(1);
+
+      expect(received).toHaveLength(1);
+      const [delivery] = received;
+      const payload = JSON.parse(delivery.body);
+      expect(delivery.headers['x-webhook-event']).toBe('summary.completed');
+      expect(verifySignature(secret, delivery.body, delivery.headers['x-webhook-signature'])).toBe(true);
+      expect(payload.data.apiCallId).toBe(String(summary.body.metadata.apiCallId));
+      expect(payload.data.summary).toBe(summary.body.data.summary);
+
+      const log = await request(app)
+        .get(`/api/webhooks/${id}/deliveries`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const [entry] = log.body.data.deliveries;
+      expect(entry.status).toBe('succeeded');
+      expect(entry.lastResponseStatus).toBe(200);
+      expect(entry.eventId).toBe(payload.id);
+    });
+
+    test('should redeliver an event with the same event ID', async () => {
+      const created = await createWebhook().expect(201);
+      const { id } = created.body.data;
+
+      await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Artificial Intelligence' })
+        .expect(200);
+
+      await waitForDeliveries(1);
+      const original = await WebhookDelivery.findOne({ webhook: id });
+
+      const response = await request(app)
+        .post(`/api/webhooks/${id}/deliveries/${original._id}/redeliver`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('succeeded');
+      expect(response.body.data.eventId).toBe(original.eventId);
+      expect(response.body.data.redeliveryOf).toBe(String(original._id));
+      expect(received).toHaveLength(2);
+      expect(JSON.parse(received[1].body).id).toBe(original.eventId);
+    });
+  });
+
+  describe('Organizations', () => {
+    const content = 'Organizations share one plan and one pooled monthly quota between members. '.repeat(3);
+    let member;
+    let memberToken;
+
+    beforeEach(async () => {
+      member = await User.create({
+        email: 'member@example.com',
+        password: 'TestPass123!',
+        status: 'active',
+        emailVerified: true
+      });
+      memberToken = member.generateAuthToken();
+    });
+
+    const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+    // Create an organization owned by the test user, with the member invited and joined
+    const createTeam = async () => {
+      const created = await request(app)
+        .post('/api/organizations')
+        .set(as(authToken))
+        .send({ name: 'Acme' })
+        .expect(201);
+      const orgId = created.body.data.id;
+
+      const invited = await request(app)
+        .post(`/api/organizations/${orgId}/invitations`)
+        .set(as(authToken))
+        .send({ email: 'member@example.com', role: 'member' })
+        .expect(201);
+      // No SMTP server is configured in tests
+      expect(invited.body.data.emailSent).toBe(false);
+
+      const invitations = await request(app)
+        .get('/api/organizations/invitations')
+        .set(as(memberToken))
+        .expect(200);
+      expect(invitations.body.data).toHaveLength(1);
+
+      await request(app)
+        .post(`/api/organizations/invitations/${invitations.body.data[0].id}/accept`)
+        .set(as(memberToken))
+        .expect(200);
+
+      return orgId;
+    };
+
+    const createOrgKey = async (orgId) => {
+      const response = await request(app)
+        .post('/api/auth/keys')
+        .set(as(memberToken))
+        .send({ name: 'Team key', organization: orgId })
+        .expect(201);
+      return response.body.data.key;
+    };
+
+    test('invited users should join with the invited role', async () => {
+      const orgId = await createTeam();
+
+      const response = await request(app)
+        .get(`/api/organizations/${orgId}`)
+        .set(as(authToken))
+        .expect(200);
+
+      expect(response.body.data.members.map(entry => [entry.email, entry.role])).toEqual([
+        ['test@example.com', 'owner'],
+        ['member@example.com', 'member']
+      ]);
+      expect(response.body.data.invitations).toHaveLength(0);
+
+      // Members can't manage the organization
+      await request(app)
+        .post(`/api/organizations/${orgId}/invitations`)
+        .set(as(memberToken))
+        .send({ email: 'other@example.com' })
+        .expect(403);
+    });
+
+    test('calls with an organization key should be billed to the organization', async () => {
+      const orgId = await createTeam();
+      const key = await createOrgKey(orgId);
+
+      await request(app)
+        .post('/api/summary')
+        .set('X-API-Key', key)
+        .send({ content })
+        .expect(200);
+
+      const organization = await Organization.findById(orgId);
+      expect(organization.usage.monthlyCalls).toBe(1);
+      expect(organization.getMember(member._id).usage.monthlyCalls).toBe(1);
+
+      const user = await User.findById(member._id);
+      expect(user.usage.monthlyCalls).toBe(0);
+
+      const apiCall = await ApiCall.findOne({ user: member._id });
+      expect(apiCall.organization.toString()).toBe(orgId);
+    });
+
+    test('member sub-limits should cap calls within the pooled quota', async () => {
+      const orgId = await createTeam();
+      const key = await createOrgKey(orgId);
+
+      await request(app)
+        .put(`/api/organizations/${orgId}/members/${member._id}`)
+        .set(as(authToken))
+        .send({ monthlyLimit: 1 })
+        .expect(200);
+
+      await request(app).post('/api/summary').set('X-API-Key', key).send({ content }).expect(200);
+
+      const response = await request(app)
+        .post('/api/summary')
+        .set('X-API-Key', key)
+        .send({ content })
+        .expect(429);
+      expect(response.body.code).toBe('MEMBER_LIMIT_EXCEEDED');
+    });
+
+    test('removing a member should revoke their organization keys', async () => {
+      const orgId = await createTeam();
+      const key = await createOrgKey(orgId);
+
+      await request(app)
+        .delete(`/api/organizations/${orgId}/members/${member._id}`)
+        .set(as(authToken))
+        .expect(200);
+
+      await request(app).post('/api/summary').set('X-API-Key', key).send({ content }).expect(401);
+
+      // The last owner can't leave
+      const response = await request(app)
+        .delete(`/api/organizations/${orgId}/members/${testUser._id}`)
+        .set(as(authToken))
+        .expect(400);
+      expect(response.body.error).toContain('at least one owner');
+    });
+  });
+
+  describe('Billing', () => {
+    const webhookSecret = 'whsec_api_test';
+    const originalSecret = config.stripe.webhookSecret;
+
+    beforeAll(() => {
+      config.stripe.webhookSecret = webhookSecret;
+    });
+
+    afterAll(() => {
+      config.stripe.webhookSecret = originalSecret;
+    });
+
+    beforeEach(async () => {
+      await Pricing.create({
+        plan: 'premium',
+        name: 'Premium Plan',
+        description: 'Test plan',
+        pricePerCall: 0.01,
+        limits: { monthlyCalls: 1000, dailyCalls: 100 },
+        stripe: { priceId: 'price_premium' },
+        isActive: true
+      });
+    });
+
+    const sendEvent = (event, secret = webhookSecret) => {
+      const payload = JSON.stringify(event);
+      return request(app)
+        .post('/api/billing/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', Stripe.webhooks.generateTestHeaderString({ payload, secret }))
+        .send(payload);
+    };
+
+    const subscriptionEvent = (type, status = 'active') => ({
+      id: `evt_${type}`,
+      type,
+      data: {
+        object: {
+          id: 'sub_1',
+          object: 'subscription',
+          customer: 'cus_1',
+          status,
+          current_period_start: 1700000000,
+          current_period_end: 1702592000,
+          items: { data: [{ price: { id: 'price_premium' } }] },
+          metadata: {}
+        }
+      }
+    });
+
+    test('signed subscription events should keep the plan in sync', async () => {
+      await User.updateOne({ _id: testUser._id }, { 'subscription.stripeCustomerId': 'cus_1' });
+
+      const created = await sendEvent(subscriptionEvent('customer.subscription.created')).expect(200);
+      expect(created.body.handled).toBe(true);
+
+      let user = await User.findById(testUser._id);
+      expect(user.subscription.plan).toBe('premium');
+      expect(user.subscription.stripeSubscriptionId).toBe('sub_1');
+      expect(user.subscription.currentPeriodEnd).toEqual(new Date(1702592000 * 1000));
+
+      await sendEvent({
+        id: 'evt_failed',
+        type: 'invoice.payment_failed',
+        data: { object: { id: 'in_1', customer: 'cus_1', subscription: 'sub_1' } }
+      }).expect(200);
+      user = await User.findById(testUser._id);
+      expect(user.subscription.status).toBe('past_due');
+
+      await sendEvent(subscriptionEvent('customer.subscription.deleted', 'canceled')).expect(200);
+      user = await User.findById(testUser._id);
+      expect(user.subscription.plan).toBe('free');
+      expect(user.subscription.status).toBe('canceled');
+    });
+
+    test('webhooks with a bad signature should be rejected', async () => {
+      await User.updateOne({ _id: testUser._id }, { 'subscription.stripeCustomerId': 'cus_1' });
+
+      await sendEvent(subscriptionEvent('customer.subscription.created'), 'whsec_wrong').expect(401);
+
+      const user = await User.findById(testUser._id);
+      expect(user.subscription.plan).toBe('free');
+    });
+
+    test('checkout should only offer plans linked to a Stripe price', async () => {
+      const response = await request(app)
+        .post('/api/billing/checkout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ plan: 'basic' })
+        .expect(400);
+      expect(response.body.error).toContain('not available for purchase');
+
+      await request(app)
+        .post('/api/billing/checkout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ plan: 'free' })
+        .expect(400);
+    });
+  });
+
+  describe('Invoices', () => {
+    const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+    // A moment in the previous calendar month, the latest one that can be invoiced
+    const lastMonth = () => {
+      const date = new Date();
+      date.setUTCDate(2);
+      date.setUTCMonth(date.getUTCMonth() - 1);
+      return date;
+    };
+
+    const recordCall = (overrides = {}) => ApiCall.create({
+      user: testUser._id,
+      endpoint: '/api/summary',
+      aiModel: 'openai/gpt-4o',
+      cost: 0.01,
+      timestamp: lastMonth(),
+      completedAt: lastMonth(),
+      ...overrides
+    });
+
+    const generate = async () => {
+      await User.updateOne({ _id: testUser._id }, { role: 'admin' });
+      const response = await request(app)
+        .post('/admin/invoices/generate')
+        .set(as(authToken))
+        .send({})
+        .expect(200);
+      await User.updateOne({ _id: testUser._id }, { role: 'user' });
+      return response.body.data.created;
+    };
+
+    test('closed months should be invoiced once, grouping settled calls', async () => {
+      await recordCall();
+      await recordCall();
+      await recordCall({ endpoint: '/api/summary/batch', cost: 0.05, quantity: 5 });
+      // Not billable: a job still running and a failed call
+      await recordCall({ endpoint: '/api/summary/jobs', completedAt: undefined });
+      await recordCall({ responseStatus: 'error' });
+
+      expect(await generate()).toBe(1);
+      expect(await generate()).toBe(0);
+
+      const list = await request(app).get('/api/billing/invoices').set(as(authToken)).expect(200);
+      expect(list.body.data.invoices).toHaveLength(1);
+      const [summary] = list.body.data.invoices;
+      expect(summary.total).toBeCloseTo(0.07);
+      expect(summary.lines).toBeUndefined();
+
+      const invoice = await request(app).get(`/api/billing/invoices/${summary.id}`).set(as(authToken)).expect(200);
+      expect(invoice.body.data.lines.map(line => [line.endpoint, line.requests, line.quantity])).toEqual([
+        ['/api/summary', 2, 2],
+        ['/api/summary/batch', 1, 5]
+      ]);
+
+      expect(await ApiCall.countDocuments({ invoice: summary.id })).toBe(3);
+      expect(await ApiCall.countDocuments({ invoice: null })).toBe(2);
+    });
+
+    test('invoiced calls should be locked against re-billing', async () => {
+      const call = await recordCall();
+      await generate();
+
+      const invoiced = await ApiCall.findById(call._id);
+      invoiced.cost = 0;
+      await expect(invoiced.save()).rejects.toThrow('already invoiced');
+    });
+
+    test('invoices should download as HTML or PDF to their owner only', async () => {
+      await recordCall();
+      await generate();
+
+      const list = await request(app).get('/api/billing/invoices').set(as(authToken)).expect(200);
+      const { id, number } = list.body.data.invoices[0];
+
+      const html = await request(app)
+        .get(`/api/billing/invoices/${id}/download`)
+        .set(as(authToken))
+        .expect('Content-Type', /text\/html/)
+        .expect(200);
+      expect(html.text).toContain(`Invoice ${number}`);
+
+      const pdf = await request(app)
+        .get(`/api/billing/invoices/${id}/download`)
+        .query({ format: 'pdf' })
+        .set(as(authToken))
+        .responseType('blob')
+        .expect('Content-Type', /application\/pdf/)
+        .expect(200);
+      expect(pdf.body.toString('latin1', 0, 8)).toBe('%PDF-1.4');
+
+      const other = await User.create({
+        email: 'other@example.com',
+        password: 'TestPass123!',
+        status: 'active',
+        emailVerified: true
+      });
+      await request(app).get(`/api/billing/invoices/${id}`).set(as(other.generateAuthToken())).expect(404);
+    });
+
+    test('the current month should not be invoiced yet', async () => {
+      await User.updateOne({ _id: testUser._id }, { role: 'admin' });
+      const now = new Date();
+
+      await request(app)
+        .post('/admin/invoices/generate')
+        .set(as(authToken))
+        .send({ period: `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}` })
+        .expect(400);
+    });
+  });
+
+  describe('Prepaid Credits', () => {
+    const as = (token) => ({ Authorization: `Bearer ${token}` });
+    const webhookSecret = 'whsec_credits_test';
+    const originalSecret = config.stripe.webhookSecret;
+
+    beforeAll(() => {
+      config.stripe.webhookSecret = webhookSecret;
+    });
+
+    afterAll(() => {
+      config.stripe.webhookSecret = originalSecret;
+    });
+
+    beforeEach(async () => {
+      await Pricing.create({
+        plan: 'basic',
+        name: 'Pay As You Go',
+        description: 'Test plan',
+        pricePerCall: 0.5,
+        limits: { monthlyCalls: 100, dailyCalls: 100, requestsPerMinute: 10, maxInputLength: 5000 },
+        billing: { cycle: 'pay_per_use' },
+        isActive: true
+      });
+      await User.updateOne({ _id: testUser._id }, { 'subscription.plan': 'basic' });
+    });
+
+    const addCredits = async (amount) => {
+      await User.updateOne({ _id: testUser._id }, { role: 'admin' });
+      const response = await request(app)
+        .post(`/admin/users/${testUser._id}/credits`)
+        .set(as(authToken))
+        .send({ amount, reason: 'Test credit' })
+        .expect(201);
+      await User.updateOne({ _id: testUser._id }, { role: 'user' });
+      return response.body.data;
+    };
+
+    test('calls should be refused before anything is recorded when credits run out', async () => {
+      const response = await request(app)
+        .post('/api/summary')
+        .set(as(authToken))
+        .send({ title: 'Artificial Intelligence' })
+        .expect(402);
+
+      expect(response.body.code).toBe('INSUFFICIENT_CREDITS');
+      expect(response.body.balance).toBe(0);
+      expect(response.body.required).toBe(0.5);
+      expect(await ApiCall.countDocuments()).toBe(0);
+    });
+
+    test('idempotent retries should run again after a top-up instead of replaying the refusal', async () => {
+      const summarize = () => request(app)
+        .post('/api/summary')
+        .set(as(authToken))
+        .set('Idempotency-Key', 'top-up-retry')
+        .send({ title: 'Artificial Intelligence' });
+
+      await summarize().expect(402);
+      await addCredits(1);
+
+      const response = await summarize().expect(200);
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('calls should be debited from the balance and recorded in the ledger', async () => {
+      await addCredits(0.75);
+
+      const response = await request(app)
+        .post('/api/summary')
+        .set(as(authToken))
+        .send({ title: 'Artificial Intelligence' })
+        .expect(200);
+      expect(response.body.usage.credits).toMatchObject({ balance: 0.25, lowBalance: true });
+
+      await request(app)
+        .post('/api/summary')
+        .set(as(authToken))
+        .send({ title: 'Machine Learning' })
+        .expect(402);
+
+      const credits = await request(app).get('/api/billing/credits').set(as(authToken)).expect(200);
+      expect(credits.body.data).toMatchObject({ balance: 0.25, prepaid: true });
+
+      const ledger = await request(app).get('/api/billing/credits/transactions').set(as(authToken)).expect(200);
+      expect(ledger.body.data.transactions.map(entry => [entry.type, entry.amount, entry.balanceAfter])).toEqual([
+        ['debit', -0.5, 0.25],
+        ['adjustment', 0.75, 0.75]
+      ]);
+      expect(String(ledger.body.data.transactions[0].apiCall)).toBe(String(response.body.metadata.apiCallId));
+    });
+
+    test('paid top-ups should be added once per checkout session', async () => {
+      const payload = JSON.stringify({
+        id: 'evt_topup',
+        type: 'checkout.session.completed',
+        data: {
+          object: {
+            id: 'cs_topup_1',
+            object: 'checkout.session',
+            mode: 'payment',
+            payment_status: 'paid',
+            amount_total: 2000,
+            metadata: { userId: String(testUser._id), purpose: 'credits' }
+          }
+        }
+      });
+      const send = () => request(app)
+        .post('/api/billing/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', Stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret }))
+        .send(payload)
+        .expect(200);
+
+      // Stripe may deliver the same event twice at once, and again later
+      await Promise.all([send(), send()]);
+      await send();
+
+      const user = await User.findById(testUser._id);
+      expect(user.credits.balance).toBe(20);
+      expect(await CreditTransaction.countDocuments({ reference: 'cs_topup_1' })).toBe(1);
+    });
+
+    test('the low-balance threshold should be adjustable', async () => {
+      const response = await request(app)
+        .put('/api/billing/credits')
+        .set(as(authToken))
+        .send({ lowBalanceThreshold: 2 })
+        .expect(200);
+      expect(response.body.data.lowBalanceThreshold).toBe(2);
+
+      await request(app)
+        .put('/api/billing/credits')
+        .set(as(authToken))
+        .send({ lowBalanceThreshold: -1 })
+        .expect(400);
+    });
+  });
+
+  describe('Volume Pricing', () => {
+    const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+    beforeEach(async () => {
+      await Pricing.updateOne({ plan: 'free' }, {
+        pricePerCall: 0.01,
+        allowedModels: [{ name: 'fake/extractive', costMultiplier: 2 }],
+        volumePricing: {
+          mode: 'graduated',
+          brackets: [
+            { upTo: 5, pricePerCall: 0.01 },
+            { upTo: null, pricePerCall: 0.005 }
+          ]
+        }
+      });
+    });
+
+    test('quotes should price calls by bracket without signing in', async () => {
+      const response = await request(app)
+        .get('/api/billing/quote')
+        .query({ plan: 'free', calls: 10, startingAt: 2 })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ plan: 'free', calls: 10, total: 0.065, unitPrice: 0.0065 });
+      expect(response.body.data.brackets.map(line => [line.calls, line.pricePerCall])).toEqual([[3, 0.01], [7, 0.005]]);
+
+      const byModel = await request(app)
+        .get('/api/billing/quote')
+        .query({ plan: 'free', calls: 1, model: 'fake/extractive' })
+        .expect(200);
+      expect(byModel.body.data).toMatchObject({ modelMultiplier: 2, total: 0.02 });
+
+      await request(app).get('/api/billing/quote').query({ plan: 'free', calls: 0 }).expect(400);
+      await request(app).get('/api/billing/quote').query({ plan: 'basic', calls: 1 }).expect(404);
+    });
+
+    test('summaries should be charged the bracket price for the model', async () => {
+      await User.updateOne({ _id: testUser._id }, { 'usage.monthlyCalls': 6 });
+
+      const response = await request(app)
+        .post('/api/summary')
+        .set(as(authToken))
+        .send({ title: 'Artificial Intelligence' })
+        .expect(200);
+
+      const apiCall = await ApiCall.findById(response.body.metadata.apiCallId);
+      expect(apiCall.cost).toBe(0.01);
+    });
+
+    test('batches and jobs should be priced by the brackets their items fall in', async () => {
+      await Pricing.updateOne({ plan: 'free' }, {
+        'limits.batchSize': 5,
+        'limits.batchJobSize': 5,
+        'features.batchProcessing': true
+      });
+      await User.updateOne({ _id: testUser._id }, { 'usage.monthlyCalls': 4 });
+
+      const batch = await request(app)
+        .post('/api/summary/batch')
+        .set(as(authToken))
+        .send({ items: ['Artificial Intelligence', 'Machine Learning'] })
+        .expect(200);
+
+      const batchCall = await ApiCall.findById(batch.body.metadata.apiCallId);
+      expect(batchCall.cost).toBeCloseTo(0.03);
+
+      await User.updateOne({ _id: testUser._id }, { 'usage.monthlyCalls': 4 });
+      const submitted = await request(app)
+        .post('/api/summary/jobs')
+        .set(as(authToken))
+        .send({ items: ['Artificial Intelligence', 'Machine Learning'] })
+        .expect(202);
+
+      const job = await BatchJob.findById(submitted.body.data.jobId);
+      expect(job.pricing.total).toBeCloseTo(0.03);
+      expect(job.pricing.unitPrice).toBeCloseTo(0.015);
+    });
+
+    test('admins should be able to set brackets, which must be in order', async () => {
+      await User.updateOne({ _id: testUser._id }, { role: 'admin' });
+
+      const response = await request(app)
+        .put('/admin/pricing/free')
+        .set(as(authToken))
+        .send({ volumePricing: { mode: 'tiered', brackets: [{ upTo: 100, pricePerCall: 0.02 }, { upTo: null, pricePerCall: 0.01 }] } })
+        .expect(200);
+      expect(response.body.data.volumePricing.mode).toBe('tiered');
+
+      const quote = await request(app).get('/api/billing/quote').query({ plan: 'free', calls: 101 }).expect(200);
+      expect(quote.body.data.total).toBe(1.01);
+
+      await request(app)
+        .put('/admin/pricing/free')
+        .set(as(authToken))
+        .send({ volumePricing: { brackets: [{ upTo: 100, pricePerCall: 0.02 }, { upTo: 50, pricePerCall: 0.01 }] } })
+        .expect(400);
+    });
+  });
+
+  describe('API Key Authentication', () => {
+    test('should authenticate with API key', async () => {
+      const response = await request(app)
+        .post('/api/summary')
+        .set('X-API-Key', apiKey)
+        .send({
+          title: 'Test with API Key',
+          options: { style: 'wikipedia' }
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    test('should reject invalid API key', async () => {
+      const response = await request(app)
+        .post('/api/summary')
+        .set('X-API-Key', 'invalid_key')
+        .send({ title: 'Test' })
+        .expect(401);
+
+      expect(response.body.error).toContain('Invalid');
+    });
+
+    const createKey = (body) => request(app)
+      .post('/api/auth/keys')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+
+    test('POST /api/auth/keys should show the key once and list it masked', async () => {
+      const created = await createKey({ name: 'CI', scopes: ['history:read'] }).expect(201);
+      expect(created.body.data.key).toMatch(/^wsg_/);
+
+      const list = await request(app)
+        .get('/api/auth/keys')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const listed = list.body.data.keys.find(key => key.id === created.body.data.id);
+      expect(listed.key).toBeUndefined();
+      expect(listed.preview).toBe(`${created.body.data.key.substring(0, 12)}…`);
+      expect(listed.scopes).toEqual(['history:read']);
+    });
+
+    test('should enforce scopes per route', async () => {
+      const { body } = await createKey({ name: 'Read only', scopes: ['history:read'] }).expect(201);
+
+      await request(app)
+        .get('/api/summary/history')
+        .set('X-API-Key', body.data.key)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/summary')
+        .set('X-API-Key', body.data.key)
+        .send({ title: 'Artificial Intelligence' })
+        .expect(403);
+      expect(response.body.code).toBe('INSUFFICIENT_SCOPE');
+
+      await createKey({ name: 'Admin', scopes: ['admin'] }).expect(400);
+    });
+
+    test('should record last use and reject expired keys', async () => {
+      await request(app)
+        .get('/api/summary/history')
+        .set('X-API-Key', apiKey)
+        .expect(200);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const user = await User.findById(testUser._id);
+      expect(user.apiKeys[0].lastUsedAt).toBeDefined();
+
+      user.apiKeys[0].expiresAt = new Date(Date.now() - 1000);
+      await user.save();
+
+      const response = await request(app)
+        .get('/api/summary/history')
+        .set('X-API-Key', apiKey)
+        .expect(401);
+      expect(response.body.error).toContain('expired');
+    });
+
+    test('should rotate and revoke keys', async () => {
+      const keyId = testUser.apiKeys[0]._id;
+
+      const rotated = await request(app)
+        .post(`/api/auth/keys/${keyId}/rotate`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(rotated.body.data.key).not.toBe(apiKey);
+
+      await request(app).get('/api/summary/history').set('X-API-Key', apiKey).expect(401);
+      await request(app).get('/api/summary/history').set('X-API-Key', rotated.body.data.key).expect(200);
+
+      await request(app)
+        .delete(`/api/auth/keys/${keyId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app).get('/api/summary/history').set('X-API-Key', rotated.body.data.key).expect(401);
+    });
+
+    test('should store only a hash and prefix of each key', async () => {
+      const stored = await mongoose.connection.collection('users').findOne({ _id: testUser._id });
+      const [entry] = stored.apiKeys;
+
+      expect(JSON.stringify(stored)).not.toContain(apiKey);
+      expect(entry.prefix).toBe(apiKey.substring(0, 12));
+      expect(entry.keyHash).toHaveLength(64);
+    });
+
+    test('migration 2.1.0 should hash existing keys in place', async () => {
+      const legacyKey = 'wsg_' + 'a'.repeat(64);
+      const namedKey = 'wsg_' + 'b'.repeat(64);
+      await mongoose.connection.collection('users').updateOne(
+        { _id: testUser._id },
+        {
+          $set: {
+            apiKey: legacyKey,
+            apiKeys: [{ _id: new mongoose.Types.ObjectId(), name: 'Old', key: namedKey, scopes: ['history:read'] }]
+          }
+        }
+      );
+
+      const migration = migrations.find(candidate => candidate.version === '2.1.0');
+      await migration.up();
+
+      const stored = await mongoose.connection.collection('users').findOne({ _id: testUser._id });
+      expect(stored.apiKey).toBeUndefined();
+      expect(JSON.stringify(stored)).not.toContain(namedKey);
+      expect(stored.apiKeys.map(entry => entry.name)).toEqual(['Old', 'Legacy key']);
+
+      await request(app).get('/api/summary/history').set('X-API-Key', legacyKey).expect(200);
+      await request(app).get('/api/summary/history').set('X-API-Key', namedKey).expect(200);
+    });
+
+    test('should not let API keys manage keys', async () => {
+      const response = await request(app)
+        .get('/api/auth/keys')
+        .set('X-API-Key', apiKey)
+        .expect(403);
+      expect(response.body.code).toBe('SESSION_REQUIRED');
+    });
+
+    test('should not let API keys manage webhooks', async () => {
+      const { body } = await createKey({ name: 'Read only', scopes: ['history:read'] }).expect(201);
+
+      for (const key of [apiKey, body.data.key]) {
+        const response = await request(app)
+          .post('/api/webhooks')
+          .set('X-API-Key', key)
+          .send({ url: 'https://example.com/hooks', events: ['summary.completed'] })
+          .expect(403);
+        expect(response.body.code).toBe('SESSION_REQUIRED');
+      }
+
+      await request(app).get('/api/webhooks').set('X-API-Key', apiKey).expect(403);
+    });
+  });
+
+  describe('Error Handling', () => {
+    test('should handle missing authentication', async () => {
+      const response = await request(app)
+        .post('/api/summary')
+        .send({ title: 'Test' })
+        .expect(401);
+
+      expect(response.body.error).toContain('authentication');
+    });
+
+    test('should handle invalid JSON', async () => {
+      const response = await request(app)
+        .post('/api/summary')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', 'application/json')
+        .send('invalid json')
+        .expect(400);
+    });
+  });
+});
+
+// Mock Wikipedia HTTP calls; summaries come from the offline "fake" AI provider
+jest.mock('axios', () => {
+  // Offline Wikipedia: "Mercury" is a disambiguation page, titles starting with "Tset" do not exist
+  const respond = (url, params) => {
+    const origin = new URL(url).origin;
+
+    if (params.list === 'search') {
+      return { search: [{ title: 'Test Article', snippet: 'A <span class="searchmatch">test</span> article' }] };
+    }
+
+    if (params.generator === 'links') {
+      return {
+        pages: [
+          { title: 'Mercury (planet)', description: 'Smallest planet in the Solar System', fullurl: `${origin}/wiki/Mercury_(planet)` },
+          { title: 'Mercury (element)', description: 'Chemical element', fullurl: `${origin}/wiki/Mercury_(element)` }
+        ]
+      };
+    }
+
+    if (params.prop === 'langlinks') {
+      return {
+        pages: [{
+          pageid: 2,
+          title: params.titles,
+          langlinks: [{ lang: params.lllang, title: `${params.titles} (${params.lllang})` }]
+        }]
+      };
+    }
+
+    if (params.titles.startsWith('Tset')) {
+      return { pages: [{ title: params.titles, missing: true }] };
+    }
+
+    return {
+      pages: [{
+        pageid: 1,
+        title: params.titles || 'Test Article',
+        lastrevid: 1000,
+        pageprops: params.titles === 'Mercury' ? { disambiguation: '' } : undefined,
+        fullurl: `${origin}/wiki/${encodeURIComponent(params.titles || 'Test_Article')}`,
+        extract: [
+          'Test Article is a topic used throughout the test suite. It has a short lead paragraph.',
+          '',
+          '== History ==',
+          'The topic was first described in testing literature. Its history is entirely fictional.',
+          '',
+          '== Applications ==',
+          'Test articles are applied in automated test suites. They keep tests independent of the network.',
+          '',
+          '== References =='
+        ].join('\n')
+      }]
+    };
+  };
+
+  return {
+    get: jest.fn().mockImplementation((url, { params = {} } = {}) => Promise.resolve({
+      data: { query: respond(url, params) }
+    })),
+    // Webhook deliveries go to a real local receiver
+    post: (...args) => jest.requireActual('axios').post(...args)
+  };
+});
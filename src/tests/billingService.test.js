@@ -0,0 +1,237 @@
+const http = require('http');
+const Stripe = require('stripe');
+const config = require('../config/config');
+const User = require('../models/User');
+const Pricing = require('../models/Pricing');
+
+jest.mock('../services/webhookService', () => ({ emitEvent: jest.fn() }));
+
+const { emitEvent } = require('../services/webhookService');
+const billingService = require('../services/billingService');
+const creditService = require('../services/creditService');
+
+describe('Billing Service', () => {
+  const webhookSecret = 'whsec_billing_test';
+  const originalStripe = { ...config.stripe };
+
+  afterAll(() => {
+    Object.assign(config.stripe, originalStripe);
+  });
+
+  describe('constructWebhookEvent', () => {
+    const payload = JSON.stringify({ id: 'evt_1', type: 'customer.subscription.updated', data: { object: {} } });
+
+    beforeEach(() => {
+      config.stripe.webhookSecret = webhookSecret;
+    });
+
+    test('should parse an event signed with the webhook secret', () => {
+      const header = Stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+
+      const event = billingService.constructWebhookEvent(Buffer.from(payload), header);
+      expect(event.id).toBe('evt_1');
+    });
+
+    test('should reject a tampered body, another secret or a missing header', () => {
+      const header = Stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+      const otherHeader = Stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_other' });
+
+      expect(() => billingService.constructWebhookEvent(Buffer.from(payload.replace('evt_1', 'evt_2')), header))
+        .toThrow(/Invalid webhook signature/);
+      expect(() => billingService.constructWebhookEvent(Buffer.from(payload), otherHeader))
+        .toThrow(/Invalid webhook signature/);
+      expect(() => billingService.constructWebhookEvent(Buffer.from(payload), undefined))
+        .toThrow(/Invalid webhook signature/);
+    });
+
+    test('should refuse events when no webhook secret is configured', () => {
+      config.stripe.webhookSecret = undefined;
+
+      expect(() => billingService.constructWebhookEvent(Buffer.from(payload), 'sig'))
+        .toThrow('Billing webhooks are not configured');
+    });
+  });
+
+  describe('handleWebhookEvent', () => {
+    let account;
+
+    const subscriptionEvent = (type, overrides = {}) => ({
+      id: 'evt_sub',
+      type,
+      data: {
+        object: {
+          id: 'sub_1',
+          customer: 'cus_1',
+          status: 'active',
+          current_period_start: 1700000000,
+          current_period_end: 1702592000,
+          items: { data: [{ price: { id: 'price_premium' } }] },
+          metadata: { userId: '507f1f77bcf86cd799439011' },
+          ...overrides
+        }
+      }
+    });
+
+    beforeEach(() => {
+      account = {
+        _id: '507f1f77bcf86cd799439011',
+        subscription: { plan: 'free', status: 'active' },
+        save: jest.fn().mockResolvedValue()
+      };
+      jest.spyOn(User, 'findById').mockResolvedValue(account);
+      jest.spyOn(Pricing, 'findOne').mockResolvedValue({ plan: 'premium' });
+      emitEvent.mockClear();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should copy plan, status and period from a created subscription', async () => {
+      const handled = await billingService.handleWebhookEvent(subscriptionEvent('customer.subscription.created'));
+
+      expect(handled).toBe(true);
+      expect(Pricing.findOne).toHaveBeenCalledWith({ 'stripe.priceId': 'price_premium' });
+      expect(account.subscription).toMatchObject({
+        plan: 'premium',
+        status: 'active',
+        stripeCustomerId: 'cus_1',
+        stripeSubscriptionId: 'sub_1',
+        currentPeriodStart: new Date(1700000000 * 1000),
+        currentPeriodEnd: new Date(1702592000 * 1000)
+      });
+      expect(account.save).toHaveBeenCalled();
+      expect(emitEvent).toHaveBeenCalledWith(account._id, 'plan.changed', expect.objectContaining({
+        previousPlan: 'free',
+        plan: 'premium'
+      }));
+    });
+
+    test('should map Stripe statuses and not re-announce an unchanged plan', async () => {
+      account.subscription = { plan: 'premium', status: 'active', stripeSubscriptionId: 'sub_1' };
+
+      await billingService.handleWebhookEvent(subscriptionEvent('customer.subscription.updated', { status: 'unpaid' }));
+
+      expect(account.subscription.status).toBe('past_due');
+      expect(emitEvent).not.toHaveBeenCalled();
+    });
+
+    test('should drop the account to the free plan when its subscription is deleted', async () => {
+      account.subscription = { plan: 'premium', status: 'active', stripeSubscriptionId: 'sub_1' };
+
+      await billingService.handleWebhookEvent(subscriptionEvent('customer.subscription.deleted', { status: 'canceled' }));
+
+      expect(account.subscription.plan).toBe('free');
+      expect(account.subscription.status).toBe('canceled');
+      expect(account.subscription.stripeSubscriptionId).toBeUndefined();
+    });
+
+    test('should ignore the deletion of a subscription that was replaced', async () => {
+      account.subscription = { plan: 'enterprise', status: 'active', stripeSubscriptionId: 'sub_2' };
+
+      await billingService.handleWebhookEvent(subscriptionEvent('customer.subscription.deleted'));
+
+      expect(account.subscription.plan).toBe('enterprise');
+      expect(account.save).not.toHaveBeenCalled();
+    });
+
+    test('should ignore late updates of a subscription that was replaced', async () => {
+      account.subscription = { plan: 'enterprise', status: 'active', stripeSubscriptionId: 'sub_2' };
+
+      await billingService.handleWebhookEvent(subscriptionEvent('customer.subscription.updated', { status: 'past_due' }));
+
+      expect(account.subscription).toMatchObject({ plan: 'enterprise', status: 'active', stripeSubscriptionId: 'sub_2' });
+      expect(account.save).not.toHaveBeenCalled();
+    });
+
+    test('should mark the subscription past due when a payment fails', async () => {
+      account.subscription = { plan: 'premium', status: 'active', stripeSubscriptionId: 'sub_1' };
+
+      await billingService.handleWebhookEvent({
+        id: 'evt_inv',
+        type: 'invoice.payment_failed',
+        data: { object: { id: 'in_1', customer: 'cus_1', subscription: 'sub_1', metadata: { userId: account._id } } }
+      });
+
+      expect(account.subscription.status).toBe('past_due');
+      expect(account.save).toHaveBeenCalled();
+    });
+
+    test('should add purchased credits once the payment is complete', async () => {
+      jest.spyOn(creditService, 'credit').mockResolvedValue({ balanceAfter: 25 });
+      const session = (paymentStatus) => ({
+        id: 'evt_cs',
+        type: 'checkout.session.completed',
+        data: {
+          object: {
+            id: 'cs_1',
+            customer: 'cus_1',
+            mode: 'payment',
+            payment_status: paymentStatus,
+            amount_total: 2500,
+            metadata: { userId: account._id, purpose: 'credits', amount: '25' }
+          }
+        }
+      });
+
+      await billingService.handleWebhookEvent(session('unpaid'));
+      expect(creditService.credit).not.toHaveBeenCalled();
+
+      await billingService.handleWebhookEvent(session('paid'));
+      expect(creditService.credit).toHaveBeenCalledWith(account, 25, expect.objectContaining({
+        type: 'purchase',
+        reference: 'cs_1'
+      }));
+      expect(account.subscription.stripeSubscriptionId).toBeUndefined();
+    });
+
+    test('should skip unrelated events', async () => {
+      const handled = await billingService.handleWebhookEvent({ id: 'evt_x', type: 'charge.succeeded', data: { object: {} } });
+
+      expect(handled).toBe(false);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Stripe API', () => {
+    let server;
+    let requests;
+
+    // Stands in for stripe-mock so the configured API host and port are exercised
+    beforeAll(async () => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        req.resume();
+        req.on('end', () => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ id: 'bps_1', object: 'billing_portal.session', url: 'https://billing.example/session' }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      Object.assign(config.stripe, {
+        secretKey: 'sk_test_mock',
+        apiHost: '127.0.0.1',
+        apiPort: server.address().port,
+        apiProtocol: 'http'
+      });
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should open a portal session for the account\'s customer', async () => {
+      const session = await billingService.createPortalSession({ subscription: { stripeCustomerId: 'cus_1' } });
+
+      expect(session.url).toBe('https://billing.example/session');
+      expect(requests).toEqual(['POST /v1/billing_portal/sessions']);
+    });
+
+    test('should require a customer before opening the portal', async () => {
+      await expect(billingService.createPortalSession({ subscription: {} }))
+        .rejects.toThrow('No billing account yet');
+    });
+  });
+});
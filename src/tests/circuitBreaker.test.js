@@ -0,0 +1,63 @@
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const { ServiceUnavailableError } = require('../utils/errorFormatter');
+
+const outage = () => Object.assign(new Error('HTTP 503'), { response: { status: 503 } });
+
+describe('Circuit Breaker', () => {
+  // Move the open circuit's clock forward past its reset timeout
+  const elapse = (breaker, ms) => {
+    breaker.openedAt -= ms;
+  };
+
+  async function failTimes(breaker, count) {
+    for (let i = 0; i < count; i++) {
+      await expect(breaker.execute(() => Promise.reject(outage()))).rejects.toThrow('HTTP 503');
+    }
+  }
+
+  test('should open after consecutive upstream failures and fail fast', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 3, resetTimeout: 10000 });
+    await failTimes(breaker, 3);
+
+    const fn = jest.fn();
+    const error = await breaker.execute(fn).catch(err => err);
+
+    expect(error).toBeInstanceOf(ServiceUnavailableError);
+    expect(error.statusCode).toBe(503);
+    expect(error.retryAfter).toBe(10);
+    expect(fn).not.toHaveBeenCalled();
+    expect(breaker.getStatus().state).toBe('open');
+  });
+
+  test('should not count client errors as failures', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2 });
+    const notFound = Object.assign(new Error('HTTP 404'), { response: { status: 404 } });
+
+    for (let i = 0; i < 3; i++) {
+      await expect(breaker.execute(() => Promise.reject(notFound))).rejects.toThrow('HTTP 404');
+    }
+
+    expect(breaker.getStatus().state).toBe('closed');
+  });
+
+  test('should close again after a successful trial call', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 10000 });
+    await failTimes(breaker, 1);
+
+    elapse(breaker, 10000);
+    await expect(breaker.execute(() => Promise.resolve('ok'))).resolves.toBe('ok');
+    expect(breaker.getStatus().state).toBe('closed');
+  });
+
+  test('should re-open when the trial call fails', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeout: 10000 });
+    await failTimes(breaker, 2);
+
+    elapse(breaker, 10000);
+    await failTimes(breaker, 1);
+
+    const status = breaker.getStatus();
+    expect(status.state).toBe('open');
+    expect(Date.parse(status.nextAttemptAt)).toBeGreaterThan(Date.now());
+  });
+});
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const CreditTransaction = require('../models/CreditTransaction');
+const { InsufficientCreditsError } = require('../utils/errorFormatter');
+
+jest.mock('../services/webhookService', () => ({ emitEvent: jest.fn() }));
+
+const { emitEvent } = require('../services/webhookService');
+const creditService = require('../services/creditService');
+
+describe('Credit Service', () => {
+  let user;
+  let balance;
+
+  beforeEach(() => {
+    user = new User({
+      email: 'credits@example.com',
+      password: 'Password123!',
+      firstName: 'Credit',
+      lastName: 'User',
+      credits: { balance: 10 }
+    });
+    balance = 10;
+
+    // Stand-in for the atomic conditional update of the stored balance
+    const appliedReferences = new Set();
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const minimum = filter['credits.balance']?.$gte;
+      if (minimum !== undefined && balance < minimum) return null;
+      const reference = filter['credits.appliedReferences']?.$ne;
+      if (reference !== undefined) {
+        if (appliedReferences.has(reference)) return null;
+        appliedReferences.add(reference);
+      }
+      balance += update.$inc['credits.balance'];
+      return { credits: { balance } };
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => ({
+      select: () => ({ lean: async () => ({ credits: { balance } }) })
+    }));
+    // Stand-in for the unique index on reference
+    const references = new Map();
+    jest.spyOn(CreditTransaction, 'create').mockImplementation(async entry => {
+      const transaction = { _id: new mongoose.Types.ObjectId(), balanceAfter: null, ...entry };
+      if (entry.reference) {
+        if (references.has(entry.reference)) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        references.set(entry.reference, transaction);
+      }
+      return { ...transaction };
+    });
+    jest.spyOn(CreditTransaction, 'findOne').mockImplementation(async ({ reference }) => {
+      const stored = references.get(reference);
+      return stored ? { ...stored } : null;
+    });
+    jest.spyOn(CreditTransaction.collection, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+      const stored = [...references.values()].find(transaction => transaction._id.equals(_id));
+      if (stored && stored.balanceAfter === null) Object.assign(stored, $set);
+      return { modifiedCount: 1 };
+    });
+    emitEvent.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reserve', () => {
+    test('should debit the balance and record the call in the ledger', async () => {
+      const apiCall = new mongoose.Types.ObjectId();
+
+      const entry = await creditService.reserve(user, 2.5, { apiCall, userId: user._id });
+
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: user._id, 'credits.balance': { $gte: 2.5 } },
+        { $inc: { 'credits.balance': -2.5 } },
+        expect.any(Object)
+      );
+      expect(entry).toMatchObject({
+        user: user._id,
+        organization: null,
+        type: 'debit',
+        amount: -2.5,
+        balanceAfter: 7.5,
+        apiCall
+      });
+    });
+
+    test('should refuse a debit larger than the balance', async () => {
+      const error = await creditService.reserve(user, 12).catch(err => err);
+
+      expect(error).toBeInstanceOf(InsufficientCreditsError);
+      expect(error.statusCode).toBe(402);
+      expect(error.balance).toBe(10);
+      expect(error.required).toBe(12);
+      expect(balance).toBe(10);
+      expect(CreditTransaction.create).not.toHaveBeenCalled();
+    });
+
+    test('should warn once when the balance drops below the threshold', async () => {
+      user.credits.lowBalanceThreshold = 5;
+
+      await creditService.reserve(user, 4, { userId: user._id });
+      expect(emitEvent).not.toHaveBeenCalled();
+
+      await creditService.reserve(user, 2, { userId: user._id });
+      await creditService.reserve(user, 1, { userId: user._id });
+
+      expect(emitEvent).toHaveBeenCalledTimes(1);
+      expect(emitEvent).toHaveBeenCalledWith(user._id, 'credits.low_balance', {
+        balance: 4,
+        threshold: 5,
+        organizationId: undefined
+      });
+    });
+
+    test('should use the configured threshold when the account has none', async () => {
+      const original = config.credits.lowBalanceThreshold;
+      config.credits.lowBalanceThreshold = 9;
+
+      await creditService.reserve(user, 2);
+      config.credits.lowBalanceThreshold = original;
+
+      expect(emitEvent).toHaveBeenCalledWith(user._id, 'credits.low_balance', expect.objectContaining({ threshold: 9 }));
+    });
+  });
+
+  describe('credit', () => {
+    test('should apply a payment only once', async () => {
+      const first = await creditService.credit(user, 20, { reference: 'cs_test_1' });
+      const second = await creditService.credit(user, 20, { reference: 'cs_test_1' });
+
+      expect(first).toMatchObject({ type: 'purchase', amount: 20, balanceAfter: 30, reference: 'cs_test_1' });
+      expect(second).toBeNull();
+      expect(balance).toBe(30);
+      expect(CreditTransaction.collection.updateOne).toHaveBeenCalledWith(
+        { _id: first._id, balanceAfter: null },
+        { $set: { balanceAfter: 30 } }
+      );
+    });
+
+    test('should apply a payment delivered twice at the same time only once', async () => {
+      const results = await Promise.all([
+        creditService.credit(user, 20, { reference: 'cs_test_2' }),
+        creditService.credit(user, 20, { reference: 'cs_test_2' })
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(balance).toBe(30);
+    });
+
+    test('should add a payment whose earlier delivery stopped before the balance changed', async () => {
+      User.findOneAndUpdate.mockRejectedValueOnce(new Error('connection lost'));
+      await expect(creditService.credit(user, 20, { reference: 'cs_test_3' })).rejects.toThrow('connection lost');
+      expect(balance).toBe(10);
+
+      const retried = await creditService.credit(user, 20, { reference: 'cs_test_3' });
+      const again = await creditService.credit(user, 20, { reference: 'cs_test_3' });
+
+      expect(retried).toMatchObject({ amount: 20, balanceAfter: 30, reference: 'cs_test_3' });
+      expect(again).toBeNull();
+      expect(balance).toBe(30);
+    });
+
+    test('should record organization credits against the organization', async () => {
+      const organization = new Organization({ name: 'Acme', slug: 'acme', owner: user._id });
+      jest.spyOn(Organization, 'findOneAndUpdate').mockResolvedValue({ credits: { balance: 15 } });
+
+      const entry = await creditService.credit(organization, 15, { type: 'adjustment' });
+
+      expect(entry).toMatchObject({ user: null, organization: organization._id, balanceAfter: 15 });
+    });
+  });
+
+  describe('settleCall', () => {
+    const apiCall = new mongoose.Types.ObjectId();
+
+    test('should refund what was held beyond the final cost', async () => {
+      jest.spyOn(CreditTransaction, 'aggregate').mockResolvedValue([{ _id: null, amount: -3 }]);
+
+      const refund = await creditService.settleCall(user, apiCall, 1.2);
+
+      expect(refund).toMatchObject({ type: 'refund', amount: 1.8, balanceAfter: 11.8, apiCall });
+      expect(CreditTransaction.aggregate.mock.calls[0][0][0].$match.apiCall.equals(apiCall)).toBe(true);
+    });
+
+    test('should leave calls without held credits alone', async () => {
+      jest.spyOn(CreditTransaction, 'aggregate').mockResolvedValue([]);
+
+      expect(await creditService.settleCall(user, apiCall, 0)).toBeNull();
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ledger', () => {
+    test('should reject changes to recorded entries', async () => {
+      const entry = CreditTransaction.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        user: user._id,
+        type: 'debit',
+        amount: -1,
+        balanceAfter: 9
+      });
+      entry.amount = -0.5;
+
+      await expect(entry.save()).rejects.toThrow('Credit transactions are append-only');
+      await expect(CreditTransaction.updateOne({ _id: entry._id }, { amount: 0 })).rejects.toThrow('append-only');
+      await expect(CreditTransaction.deleteMany({})).rejects.toThrow('append-only');
+    });
+  });
+});
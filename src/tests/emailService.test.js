@@ -0,0 +1,49 @@
+const config = require('../config/config');
+
+jest.mock('nodemailer', () => {
+  const sendMail = jest.fn();
+  return { createTransport: jest.fn(() => ({ sendMail })), sendMail };
+});
+
+const nodemailer = require('nodemailer');
+const { sendOrganizationInvitation } = require('../services/emailService');
+
+describe('Email Service', () => {
+  const organization = { name: 'Acme' };
+  const invitation = { _id: 'inv_1', role: 'admin', expiresAt: new Date('2030-01-01T00:00:00Z') };
+  const inviter = { fullName: 'Ada Lovelace' };
+
+  afterEach(() => {
+    config.email.host = undefined;
+    nodemailer.sendMail.mockReset();
+  });
+
+  test('should not send without an SMTP host', async () => {
+    config.email.host = undefined;
+
+    const sent = await sendOrganizationInvitation('new@example.com', organization, invitation, inviter);
+
+    expect(sent).toBe(false);
+    expect(nodemailer.sendMail).not.toHaveBeenCalled();
+  });
+
+  test('should send the invitation with the link to accept it', async () => {
+    config.email.host = 'smtp.example.com';
+    nodemailer.sendMail.mockResolvedValue({ messageId: 'msg_1' });
+
+    const sent = await sendOrganizationInvitation('new@example.com', organization, invitation, inviter);
+
+    expect(sent).toBe(true);
+    const message = nodemailer.sendMail.mock.calls[0][0];
+    expect(message).toMatchObject({ from: config.email.from, to: 'new@example.com', subject: 'You have been invited to join Acme' });
+    expect(message.text).toContain('Ada Lovelace invited you to join Acme as admin.');
+    expect(message.text).toContain(`${config.api.baseUrl}/organizations/invitations/inv_1/accept`);
+  });
+
+  test('should report a failed delivery without throwing', async () => {
+    config.email.host = 'smtp.example.com';
+    nodemailer.sendMail.mockRejectedValue(new Error('Connection refused'));
+
+    await expect(sendOrganizationInvitation('new@example.com', organization, invitation, inviter)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+const Invoice = require('../models/Invoice');
+const { buildTextPdf } = require('../utils/pdf');
+const { formatMoney, renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoiceRenderer');
+
+describe('Invoice rendering', () => {
+  const buildInvoice = () => new Invoice({
+    number: 'INV-202609-ABC123',
+    user: '507f1f77bcf86cd799439011',
+    periodStart: new Date('2026-09-01T00:00:00Z'),
+    periodEnd: new Date('2026-10-01T00:00:00Z'),
+    plan: 'premium',
+    currency: 'usd',
+    issuedAt: new Date('2026-10-01T01:00:00Z'),
+    lines: [
+      { type: 'plan', description: 'Premium Plan - monthly fee', quantity: 1, unitPrice: 29, listAmount: 29, amount: 29 },
+      {
+        type: 'usage',
+        description: '/api/summary (openai/gpt-4o)',
+        endpoint: '/api/summary',
+        aiModel: 'openai/gpt-4o',
+        requests: 2000,
+        quantity: 2000,
+        unitPrice: 0.01,
+        listAmount: 20,
+        amount: 19.5
+      },
+      {
+        type: 'usage',
+        description: '/api/summary/batch (<script>)',
+        requests: 1,
+        quantity: 10,
+        unitPrice: 0.01,
+        listAmount: 0.1,
+        amount: 0.1
+      },
+      { type: 'credit', description: 'Refund', amount: -1.5 }
+    ]
+  }).calculateTotals();
+
+  describe('calculateTotals', () => {
+    test('should total list prices, discounts and credits', () => {
+      const invoice = buildInvoice();
+
+      expect(invoice.subtotal).toBe(49.1);
+      expect(invoice.discount).toBe(0.5);
+      expect(invoice.credits).toBe(1.5);
+      expect(invoice.total).toBe(47.1);
+    });
+
+    test('should not go below zero when credits exceed charges', () => {
+      const invoice = new Invoice({
+        lines: [
+          { type: 'plan', description: 'Fee', amount: 5 },
+          { type: 'credit', description: 'Credit', amount: -8 }
+        ]
+      }).calculateTotals();
+
+      expect(invoice.total).toBe(0);
+    });
+  });
+
+  test('should format per-call prices with up to four decimals', () => {
+    expect(formatMoney(29, 'usd')).toBe('$29.00');
+    expect(formatMoney(0.0095, 'usd')).toBe('$0.0095');
+    expect(formatMoney(-0.5, 'eur')).toBe('-€0.50');
+  });
+
+  test('should render escaped HTML with lines and totals', () => {
+    const html = renderInvoiceHtml(buildInvoice(), { name: 'Ada <Admin>', email: 'ada@example.com' });
+
+    expect(html).toContain('Invoice INV-202609-ABC123');
+    expect(html).toContain('2026-09-01 to 2026-09-30');
+    expect(html).toContain('Ada &lt;Admin&gt;');
+    expect(html).toContain('/api/summary/batch (&lt;script&gt;), 1 requests');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('$47.10');
+  });
+
+  test('should render a PDF with a valid cross-reference table', () => {
+    const pdf = renderInvoicePdf(buildInvoice(), { name: 'Ada', email: 'ada@example.com' }).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('(Invoice INV-202609-ABC123) Tj');
+    expect(pdf).toContain('($47.10) Tj');
+
+    // Every xref entry points at the start of its object
+    const xrefOffset = pdf.lastIndexOf('\nxref\n') + 1;
+    const xref = pdf.slice(xrefOffset);
+    const offsets = xref.match(/^\d{10} 00000 n $/gm).map(entry => parseInt(entry, 10));
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+    expect(parseInt(pdf.match(/startxref\n(\d+)/)[1], 10)).toBe(xrefOffset);
+  });
+
+  test('should split long documents over several pages and escape text', () => {
+    const rows = Array.from({ length: 3 }, (_, page) => [{ text: `Page (${page}) \\ é ✓`, x: 50, y: 60 }]);
+    const pdf = buildTextPdf(rows).toString('latin1');
+
+    expect(pdf).toContain('/Count 3');
+    expect(pdf).toContain('(Page \\(0\\) \\\\ é ?) Tj');
+  });
+});
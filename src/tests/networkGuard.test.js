@@ -0,0 +1,48 @@
+const { isPrivateAddress, assertPublicUrl, publicLookup } = require('../utils/networkGuard');
+
+describe('Network Guard', () => {
+  describe('isPrivateAddress', () => {
+    test('should flag loopback, private, link-local and reserved addresses', () => {
+      [
+        '127.0.0.1',
+        '10.1.2.3',
+        '172.16.0.1',
+        '192.168.1.1',
+        '169.254.169.254',
+        '100.64.0.1',
+        '0.0.0.0',
+        '::1',
+        '::',
+        'fd00:ec2::254',
+        'fe80::1',
+        '::ffff:127.0.0.1',
+        '::ffff:a9fe:a9fe'
+      ].forEach(address => expect(isPrivateAddress(address)).toBe(true));
+    });
+
+    test('should allow public addresses', () => {
+      ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+    });
+  });
+
+  describe('assertPublicUrl', () => {
+    test('should refuse literal private hosts in any notation', async () => {
+      for (const url of ['http://127.0.0.1/', 'http://2130706433/', 'http://[::ffff:127.0.0.1]/', 'https://169.254.169.254/latest']) {
+        await expect(assertPublicUrl(url)).rejects.toMatchObject({ code: 'EADDRBLOCKED' });
+      }
+    });
+
+    test('should accept literal public hosts', async () => {
+      await expect(assertPublicUrl('https://93.184.216.34/hooks')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('publicLookup', () => {
+    test('should refuse hosts that resolve to private addresses', async () => {
+      const error = await new Promise(resolve => publicLookup('localhost', {}, resolve));
+
+      expect(error.code).toBe('EADDRBLOCKED');
+    });
+  });
+});
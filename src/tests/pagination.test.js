@@ -0,0 +1,89 @@
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseFields,
+  paginationResponse
+} = require('../utils/pagination');
+
+describe('Pagination', () => {
+  const sort = { field: 'timestamp', order: 'desc' };
+  const doc = { _id: '507f1f77bcf86cd799439011', timestamp: new Date('2026-01-02T03:04:05Z') };
+
+  describe('cursors', () => {
+    test('should round-trip dates and IDs', () => {
+      const position = decodeCursor(encodeCursor(doc, sort), sort);
+
+      expect(position.value).toEqual(doc.timestamp);
+      expect(position.id).toBe(doc._id);
+    });
+
+    test('should select documents after the cursor with an _id tie-breaker', () => {
+      const filter = cursorFilter(encodeCursor(doc, sort), sort);
+
+      expect(filter.$or[0]).toEqual({ timestamp: { $lt: doc.timestamp } });
+      expect(filter.$or[1]).toEqual({ timestamp: doc.timestamp, _id: { $lt: doc._id } });
+    });
+
+    test('should reject malformed cursors and cursors from another sort', () => {
+      expect(() => decodeCursor('not-a-cursor', sort)).toThrow('Invalid cursor');
+      expect(() => decodeCursor(encodeCursor(doc, sort), { field: 'timestamp', order: 'asc' }))
+        .toThrow('different sort');
+    });
+
+    test('should read nested sort fields', () => {
+      const nested = { field: 'tokensUsed.total', order: 'asc' };
+      const cursor = encodeCursor({ _id: doc._id, tokensUsed: { total: 42 } }, nested);
+
+      expect(decodeCursor(cursor, nested).value).toBe(42);
+    });
+  });
+
+  describe('parseFields', () => {
+    test('should add required fields by their top-level path', () => {
+      expect(parseFields('cost', ['cost', 'tokensUsed'], ['tokensUsed.total'])).toEqual(['cost', 'tokensUsed']);
+    });
+
+    test('should reject unknown fields', () => {
+      expect(() => parseFields('cost,password', ['cost'])).toThrow('Unknown fields: password');
+    });
+
+    test('should return null without fields', () => {
+      expect(parseFields(undefined, ['cost'])).toBeNull();
+    });
+  });
+
+  describe('paginationResponse', () => {
+    const mockRequest = (query) => ({
+      protocol: 'http',
+      get: () => 'localhost',
+      baseUrl: '/api/summary',
+      path: '/history',
+      query
+    });
+    const mockResponse = () => ({ set: jest.fn() });
+
+    test('should link neighbouring pages in page mode', () => {
+      const res = mockResponse();
+      const pagination = paginationResponse(mockRequest({ page: '2', limit: '10' }), res, {
+        mode: 'page', page: 2, limit: 10, total: 35
+      });
+
+      expect(pagination).toEqual({ current: 2, pages: 4, total: 35, limit: 10 });
+      const link = res.set.mock.calls[0][1];
+      expect(link).toContain('<http://localhost/api/summary/history?page=1&limit=10>; rel="first"');
+      expect(link).toContain('?page=3&limit=10>; rel="next"');
+      expect(link).toContain('?page=4&limit=10>; rel="last"');
+    });
+
+    test('should link the next cursor in cursor mode', () => {
+      const res = mockResponse();
+      const pagination = paginationResponse(mockRequest({ cursor: '', sortBy: 'cost' }), res, {
+        mode: 'cursor', limit: 20, nextCursor: 'abc'
+      });
+
+      expect(pagination).toEqual({ limit: 20, nextCursor: 'abc', hasMore: true });
+      expect(res.set.mock.calls[0][1]).toContain('?cursor=abc&sortBy=cost>; rel="next"');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const Pricing = require('../models/Pricing');
+
+describe('Pricing', () => {
+  const buildPlan = (overrides = {}) => new Pricing({
+    plan: 'premium',
+    name: 'Premium Plan',
+    description: 'Premium',
+    pricePerCall: 0.01,
+    limits: { monthlyCalls: 100000, dailyCalls: 10000 },
+    allowedModels: [
+      { name: 'openai/gpt-4o', costMultiplier: 1 },
+      { name: 'openai/gpt-4o-mini', costMultiplier: 0.5 }
+    ],
+    volumePricing: {
+      mode: 'graduated',
+      brackets: [
+        { upTo: 100, pricePerCall: 0.01 },
+        { upTo: 1000, pricePerCall: 0.008 },
+        { upTo: null, pricePerCall: 0.005 }
+      ]
+    },
+    ...overrides
+  });
+
+  describe('quote', () => {
+    test('should fall back to the default volume discounts without brackets', () => {
+      const plan = buildPlan({ volumePricing: undefined });
+
+      const quote = plan.quote(250, { startingAt: 900 });
+
+      expect(quote).toMatchObject({ calls: 250, mode: 'graduated', total: 2.4255 });
+      expect(quote.brackets).toEqual([
+        { from: 1, to: 1001, calls: 101, pricePerCall: 0.01, amount: 1.01 },
+        { from: 1002, to: 10001, calls: 149, pricePerCall: 0.0095, amount: 1.4155 }
+      ]);
+    });
+
+    test('should price graduated calls by the bracket each one falls in', () => {
+      const quote = buildPlan().quote(200, { startingAt: 50 });
+
+      expect(quote.brackets).toEqual([
+        { from: 1, to: 100, calls: 50, pricePerCall: 0.01, amount: 0.5 },
+        { from: 101, to: 1000, calls: 150, pricePerCall: 0.008, amount: 1.2 }
+      ]);
+      expect(quote.total).toBe(1.7);
+      expect(quote.unitPrice).toBe(0.0085);
+    });
+
+    test('should price tiered calls at the bracket the volume reaches', () => {
+      const plan = buildPlan();
+      plan.volumePricing.mode = 'tiered';
+
+      const quote = plan.quote(1200);
+
+      expect(quote.brackets).toEqual([{ from: 1001, to: null, calls: 1200, pricePerCall: 0.005, amount: 6 }]);
+      expect(quote.total).toBe(6);
+      expect(plan.quote(100).unitPrice).toBe(0.01);
+    });
+
+    test('should apply the model cost multiplier', () => {
+      const plan = buildPlan();
+
+      expect(plan.quote(10, { model: 'openai/gpt-4o-mini' })).toMatchObject({ modelMultiplier: 0.5, unitPrice: 0.005, total: 0.05 });
+      expect(plan.quote(10, { model: 'unknown/model' })).toMatchObject({ modelMultiplier: 1, unitPrice: 0.01 });
+    });
+  });
+
+  describe('getEffectivePrice', () => {
+    test('should use the calls already made this month', () => {
+      const plan = buildPlan();
+
+      expect(plan.getEffectivePrice(0)).toBe(0.01);
+      expect(plan.getEffectivePrice(1500)).toBe(0.005);
+      expect(plan.getCacheHitPrice(1500, { model: 'openai/gpt-4o-mini' })).toBeCloseTo(0.00125);
+    });
+
+    test('should keep the former volume discounts with the default brackets', () => {
+      const plan = buildPlan({ volumePricing: Pricing.defaultVolumePricing(0.01) });
+
+      expect(plan.getEffectivePrice(1000)).toBe(0.01);
+      expect(plan.getEffectivePrice(1001)).toBe(0.0095);
+      expect(plan.getEffectivePrice(10000)).toBe(0.0095);
+      expect(plan.getEffectivePrice(10001)).toBe(0.009);
+    });
+  });
+
+  describe('brackets', () => {
+    test('should accept ascending brackets ending without a limit', () => {
+      expect(buildPlan().validateSync()).toBeUndefined();
+    });
+
+    test('should reject brackets out of order or bounded at the end', () => {
+      const unordered = buildPlan({
+        volumePricing: { brackets: [{ upTo: 1000, pricePerCall: 0.01 }, { upTo: 100, pricePerCall: 0.008 }, { pricePerCall: 0.005 }] }
+      });
+      const bounded = buildPlan({
+        volumePricing: { brackets: [{ upTo: 100, pricePerCall: 0.01 }, { upTo: 1000, pricePerCall: 0.008 }] }
+      });
+
+      expect(unordered.validateSync().errors['volumePricing.brackets']).toBeDefined();
+      expect(bounded.validateSync().errors['volumePricing.brackets']).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { withRetry, isRetryableError, getRetryAfter } = require('../utils/retry');
+
+const upstreamError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), {
+  response: { status, headers }
+});
+
+describe('Retry', () => {
+  const noWait = jest.fn(async () => {});
+
+  beforeEach(() => {
+    noWait.mockClear();
+  });
+
+  test('should classify transient upstream errors', () => {
+    expect(isRetryableError(upstreamError(503))).toBe(true);
+    expect(isRetryableError(upstreamError(429))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toBe(true);
+    expect(isRetryableError(upstreamError(404))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('bad key'), { status: 401 }))).toBe(false);
+  });
+
+  test('should read Retry-After from axios and fetch-style headers', () => {
+    expect(getRetryAfter(upstreamError(429, { 'retry-after': '2' }))).toBe(2000);
+    expect(getRetryAfter({ status: 429, headers: new Headers({ 'retry-after': '1' }) })).toBe(1000);
+    expect(getRetryAfter(upstreamError(503))).toBeNull();
+  });
+
+  test('should retry transient failures until the call succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(upstreamError(502))
+      .mockRejectedValueOnce(upstreamError(503))
+      .mockResolvedValue('ok');
+
+    await expect(withRetry(fn, { retries: 3, sleep: noWait })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(noWait).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not retry client errors', async () => {
+    const fn = jest.fn().mockRejectedValue(upstreamError(400));
+
+    await expect(withRetry(fn, { retries: 3, sleep: noWait })).rejects.toThrow('HTTP 400');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should give up after the configured number of retries', async () => {
+    const fn = jest.fn().mockRejectedValue(upstreamError(500));
+
+    await expect(withRetry(fn, { retries: 2, sleep: noWait })).rejects.toThrow('HTTP 500');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('should wait for Retry-After and fail fast when it exceeds the maximum delay', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(upstreamError(429, { 'retry-after': '3' }))
+      .mockResolvedValue('ok');
+
+    await expect(withRetry(fn, { maxDelay: 5000, sleep: noWait })).resolves.toBe('ok');
+    expect(noWait).toHaveBeenCalledWith(3000);
+
+    const slow = jest.fn().mockRejectedValue(upstreamError(429, { 'retry-after': '60' }));
+    await expect(withRetry(slow, { maxDelay: 5000, sleep: noWait })).rejects.toThrow('HTTP 429');
+    expect(slow).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,40 @@
+const { parseTerms, highlight } = require('../services/searchService');
+
+describe('Search Service', () => {
+  describe('parseTerms', () => {
+    test('should keep quoted phrases and drop negated terms', () => {
+      expect(parseTerms('"neural network" learning -deep a')).toEqual(['neural network', 'learning']);
+    });
+
+    test('should drop duplicates', () => {
+      expect(parseTerms('history history')).toEqual(['history']);
+    });
+  });
+
+  describe('highlight', () => {
+    test('should mark terms at word starts', () => {
+      expect(highlight('Machine learning and learners', ['learn']))
+        .toBe('Machine <mark>learning</mark> and <mark>learners</mark>');
+    });
+
+    test('should trim long text around the first match', () => {
+      const text = `${'a '.repeat(100)}target${' b'.repeat(100)}`;
+      const snippet = highlight(text, ['target']);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>target</mark>');
+      expect(snippet.length).toBeLessThan(text.length);
+    });
+
+    test('should escape HTML in the source text', () => {
+      expect(highlight('<b>Mercury</b> & Venus', ['mercury'])).toBe('&lt;b&gt;<mark>Mercury</mark>&lt;/b&gt; &amp; Venus');
+      expect(highlight('Tom & Jerry amplifier', ['amp'])).toBe('Tom &amp; Jerry <mark>amplifier</mark>');
+    });
+
+    test('should return null without a match', () => {
+      expect(highlight('Nothing here', ['absent'])).toBeNull();
+      expect(highlight(undefined, ['absent'])).toBeNull();
+    });
+  });
+});
@@ -6,6 +6,7 @@
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test_jwt_secret_key';
 process.env.GITHUB_TOKEN = 'test_github_token';
+process.env.AI_PROVIDER = 'fake';
 process.env.MONGO_URI_TEST = 'mongodb://localhost:27017/wikipedia-summary-test';
 
 // Increase test timeout for API calls
@@ -6,12 +6,17 @@ const helmet = require('helmet');
 const authRoutes = require('../routes/auth');
 const summaryRoutes = require('../routes/summary');
 const adminRoutes = require('../routes/admin');
+const summariesRoutes = require('../routes/summaries');
+const webhookRoutes = require('../routes/webhooks');
+const organizationRoutes = require('../routes/organizations');
+const billingRoutes = require('../routes/billing');
 const { errorHandler } = require('../utils/errorFormatter');
 
 const app = express();
 
 app.use(helmet());
 app.use(cors());
+app.use('/api/billing/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '50mb' }));
 
 app.get('/health', (req, res) => {
@@ -32,7 +37,11 @@ app.get('/api/health/detailed', (req, res) => {
 
 app.use('/api/auth', authRoutes);
 app.use('/api/summary', summaryRoutes);
+app.use('/api/summaries', summariesRoutes);
 app.use('/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/billing', billingRoutes);
 app.use(errorHandler);
 
 module.exports = { app };
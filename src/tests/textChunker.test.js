@@ -0,0 +1,37 @@
+const { splitIntoChunks } = require('../utils/textChunker');
+
+describe('Text Chunker', () => {
+  test('should keep short text in a single chunk', () => {
+    expect(splitIntoChunks('One paragraph.\n\nAnother paragraph.', 100)).toEqual([
+      'One paragraph.\n\nAnother paragraph.'
+    ]);
+  });
+
+  test('should split on paragraph boundaries', () => {
+    const text = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+    const chunks = splitIntoChunks(text, 90);
+
+    expect(chunks).toEqual([
+      'a'.repeat(40) + '\n\n' + 'b'.repeat(40),
+      'c'.repeat(40)
+    ]);
+  });
+
+  test('should split long paragraphs on sentence boundaries', () => {
+    const text = 'First sentence here. Second sentence here. Third sentence here.';
+    const chunks = splitIntoChunks(text, 45);
+
+    expect(chunks).toEqual([
+      'First sentence here. Second sentence here.',
+      'Third sentence here.'
+    ]);
+  });
+
+  test('should never exceed the maximum chunk length', () => {
+    const text = 'word '.repeat(500) + '\n\n' + 'x'.repeat(250);
+    const chunks = splitIntoChunks(text, 100);
+
+    expect(chunks.every(chunk => chunk.length <= 100)).toBe(true);
+    expect(chunks.join(' ').replace(/\s+/g, '')).toBe(text.replace(/\s+/g, ''));
+  });
+});
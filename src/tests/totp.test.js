@@ -0,0 +1,53 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../utils/totp');
+
+// ASCII "12345678901234567890", the RFC 4226 / RFC 6238 SHA-1 test key
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  test('should round-trip base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+    expect(() => base32Decode('not-base32!')).toThrow('Invalid base32 character');
+  });
+
+  test('should match the RFC 4226 HOTP test values', () => {
+    expect(hotp(RFC_SECRET, 0)).toBe('755224');
+    expect(hotp(RFC_SECRET, 1)).toBe('287082');
+    expect(hotp(RFC_SECRET, 9)).toBe('520489');
+  });
+
+  test('should match the RFC 6238 SHA-1 test values', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000, 8)).toBe('94287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000, 8)).toBe('07081804');
+    expect(generateTotp(RFC_SECRET, 2000000000 * 1000, 8)).toBe('69279037');
+  });
+
+  test('should accept codes within the drift window only', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(time / 30000);
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time), { time })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 30000), { time })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time + 30000), { time })).toBe(step + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 90000), { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { time })).toBeNull();
+  });
+
+  test('should build an otpauth URI', () => {
+    const uri = buildOtpauthUri('JBSWY3DPEHPK3PXP', 'user@example.com', 'Wiki-Synth');
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Wiki-Synth%3Auser%40example\.com\?/);
+    expect(new URL(uri).searchParams.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+    expect(new URL(uri).searchParams.get('issuer')).toBe('Wiki-Synth');
+  });
+});
@@ -0,0 +1,121 @@
+const http = require('http');
+const config = require('../config/config');
+const {
+  sendWebhookRequest,
+  buildSignatureHeader,
+  verifySignature
+} = require('../services/webhookService');
+
+describe('Webhook Service', () => {
+  const secret = 'whsec_test';
+
+  describe('signatures', () => {
+    const body = JSON.stringify({ id: 'evt_1', event: 'summary.completed', data: {} });
+
+    test('should verify a signature built with the same secret', () => {
+      expect(verifySignature(secret, body, buildSignatureHeader(secret, body))).toBe(true);
+    });
+
+    test('should reject a tampered body or a different secret', () => {
+      const header = buildSignatureHeader(secret, body);
+
+      expect(verifySignature(secret, body.replace('evt_1', 'evt_2'), header)).toBe(false);
+      expect(verifySignature('whsec_other', body, header)).toBe(false);
+    });
+
+    test('should reject stale or malformed headers', () => {
+      const stale = buildSignatureHeader(secret, body, Math.floor(Date.now() / 1000) - 600);
+
+      expect(verifySignature(secret, body, stale)).toBe(false);
+      expect(verifySignature(secret, body, 'garbage')).toBe(false);
+      expect(verifySignature(secret, body, undefined)).toBe(false);
+    });
+  });
+
+  describe('sendWebhookRequest', () => {
+    let server;
+    let url;
+    let received;
+    let status;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          received = { headers: req.headers, body: raw };
+          res.writeHead(status, { 'Content-Type': 'text/plain' });
+          res.end(`status ${status}`);
+        });
+      });
+
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/hooks`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+      received = null;
+      status = 200;
+      // The test receiver runs on loopback
+      config.webhooks.allowPrivateTargets = true;
+    });
+
+    afterEach(() => {
+      config.webhooks.allowPrivateTargets = false;
+    });
+
+    test('should POST a signed payload the receiver can verify', async () => {
+      const body = JSON.stringify({ id: 'evt_1', event: 'webhook.test', data: { message: 'hi' } });
+
+      const result = await sendWebhookRequest({ url, secret, event: 'webhook.test', deliveryId: 'd1', body });
+
+      expect(result.ok).toBe(true);
+      expect(result.responseStatus).toBe(200);
+      expect(result).not.toHaveProperty('responseBody');
+      expect(received.body).toBe(body);
+      expect(received.headers['x-webhook-event']).toBe('webhook.test');
+      expect(received.headers['x-webhook-delivery']).toBe('d1');
+      expect(verifySignature(secret, received.body, received.headers['x-webhook-signature'])).toBe(true);
+    });
+
+    test('should refuse private receivers without sending anything', async () => {
+      config.webhooks.allowPrivateTargets = false;
+
+      const result = await sendWebhookRequest({ url, secret, event: 'webhook.test', deliveryId: 'd4', body: '{}' });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain('not allowed');
+      expect(received).toBeNull();
+    });
+
+    test('should report non-2xx responses as failed', async () => {
+      status = 500;
+
+      const result = await sendWebhookRequest({ url, secret, event: 'webhook.test', deliveryId: 'd2', body: '{}' });
+
+      expect(result.ok).toBe(false);
+      expect(result.responseStatus).toBe(500);
+    });
+
+    test('should report connection errors without throwing', async () => {
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const { port } = closed.address();
+      await new Promise(resolve => closed.close(resolve));
+
+      const result = await sendWebhookRequest({
+        url: `http://127.0.0.1:${port}/hooks`,
+        secret,
+        event: 'webhook.test',
+        deliveryId: 'd3',
+        body: '{}'
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toBeTruthy();
+      expect(result.responseStatus).toBeUndefined();
+    });
+  });
+});
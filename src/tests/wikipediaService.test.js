@@ -0,0 +1,376 @@
+const axios = require('axios');
+const {
+  getWikipediaArticle,
+  resolveInterlanguageTitle,
+  resolveWikipediaTitle,
+  getWikipediaSummary,
+  parseArticleSections,
+  selectSections,
+  generateCustomSummary,
+  generateAISummary,
+  checkAIServiceHealth
+} = require('../services/wikipediaService');
+const cacheService = require('../services/cacheService');
+const config = require('../config/config');
+const { getProvider, setProvider } = require('../services/providers');
+const { resetCircuitBreakers } = require('../utils/circuitBreaker');
+const { AmbiguousTitleError, ServiceUnavailableError } = require('../utils/errorFormatter');
+
+describe('Wikipedia Service', () => {
+  beforeEach(() => {
+    cacheService.clearMemory();
+  });
+
+  describe('parseArticleSections', () => {
+    const extract = [
+      'Lead paragraph about the topic.[1]',
+      '',
+      '',
+      '== History ==',
+      'Early history of the topic.',
+      '',
+      '=== Origins ===',
+      'Where it started.[citation needed]',
+      '',
+      '== Legacy ==',
+      'Lasting influence.',
+      '',
+      '== See also ==',
+      'Related topic',
+      '',
+      '== References ==',
+      '=== Citations ==='
+    ].join('\n');
+
+    test('should split lead and top-level sections', () => {
+      const { lead, sections } = parseArticleSections(extract);
+
+      expect(lead).toBe('Lead paragraph about the topic.');
+      expect(sections.map(section => section.title)).toEqual(['History', 'Legacy']);
+    });
+
+    test('should fold subsections into their parent section', () => {
+      const { sections } = parseArticleSections(extract);
+
+      expect(sections[0].content).toContain('Origins:');
+      expect(sections[0].content).toContain('Where it started.');
+      expect(sections[0].content).not.toContain('[citation needed]');
+    });
+
+    test('should handle articles without sections', () => {
+      const { lead, sections } = parseArticleSections('Just a stub.');
+
+      expect(lead).toBe('Just a stub.');
+      expect(sections).toEqual([]);
+    });
+  });
+
+  describe('selectSections', () => {
+    const sections = [
+      { title: 'History', content: 'a' },
+      { title: 'Legacy', content: 'b' }
+    ];
+
+    test('should return all sections when none are requested', () => {
+      expect(selectSections(sections).selected).toHaveLength(2);
+    });
+
+    test('should match requested sections case-insensitively', () => {
+      const { selected, missing } = selectSections(sections, ['legacy', 'Reception']);
+
+      expect(selected.map(section => section.title)).toEqual(['Legacy']);
+      expect(missing).toEqual(['Reception']);
+    });
+  });
+
+  describe('language editions', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should read articles from the requested Wikipedia edition', async () => {
+      const get = jest.spyOn(axios, 'get').mockResolvedValue({
+        data: { query: { pages: [{ pageid: 7, title: 'Berlin', extract: 'Berlin ist die Hauptstadt.' }] } }
+      });
+
+      const article = await getWikipediaArticle('Berlin', 'de');
+
+      expect(get.mock.calls[0][0]).toBe('https://de.wikipedia.org/w/api.php');
+      expect(article.language).toBe('de');
+      expect(article.lead).toBe('Berlin ist die Hauptstadt.');
+    });
+
+    test('should reject malformed language codes before calling Wikipedia', async () => {
+      const get = jest.spyOn(axios, 'get');
+
+      await expect(getWikipediaArticle('Berlin', 'evil.example.com')).rejects.toThrow('Invalid Wikipedia language code');
+      expect(get).not.toHaveBeenCalled();
+    });
+
+    test('should resolve titles through interlanguage links', async () => {
+      const get = jest.spyOn(axios, 'get').mockResolvedValue({
+        data: { query: { pages: [{ title: 'Deutschland', langlinks: [{ lang: 'en', title: 'Germany' }] }] } }
+      });
+
+      await expect(resolveInterlanguageTitle('Deutschland', 'de', 'en')).resolves.toBe('Germany');
+      expect(get.mock.calls[0][1].params).toMatchObject({ prop: 'langlinks', lllang: 'en' });
+    });
+
+    test('should report articles without an edition in the target language', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({
+        data: { query: { pages: [{ title: 'Kleinstadt' }] } }
+      });
+
+      await expect(resolveInterlanguageTitle('Kleinstadt', 'de', 'en')).rejects.toThrow('has no en.wikipedia.org edition');
+    });
+  });
+
+  describe('resolveWikipediaTitle', () => {
+    // Answer action API queries from a map of handlers keyed by query type
+    const mockWikipedia = (handlers) => jest.spyOn(axios, 'get').mockImplementation(async (url, { params }) => {
+      const type = params.list || params.generator || 'lookup';
+      return { data: { query: handlers[type](params) } };
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should follow redirects', async () => {
+      mockWikipedia({
+        lookup: () => ({ redirects: [{ from: 'AI', to: 'Artificial intelligence' }], pages: [{ title: 'Artificial intelligence' }] })
+      });
+
+      const resolution = await resolveWikipediaTitle('AI');
+
+      expect(resolution.title).toBe('Artificial intelligence');
+      expect(resolution.redirectedFrom).toBe('AI');
+      expect(resolution.resolvedBy).toEqual(['redirect']);
+    });
+
+    test('should use a near-matching search result for a misspelled title', async () => {
+      mockWikipedia({
+        lookup: ({ titles }) => ({ pages: [titles === 'Albert Einstein' ? { title: titles } : { title: titles, missing: true }] }),
+        search: () => ({ search: [{ title: 'Albert Einstein' }, { title: 'Einstein family' }] })
+      });
+
+      const resolution = await resolveWikipediaTitle('Albert Einstien');
+
+      expect(resolution.title).toBe('Albert Einstein');
+      expect(resolution.resolvedBy).toEqual(['search']);
+    });
+
+    test('should offer search results when nothing matches closely', async () => {
+      mockWikipedia({
+        lookup: ({ titles }) => ({ pages: [{ title: titles, missing: true }] }),
+        search: () => ({ search: [{ title: 'Theory of relativity', snippet: '<span class="searchmatch">Relativity</span> theory' }] })
+      });
+
+      const error = await resolveWikipediaTitle('Einstein relativity paper').catch(err => err);
+
+      expect(error).toBeInstanceOf(AmbiguousTitleError);
+      expect(error.reason).toBe('search');
+      expect(error.candidates[0]).toEqual({
+        title: 'Theory of relativity',
+        description: 'Relativity theory',
+        url: 'https://en.wikipedia.org/wiki/Theory_of_relativity'
+      });
+    });
+
+    test('should refuse disambiguation pages with their candidate articles', async () => {
+      mockWikipedia({
+        lookup: () => ({ pages: [{ title: 'Mercury', pageprops: { disambiguation: '' } }] }),
+        links: () => ({ pages: [{ title: 'Mercury (planet)', description: 'Planet' }, { title: 'Mercury (mythology)', missing: true }] })
+      });
+
+      const error = await resolveWikipediaTitle('Mercury').catch(err => err);
+
+      expect(error).toBeInstanceOf(AmbiguousTitleError);
+      expect(error.statusCode).toBe(300);
+      expect(error.candidates.map(candidate => candidate.title)).toEqual(['Mercury (planet)']);
+    });
+
+    test('should refuse disambiguation pages before summarizing them', async () => {
+      mockWikipedia({
+        lookup: () => ({ pages: [{ title: 'Mercury', pageprops: { disambiguation: '' } }] }),
+        links: () => ({ pages: [{ title: 'Mercury (planet)', description: 'Planet' }] })
+      });
+
+      const error = await getWikipediaSummary('Mercury', { cache: { read: false, write: false } }).catch(err => err);
+
+      expect(error).toBeInstanceOf(AmbiguousTitleError);
+      expect(error.reason).toBe('disambiguation');
+      // The article text is never fetched
+      expect(axios.get.mock.calls.some(([, { params }]) => String(params.prop).includes('extracts'))).toBe(false);
+    });
+  });
+
+  describe('generateCustomSummary', () => {
+    const paragraph = 'Machine learning systems learn patterns from data. ' +
+      'Training data shapes every prediction a model makes. ' +
+      'Evaluation measures how well those predictions generalize. ';
+
+    test('should summarize short content in a single step', async () => {
+      const result = await generateCustomSummary(paragraph.repeat(2), { length: 'short' });
+
+      expect(result.summary.length).toBeGreaterThan(0);
+      expect(result.metadata.chunks).toBe(1);
+      expect(result.processingSteps.map(step => step.step)).toEqual(['summarize']);
+      expect(result.metadata.tokensUsed.total).toBe(
+        result.metadata.tokensUsed.prompt + result.metadata.tokensUsed.completion
+      );
+      expect(result.metadata.tokensUsed.total).toBeGreaterThan(0);
+    });
+
+    test('should map-reduce long content and record the chunk plan', async () => {
+      const content = Array.from({ length: 120 }, () => paragraph).join('\n\n');
+      const result = await generateCustomSummary(content, { length: 'medium' });
+
+      const plan = result.processingSteps.find(step => step.step === 'chunk_plan');
+      expect(plan.details.chunks).toBeGreaterThan(1);
+      expect(result.metadata.chunks).toBe(plan.details.chunks);
+
+      const chunkSteps = result.processingSteps.filter(step => step.step.startsWith('chunk_0_'));
+      expect(chunkSteps).toHaveLength(plan.details.chunks);
+      expect(chunkSteps.every(step => step.status === 'success' && step.duration >= 0)).toBe(true);
+
+      // Usage covers every map and reduce call, so it exceeds the raw input size estimate
+      expect(result.metadata.tokensUsed.prompt).toBeGreaterThan(content.length / 4);
+      expect(result.metadata.truncated).toBe(false);
+    });
+
+    test('should flag the summary when reducing stops shrinking the content', async () => {
+      // Provider whose "summaries" are as long as what it was given
+      const fake = getProvider();
+      const complete = jest.fn(async (request) => {
+        const response = await fake.complete(request);
+        return { ...response, content: request.messages[request.messages.length - 1].content };
+      });
+      setProvider({ name: 'echo', model: fake.model, complete });
+
+      try {
+        const content = Array.from({ length: 120 }, () => paragraph).join('\n\n');
+        const result = await generateCustomSummary(content, { cache: { read: false, write: false } });
+
+        expect(result.metadata.truncated).toBe(true);
+        const truncation = result.processingSteps.find(step => step.step === 'truncate');
+        expect(truncation.details.kept).toBeLessThan(truncation.details.length);
+
+        // The final prompt holds no more than one chunk of the reduced text
+        const finalPrompt = complete.mock.calls[complete.mock.calls.length - 1][0].messages;
+        expect(finalPrompt[finalPrompt.length - 1].content.length).toBeLessThan(truncation.details.kept + 2000);
+      } finally {
+        setProvider(null);
+      }
+    });
+
+    test('should be deterministic with the offline provider', async () => {
+      const uncached = { cache: { read: false, write: false } };
+      const first = await generateCustomSummary(paragraph.repeat(3), uncached);
+      const second = await generateCustomSummary(paragraph.repeat(3), uncached);
+
+      expect(first.summary).toBe(second.summary);
+      expect(second.metadata.cached).toBe(false);
+    });
+
+    test('should serve repeated requests from cache without token usage', async () => {
+      const first = await generateCustomSummary(paragraph.repeat(4), { length: 'short' });
+      const second = await generateCustomSummary(paragraph.repeat(4), { length: 'short' });
+
+      expect(first.metadata.cached).toBe(false);
+      expect(second.metadata.cached).toBe(true);
+      expect(second.metadata.cacheKey).toBe(first.metadata.cacheKey);
+      expect(second.summary).toBe(first.summary);
+      expect(second.metadata.tokensUsed.total).toBe(0);
+    });
+
+    test('should bypass the cache when reads are disabled', async () => {
+      await generateCustomSummary(paragraph.repeat(4));
+      const result = await generateCustomSummary(paragraph.repeat(4), { cache: { read: false } });
+
+      expect(result.metadata.cached).toBe(false);
+      expect(result.metadata.tokensUsed.total).toBeGreaterThan(0);
+    });
+  });
+
+  describe('buildSummaryKey', () => {
+    test('should normalize titles and ignore section order', () => {
+      const first = cacheService.buildSummaryKey({
+        source: 'wikipedia', title: 'Albert_Einstein', sections: ['Legacy', 'History'], model: 'm'
+      });
+      const second = cacheService.buildSummaryKey({
+        source: 'wikipedia', title: ' albert einstein', sections: ['history', 'legacy'], model: 'm'
+      });
+
+      expect(first).toBe(second);
+    });
+
+    test('should change with the revision, options and model', () => {
+      const base = { source: 'wikipedia', title: 'Albert Einstein', revisionId: 1, model: 'm' };
+      const key = cacheService.buildSummaryKey(base);
+
+      expect(cacheService.buildSummaryKey({ ...base, revisionId: 2 })).not.toBe(key);
+      expect(cacheService.buildSummaryKey({ ...base, length: 'long' })).not.toBe(key);
+      expect(cacheService.buildSummaryKey({ ...base, audience: 'expert' })).not.toBe(key);
+      expect(cacheService.buildSummaryKey({ ...base, model: 'other' })).not.toBe(key);
+    });
+  });
+
+  describe('generateAISummary resilience', () => {
+    const retryDelay = config.ai.retryDelay;
+    const content = 'Resilient systems retry transient failures. Circuit breakers stop retry storms.';
+
+    // Offline provider that fails with the given upstream statuses before answering
+    const flakyProvider = (...statuses) => {
+      const fake = getProvider();
+      const complete = jest.fn(async (request) => {
+        const status = statuses.shift();
+        if (status) {
+          throw Object.assign(new Error(`HTTP ${status}`), { status });
+        }
+        return fake.complete(request);
+      });
+      return { name: 'flaky', model: fake.model, complete };
+    };
+
+    beforeEach(() => {
+      config.ai.retryDelay = 1;
+      resetCircuitBreakers();
+    });
+
+    afterEach(() => {
+      config.ai.retryDelay = retryDelay;
+      setProvider(null);
+    });
+
+    test('should retry transient provider failures', async () => {
+      const provider = flakyProvider(503, 429);
+      setProvider(provider);
+
+      const result = await generateAISummary(content);
+
+      expect(result.summary.length).toBeGreaterThan(0);
+      expect(provider.complete).toHaveBeenCalledTimes(3);
+    });
+
+    test('should fail fast once the provider circuit is open', async () => {
+      const provider = flakyProvider(...Array(20).fill(503));
+      setProvider(provider);
+
+      // Each exhausted call counts maxRetries + 1 failures toward the threshold
+      await expect(generateAISummary(content)).rejects.toThrow('Failed to generate AI summary');
+      await expect(generateAISummary(content)).rejects.toThrow(ServiceUnavailableError);
+
+      expect(provider.complete).toHaveBeenCalledTimes(config.circuitBreaker.failureThreshold);
+    });
+  });
+
+  describe('checkAIServiceHealth', () => {
+    test('should report the configured provider', async () => {
+      const health = await checkAIServiceHealth();
+
+      expect(health.status).toBe('healthy');
+      expect(health.provider).toBe('fake');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const config = require('../config/config');
+const logger = require('./logger');
+const { ServiceUnavailableError } = require('./errorFormatter');
+const { isRetryableError } = require('./retry');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit breaker for one upstream service
+ * After failureThreshold consecutive upstream failures the circuit opens and
+ * calls are rejected immediately. Once resetTimeout has passed a single trial
+ * call is let through (half-open); its outcome closes or re-opens the circuit.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || config.circuitBreaker.failureThreshold;
+    this.resetTimeout = options.resetTimeout || config.circuitBreaker.resetTimeout;
+    // Only upstream outages count; a 400 or 404 means the service is up
+    this.isFailure = options.isFailure || isRetryableError;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Async upstream call
+   * @returns {Promise<*>} Result of fn
+   * @throws {ServiceUnavailableError} When the circuit is open
+   */
+  async execute(fn) {
+    this.beforeCall();
+
+    const isTrial = this.state === STATES.HALF_OPEN;
+    if (isTrial) this.trialInFlight = true;
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Reject the call while open, or move to half-open once the timeout has passed
+   */
+  beforeCall() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = STATES.HALF_OPEN;
+      logger.info('Circuit half-open, trying upstream again', { service: this.name });
+    }
+
+    const rejected = this.state === STATES.OPEN
+      || (this.state === STATES.HALF_OPEN && this.trialInFlight);
+
+    if (rejected) {
+      this.stats.rejected++;
+      const retryAfter = this.state === STATES.OPEN
+        ? Math.ceil((this.openedAt + this.resetTimeout - Date.now()) / 1000)
+        : 1;
+
+      throw new ServiceUnavailableError(
+        `${this.name} is temporarily unavailable, please retry later`,
+        this.name,
+        retryAfter
+      );
+    }
+  }
+
+  onSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+
+    if (this.state !== STATES.CLOSED) {
+      logger.info('Circuit closed', { service: this.name });
+      this.state = STATES.CLOSED;
+      this.openedAt = null;
+    }
+  }
+
+  onFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastFailure = { message: error.message, at: new Date().toISOString() };
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        logger.error('Circuit opened', {
+          service: this.name,
+          consecutiveFailures: this.consecutiveFailures,
+          error: error.message
+        });
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Close the circuit and clear failure counters
+   */
+  reset() {
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  /**
+   * Snapshot for health endpoints
+   * @returns {Object} Circuit state
+   */
+  getStatus() {
+    return {
+      service: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === STATES.OPEN
+        ? new Date(this.openedAt + this.resetTimeout).toISOString()
+        : null,
+      lastFailure: this.lastFailure,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// One breaker per upstream, shared by every request
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for an upstream service
+ * @param {string} name - Upstream name, e.g. "wikipedia" or "ai:openai"
+ * @returns {CircuitBreaker} Shared breaker
+ */
+function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * State of every upstream breaker created so far
+ * @returns {Array<Object>} Circuit states
+ */
+function getCircuitBreakerStatus() {
+  return [...breakers.values()].map(breaker => breaker.getStatus());
+}
+
+/**
+ * Close every breaker (tests and manual recovery)
+ */
+function resetCircuitBreakers() {
+  breakers.forEach(breaker => breaker.reset());
+}
+
+module.exports = {
+  CircuitBreaker,
+  STATES,
+  getCircuitBreaker,
+  getCircuitBreakerStatus,
+  resetCircuitBreakers
+};
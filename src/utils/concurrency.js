@@ -0,0 +1,21 @@
+/**
+ * Run an async function over items with a bounded number in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+exports.mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
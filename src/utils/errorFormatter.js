@@ -13,6 +13,11 @@ exports.formatError = (err, context = null) => {
     code: err.code || 'UNKNOWN_ERROR'
   };
 
+  // e.g. the sections a ValidationError lists as valid
+  if (err.details && (!Array.isArray(err.details) || err.details.length > 0)) {
+    errorResponse.details = err.details;
+  }
+
   if (context) {
     errorResponse.context = context;
   }
@@ -95,6 +100,15 @@ class RateLimitError extends APIError {
   }
 }
 
+class InsufficientCreditsError extends APIError {
+  constructor(message = 'Insufficient credits', balance = 0, required = 0) {
+    super(message, 402, 'INSUFFICIENT_CREDITS');
+    this.name = 'InsufficientCreditsError';
+    this.balance = balance;
+    this.required = required;
+  }
+}
+
 class ExternalServiceError extends APIError {
   constructor(message = 'External service error', service = 'unknown') {
     super(message, 502, 'EXTERNAL_SERVICE_ERROR');
@@ -103,6 +117,24 @@ class ExternalServiceError extends APIError {
   }
 }
 
+class AmbiguousTitleError extends APIError {
+  constructor(message = 'Title matches several articles', candidates = [], reason = 'disambiguation') {
+    super(message, 300, 'AMBIGUOUS_TITLE');
+    this.name = 'AmbiguousTitleError';
+    this.candidates = candidates;
+    this.reason = reason;
+  }
+}
+
+class ServiceUnavailableError extends APIError {
+  constructor(message = 'Service temporarily unavailable', service = 'unknown', retryAfter = null) {
+    super(message, 503, 'SERVICE_UNAVAILABLE');
+    this.name = 'ServiceUnavailableError';
+    this.service = service;
+    this.retryAfter = retryAfter;
+  }
+}
+
 /**
  * Enhanced error handler middleware
  */
@@ -134,8 +166,8 @@ exports.errorHandler = (err, req, res, next) => {
     error = new ValidationError(message);
   }
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
+  // Mongoose validation error (our own ValidationError has no errors map)
+  if (err.name === 'ValidationError' && err.errors) {
     const message = Object.values(err.errors).map(val => val.message).join(', ');
     error = new ValidationError(message);
   }
@@ -149,6 +181,10 @@ exports.errorHandler = (err, req, res, next) => {
     error = new AuthenticationError('Token expired');
   }
 
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
   // Send error response
   res.status(error.statusCode || 500).json(exports.formatError(error));
 };
@@ -160,4 +196,7 @@ exports.AuthenticationError = AuthenticationError;
 exports.AuthorizationError = AuthorizationError;
 exports.NotFoundError = NotFoundError;
 exports.RateLimitError = RateLimitError;
+exports.InsufficientCreditsError = InsufficientCreditsError;
 exports.ExternalServiceError = ExternalServiceError;
+exports.ServiceUnavailableError = ServiceUnavailableError;
+exports.AmbiguousTitleError = AmbiguousTitleError;
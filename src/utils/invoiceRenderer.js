@@ -0,0 +1,191 @@
+const { buildTextPdf } = require('./pdf');
+
+const PDF_ROWS_PER_PAGE = 40;
+
+/**
+ * Format an amount in the invoice currency; per-call prices keep up to 4 decimals
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 4
+  }).format(amount);
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Rows shared by the HTML and PDF renderings
+ * @param {Object} invoice - Invoice document
+ * @returns {Object} { period, lines, totals } with display strings
+ */
+function describeInvoice(invoice) {
+  const money = amount => formatMoney(amount, invoice.currency);
+  const lastDay = new Date(invoice.periodEnd.getTime() - 1);
+
+  return {
+    period: `${formatDate(invoice.periodStart)} to ${formatDate(lastDay)}`,
+    lines: invoice.lines.map(line => ({
+      description: line.type === 'usage' && line.requests !== line.quantity
+        ? `${line.description}, ${line.requests} requests`
+        : line.description,
+      quantity: String(line.quantity),
+      unitPrice: money(line.unitPrice),
+      amount: money(line.type === 'usage' ? line.listAmount : line.amount)
+    })),
+    totals: [
+      ['Subtotal', money(invoice.subtotal)],
+      ['Discounts', money(-invoice.discount)],
+      ['Credits', money(-invoice.credits)],
+      ['Total', money(invoice.total)]
+    ]
+  };
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an invoice as a standalone HTML page
+ * @param {Object} invoice - Invoice document
+ * @param {Object} billTo - { name, email }
+ * @returns {string} HTML document
+ */
+function renderInvoiceHtml(invoice, billTo) {
+  const { period, lines, totals } = describeInvoice(invoice);
+
+  const lineRows = lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${line.unitPrice}</td>
+          <td class="num">${line.amount}</td>
+        </tr>`).join('');
+
+  const totalRows = totals.map(([label, value]) => `
+        <tr class="${label === 'Total' ? 'total' : ''}">
+          <td colspan="3">${label}</td>
+          <td class="num">${value}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    tfoot td { border-bottom: none; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+  </style>
+</head>
+<body>
+  <h1>Invoice ${escapeHtml(invoice.number)}</h1>
+  <p>
+    Issued: ${formatDate(invoice.issuedAt)}<br>
+    Period: ${period}<br>
+    Plan: ${escapeHtml(invoice.plan)}
+  </p>
+  <p>
+    Bill to:<br>
+    ${escapeHtml(billTo.name)}<br>
+    ${escapeHtml(billTo.email || '')}
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="num">Quantity</th>
+        <th class="num">Unit price</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${lineRows}
+    </tbody>
+    <tfoot>${totalRows}
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice document
+ * @param {Object} billTo - { name, email }
+ * @returns {Buffer} PDF document
+ */
+function renderInvoicePdf(invoice, billTo) {
+  const { period, lines, totals } = describeInvoice(invoice);
+  const columns = [50, 350, 420, 495];
+
+  const header = [
+    { text: `Invoice ${invoice.number}`, x: 50, y: 60, size: 18, bold: true },
+    { text: `Issued: ${formatDate(invoice.issuedAt)}`, x: 50, y: 90 },
+    { text: `Period: ${period}`, x: 50, y: 104 },
+    { text: `Plan: ${invoice.plan}`, x: 50, y: 118 },
+    { text: 'Bill to:', x: 350, y: 90, bold: true },
+    { text: billTo.name, x: 350, y: 104 },
+    { text: billTo.email || '', x: 350, y: 118 }
+  ];
+  const tableHeader = y => ['Description', 'Quantity', 'Unit price', 'Amount']
+    .map((text, index) => ({ text, x: columns[index], y, bold: true }));
+
+  const rows = [
+    ...lines.map(line => [line.description, line.quantity, line.unitPrice, line.amount]),
+    null,
+    ...totals.map(([label, value]) => [label, '', '', value])
+  ];
+
+  const pages = [];
+  for (let start = 0; start < rows.length || pages.length === 0; start += PDF_ROWS_PER_PAGE) {
+    const top = pages.length === 0 ? 160 : 60;
+    const items = pages.length === 0 ? [...header] : [];
+    items.push(...tableHeader(top));
+
+    rows.slice(start, start + PDF_ROWS_PER_PAGE).forEach((row, index) => {
+      if (!row) return;
+      const y = top + 20 + index * 15;
+      const bold = row[0] === 'Total';
+      row.forEach((text, column) => {
+        if (text !== '') items.push({ text: String(text).slice(0, 55), x: columns[column], y, bold });
+      });
+    });
+
+    pages.push(items);
+  }
+
+  return buildTextPdf(pages);
+}
+
+module.exports = {
+  formatMoney,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,13 @@
+/**
+ * Round money to the smallest unit prices are quoted in, dropping float noise
+ * Per-call prices go below a cent, so amounts keep six decimals.
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = {
+  roundAmount
+};
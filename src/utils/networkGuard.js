@@ -0,0 +1,107 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses outbound requests to user-supplied URLs must never reach: loopback,
+// private networks, link-local (cloud metadata services), CGNAT, multicast and reserved ranges
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, family]) => blockList.addSubnet(address, prefix, family));
+
+/**
+ * IPv4 address embedded in an IPv4-mapped IPv6 address
+ * @param {string} address - IPv6 address, e.g. "::ffff:127.0.0.1" or "::ffff:7f00:1"
+ * @returns {string|null} IPv4 address, or null when not IPv4-mapped
+ */
+function mappedIPv4(address) {
+  const match = /^::ffff:(.+)$/i.exec(address);
+  if (!match) return null;
+  if (net.isIPv4(match[1])) return match[1];
+
+  const hextets = match[1].split(':');
+  if (hextets.length !== 2) return null;
+  const value = (parseInt(hextets[0], 16) << 16 | parseInt(hextets[1], 16)) >>> 0;
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+}
+
+/**
+ * Whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses
+ */
+function isPrivateAddress(address) {
+  const ipv4 = net.isIPv4(address) ? address : mappedIPv4(address);
+  if (ipv4) return blockList.check(ipv4, 'ipv4');
+  if (net.isIPv6(address)) return blockList.check(address, 'ipv6');
+  return true;
+}
+
+/**
+ * Error for a request to an address that is not allowed
+ * @param {string} address - Blocked address
+ * @returns {Error} Error with code EADDRBLOCKED
+ */
+function blockedAddressError(address) {
+  return Object.assign(new Error(`Requests to ${address} are not allowed`), { code: 'EADDRBLOCKED' });
+}
+
+/**
+ * Check that every address a URL's host resolves to is public
+ * @param {string} url - http or https URL
+ * @returns {Promise<void>}
+ * @throws {Error} EADDRBLOCKED when the host is private, or the DNS error
+ */
+async function assertPublicUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+  const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+  if (blocked) {
+    throw blockedAddressError(blocked.address);
+  }
+}
+
+/**
+ * dns.lookup replacement for http(s) agents that refuses private addresses
+ * Checked at connect time, so a host that re-resolves to a private address is refused too.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, address, family)
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) return callback(blockedAddressError(blocked.address));
+
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicLookup
+};
@@ -0,0 +1,267 @@
+const { query } = require('express-validator');
+const { ValidationError } = require('./errorFormatter');
+
+/**
+ * express-validator rules for paging, sorting and field selection
+ * @param {Array<string>} sortFields - Fields the list may be sorted by
+ * @returns {Array} express-validator rules
+ */
+function pagingValidation(sortFields) {
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+
+    query('cursor')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Invalid cursor'),
+
+    query('sortBy')
+      .optional()
+      .isIn(sortFields)
+      .withMessage(`sortBy must be one of: ${sortFields.join(', ')}`),
+
+    query('sortOrder')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('sortOrder must be asc or desc'),
+
+    query('fields')
+      .optional()
+      .isString()
+      .withMessage('Fields must be a comma-separated list')
+  ];
+}
+
+/**
+ * Read the paging mode, limit and sort from a validated query
+ * Passing cursor= (empty for the first page) selects cursor mode; otherwise
+ * page numbers are used as before.
+ * @param {Object} params - req.query
+ * @param {Object} defaultSort - { field, order }
+ * @returns {Object} { mode, page, limit, cursor, sort }
+ */
+function parsePaging(params, defaultSort) {
+  return {
+    mode: params.cursor !== undefined ? 'cursor' : 'page',
+    page: Math.max(parseInt(params.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(params.limit) || 20, 1), 100),
+    cursor: params.cursor || null,
+    sort: {
+      field: params.sortBy || defaultSort.field,
+      order: params.sortOrder || defaultSort.order
+    }
+  };
+}
+
+/**
+ * Read a (possibly nested) field of a document
+ * @param {Object} doc - Document or plain object
+ * @param {string} path - Dotted path, e.g. "tokensUsed.total"
+ * @returns {*} Field value
+ */
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+}
+
+/**
+ * Encode the position after a document for keyset pagination
+ * The sort is part of the cursor, so a cursor cannot be reused with another sort.
+ * @param {Object} doc - Last document of the page
+ * @param {Object} sort - { field, order }
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(doc, { field, order }) {
+  const value = getPath(doc, field);
+
+  return Buffer.from(JSON.stringify({
+    f: field,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    d: value instanceof Date,
+    id: String(doc._id)
+  })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {Object} sort - Sort of the current request
+ * @returns {Object} { value, id }
+ * @throws {ValidationError} When the cursor is malformed or was made for another sort
+ */
+function decodeCursor(cursor, { field, order }) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (!position || typeof position.id !== 'string' || !/^[a-f0-9]{24}$/.test(position.id)) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (position.f !== field || position.o !== order) {
+    throw new ValidationError('Cursor was created with a different sort; restart paging without a cursor');
+  }
+
+  return {
+    value: position.d ? new Date(position.v) : position.v,
+    id: position.id
+  };
+}
+
+/**
+ * Query conditions selecting the documents after a cursor
+ * Ties on the sort field are broken by _id in the same direction.
+ * @param {string} cursor - Opaque cursor (empty for the first page)
+ * @param {Object} sort - { field, order }
+ * @returns {Object} Conditions to merge into the filter
+ */
+function cursorFilter(cursor, sort) {
+  if (!cursor) return {};
+
+  const { value, id } = decodeCursor(cursor, sort);
+  const op = sort.order === 'desc' ? '$lt' : '$gt';
+
+  return {
+    $or: [
+      { [sort.field]: { [op]: value } },
+      { [sort.field]: value, _id: { [op]: id } }
+    ]
+  };
+}
+
+/**
+ * Mongo sort specification for a sort with an _id tie-breaker
+ * @param {Object} sort - { field, order }
+ * @returns {Object} Sort specification
+ */
+function sortSpec({ field, order }) {
+  const direction = order === 'desc' ? -1 : 1;
+  return { [field]: direction, _id: direction };
+}
+
+/**
+ * Resolve the fields= query parameter into a projection
+ * @param {string} fields - Comma-separated field names
+ * @param {Array<string>} allowed - Fields clients may request
+ * @param {Array<string>} required - Fields always included (e.g. the sort field); nested
+ *   paths select their top-level field
+ * @returns {Array<string>|null} Requested fields, or null when fields= is absent
+ * @throws {ValidationError} When an unknown field is requested
+ */
+function parseFields(fields, allowed, required = []) {
+  if (!fields) return null;
+
+  const requested = fields.split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = requested.filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown fields: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+
+  return [...new Set([...requested, ...required.map(field => field.split('.')[0])])];
+}
+
+/**
+ * Build an RFC 8288 Link header for the current request
+ * @param {Object} req - Express request
+ * @param {Object} links - Relation name to query overrides, e.g. { next: { cursor: 'abc' } }
+ * @returns {string} Header value
+ */
+function buildLinkHeader(req, links) {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+
+  return Object.entries(links)
+    .map(([rel, overrides]) => {
+      const params = new URLSearchParams();
+      Object.entries({ ...req.query, page: undefined, cursor: undefined, ...overrides })
+        .forEach(([key, value]) => {
+          if (value !== undefined && value !== null) params.set(key, value);
+        });
+      return `<${base}?${params.toString()}>; rel="${rel}"`;
+    })
+    .join(', ');
+}
+
+/**
+ * Run a keyset-paginated query
+ * Fetches one extra document to learn whether another page exists, so no count is needed.
+ * @param {Object} model - Mongoose model
+ * @param {Object} filter - Query filter
+ * @param {Object} options - { sort, cursor, limit, select }
+ * @returns {Promise<Object>} { items, nextCursor }
+ */
+async function findPage(model, filter, { sort, cursor, limit, select }) {
+  const query = model.find({ $and: [filter, cursorFilter(cursor, sort)] })
+    .sort(sortSpec(sort))
+    .limit(limit + 1);
+  if (select) query.select(select);
+
+  const docs = await query;
+  const items = docs.slice(0, limit);
+
+  return {
+    items,
+    nextCursor: docs.length > limit ? encodeCursor(items[items.length - 1], sort) : null
+  };
+}
+
+/**
+ * Set the Link header and build the pagination block for either paging mode
+ * Page mode (page=) keeps the original response shape; cursor mode (cursor=,
+ * empty for the first page) skips the count.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} page - { mode, limit, nextCursor } or { mode, page, limit, total }
+ * @returns {Object} Pagination block for the response body
+ */
+function paginationResponse(req, res, page) {
+  if (page.mode === 'cursor') {
+    const links = { first: { cursor: '' } };
+    if (page.nextCursor) links.next = { cursor: page.nextCursor };
+    res.set('Link', buildLinkHeader(req, links));
+
+    return {
+      limit: page.limit,
+      nextCursor: page.nextCursor,
+      hasMore: !!page.nextCursor
+    };
+  }
+
+  const pages = Math.ceil(page.total / page.limit);
+  const links = { first: { page: 1 } };
+  if (page.page > 1) links.prev = { page: page.page - 1 };
+  if (page.page < pages) links.next = { page: page.page + 1 };
+  if (pages > 0) links.last = { page: pages };
+  res.set('Link', buildLinkHeader(req, links));
+
+  return {
+    current: page.page,
+    pages,
+    total: page.total,
+    limit: page.limit
+  };
+}
+
+module.exports = {
+  pagingValidation,
+  parsePaging,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  sortSpec,
+  parseFields,
+  buildLinkHeader,
+  findPage,
+  paginationResponse
+};
@@ -0,0 +1,70 @@
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+/**
+ * Escape text for a PDF string literal; characters outside Latin-1 become "?"
+ * @param {string} text - Text to draw
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+/**
+ * Build a PDF of text-only pages using the built-in Helvetica fonts
+ * Enough for simple documents such as invoices, without a PDF library.
+ * @param {Array<Array<Object>>} pages - Per page, items { text, x, y, size, bold }
+ *   with y measured from the top of the page
+ * @returns {Buffer} PDF document
+ */
+function buildTextPdf(pages) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map(items => {
+    const stream = items
+      .map(({ text, x, y, size = 10, bold = false }) =>
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${PAGE_HEIGHT - y} Td (${escapeText(text)}) Tj ET`)
+      .join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  buildTextPdf
+};
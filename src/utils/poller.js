@@ -0,0 +1,56 @@
+const logger = require('./logger');
+
+/**
+ * Run a background task repeatedly inside this process
+ * When run() resolves truthy it found work, so the next run starts right away;
+ * otherwise the poller waits for the interval. Errors are logged and polling goes on.
+ * @param {string} name - Name used in logs, e.g. "Batch job worker"
+ * @param {Function} run - Async task
+ * @param {number} interval - Delay between idle runs in milliseconds
+ * @returns {Object} { start, stop }
+ */
+function createPoller(name, run, interval) {
+  let running = false;
+  let timer = null;
+  let activeRun = null;
+
+  const poll = async () => {
+    let didWork = false;
+
+    try {
+      activeRun = run();
+      didWork = await activeRun;
+    } catch (error) {
+      logger.error(`${name} error:`, { error: error.message });
+    }
+
+    activeRun = null;
+    if (running) {
+      timer = setTimeout(poll, didWork ? 0 : interval);
+    }
+  };
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      timer = setTimeout(poll, 0);
+      logger.info(`${name} started`);
+    },
+
+    // Resolves when the run in progress (if any) settles
+    async stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+
+      if (activeRun) {
+        await activeRun.catch(() => {});
+      }
+    }
+  };
+}
+
+module.exports = {
+  createPoller
+};
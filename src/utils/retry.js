@@ -0,0 +1,132 @@
+const logger = require('./logger');
+
+// HTTP statuses worth retrying: request timeout, rate limiting and server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network-level failures (axios and Node socket errors)
+const RETRYABLE_CODES = [
+  'ECONNABORTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ERR_NETWORK'
+];
+
+// Connection errors thrown by the OpenAI SDK carry no status
+const RETRYABLE_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+/**
+ * Get the HTTP status of an upstream error (axios or OpenAI SDK)
+ * @param {Error} error - Upstream error
+ * @returns {number|undefined} HTTP status
+ */
+function getErrorStatus(error) {
+  return error.response?.status || error.status;
+}
+
+/**
+ * Decide whether an upstream error is transient
+ * @param {Error} error - Upstream error
+ * @returns {boolean} True for 429/5xx responses, timeouts and connection failures
+ */
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status) {
+    return RETRYABLE_STATUSES.includes(status);
+  }
+
+  return RETRYABLE_CODES.includes(error.code) || RETRYABLE_ERROR_NAMES.includes(error.name);
+}
+
+/**
+ * Read the Retry-After header of an upstream error
+ * @param {Error} error - Upstream error
+ * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+ */
+function getRetryAfter(error) {
+  const headers = error.response?.headers || error.headers;
+  if (!headers) return null;
+
+  // axios uses a plain object, the OpenAI SDK a fetch Headers instance
+  const value = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {number} baseDelay - Delay before the first retry in milliseconds
+ * @param {number} maxDelay - Upper bound in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseDelay, maxDelay) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run an upstream call, retrying transient failures
+ * A Retry-After header from the upstream replaces the backoff delay; when it
+ * asks for longer than maxDelay the call fails instead of waiting.
+ * @param {Function} fn - Async function to run; receives the attempt number
+ * @param {Object} options - { retries, baseDelay, maxDelay, shouldRetry, service, sleep }
+ * @returns {Promise<*>} Result of fn
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    retries = 3,
+    baseDelay = 1000,
+    maxDelay = 10000,
+    shouldRetry = isRetryableError,
+    service = 'upstream',
+    sleep: wait = sleep
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter !== null && retryAfter > maxDelay) {
+        throw error;
+      }
+
+      const delay = retryAfter !== null ? retryAfter : getBackoffDelay(attempt + 1, baseDelay, maxDelay);
+
+      logger.warn('Retrying upstream call:', {
+        service,
+        attempt: attempt + 1,
+        delay,
+        status: getErrorStatus(error),
+        error: error.message
+      });
+
+      await wait(delay);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isRetryableError,
+  getRetryAfter,
+  getBackoffDelay
+};
@@ -0,0 +1,61 @@
+/**
+ * Split text into chunks of at most maxLength characters
+ * Breaks on paragraph boundaries first, then sentences, then words, so a
+ * chunk only ends mid-sentence when a single sentence is longer than maxLength.
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum chunk length in characters
+ * @returns {Array<string>} Chunks in original order
+ */
+exports.splitIntoChunks = (text, maxLength = 8000) => {
+  const chunks = [];
+  let current = '';
+
+  const pushPiece = (piece, separator) => {
+    if (!current) {
+      current = piece;
+    } else if (current.length + separator.length + piece.length <= maxLength) {
+      current += separator + piece;
+    } else {
+      chunks.push(current);
+      current = piece;
+    }
+  };
+
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= maxLength) {
+      pushPiece(paragraph, '\n\n');
+      continue;
+    }
+
+    // Paragraph too long on its own: fall back to sentences
+    const sentences = paragraph.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [paragraph];
+
+    for (const rawSentence of sentences) {
+      const sentence = rawSentence.trim();
+      if (!sentence) continue;
+
+      if (sentence.length <= maxLength) {
+        pushPiece(sentence, ' ');
+        continue;
+      }
+
+      // Sentence too long on its own: fall back to words
+      for (const word of sentence.split(/\s+/)) {
+        for (let i = 0; i < word.length; i += maxLength) {
+          pushPiece(word.substring(i, i + maxLength), ' ');
+        }
+      }
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+};
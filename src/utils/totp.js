@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults understood by every authenticator app
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random TOTP secret
+ * @param {number} size - Secret length in bytes (20 = 160 bits, as RFC 4226 recommends)
+ * @returns {string} Base32 secret
+ */
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter, digits = DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Time step containing a moment
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} TOTP counter
+ */
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD);
+}
+
+/**
+ * Current TOTP code (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} digits - Code length
+ * @returns {string} Code
+ */
+function generateTotp(secret, time = Date.now(), digits = DIGITS) {
+  return hotp(secret, timeStep(time), digits);
+}
+
+/**
+ * Check a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: steps accepted either side, time }
+ * @returns {number|null} Matching time step, or null when the code is wrong
+ */
+function verifyTotp(secret, code, { window = 1, time = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) {
+    return null;
+  }
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name, e.g. the user's email
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  timeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};